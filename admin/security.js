@@ -0,0 +1,18 @@
+// Admin endpoints are protected by a shared key (x-admin-key header == ADMIN_API_KEY).
+function requireAdminKey(req, res, next) {
+  const expected = process.env.ADMIN_API_KEY;
+  if (!expected || String(expected).trim() === '') {
+    return res.status(500).json({ success: false, error: 'ADMIN_API_KEY is not configured on server' });
+  }
+
+  const incoming = req.headers['x-admin-key'];
+  if (!incoming || String(incoming) !== String(expected)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  return next();
+}
+
+module.exports = {
+  requireAdminKey,
+};
@@ -11,6 +11,12 @@
  *    - GET /               (health check)
  *    - GET /api/pickups    (list pickups)
  *    - POST /api/pickups   (create pickup)
+ *    - PATCH /api/pickups/:id (change address/time slot/items before collection)
+ *    - GET /api/pickups/slots?lat=&lng= (bookable time slots with places left)
+ *    - GET /api/serviceability?lat=&lng= (is this location served?)
+ *    - GET /api/pickups/:id/timeline (pickup event history)
+ *    - GET /api/pickups/:id/stream   (live pickup status, Server-Sent Events)
+ *    - POST /api/pickups/:id/rating  (rate the vendor of a completed pickup)
  */
 
 // Load environment variables from .env (if present)
@@ -29,6 +35,15 @@ const scrapTypesRouter = require('./routes/scrapTypes');
 const contactRouter = require('./routes/contact');
 const blogRouter = require('./routes/blog');
 const adminBlogRouter = require('./routes/adminBlog');
+const serviceabilityRouter = require('./routes/serviceability');
+const adminServiceAreasRouter = require('./routes/adminServiceAreas');
+const adminDispatchRouter = require('./routes/adminDispatch');
+const adminPickupsRouter = require('./routes/adminPickups');
+const adminVendorsRouter = require('./routes/adminVendors');
+const adminScrapRatesRouter = require('./routes/adminScrapRates');
+const adminScrapTypesRouter = require('./routes/adminScrapTypes');
+const adminPickupSlotsRouter = require('./routes/adminPickupSlots');
+const adminRatingsRouter = require('./routes/adminRatings');
 
 const app = express();
 // Default to 3006 to avoid colliding with Next.js dev (often 3000).
@@ -55,7 +70,9 @@ app.use(express.json({
 
 // Simple request logger (helpful for beginners)
 app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
+  // Pickup streams may carry the customer's token in the query string; keep it out of the logs.
+  const url = String(req.url).replace(/([?&]access_token=)[^&]*/i, '$1[redacted]');
+  console.log(`[${new Date().toISOString()}] ${req.method} ${url}`);
   next();
 });
 
@@ -81,6 +98,33 @@ app.use('/api/blog', blogRouter);
 // 7) Blog admin (protected by ADMIN_API_KEY)
 app.use('/api/admin/blog', adminBlogRouter);
 
+// 8) Public serviceability check (used by app before the pickup form)
+app.use('/api/serviceability', serviceabilityRouter);
+
+// 9) Serviceable area admin (protected by ADMIN_API_KEY)
+app.use('/api/admin/service-areas', adminServiceAreasRouter);
+
+// 10) Dispatch inspection: vendor reliability, ranking weights, dead letters, circuits (protected by ADMIN_API_KEY)
+app.use('/api/admin/dispatch', adminDispatchRouter);
+
+// 11) Pickup support tools: full event timeline (protected by ADMIN_API_KEY)
+app.use('/api/admin/pickups', adminPickupsRouter);
+
+// 12) Vendor admin: signing keys and offer_url approvals (protected by ADMIN_API_KEY)
+app.use('/api/admin/vendors', adminVendorsRouter);
+
+// 13) Scrap rate schedules: future-dated changes, deactivation, history, CSV import (protected by ADMIN_API_KEY)
+app.use('/api/admin/scrap-rates', adminScrapRatesRouter);
+
+// 14) Scrap type catalog: units, categories, minimums, visibility (protected by ADMIN_API_KEY)
+app.use('/api/admin/scrap-types', adminScrapTypesRouter);
+
+// 15) Pickup time slot windows: times, weekdays, capacity per area (protected by ADMIN_API_KEY)
+app.use('/api/admin/pickup-slots', adminPickupSlotsRouter);
+
+// 16) Pickup rating moderation: review low ratings before they count (protected by ADMIN_API_KEY)
+app.use('/api/admin/ratings', adminRatingsRouter);
+
 // -----------------------------
 // ERROR HANDLING
 // -----------------------------
@@ -1,23 +1,10 @@
 const express = require('express');
 
 const { createServiceClient } = require('../supabase/client');
+const { requireAdminKey } = require('../admin/security');
 
 const router = express.Router();
 
-function requireAdminKey(req, res, next) {
-  const expected = process.env.ADMIN_API_KEY;
-  if (!expected || String(expected).trim() === '') {
-    return res.status(500).json({ success: false, error: 'ADMIN_API_KEY is not configured on server' });
-  }
-
-  const incoming = req.headers['x-admin-key'];
-  if (!incoming || String(incoming) !== String(expected)) {
-    return res.status(401).json({ success: false, error: 'Unauthorized' });
-  }
-
-  return next();
-}
-
 function normalizeSlug(input) {
   const s = String(input || '').trim();
   return s
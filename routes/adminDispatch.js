@@ -0,0 +1,168 @@
+const express = require('express');
+
+const { createServiceClient } = require('../supabase/client');
+const { requireAdminKey } = require('../admin/security');
+const { resolveDispatchPolicy, withDefaults } = require('../services/dispatchPolicy');
+const {
+  fetchReliabilityStats,
+  reliabilityComponents,
+  rankingWeights,
+} = require('../services/vendorReliability');
+const dispatchStore = require('../services/dispatchStore');
+const { circuitStates, resetCircuit } = require('../services/offerDelivery');
+
+const router = express.Router();
+
+router.use(requireAdminKey);
+
+function policyContextFromQuery(query) {
+  const quantity = Number(query?.total_quantity);
+  return {
+    region: query?.region ? String(query.region).trim() : null,
+    city: query?.city ? String(query.city).trim() : null,
+    address: query?.city ? String(query.city).trim() : '',
+    totalQuantity: Number.isFinite(quantity) ? quantity : 0,
+  };
+}
+
+// GET /api/admin/dispatch/weights?region=&city=&total_quantity=
+// The ranking weights (and stats window) that would apply to a pickup with this context.
+router.get('/weights', async (req, res) => {
+  try {
+    const supabase = createServiceClient();
+    const { policy, matched } = await resolveDispatchPolicy(supabase, policyContextFromQuery(req.query));
+    return res.json({
+      success: true,
+      matched,
+      weights: rankingWeights(policy),
+      distanceScaleKm: policy.maxRadiusKm || policy.rankDistanceScaleKm,
+      reliabilityWindowDays: policy.reliabilityWindowDays,
+    });
+  } catch (err) {
+    console.error('Admin dispatch weights failed', err);
+    return res.status(500).json({ success: false, error: 'Could not resolve ranking weights' });
+  }
+});
+
+// GET /api/admin/dispatch/reliability?vendor_ref=&days=&region=&city=
+// Rolling per-vendor stats with the reliability components used for ranking.
+router.get('/reliability', async (req, res) => {
+  try {
+    const supabase = createServiceClient();
+    const { policy } = await resolveDispatchPolicy(supabase, policyContextFromQuery(req.query));
+
+    const daysRaw = Number.parseInt(String(req.query?.days || ''), 10);
+    const days = Number.isFinite(daysRaw) && daysRaw > 0 ? Math.min(daysRaw, 365) : policy.reliabilityWindowDays;
+    const vendorRef = req.query?.vendor_ref ? String(req.query.vendor_ref).trim() : null;
+
+    const stats = await fetchReliabilityStats(supabase, vendorRef ? [vendorRef] : null, days);
+    const vendors = [...stats.values()]
+      .map((s) => ({ ...s, components: reliabilityComponents(s, policy) }))
+      .sort((a, b) => b.offers_sent - a.offers_sent);
+
+    return res.json({ success: true, windowDays: days, count: vendors.length, vendors });
+  } catch (err) {
+    console.error('Admin dispatch reliability failed', err);
+    return res.status(500).json({ success: false, error: 'Could not fetch vendor reliability' });
+  }
+});
+
+// GET /api/admin/dispatch/pickups/:id
+// The persisted candidate list for a pickup with each vendor's score breakdown.
+router.get('/pickups/:id', async (req, res) => {
+  try {
+    const id = String(req.params.id || '').trim();
+    if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+    const supabase = createServiceClient();
+    const state = await dispatchStore.loadState(supabase, id);
+    if (!state) return res.status(404).json({ success: false, error: 'No dispatch state for this pickup' });
+
+    const policy = withDefaults(state.policy);
+    return res.json({
+      success: true,
+      dispatch: {
+        pickupId: state.pickupId,
+        status: state.status,
+        round: state.round,
+        cursor: state.cursor,
+        strategy: state.strategy,
+        waveSize: state.waveSize,
+        updatedAt: state.updatedAt,
+      },
+      weights: rankingWeights(policy),
+      candidates: state.candidates,
+    });
+  } catch (err) {
+    console.error('Admin dispatch pickup failed', err);
+    return res.status(500).json({ success: false, error: 'Could not fetch dispatch state' });
+  }
+});
+
+// GET /api/admin/dispatch/dead-letters?resolved=false&vendor_ref=&limit=
+// Offers (and withdrawals) that never reached the vendor backend.
+router.get('/dead-letters', async (req, res) => {
+  try {
+    const limitRaw = Number.parseInt(String(req.query?.limit || '100'), 10);
+    const limit = Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(limitRaw, 500) : 100;
+    const resolved = String(req.query?.resolved || 'false').toLowerCase() === 'true';
+
+    const supabase = createServiceClient();
+    let q = supabase
+      .from('offer_dead_letters')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    q = resolved ? q.not('resolved_at', 'is', null) : q.is('resolved_at', null);
+    if (req.query?.vendor_ref) q = q.eq('vendor_ref', String(req.query.vendor_ref).trim());
+
+    const { data, error } = await q;
+    if (error) return res.status(400).json({ success: false, error: error.message || 'Could not fetch dead letters' });
+    return res.json({ success: true, count: (data || []).length, deadLetters: data || [] });
+  } catch (err) {
+    console.error('Admin dead letter list failed', err);
+    return res.status(500).json({ success: false, error: 'Could not fetch dead letters' });
+  }
+});
+
+// POST /api/admin/dispatch/dead-letters/:id/resolve  { note? }
+router.post('/dead-letters/:id/resolve', async (req, res) => {
+  try {
+    const id = String(req.params.id || '').trim();
+    if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+    const note = req.body?.note != null ? String(req.body.note).trim().slice(0, 500) : null;
+    const supabase = createServiceClient();
+    const { data, error } = await supabase
+      .from('offer_dead_letters')
+      .update({ resolved_at: new Date().toISOString(), resolution_note: note || null })
+      .eq('id', id)
+      .is('resolved_at', null)
+      .select('*')
+      .maybeSingle();
+
+    if (error) return res.status(400).json({ success: false, error: error.message || 'Could not resolve dead letter' });
+    if (!data) return res.status(404).json({ success: false, error: 'Dead letter not found or already resolved' });
+    return res.json({ success: true, deadLetter: data });
+  } catch (err) {
+    console.error('Admin dead letter resolve failed', err);
+    return res.status(500).json({ success: false, error: 'Could not resolve dead letter' });
+  }
+});
+
+// GET /api/admin/dispatch/circuits
+// Circuit breaker state per offer URL (this instance only).
+router.get('/circuits', (req, res) => {
+  const circuits = circuitStates();
+  return res.json({ success: true, count: circuits.length, circuits });
+});
+
+// DELETE /api/admin/dispatch/circuits?url=
+// Close a breaker by hand once the vendor confirms their backend is back.
+router.delete('/circuits', (req, res) => {
+  const url = req.query?.url ? String(req.query.url).trim() : '';
+  if (!url) return res.status(400).json({ success: false, error: 'url is required' });
+  return res.json({ success: true, reset: resetCircuit(url) });
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+
+const { createServiceClient } = require('../supabase/client');
+const { requireAdminKey } = require('../admin/security');
+const { WINDOW_COLUMNS, isMissingTable, parseWindowInput } = require('../services/pickupSlots');
+
+const router = express.Router();
+
+router.use(requireAdminKey);
+
+function notMigrated(res) {
+  return res.status(501).json({
+    success: false,
+    error: 'Pickup time slots are not enabled in DB yet. Apply supabase/migrations/026_pickup_slots.sql then retry.',
+  });
+}
+
+function isUnknownArea(error) {
+  return error?.code === '23503' && /service_area/i.test(error?.message || '');
+}
+
+// GET /api/admin/pickup-slots?service_area_id=
+// Every slot window, inactive ones included (service_area_id=default: the windows for all areas).
+router.get('/', async (req, res) => {
+  try {
+    const supabase = createServiceClient();
+    let q = supabase.from('pickup_slot_windows').select(WINDOW_COLUMNS);
+    const areaId = req.query.service_area_id ?? req.query.serviceAreaId;
+    if (areaId === 'default') q = q.is('service_area_id', null);
+    else if (areaId) q = q.eq('service_area_id', String(areaId));
+
+    const { data, error } = await q.order('start_time', { ascending: true });
+    if (error) {
+      if (isMissingTable(error)) return notMigrated(res);
+      return res.status(400).json({ success: false, error: error.message || 'Could not fetch slot windows' });
+    }
+    return res.json({ success: true, count: (data || []).length, windows: data || [] });
+  } catch (err) {
+    console.error('Admin slot window list failed', err);
+    return res.status(500).json({ success: false, error: 'Could not fetch slot windows' });
+  }
+});
+
+// POST /api/admin/pickup-slots
+// { start_time, end_time (HH:MM), capacity, days_of_week? ([1..7], Monday = 1), label?,
+//   timezone? (default Asia/Kolkata), service_area_id? (none = every area without its own), is_active? }
+router.post('/', async (req, res) => {
+  const input = parseWindowInput(req.body);
+  if (!input.ok) return res.status(400).json({ success: false, error: input.error });
+
+  try {
+    const supabase = createServiceClient();
+    const { data, error } = await supabase.from('pickup_slot_windows').insert([input.value]).select(WINDOW_COLUMNS).maybeSingle();
+    if (error) {
+      if (isMissingTable(error)) return notMigrated(res);
+      if (isUnknownArea(error)) return res.status(400).json({ success: false, error: 'service_area_id does not match a service area' });
+      return res.status(400).json({ success: false, error: error.message || 'Could not create slot window' });
+    }
+
+    console.log(
+      `[SLOTS] slot_window_created id=${data?.id} area=${data?.service_area_id || 'default'} ` +
+        `window=${data?.start_time}-${data?.end_time} capacity=${data?.capacity}`
+    );
+    return res.status(201).json({ success: true, window: data });
+  } catch (err) {
+    console.error('Admin slot window create failed', err);
+    return res.status(500).json({ success: false, error: 'Could not create slot window' });
+  }
+});
+
+// PATCH /api/admin/pickup-slots/:id
+// Any of the POST fields. Capacity changes apply to slots already booked (nothing is moved out);
+// is_active: false stops new bookings and keeps existing ones.
+router.patch('/:id', async (req, res) => {
+  const id = String(req.params.id || '').trim();
+  if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+  try {
+    const supabase = createServiceClient();
+    const { data: current, error: currentErr } = await supabase.from('pickup_slot_windows').select(WINDOW_COLUMNS).eq('id', id).maybeSingle();
+    if (currentErr) {
+      if (isMissingTable(currentErr)) return notMigrated(res);
+      return res.status(400).json({ success: false, error: currentErr.message || 'Could not look up slot window' });
+    }
+    if (!current) return res.status(404).json({ success: false, error: 'slot window not found' });
+
+    const input = parseWindowInput(req.body, { partial: true, current });
+    if (!input.ok) return res.status(400).json({ success: false, error: input.error });
+
+    const { data, error } = await supabase
+      .from('pickup_slot_windows')
+      .update(input.value)
+      .eq('id', id)
+      .select(WINDOW_COLUMNS)
+      .maybeSingle();
+    if (error) {
+      if (isUnknownArea(error)) return res.status(400).json({ success: false, error: 'service_area_id does not match a service area' });
+      return res.status(400).json({ success: false, error: error.message || 'Could not update slot window' });
+    }
+    if (!data) return res.status(404).json({ success: false, error: 'slot window not found' });
+
+    console.log(`[SLOTS] slot_window_updated id=${id} fields=${Object.keys(input.value).join(',')}`);
+    return res.json({ success: true, window: data });
+  } catch (err) {
+    console.error('Admin slot window update failed', err);
+    return res.status(500).json({ success: false, error: 'Could not update slot window' });
+  }
+});
+
+// DELETE /api/admin/pickup-slots/:id
+// Only for windows nobody booked yet; otherwise hide with is_active: false.
+router.delete('/:id', async (req, res) => {
+  const id = String(req.params.id || '').trim();
+  if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+  try {
+    const supabase = createServiceClient();
+    const { data, error } = await supabase.from('pickup_slot_windows').delete().eq('id', id).select('id').maybeSingle();
+    if (error) {
+      if (isMissingTable(error)) return notMigrated(res);
+      if (error.code === '23503' || /foreign key/i.test(error.message || '')) {
+        return res.status(409).json({
+          success: false,
+          error: 'slot window has bookings; stop new ones with PATCH { is_active: false } instead',
+        });
+      }
+      return res.status(400).json({ success: false, error: error.message || 'Could not delete slot window' });
+    }
+    if (!data) return res.status(404).json({ success: false, error: 'slot window not found' });
+
+    console.log(`[SLOTS] slot_window_deleted id=${id}`);
+    return res.json({ success: true, window: data });
+  } catch (err) {
+    console.error('Admin slot window delete failed', err);
+    return res.status(500).json({ success: false, error: 'Could not delete slot window' });
+  }
+});
+
+module.exports = router;
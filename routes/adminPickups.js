@@ -0,0 +1,67 @@
+const express = require('express');
+
+const { createServiceClient } = require('../supabase/client');
+const { requireAdminKey } = require('../admin/security');
+const { listPickupEvents } = require('../services/pickupEvents');
+const { UNASSIGNED_STATUSES } = require('../services/pickupScheduler');
+
+const router = express.Router();
+
+router.use(requireAdminKey);
+
+// GET /api/admin/pickups/escalated
+// Pickups whose time slot started without a vendor (services/pickupScheduler.js), oldest slot first.
+// A pickup leaves the list once a vendor takes it or it is cancelled.
+router.get('/escalated', async (req, res) => {
+  try {
+    const supabase = createServiceClient();
+    const { data, error } = await supabase
+      .from('pickups')
+      .select('id,status,address,latitude,longitude,time_slot,slot_start,slot_end,escalated_at,created_at')
+      .in('status', UNASSIGNED_STATUSES)
+      .not('escalated_at', 'is', null)
+      .order('slot_start', { ascending: true })
+      .limit(200);
+
+    if (error) {
+      if (/escalated_at|slot_start|SCHEDULED/i.test(error.message || '')) {
+        return res.status(501).json({
+          success: false,
+          error: 'Scheduled dispatch is not enabled in DB yet. Apply supabase/migrations/027_scheduled_dispatch.sql then retry.',
+        });
+      }
+      return res.status(400).json({ success: false, error: error.message || 'Could not fetch escalated pickups' });
+    }
+    return res.json({ success: true, count: (data || []).length, pickups: data || [] });
+  } catch (err) {
+    console.error('Admin escalated pickups failed', err);
+    return res.status(500).json({ success: false, error: 'Could not fetch escalated pickups' });
+  }
+});
+
+// GET /api/admin/pickups/:id/timeline
+// Full event log for support: every state change and dispatch decision, with vendor refs and reasons.
+router.get('/:id/timeline', async (req, res) => {
+  try {
+    const id = String(req.params.id || '').trim();
+    if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+    const supabase = createServiceClient();
+    const { data: pickup, error } = await supabase
+      .from('pickups')
+      .select('id,status,assigned_vendor_ref,assignment_expires_at,created_at,cancelled_at,completed_at')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) return res.status(400).json({ success: false, error: error.message || 'Could not fetch pickup' });
+    if (!pickup) return res.status(404).json({ success: false, error: 'pickup not found' });
+
+    const events = await listPickupEvents(supabase, id, { limit: 2000 });
+    return res.json({ success: true, pickup, count: events.length, events });
+  } catch (err) {
+    console.error('Admin pickup timeline failed', err);
+    return res.status(500).json({ success: false, error: 'Could not fetch pickup timeline' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+
+const { createServiceClient } = require('../supabase/client');
+const { requireAdminKey } = require('../admin/security');
+const { recordPickupEvent } = require('../services/pickupEvents');
+const ratings = require('../services/pickupRatings');
+
+const router = express.Router();
+
+router.use(requireAdminKey);
+
+function notMigrated(res) {
+  return res.status(501).json({
+    success: false,
+    error: 'Pickup ratings are not enabled in DB yet. Apply supabase/migrations/028_pickup_ratings.sql then retry.',
+  });
+}
+
+// GET /api/admin/ratings?status=&vendor_id=&limit=&cursor=
+// Ratings for moderation, newest first. status: PENDING (default; the 1-2 star ratings waiting for
+// a decision), PUBLISHED, REJECTED or all.
+router.get('/', async (req, res) => {
+  const statusRaw = String(req.query.status || 'PENDING').trim().toUpperCase();
+  if (statusRaw !== 'ALL' && !ratings.MODERATION_STATUSES.includes(statusRaw)) {
+    return res.status(400).json({ success: false, error: `status must be one of ${ratings.MODERATION_STATUSES.join(', ')} or all` });
+  }
+  const page = ratings.parsePageQuery(req.query);
+  if (!page.ok) return res.status(400).json({ success: false, error: page.error });
+
+  const vendorRef = req.query.vendor_id ?? req.query.vendorId;
+
+  try {
+    const { rows, nextCursor } = await ratings.listRatings(createServiceClient(), {
+      vendorRef: vendorRef ? String(vendorRef).trim() : null,
+      status: statusRaw === 'ALL' ? null : statusRaw,
+      ...page.value,
+    });
+    return res.json({ success: true, count: rows.length, ratings: rows, nextCursor });
+  } catch (err) {
+    if (ratings.isMissingTable(err)) return notMigrated(res);
+    console.error('Admin rating list failed', err);
+    return res.status(500).json({ success: false, error: 'Could not fetch ratings' });
+  }
+});
+
+// PATCH /api/admin/ratings/:id
+// { decision: approve | reject, note? } for a PENDING rating. Approved ratings count towards the
+// vendor's average; rejected ones are kept for the record but never shown or counted.
+router.patch('/:id', async (req, res) => {
+  const id = String(req.params.id || '').trim();
+  if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+  const decision = String(req.body?.decision || '').trim().toLowerCase();
+  if (decision !== 'approve' && decision !== 'reject') {
+    return res.status(400).json({ success: false, error: 'decision must be approve or reject' });
+  }
+  const note = req.body?.note != null ? String(req.body.note).trim().slice(0, 500) || null : null;
+
+  try {
+    const supabase = createServiceClient();
+    const data = await ratings.moderateRating(supabase, id, decision, note);
+    if (!data) {
+      const { data: existing, error } = await supabase.from('pickup_ratings').select('id,moderation_status').eq('id', id).maybeSingle();
+      if (error) throw error;
+      if (!existing) return res.status(404).json({ success: false, error: 'rating not found' });
+      return res.status(409).json({
+        success: false,
+        error: `rating is already ${existing.moderation_status}`,
+        moderationStatus: existing.moderation_status,
+      });
+    }
+
+    console.log(`[RATINGS] rating_moderated id=${id} pickupId=${data.pickup_id} vendor=${data.vendor_ref} status=${data.moderation_status}`);
+    await recordPickupEvent(supabase, data.pickup_id, 'rating_moderated', {
+      actor: 'admin',
+      vendorRef: data.vendor_ref,
+      reason: note,
+      data: { ratingId: id, decision, stars: data.stars },
+    });
+    return res.json({ success: true, rating: data });
+  } catch (err) {
+    if (ratings.isMissingTable(err)) return notMigrated(res);
+    console.error('Admin rating moderation failed', err);
+    return res.status(500).json({ success: false, error: 'Could not moderate rating' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+
+const { createServiceClient } = require('../supabase/client');
+const { requireAdminKey } = require('../admin/security');
+const {
+  parseRateInput,
+  listRates,
+  scheduleRate,
+  deactivateRate,
+  importRateSheet,
+  isMissingScheduleColumns,
+} = require('../services/scrapRates');
+
+const router = express.Router();
+
+router.use(requireAdminKey);
+
+function notMigrated(res) {
+  return res.status(501).json({
+    success: false,
+    error: 'Rate schedules are not enabled in DB yet. Apply supabase/migrations/023_scrap_rate_schedules.sql then retry.',
+  });
+}
+
+// GET /api/admin/scrap-rates?scrap_type_id=...
+// Full history of a scrap type, including deactivated and future rates.
+router.get('/', async (req, res) => {
+  const scrapTypeId = String(req.query?.scrap_type_id || '').trim();
+  if (!scrapTypeId) return res.status(400).json({ success: false, error: 'scrap_type_id query parameter is required' });
+
+  try {
+    const supabase = createServiceClient();
+    const rates = await listRates(supabase, scrapTypeId, { limit: 1000 });
+    return res.json({ success: true, scrap_type_id: scrapTypeId, count: rates.length, rates });
+  } catch (err) {
+    if (isMissingScheduleColumns(err)) return notMigrated(res);
+    console.error('Admin scrap rate list failed', err);
+    return res.status(500).json({ success: false, error: 'Could not fetch rates' });
+  }
+});
+
+// POST /api/admin/scrap-rates
+// { scrap_type_id, rate_per_kg, effective_from?, effective_to?, note? }
+// effective_from defaults to now; the rate in effect at that moment ends there.
+router.post('/', async (req, res) => {
+  const scrapTypeId = String(req.body?.scrap_type_id || req.body?.scrapTypeId || '').trim();
+  if (!scrapTypeId) return res.status(400).json({ success: false, error: 'scrap_type_id is required' });
+
+  const input = parseRateInput(req.body);
+  if (!input.ok) return res.status(400).json({ success: false, error: input.error });
+
+  try {
+    const supabase = createServiceClient();
+    const { data: type, error: typeErr } = await supabase.from('scrap_types').select('id').eq('id', scrapTypeId).maybeSingle();
+    if (typeErr) return res.status(400).json({ success: false, error: typeErr.message || 'Could not look up scrap type' });
+    if (!type) return res.status(404).json({ success: false, error: 'scrap type not found' });
+
+    const result = await scheduleRate(supabase, scrapTypeId, input.value, 'admin');
+    if (!result.ok) return res.status(result.status).json({ success: false, error: result.error });
+    return res.status(201).json({ success: true, rate: result.rate, ended: result.ended });
+  } catch (err) {
+    if (isMissingScheduleColumns(err)) return notMigrated(res);
+    console.error('Admin scrap rate create failed', err);
+    return res.status(500).json({ success: false, error: 'Could not schedule rate' });
+  }
+});
+
+// POST /api/admin/scrap-rates/import[?dry_run=true]
+// CSV rate sheet (Content-Type: text/csv, or JSON { csv }), see importRateSheet for the columns.
+// The sheet is validated as a whole; if any row is invalid nothing is written, and if a row fails
+// to save the rows saved before it are rolled back (non-2xx either way).
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+  const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+  if (typeof csv !== 'string' || !csv.trim()) {
+    return res.status(400).json({ success: false, error: 'Send the rate sheet as text/csv or as JSON { csv }' });
+  }
+  const dryRun = String(req.query?.dry_run || '').toLowerCase() === 'true';
+
+  try {
+    const supabase = createServiceClient();
+    const result = await importRateSheet(supabase, csv, { dryRun, createdBy: 'import' });
+    if (!result.ok) return res.status(result.status).json({ success: false, error: result.error, errors: result.errors });
+
+    return res.json({ success: true, dry_run: result.dryRun, count: result.results.length, results: result.results });
+  } catch (err) {
+    if (isMissingScheduleColumns(err)) return notMigrated(res);
+    console.error('Admin scrap rate import failed', err);
+    return res.status(500).json({ success: false, error: 'Could not import rate sheet' });
+  }
+});
+
+// POST /api/admin/scrap-rates/:id/deactivate
+// The rate stops applying; the rate it had ended runs on in its place.
+router.post('/:id/deactivate', async (req, res) => {
+  const id = String(req.params.id || '').trim();
+  if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+  try {
+    const supabase = createServiceClient();
+    const result = await deactivateRate(supabase, id);
+    if (!result.ok) return res.status(result.status).json({ success: false, error: result.error });
+    return res.json({ success: true, rate: result.rate, extended: result.extended });
+  } catch (err) {
+    if (isMissingScheduleColumns(err)) return notMigrated(res);
+    console.error('Admin scrap rate deactivate failed', err);
+    return res.status(500).json({ success: false, error: 'Could not deactivate rate' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+
+const { createServiceClient } = require('../supabase/client');
+const { requireAdminKey } = require('../admin/security');
+const { parseScrapTypeInput, listScrapTypes, isMissingCatalogColumns, unitOf } = require('../services/scrapTypes');
+
+const router = express.Router();
+
+router.use(requireAdminKey);
+
+function notMigrated(res) {
+  return res.status(501).json({
+    success: false,
+    error: 'Scrap type catalog is not enabled in DB yet. Apply supabase/migrations/024_scrap_type_catalog.sql then retry.',
+  });
+}
+
+function isDuplicateName(error) {
+  return error?.code === '23505' || /uq_scrap_types_name_lower|duplicate key/i.test(error?.message || '');
+}
+
+// GET /api/admin/scrap-types
+// Every scrap type, hidden ones included.
+router.get('/', async (req, res) => {
+  try {
+    const supabase = createServiceClient();
+    const types = await listScrapTypes(supabase, { includeInactive: true });
+    return res.json({ success: true, count: types.length, types });
+  } catch (err) {
+    console.error('Admin scrap type list failed', err);
+    return res.status(500).json({ success: false, error: 'Could not fetch scrap types' });
+  }
+});
+
+// POST /api/admin/scrap-types
+// { name, description?, unit? (kg | piece), category?, icon?, min_quantity?, is_active?, sort_order? }
+router.post('/', async (req, res) => {
+  const input = parseScrapTypeInput(req.body);
+  if (!input.ok) return res.status(400).json({ success: false, error: input.error });
+
+  try {
+    const supabase = createServiceClient();
+    const { data, error } = await supabase.from('scrap_types').insert([input.value]).select('*').maybeSingle();
+    if (error) {
+      if (isMissingCatalogColumns(error)) return notMigrated(res);
+      if (isDuplicateName(error)) return res.status(409).json({ success: false, error: `A scrap type named ${input.value.name} already exists` });
+      return res.status(400).json({ success: false, error: error.message || 'Could not create scrap type' });
+    }
+
+    console.log(`[CATALOG] scrap_type_created id=${data?.id} name=${JSON.stringify(data?.name)} unit=${unitOf(data)}`);
+    return res.status(201).json({ success: true, type: data });
+  } catch (err) {
+    console.error('Admin scrap type create failed', err);
+    return res.status(500).json({ success: false, error: 'Could not create scrap type' });
+  }
+});
+
+// PATCH /api/admin/scrap-types/:id
+// Any of the POST fields; is_active: false hides the type from customers.
+router.patch('/:id', async (req, res) => {
+  const id = String(req.params.id || '').trim();
+  if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+  const input = parseScrapTypeInput(req.body, { partial: true });
+  if (!input.ok) return res.status(400).json({ success: false, error: input.error });
+
+  try {
+    const supabase = createServiceClient();
+    const { data: current, error: currentErr } = await supabase.from('scrap_types').select('*').eq('id', id).maybeSingle();
+    if (currentErr) return res.status(400).json({ success: false, error: currentErr.message || 'Could not look up scrap type' });
+    if (!current) return res.status(404).json({ success: false, error: 'scrap type not found' });
+
+    // The unit/min_quantity rule from parseScrapTypeInput, against the stored values.
+    const unit = input.value.unit ?? unitOf(current);
+    const minQuantity = input.value.min_quantity !== undefined ? input.value.min_quantity : current.min_quantity;
+    if (unit === 'piece' && minQuantity != null && !Number.isInteger(Number(minQuantity))) {
+      return res.status(400).json({ success: false, error: 'min_quantity must be a whole number for unit piece' });
+    }
+
+    const { data, error } = await supabase
+      .from('scrap_types')
+      .update({ ...input.value, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select('*')
+      .maybeSingle();
+    if (error) {
+      if (isMissingCatalogColumns(error)) return notMigrated(res);
+      if (isDuplicateName(error)) return res.status(409).json({ success: false, error: `A scrap type named ${input.value.name} already exists` });
+      return res.status(400).json({ success: false, error: error.message || 'Could not update scrap type' });
+    }
+    if (!data) return res.status(404).json({ success: false, error: 'scrap type not found' });
+
+    console.log(`[CATALOG] scrap_type_updated id=${id} fields=${Object.keys(input.value).join(',')}`);
+    return res.json({ success: true, type: data });
+  } catch (err) {
+    console.error('Admin scrap type update failed', err);
+    return res.status(500).json({ success: false, error: 'Could not update scrap type' });
+  }
+});
+
+// DELETE /api/admin/scrap-types/:id
+// Only for types nothing refers to yet (typos, test data); otherwise hide with is_active: false.
+router.delete('/:id', async (req, res) => {
+  const id = String(req.params.id || '').trim();
+  if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+  try {
+    const supabase = createServiceClient();
+    const { data, error } = await supabase.from('scrap_types').delete().eq('id', id).select('id,name').maybeSingle();
+    if (error) {
+      if (error.code === '23503' || /foreign key/i.test(error.message || '')) {
+        return res.status(409).json({
+          success: false,
+          error: 'scrap type is used by pickups or rates; hide it with PATCH { is_active: false } instead',
+        });
+      }
+      return res.status(400).json({ success: false, error: error.message || 'Could not delete scrap type' });
+    }
+    if (!data) return res.status(404).json({ success: false, error: 'scrap type not found' });
+
+    console.log(`[CATALOG] scrap_type_deleted id=${id} name=${JSON.stringify(data.name)}`);
+    return res.json({ success: true, type: data });
+  } catch (err) {
+    console.error('Admin scrap type delete failed', err);
+    return res.status(500).json({ success: false, error: 'Could not delete scrap type' });
+  }
+});
+
+module.exports = router;
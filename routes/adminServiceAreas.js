@@ -0,0 +1,116 @@
+const express = require('express');
+
+const { createServiceClient } = require('../supabase/client');
+const { requireAdminKey } = require('../admin/security');
+const { normalizeGeometry, invalidateAreaCache } = require('../services/serviceAreas');
+
+const router = express.Router();
+
+const AREA_COLUMNS = 'id,name,region,geojson,is_active,created_at,updated_at';
+
+router.use(requireAdminKey);
+
+// GET /api/admin/service-areas
+// Admin list (includes inactive)
+router.get('/', async (req, res) => {
+  try {
+    const supabase = createServiceClient();
+    const { data, error } = await supabase.from('service_areas').select(AREA_COLUMNS).order('name', { ascending: true });
+
+    if (error) return res.status(400).json({ success: false, error: error.message || 'Could not fetch service areas' });
+    return res.json({ success: true, count: (data || []).length, areas: data || [] });
+  } catch (err) {
+    console.error('Admin service area list failed', err);
+    return res.status(500).json({ success: false, error: 'Could not fetch service areas' });
+  }
+});
+
+// POST /api/admin/service-areas
+router.post('/', async (req, res) => {
+  try {
+    const name = String(req.body?.name || '').trim();
+    if (!name) return res.status(400).json({ success: false, error: 'name is required' });
+
+    const geom = normalizeGeometry(req.body?.geojson);
+    if (!geom.ok) return res.status(400).json({ success: false, error: geom.error });
+
+    const region = req.body?.region != null && String(req.body.region).trim() ? String(req.body.region).trim() : null;
+    const isActive = req.body?.is_active !== undefined ? Boolean(req.body.is_active) : true;
+
+    const supabase = createServiceClient();
+    const { data, error } = await supabase
+      .from('service_areas')
+      .insert([{ name, region, geojson: geom.geometry, is_active: isActive }])
+      .select(AREA_COLUMNS)
+      .maybeSingle();
+
+    if (error) return res.status(400).json({ success: false, error: error.message || 'Could not create service area' });
+
+    invalidateAreaCache();
+    return res.status(201).json({ success: true, area: data });
+  } catch (err) {
+    console.error('Admin service area create failed', err);
+    return res.status(500).json({ success: false, error: 'Could not create service area' });
+  }
+});
+
+// PUT /api/admin/service-areas/:id
+router.put('/:id', async (req, res) => {
+  try {
+    const id = String(req.params.id || '').trim();
+    if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+    const patch = {};
+    if (req.body?.name != null) patch.name = String(req.body.name).trim();
+    if (req.body?.region !== undefined) {
+      patch.region = req.body.region != null && String(req.body.region).trim() ? String(req.body.region).trim() : null;
+    }
+    if (req.body?.is_active !== undefined) patch.is_active = Boolean(req.body.is_active);
+    if (req.body?.geojson !== undefined) {
+      const geom = normalizeGeometry(req.body.geojson);
+      if (!geom.ok) return res.status(400).json({ success: false, error: geom.error });
+      patch.geojson = geom.geometry;
+    }
+
+    if (patch.name != null && !patch.name) return res.status(400).json({ success: false, error: 'name cannot be empty' });
+
+    const supabase = createServiceClient();
+    const { data, error } = await supabase
+      .from('service_areas')
+      .update(patch)
+      .eq('id', id)
+      .select(AREA_COLUMNS)
+      .maybeSingle();
+
+    if (error) return res.status(400).json({ success: false, error: error.message || 'Could not update service area' });
+    if (!data) return res.status(404).json({ success: false, error: 'service area not found' });
+
+    invalidateAreaCache();
+    return res.json({ success: true, area: data });
+  } catch (err) {
+    console.error('Admin service area update failed', err);
+    return res.status(500).json({ success: false, error: 'Could not update service area' });
+  }
+});
+
+// DELETE /api/admin/service-areas/:id
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = String(req.params.id || '').trim();
+    if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+    const supabase = createServiceClient();
+    const { data, error } = await supabase.from('service_areas').delete().eq('id', id).select('id').maybeSingle();
+
+    if (error) return res.status(400).json({ success: false, error: error.message || 'Could not delete service area' });
+    if (!data) return res.status(404).json({ success: false, error: 'service area not found' });
+
+    invalidateAreaCache();
+    return res.json({ success: true, id: data.id });
+  } catch (err) {
+    console.error('Admin service area delete failed', err);
+    return res.status(500).json({ success: false, error: 'Could not delete service area' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const express = require('express');
+
+const { createServiceClient } = require('../supabase/client');
+const { requireAdminKey } = require('../admin/security');
+const { issueKey, revokeKey, listKeys } = require('../vendor/signingKeys');
+const { CHANGE_STATUSES, findVendorBackend, decideChange, listChanges } = require('../services/vendorOfferUrl');
+
+const router = express.Router();
+
+router.use(requireAdminKey);
+
+function parseLimit(raw) {
+  const n = Number.parseInt(String(raw || '100'), 10);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, 500) : 100;
+}
+
+// GET /api/admin/vendors/:vendorRef/keys
+// Signing keys for a vendor (secrets are never listed).
+router.get('/:vendorRef/keys', async (req, res) => {
+  try {
+    const vendorRef = String(req.params.vendorRef || '').trim();
+    if (!vendorRef) return res.status(400).json({ success: false, error: 'vendorRef is required' });
+
+    const supabase = createServiceClient();
+    const keys = await listKeys(supabase, vendorRef);
+    return res.json({ success: true, vendorRef, count: keys.length, keys });
+  } catch (err) {
+    console.error('Admin vendor key list failed', err);
+    return res.status(500).json({ success: false, error: 'Could not fetch vendor keys' });
+  }
+});
+
+// POST /api/admin/vendors/:vendorRef/keys  { retire_previous_after_hours? }
+// Issue a new key. The secret is returned once; hand it to the vendor over a secure channel.
+router.post('/:vendorRef/keys', async (req, res) => {
+  try {
+    const vendorRef = String(req.params.vendorRef || '').trim();
+    if (!vendorRef) return res.status(400).json({ success: false, error: 'vendorRef is required' });
+
+    const supabase = createServiceClient();
+    if (!(await findVendorBackend(supabase, vendorRef))) {
+      return res.status(404).json({ success: false, error: 'vendor not registered' });
+    }
+
+    const result = await issueKey(supabase, vendorRef, {
+      retirePreviousAfterHours: req.body?.retire_previous_after_hours ?? req.body?.retirePreviousAfterHours,
+    });
+    if (!result.ok) return res.status(result.status).json({ success: false, error: result.error });
+
+    console.log(`[SECURITY] vendor_key_issued vendor_id=${vendorRef} key_id=${result.key.key_id}`);
+    return res.status(201).json({ success: true, key: result.key, secret: result.secret });
+  } catch (err) {
+    console.error('Admin vendor key issue failed', err);
+    return res.status(500).json({ success: false, error: 'Could not issue vendor key' });
+  }
+});
+
+// DELETE /api/admin/vendors/:vendorRef/keys/:keyId
+router.delete('/:vendorRef/keys/:keyId', async (req, res) => {
+  try {
+    const vendorRef = String(req.params.vendorRef || '').trim();
+    const keyId = String(req.params.keyId || '').trim();
+    if (!vendorRef || !keyId) return res.status(400).json({ success: false, error: 'vendorRef and keyId are required' });
+
+    const supabase = createServiceClient();
+    const key = await revokeKey(supabase, vendorRef, keyId);
+    if (!key) return res.status(404).json({ success: false, error: 'Active key not found for this vendor' });
+
+    console.log(`[SECURITY] vendor_key_revoked vendor_id=${vendorRef} key_id=${keyId}`);
+    return res.json({ success: true, key });
+  } catch (err) {
+    console.error('Admin vendor key revoke failed', err);
+    return res.status(500).json({ success: false, error: 'Could not revoke vendor key' });
+  }
+});
+
+// GET /api/admin/vendors/offer-url-changes?status=PENDING&limit=
+// offer_url change requests across vendors (default: the ones waiting for approval).
+router.get('/offer-url-changes', async (req, res) => {
+  try {
+    const status = String(req.query?.status || 'PENDING').trim().toUpperCase();
+    if (status !== 'ALL' && !CHANGE_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${CHANGE_STATUSES.join(', ')}, ALL` });
+    }
+
+    const supabase = createServiceClient();
+    const changes = await listChanges(supabase, { status: status === 'ALL' ? null : status, limit: parseLimit(req.query?.limit) });
+    return res.json({ success: true, count: changes.length, changes });
+  } catch (err) {
+    console.error('Admin offer_url change list failed', err);
+    return res.status(500).json({ success: false, error: 'Could not fetch offer_url changes' });
+  }
+});
+
+// GET /api/admin/vendors/:vendorRef/offer-url-changes
+// Full offer_url history for one vendor (registration, changes, decisions).
+router.get('/:vendorRef/offer-url-changes', async (req, res) => {
+  try {
+    const vendorRef = String(req.params.vendorRef || '').trim();
+    if (!vendorRef) return res.status(400).json({ success: false, error: 'vendorRef is required' });
+
+    const supabase = createServiceClient();
+    const changes = await listChanges(supabase, { vendorRef, limit: parseLimit(req.query?.limit) });
+    return res.json({ success: true, vendorRef, count: changes.length, changes });
+  } catch (err) {
+    console.error('Admin vendor offer_url history failed', err);
+    return res.status(500).json({ success: false, error: 'Could not fetch offer_url changes' });
+  }
+});
+
+// POST /api/admin/vendors/:vendorRef/offer-url-changes/:id/approve  { note? }
+// POST /api/admin/vendors/:vendorRef/offer-url-changes/:id/reject   { note? }
+router.post('/:vendorRef/offer-url-changes/:id/:decision(approve|reject)', async (req, res) => {
+  try {
+    const vendorRef = String(req.params.vendorRef || '').trim();
+    const id = String(req.params.id || '').trim();
+    if (!vendorRef || !id) return res.status(400).json({ success: false, error: 'vendorRef and id are required' });
+
+    const note = req.body?.note != null ? String(req.body.note).trim().slice(0, 500) : null;
+    const supabase = createServiceClient();
+    const result = await decideChange(supabase, vendorRef, id, req.params.decision === 'approve', note);
+    if (!result.ok) return res.status(result.status).json({ success: false, error: result.error });
+
+    return res.json({ success: true, change: result.change, offer_url: result.vendor?.offer_url ?? null });
+  } catch (err) {
+    console.error('Admin offer_url decision failed', err);
+    return res.status(500).json({ success: false, error: 'Could not record offer_url decision' });
+  }
+});
+
+module.exports = router;
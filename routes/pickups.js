@@ -13,8 +13,21 @@
 
 const express = require('express');
 
-const { createAnonClientWithJwt, createServiceClient } = require('../supabase/client');
+const { createAnonClientWithJwt, createPublicAnonClient, createServiceClient } = require('../supabase/client');
 const { getBearerToken } = require('../supabase/auth');
+const { checkServiceability, parseCoordinate } = require('../services/serviceAreas');
+const { recordPickupEvent, listPickupEvents, sanitizeForCustomer } = require('../services/pickupEvents');
+const { onPickup, onVendorMoved } = require('../services/pickupUpdates');
+const { fetchSettlement, formatSettlement } = require('../services/settlements');
+const quotes = require('../services/quotes');
+const { unitOf } = require('../services/scrapTypes');
+const { parseHistoryQuery, listCustomerPickups, countByStatus } = require('../services/pickupHistory');
+const { isEditable, parsePickupPatch, updatePickupViaRpc, notifyVendorOfChange } = require('../services/pickupChanges');
+const slots = require('../services/pickupSlots');
+const ratings = require('../services/pickupRatings');
+const { STATUS, TERMINAL_STATUSES, PickupTransitionError, transitionViaRpc } = require('../services/pickupStateMachine');
+const { requireVendorSignature } = require('../vendor/security');
+const { idempotent } = require('../vendor/idempotency');
 
 const router = express.Router();
 
@@ -90,6 +103,80 @@ async function fetchVendorInfoByRef(vendorRef) {
   }
 }
 
+// Published rating summaries ({ average, count }) by vendor ref; empty when unavailable, like the
+// vendor lookup above.
+async function fetchVendorRatings(vendorRefs) {
+  if (!vendorRefs.length) return new Map();
+  try {
+    return await ratings.fetchRatingSummaries(createServiceClient(), vendorRefs);
+  } catch (e) {
+    console.warn(`[RATINGS] summary_failed error=${e?.message || e}`);
+    return new Map();
+  }
+}
+
+// Simple ETA heuristic: assume ~20 km/h average in-city, bounded to 5-180 minutes.
+// Returns null when either side has no coordinates.
+function estimateEtaMinutes(vendor, pickup) {
+  const vLat = vendor?.latitude;
+  const vLng = vendor?.longitude;
+  const pLat = pickup?.latitude;
+  const pLng = pickup?.longitude;
+  if (
+    vLat == null ||
+    vLng == null ||
+    pLat == null ||
+    pLng == null ||
+    !Number.isFinite(Number(vLat)) ||
+    !Number.isFinite(Number(vLng)) ||
+    !Number.isFinite(Number(pLat)) ||
+    !Number.isFinite(Number(pLng))
+  ) {
+    return null;
+  }
+  const distKm = haversineDistanceKm(Number(vLat), Number(vLng), Number(pLat), Number(pLng));
+  const minutes = (distKm / 20) * 60;
+  const bounded = Math.max(5, Math.min(180, minutes));
+  return Math.round(bounded);
+}
+
+const PICKUP_COLUMNS =
+  'id,status,address,latitude,longitude,time_slot,assigned_vendor_ref,assignment_expires_at,cancelled_at,completed_at,created_at,' +
+  'pickup_items(id,estimated_quantity,scrap_type_id,scrap_types(*))';
+
+function isMissingQuoteColumn(error) {
+  return Boolean(error) && /column .*quote.* does not exist|42703/i.test(error.message || '');
+}
+
+// Customer-facing pickup shape shared by GET / and GET /:id (the detail adds the settlement and rating).
+function formatPickup(data, vendor) {
+  return {
+    id: data.id,
+    status: data.status,
+    address: data.address,
+    latitude: data.latitude,
+    longitude: data.longitude,
+    timeSlot: data.time_slot,
+    assignedVendorRef: data.assigned_vendor_ref || null,
+    assignmentExpiresAt: data.assignment_expires_at,
+    cancelledAt: data.cancelled_at,
+    completedAt: data.completed_at,
+    createdAt: data.created_at,
+    vendor: vendor
+      ? { ref: vendor.ref, name: vendor.name, phone: vendor.phone, updatedAt: vendor.updatedAt, rating: vendor.rating || null }
+      : null,
+    etaMinutes: estimateEtaMinutes(vendor, data),
+    items: (data.pickup_items || []).map((it) => ({
+      id: it.id,
+      scrapTypeId: it.scrap_type_id,
+      scrapTypeName: it.scrap_types?.name || null,
+      unit: unitOf(it.scrap_types),
+      estimatedQuantity: it.estimated_quantity,
+    })),
+    quote: data.quote || null,
+  };
+}
+
 /**
  * Helper: Validate the incoming request body.
  * We return an error message string if invalid, or null if valid.
@@ -106,8 +193,10 @@ function validatePickupBody(body) {
     return 'address is required.';
   }
 
-  if (!body.timeSlot || String(body.timeSlot).trim() === '') {
-    return 'timeSlot is required.';
+  // slotId: a slot from GET /api/pickups/slots; timeSlot: free text where no slots are set up.
+  const slotId = body.slotId ?? body.slot_id;
+  if ((!body.timeSlot || String(body.timeSlot).trim() === '') && (!slotId || String(slotId).trim() === '')) {
+    return 'timeSlot (or slotId) is required.';
   }
 
   // latitude/longitude are optional but if provided must be numbers
@@ -117,6 +206,142 @@ function validatePickupBody(body) {
   return null;
 }
 
+// Whether jwt is a valid customer session. Routes that only act through RLS don't need this;
+// /quote does, because it writes with the service role.
+async function isCustomer(jwt) {
+  try {
+    const { data, error } = await createAnonClientWithJwt(jwt).auth.getUser(jwt);
+    return !error && Boolean(data?.user);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * POST /api/pickups/quote
+ * Estimated payout for { items: [{ scrapTypeId, estimatedQuantity }] } (same shape as POST /api/pickups)
+ * at today's rates. No login needed for the estimate; with a customer's Bearer token the quote is
+ * also stored and quoteId (null otherwise) can be sent with POST /api/pickups until expiresAt to
+ * keep this estimate on the pickup.
+ */
+router.post('/quote', async (req, res) => {
+  const parsed = quotes.parseQuoteItems(req.body?.items);
+  if (!parsed.ok) return res.status(400).json({ success: false, error: parsed.error });
+
+  try {
+    let reader;
+    try {
+      reader = createPublicAnonClient();
+    } catch (e) {
+      return res.status(500).json({ success: false, error: e?.message || 'Supabase is not configured on server' });
+    }
+
+    const now = new Date();
+    const quote = await quotes.buildQuote(reader, parsed.value, now);
+    const expiresAt = new Date(now.getTime() + quotes.ttlMinutes() * 60 * 1000).toISOString();
+
+    // The estimate is useful on its own; only locking it in needs a customer, storage and a signing secret.
+    let quoteId = null;
+    let warning = null;
+    const jwt = getBearerToken(req);
+    if (!quotes.signingSecret()) {
+      warning = 'quote_not_lockable: QUOTE_SIGNING_SECRET is not configured';
+    } else if (!jwt || !(await isCustomer(jwt))) {
+      warning = 'quote_not_lockable: sign in to lock this estimate';
+    } else {
+      try {
+        const saved = await quotes.saveQuote(createServiceClient(), parsed.value, quote, expiresAt);
+        quoteId = quotes.signQuoteId(saved.id, expiresAt);
+      } catch (e) {
+        console.warn(`[QUOTES] save_failed error=${e?.message || e}`);
+        warning = quotes.isMissingTable(e)
+          ? 'quote_not_lockable: apply supabase/migrations/022_price_quotes.sql'
+          : 'quote_not_lockable';
+      }
+    }
+
+    return res.json({
+      success: true,
+      quoteId,
+      expiresAt: quoteId ? expiresAt : null,
+      currency: quote.currency,
+      totalAmount: quote.totalAmount,
+      lines: quote.lines,
+      ...(warning ? { warning } : {}),
+    });
+  } catch (err) {
+    console.error('Error quoting pickup:', err);
+    return res.status(500).json({ success: false, error: 'Could not quote pickup' });
+  }
+});
+
+/**
+ * GET /api/pickups/slots?lat=&lng=&days=
+ * Bookable time slots at a location for the next `days` days (default 7, at most 14), earliest
+ * first, with the places left. No login needed. Book one by sending its slotId with POST /api/pickups.
+ * configured: false means no slots are set up yet; timeSlot is then free text.
+ */
+router.get('/slots', async (req, res) => {
+  const lat = parseCoordinate(req.query.lat, -90, 90);
+  const lng = parseCoordinate(req.query.lng, -180, 180);
+  if (lat == null || lng == null) {
+    return res.status(400).json({ success: false, error: 'lat and lng query params must be valid coordinates' });
+  }
+
+  let days = slots.DEFAULT_DAYS_AHEAD;
+  if (req.query.days != null && req.query.days !== '') {
+    days = Number.parseInt(String(req.query.days), 10);
+    if (!Number.isFinite(days) || days < 1 || days > slots.MAX_DAYS_AHEAD) {
+      return res.status(400).json({ success: false, error: `days must be between 1 and ${slots.MAX_DAYS_AHEAD}` });
+    }
+  }
+
+  try {
+    let reader;
+    let service;
+    try {
+      reader = createPublicAnonClient();
+      // Places left count every customer's bookings, which RLS hides from the anon client.
+      service = createServiceClient();
+    } catch (e) {
+      return res.status(500).json({ success: false, error: e?.message || 'Supabase is not configured on server' });
+    }
+
+    const check = await checkServiceability(reader, lat, lng);
+    if (!check.serviceable) {
+      return res.status(422).json({
+        success: false,
+        code: 'NOT_SERVICEABLE',
+        error: 'This location is not serviceable yet. We will notify you when we start serving your area.',
+      });
+    }
+
+    const result = await slots.listAvailableSlots(service, check.area?.id || null, { days });
+    return res.json({
+      success: true,
+      configured: result.configured,
+      area: check.area ? { id: check.area.id, name: check.area.name } : null,
+      count: result.slots.length,
+      slots: result.slots.map((s) => ({
+        slotId: s.slotId,
+        date: s.date,
+        startTime: s.startTime,
+        endTime: s.endTime,
+        label: s.label,
+        timeSlot: s.timeSlot,
+        timezone: s.timezone,
+        startsAt: s.startsAt,
+        endsAt: s.endsAt,
+        capacity: s.capacity,
+        remaining: s.remaining,
+      })),
+    });
+  } catch (err) {
+    console.error('Error listing pickup slots:', err);
+    return res.status(500).json({ success: false, error: 'Could not fetch time slots' });
+  }
+});
+
 /**
  * POST /api/pickups
  * Accepts JSON body, validates it, creates a pickup object, stores it, returns it.
@@ -133,6 +358,14 @@ router.post('/', async (req, res) => {
     });
   }
 
+  // Optional quote to keep on the pickup (POST /api/pickups/quote); create_pickup checks the rest.
+  const quoteToken = req.body.quoteId ?? req.body.quote_id;
+  let quote = null;
+  if (quoteToken != null && quoteToken !== '') {
+    quote = quotes.verifyQuoteId(String(quoteToken));
+    if (!quote.ok) return res.status(422).json({ success: false, code: quote.code, error: quote.error });
+  }
+
   // Create pickup
   try {
     const jwt = getBearerToken(req);
@@ -145,17 +378,68 @@ router.post('/', async (req, res) => {
       return res.status(500).json({ success: false, error: e?.message || 'Supabase is not configured on server' });
     }
 
+    // Reject locations outside every serviceable area (no areas configured = serve everywhere).
+    let areaId = null;
+    if (req.body.latitude != null && req.body.longitude != null) {
+      try {
+        const check = await checkServiceability(supabase, req.body.latitude, req.body.longitude);
+        areaId = check.area?.id || null;
+        if (!check.serviceable) {
+          return res.status(422).json({
+            success: false,
+            code: 'NOT_SERVICEABLE',
+            error: 'This location is not serviceable yet. We will notify you when we start serving your area.',
+          });
+        }
+      } catch (e) {
+        // Don't block bookings if the area lookup itself fails.
+        console.warn('serviceability check failed; allowing pickup', e?.message || e);
+      }
+    }
+
+    // Once time slots are set up for the area a booking must take one; create_pickup checks the
+    // places left under a lock.
+    let slot = null;
+    try {
+      const resolved = await slots.resolveRequestedSlot(supabase, req.body, areaId);
+      if (!resolved.ok) return res.status(422).json({ success: false, code: resolved.code, error: resolved.error });
+      slot = resolved.slot;
+    } catch (e) {
+      // Free text would skip the SLOT_REQUIRED/SLOT_PAST checks; same answer as PATCH.
+      console.warn('time slot lookup failed', e?.message || e);
+      return res.status(503).json({ success: false, error: 'Could not check the time slot; try again' });
+    }
+
     // Recommended: use RPC so Postgres sets customer_id = auth.uid() and inserts items transactionally.
-    const { data, error } = await supabase.rpc('create_pickup', {
+    const timeSlot = slot ? slot.timeSlot : String(req.body.timeSlot ?? req.body.slotId ?? req.body.slot_id).trim();
+    const args = {
       p_address: String(req.body.address).trim(),
       p_latitude: req.body.latitude ?? null,
       p_longitude: req.body.longitude ?? null,
-      p_time_slot: String(req.body.timeSlot).trim(),
+      p_time_slot: timeSlot,
       p_items: req.body.items,
-    });
+      ...(slot ? slots.slotRpcArgs(slot) : {}),
+    };
+    let warning = null;
+    let { data, error } = await supabase.rpc('create_pickup', quote ? { ...args, p_quote_id: quote.id } : args);
+
+    // create_pickup without p_quote_id (before 022_price_quotes.sql): book without the quote.
+    if (error && quote && /function create_pickup|schema cache/i.test(error.message || '')) {
+      warning = 'quote_not_attached: apply supabase/migrations/022_price_quotes.sql';
+      quote = null;
+      ({ data, error } = await supabase.rpc('create_pickup', args));
+    }
 
     if (error) {
       const msg = error.message || 'Could not create pickup';
+      const quoteErr = msg.match(/(QUOTE_(?:INVALID|EXPIRED|USED|MISMATCH)):\s*(.*)/);
+      if (quoteErr) return res.status(422).json({ success: false, code: quoteErr[1], error: quoteErr[2] });
+      // Item checks against scrap_types (024_scrap_type_catalog.sql): hidden type, fractional pieces, minimum.
+      const itemErr = msg.match(/ITEM_INVALID:\s*(.*)/);
+      if (itemErr) return res.status(422).json({ success: false, code: 'ITEM_INVALID', error: itemErr[1] });
+      // Taken in the meantime, or started (026_pickup_slots.sql).
+      const slotErr = slots.slotErrorOf(msg);
+      if (slotErr) return res.status(422).json({ success: false, ...slotErr });
       // When the RPC doesn't exist yet, guide setup.
       if (/function create_pickup/i.test(msg) || /schema cache/i.test(msg)) {
         return res.status(501).json({
@@ -170,6 +454,11 @@ router.post('/', async (req, res) => {
     const pickupId = data;
 
     console.log(`[DISPATCH] pickup_created pickupId=${pickupId}`);
+    await recordPickupEvent(null, pickupId, 'pickup_created', {
+      actor: 'customer',
+      toStatus: STATUS.REQUESTED,
+      data: { items: req.body.items.length, timeSlot, ...(slot ? { slotId: slot.slotId } : {}), quoted: Boolean(quote) },
+    });
 
     // Kick off dispatch in background (do not block response)
     try {
@@ -180,13 +469,79 @@ router.post('/', async (req, res) => {
       console.warn('[DISPATCH] dispatch_schedule_failed', e);
     }
 
-    return res.status(201).json({ success: true, pickupId });
+    return res.status(201).json({
+      success: true,
+      pickupId,
+      timeSlot,
+      slotId: slot ? slot.slotId : null,
+      quoted: Boolean(quote),
+      ...(warning ? { warning } : {}),
+    });
   } catch (err) {
     console.error('Error creating pickup:', err);
     return res.status(500).json({ success: false, error: 'Could not create pickup' });
   }
 });
 
+/**
+ * GET /api/pickups?status=&from=&to=&scrap_type_id=&limit=&cursor=
+ * The caller's pickups, newest first ("My pickups"). Same pickup shape as GET /:id without the settlement.
+ * Pass nextCursor back as cursor for the next page; counts (per status, ignoring the status filter)
+ * come with the first page only.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const jwt = getBearerToken(req);
+    if (!jwt) return res.status(401).json({ success: false, error: 'Missing Authorization Bearer token' });
+
+    const parsed = parseHistoryQuery(req.query);
+    if (!parsed.ok) return res.status(400).json({ success: false, error: parsed.error });
+    const filters = parsed.value;
+
+    let supabase;
+    try {
+      supabase = createAnonClientWithJwt(jwt);
+    } catch (e) {
+      return res.status(500).json({ success: false, error: e?.message || 'Supabase is not configured on server' });
+    }
+
+    let page;
+    try {
+      page = await listCustomerPickups(supabase, `${PICKUP_COLUMNS},quote`, filters);
+    } catch (e) {
+      if (!isMissingQuoteColumn(e)) throw e;
+      page = await listCustomerPickups(supabase, PICKUP_COLUMNS, filters);
+    }
+
+    // One lookup per assigned vendor on the page.
+    const refs = [...new Set(page.rows.map((p) => p.assigned_vendor_ref).filter(Boolean))];
+    const vendors = new Map(await Promise.all(refs.map(async (ref) => [ref, await fetchVendorInfoByRef(ref)])));
+    const vendorRatings = await fetchVendorRatings(refs);
+    for (const [ref, vendor] of vendors) if (vendor) vendor.rating = vendorRatings.get(String(ref)) || null;
+
+    let counts;
+    if (!filters.cursor) {
+      try {
+        counts = await countByStatus(supabase, filters);
+      } catch (e) {
+        console.warn(`[DISPATCH] pickup_counts_failed error=${e?.message || e}`);
+        counts = null;
+      }
+    }
+
+    return res.json({
+      success: true,
+      count: page.rows.length,
+      pickups: page.rows.map((p) => formatPickup(p, vendors.get(p.assigned_vendor_ref) || null)),
+      nextCursor: page.nextCursor,
+      ...(counts !== undefined ? { counts } : {}),
+    });
+  } catch (err) {
+    console.error('Error listing pickups:', err);
+    return res.status(500).json({ success: false, error: 'Could not fetch pickups' });
+  }
+});
+
 /**
  * GET /api/pickups/:id
  * Fetch a single pickup (status tracking)
@@ -206,66 +561,39 @@ router.get('/:id', async (req, res) => {
     const id = String(req.params.id || '').trim();
     if (!id) return res.status(400).json({ success: false, error: 'id is required' });
 
-    const { data, error } = await supabase
-      .from('pickups')
-      .select(
-        'id,status,address,latitude,longitude,time_slot,assigned_vendor_ref,assignment_expires_at,cancelled_at,completed_at,created_at,' +
-          'pickup_items(id,estimated_quantity,scrap_type_id,scrap_types(name))'
-      )
-      .eq('id', id)
-      .maybeSingle();
+    let { data, error } = await supabase.from('pickups').select(`${PICKUP_COLUMNS},quote`).eq('id', id).maybeSingle();
+    // pickups.quote arrives with 022_price_quotes.sql.
+    if (isMissingQuoteColumn(error)) {
+      ({ data, error } = await supabase.from('pickups').select(PICKUP_COLUMNS).eq('id', id).maybeSingle());
+    }
 
     if (error) return res.status(400).json({ success: false, error: error.message });
     if (!data) return res.status(404).json({ success: false, error: 'pickup not found' });
 
-    const assignedVendorRef = data.assigned_vendor_ref || null;
-    const vendor = assignedVendorRef ? await fetchVendorInfoByRef(assignedVendorRef) : null;
+    const vendor = data.assigned_vendor_ref ? await fetchVendorInfoByRef(data.assigned_vendor_ref) : null;
+    if (vendor) vendor.rating = (await fetchVendorRatings([data.assigned_vendor_ref])).get(String(data.assigned_vendor_ref)) || null;
 
-    let etaMinutes = null;
+    // Read with the customer's JWT too (RLS: own pickups only); absent until the vendor settles.
+    let settlement = null;
     try {
-      const vLat = vendor?.latitude;
-      const vLng = vendor?.longitude;
-      const pLat = data.latitude;
-      const pLng = data.longitude;
-      if (
-        Number.isFinite(Number(vLat)) &&
-        Number.isFinite(Number(vLng)) &&
-        Number.isFinite(Number(pLat)) &&
-        Number.isFinite(Number(pLng))
-      ) {
-        // Simple ETA heuristic: assume ~20 km/h average in-city.
-        const distKm = haversineDistanceKm(Number(vLat), Number(vLng), Number(pLat), Number(pLng));
-        const minutes = (distKm / 20) * 60;
-        const bounded = Math.max(5, Math.min(180, minutes));
-        etaMinutes = Math.round(bounded);
+      settlement = await fetchSettlement(supabase, id);
+    } catch (e) {
+      console.warn(`[SETTLEMENT] fetch_failed pickupId=${id} error=${e?.message || e}`);
+    }
+
+    // The customer's own rating (RLS), once they have rated the completed pickup.
+    let rating = null;
+    if (data.status === STATUS.COMPLETED) {
+      try {
+        rating = await ratings.fetchPickupRating(supabase, id);
+      } catch (e) {
+        console.warn(`[RATINGS] fetch_failed pickupId=${id} error=${e?.message || e}`);
       }
-    } catch {
-      etaMinutes = null;
     }
 
     return res.json({
       success: true,
-      pickup: {
-        id: data.id,
-        status: data.status,
-        address: data.address,
-        latitude: data.latitude,
-        longitude: data.longitude,
-        timeSlot: data.time_slot,
-        assignedVendorRef,
-        assignmentExpiresAt: data.assignment_expires_at,
-        cancelledAt: data.cancelled_at,
-        completedAt: data.completed_at,
-        createdAt: data.created_at,
-        vendor: vendor ? { ref: vendor.ref, name: vendor.name, phone: vendor.phone, updatedAt: vendor.updatedAt } : null,
-        etaMinutes,
-        items: (data.pickup_items || []).map((it) => ({
-          id: it.id,
-          scrapTypeId: it.scrap_type_id,
-          scrapTypeName: it.scrap_types?.name || null,
-          estimatedQuantity: it.estimated_quantity,
-        })),
-      },
+      pickup: { ...formatPickup(data, vendor), settlement: formatSettlement(settlement), rating: ratings.formatRating(rating) },
     });
   } catch (err) {
     console.error('Error fetching pickup:', err);
@@ -274,11 +602,13 @@ router.get('/:id', async (req, res) => {
 });
 
 /**
- * POST /api/pickups/:id/find-vendor
- * Customer-initiated retry: clears any current offer and restarts dispatch.
- * Dispatch decisions remain in the backend.
+ * PATCH /api/pickups/:id
+ * { address?, latitude?, longitude?, timeSlot?, slotId?, items? } - change a pickup before it is collected.
+ * Free while no vendor is assigned (an ongoing vendor search restarts with the new details).
+ * Once ASSIGNED the change applies too and the vendor is asked to confirm it; a vendor that
+ * declines is released and another vendor is searched. Not possible once the vendor is on the way.
  */
-router.post('/:id/find-vendor', async (req, res) => {
+router.patch('/:id', async (req, res) => {
   try {
     const jwt = getBearerToken(req);
     if (!jwt) return res.status(401).json({ success: false, error: 'Missing Authorization Bearer token' });
@@ -286,51 +616,386 @@ router.post('/:id/find-vendor', async (req, res) => {
     const id = String(req.params.id || '').trim();
     if (!id) return res.status(400).json({ success: false, error: 'id is required' });
 
+    const parsed = parsePickupPatch(req.body);
+    if (!parsed.ok) return res.status(400).json({ success: false, error: parsed.error });
+
     const anon = createAnonClientWithJwt(jwt);
-    const { data: owned, error: ownErr } = await anon.from('pickups').select('id,status').eq('id', id).maybeSingle();
+    const { data: owned, error: ownErr } = await anon.from('pickups').select('id,status,latitude,longitude').eq('id', id).maybeSingle();
     if (ownErr) return res.status(400).json({ success: false, error: ownErr.message || 'Could not verify pickup' });
     if (!owned) return res.status(404).json({ success: false, error: 'pickup not found' });
+    if (!isEditable(owned.status)) {
+      return res.status(409).json({
+        success: false,
+        code: 'NOT_EDITABLE',
+        error: `a pickup in status ${owned.status} can no longer be changed`,
+        status: owned.status,
+      });
+    }
 
-    const status = String(owned.status || '').toUpperCase();
-    if (status === 'ASSIGNED' || status === 'ON_THE_WAY' || status === 'CANCELLED' || status === 'COMPLETED') {
-      return res.status(409).json({ success: false, error: `Cannot retry vendor assignment for status ${owned.status}` });
+    // A new location must be serviceable and a new time slot one offered at the (new) location,
+    // same as booking.
+    const movesLocation = parsed.value.latitude !== undefined;
+    const changesSlot = parsed.value.timeSlot !== undefined || parsed.value.slotId !== undefined;
+    const lat = parsed.value.latitude ?? owned.latitude;
+    const lng = parsed.value.longitude ?? owned.longitude;
+    let check = null;
+    let checkFailed = false;
+    if ((movesLocation || changesSlot) && lat != null && lng != null) {
+      try {
+        check = await checkServiceability(anon, Number(lat), Number(lng));
+      } catch (e) {
+        // Don't block edits if the area lookup itself fails (a slot can't be checked without it).
+        console.warn('serviceability check failed; allowing the change', e?.message || e);
+        checkFailed = true;
+      }
+      if (movesLocation && check && !check.serviceable) {
+        return res.status(422).json({
+          success: false,
+          code: 'NOT_SERVICEABLE',
+          error: 'This location is not serviceable yet. We will notify you when we start serving your area.',
+        });
+      }
     }
 
-    // Prefer a security-definer RPC so this works without SUPABASE_SERVICE_ROLE_KEY.
-    // Falls back to service-role update if RPC isn't present.
-    try {
-      const { error: rpcErr } = await anon.rpc('find_vendor_again', { p_pickup_id: id });
-      if (rpcErr) throw rpcErr;
-    } catch (e) {
-      const msg = e?.message || String(e);
-      if (/function find_vendor_again|schema cache/i.test(msg)) {
-        const service = createServiceClient();
-        await service
-          .from('pickups')
-          .update({
-            status: 'FINDING_VENDOR',
-            assigned_vendor_ref: null,
-            assignment_expires_at: null,
-            cancelled_at: null,
-          })
-          .eq('id', id);
-      } else {
-        return res.status(400).json({ success: false, error: msg || 'Could not restart vendor dispatch' });
+    let slot = null;
+    if (changesSlot) {
+      if (!checkFailed) {
+        try {
+          const resolved = await slots.resolveRequestedSlot(anon, parsed.value, check?.area?.id || null);
+          if (!resolved.ok) return res.status(422).json({ success: false, code: resolved.code, error: resolved.error });
+          slot = resolved.slot;
+        } catch (e) {
+          console.warn('time slot lookup failed; keeping the free-text time slot', e?.message || e);
+        }
+      }
+      if (!slot && parsed.value.timeSlot === undefined) {
+        return res.status(503).json({ success: false, error: 'Could not check the time slot; try again' });
+      }
+    }
+
+    // update_pickup re-checks ownership and status under a row lock.
+    const updated = await updatePickupViaRpc(anon, id, parsed.value, slot);
+    if (!updated.ok) {
+      return res.status(updated.status).json({ success: false, ...(updated.code ? { code: updated.code } : {}), error: updated.error });
+    }
+
+    const change = updated.result || {};
+    const changedFields = change.changed_fields || [];
+    if (!change.change_id) {
+      return res.json({ success: true, pickupId: id, status: change.status || owned.status, changed: [] });
+    }
+
+    await recordPickupEvent(null, id, 'pickup_updated', {
+      actor: 'customer',
+      data: { changeId: change.change_id, fields: changedFields },
+    });
+
+    let warning;
+    if (change.status === STATUS.FINDING_VENDOR) {
+      // Open offers describe the old pickup: withdraw them and search again.
+      try {
+        const restarted = await transitionViaRpc(anon, { id, status: change.status }, 'retry_dispatch', 'find_vendor_again');
+        if (restarted.ok) dispatcher.dispatchPickup(id).catch((e) => console.warn('[DISPATCH] dispatch_error', e));
+        else warning = 'vendor_search_not_restarted';
+      } catch (e) {
+        console.warn(`[DISPATCH] redispatch_after_change_failed pickupId=${id} error=${e?.message || e}`);
+        warning = 'vendor_search_not_restarted';
       }
+    } else if (change.status === STATUS.SCHEDULED && changedFields.includes('time_slot')) {
+      // The new slot may already be due (or gone): dispatch now, or stay scheduled.
+      dispatcher.dispatchPickup(id).catch((e) => console.warn('[DISPATCH] dispatch_error', e));
+    } else if (change.vendor_response === 'PENDING') {
+      notifyVendorOfChange(change.change_id).catch((e) =>
+        console.warn(`[DISPATCH] pickup_change_notify_failed pickupId=${id} error=${e?.message || e}`)
+      );
     }
 
-    // Cancel any in-memory timers/state for this pickup before restarting.
+    return res.json({
+      success: true,
+      pickupId: id,
+      status: change.status,
+      changeId: change.change_id,
+      changed: changedFields,
+      vendorConfirmation: change.vendor_response || null,
+      quoteDropped: Boolean(change.quote_dropped),
+      ...(warning ? { warning } : {}),
+    });
+  } catch (e) {
+    if (e instanceof PickupTransitionError) return res.status(e.httpStatus).json(e.toJSON());
+    console.error('Pickup update failed', e);
+    return res.status(500).json({ success: false, error: 'Could not update pickup' });
+  }
+});
+
+/**
+ * GET /api/pickups/:id/timeline
+ * Customer-facing event timeline (status changes only; vendor/offer details are stripped).
+ */
+router.get('/:id/timeline', async (req, res) => {
+  try {
+    const jwt = getBearerToken(req);
+    if (!jwt) return res.status(401).json({ success: false, error: 'Missing Authorization Bearer token' });
+
+    const id = String(req.params.id || '').trim();
+    if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+    // RLS decides ownership; events themselves are read with the service role.
+    const anon = createAnonClientWithJwt(jwt);
+    const { data: owned, error: ownErr } = await anon.from('pickups').select('id,status').eq('id', id).maybeSingle();
+    if (ownErr) return res.status(400).json({ success: false, error: ownErr.message || 'Could not verify pickup' });
+    if (!owned) return res.status(404).json({ success: false, error: 'pickup not found' });
+
+    const events = await listPickupEvents(createServiceClient(), id);
+    return res.json({ success: true, pickupId: id, status: owned.status, events: sanitizeForCustomer(events) });
+  } catch (e) {
+    console.error('pickup timeline failed', e);
+    return res.status(500).json({ success: false, error: 'Could not fetch pickup timeline' });
+  }
+});
+
+const STREAM_POLL_MS = 5 * 1000;
+const STREAM_HEARTBEAT_MS = 15 * 1000;
+const STREAM_VENDOR_REFRESH_MS = 30 * 1000;
+const STREAM_CLOSED_STATUSES = TERMINAL_STATUSES;
+
+/**
+ * GET /api/pickups/:id/stream
+ * Server-Sent Events for the customer app (instead of polling GET /api/pickups/:id):
+ *   event: status     { status, assignedVendorRef, assignmentExpiresAt, vendor, etaMinutes } on connect and on every change
+ *   event: timeline   customer timeline entry (as in /timeline); `id:` is the pickup event id
+ *   event: eta        { etaMinutes, vendorUpdatedAt } when the assigned vendor moves
+ *   event: countdown  { expiresAt, secondsLeft } every few seconds while an offer is out
+ *   event: end        { status } before the server closes the stream (pickup completed/cancelled)
+ * Comment frames every 15s keep proxies from closing the connection.
+ * A new connection gets the timeline so far; reconnects send Last-Event-ID and only get the entries after it.
+ * Auth: Bearer token, or ?access_token= for EventSource clients that can't set headers.
+ */
+router.get('/:id/stream', async (req, res) => {
+  const jwt = getBearerToken(req) || (req.query?.access_token ? String(req.query.access_token) : null);
+  if (!jwt) return res.status(401).json({ success: false, error: 'Missing Authorization Bearer token' });
+
+  const id = String(req.params.id || '').trim();
+  if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+  const lastEventRaw = req.headers['last-event-id'] ?? req.query?.last_event_id;
+  const lastEventId = lastEventRaw != null && /^\d+$/.test(String(lastEventRaw).trim()) ? Number(lastEventRaw) : null;
+
+  let service;
+  try {
+    // RLS decides ownership once; the stream itself reads with the service role (the JWT may expire meanwhile).
+    const anon = createAnonClientWithJwt(jwt);
+    const { data: owned, error: ownErr } = await anon.from('pickups').select('id').eq('id', id).maybeSingle();
+    if (ownErr) return res.status(400).json({ success: false, error: ownErr.message || 'Could not verify pickup' });
+    if (!owned) return res.status(404).json({ success: false, error: 'pickup not found' });
+    service = createServiceClient();
+  } catch (e) {
+    console.error('pickup stream failed', e);
+    return res.status(500).json({ success: false, error: 'Could not open pickup stream' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  // Ask EventSource clients to wait a little before reconnecting.
+  res.write('retry: 3000\n\n');
+
+  let closed = false;
+  let eventCursor = lastEventId;
+  let lastStatusKey = null;
+  let pickup = null;
+  let vendor = null;
+  let vendorFetchedAt = 0;
+  let lastEta = null;
+  let syncing = false;
+  let resync = false;
+  let unwatchVendor = () => {};
+
+  const send = (event, data, eventId) => {
+    if (closed) return;
+    res.write(`${eventId != null ? `id: ${eventId}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const refreshVendor = async () => {
+    vendor = pickup?.assigned_vendor_ref ? await fetchVendorInfoByRef(pickup.assigned_vendor_ref) : null;
+    vendorFetchedAt = Date.now();
+    lastEta = estimateEtaMinutes(vendor, pickup);
+  };
+
+  const statusPayload = () => ({
+    status: pickup.status,
+    assignedVendorRef: pickup.assigned_vendor_ref || null,
+    assignmentExpiresAt: pickup.assignment_expires_at || null,
+    vendor: vendor ? { ref: vendor.ref, updatedAt: vendor.updatedAt } : null,
+    etaMinutes: lastEta,
+  });
+
+  const sendEta = async () => {
+    if (!pickup?.assigned_vendor_ref) return;
+    const previous = lastEta;
+    await refreshVendor();
+    if (lastEta !== previous) send('eta', { etaMinutes: lastEta, vendorUpdatedAt: vendor?.updatedAt || null });
+  };
+
+  const finish = () => {
+    if (closed) return;
+    send('end', { status: pickup?.status || null });
+    cleanup();
+    res.end();
+  };
+
+  const sync = async () => {
+    if (closed) return;
+    if (syncing) {
+      resync = true;
+      return;
+    }
+    syncing = true;
     try {
-      const state = dispatcher?._internal?.dispatchState?.get(id);
-      if (state?.timer) clearTimeout(state.timer);
-      dispatcher?._internal?.dispatchState?.delete(id);
-    } catch {
-      // ignore
+      do {
+        resync = false;
+
+        const events = await listPickupEvents(service, id, { afterId: eventCursor, limit: 200 });
+        for (const e of sanitizeForCustomer(events)) send('timeline', e, e.id);
+        if (events.length) eventCursor = events[events.length - 1].id;
+
+        const { data, error } = await service
+          .from('pickups')
+          .select('id,status,latitude,longitude,assigned_vendor_ref,assignment_expires_at,cancelled_at,completed_at')
+          .eq('id', id)
+          .maybeSingle();
+        if (error) throw error;
+        if (!data) return finish();
+
+        const vendorChanged = (pickup?.assigned_vendor_ref || null) !== (data.assigned_vendor_ref || null);
+        pickup = data;
+        if (vendorChanged) {
+          unwatchVendor();
+          unwatchVendor = pickup.assigned_vendor_ref ? onVendorMoved(String(pickup.assigned_vendor_ref), () => sendEta().catch(() => {})) : () => {};
+          await refreshVendor();
+        } else if (pickup.assigned_vendor_ref && Date.now() - vendorFetchedAt > STREAM_VENDOR_REFRESH_MS) {
+          // Heartbeats that landed on another instance.
+          await sendEta();
+        }
+
+        const key = [pickup.status, pickup.assigned_vendor_ref || '', pickup.assignment_expires_at || ''].join('|');
+        if (key !== lastStatusKey) {
+          lastStatusKey = key;
+          send('status', statusPayload());
+        }
+
+        if (STREAM_CLOSED_STATUSES.includes(String(pickup.status))) return finish();
+      } while (resync && !closed);
+    } catch (e) {
+      console.warn(`[EVENTS] pickup_stream_sync_failed pickupId=${id} error=${e?.message || e}`);
+    } finally {
+      syncing = false;
     }
+    return undefined;
+  };
+
+  const countdown = () => {
+    if (!pickup || pickup.status !== STATUS.FINDING_VENDOR || !pickup.assignment_expires_at) return;
+    const secondsLeft = Math.round((new Date(pickup.assignment_expires_at).getTime() - Date.now()) / 1000);
+    if (secondsLeft >= 0) send('countdown', { expiresAt: pickup.assignment_expires_at, secondsLeft });
+  };
+
+  const unwatchPickup = onPickup(id, () => {
+    sync();
+  });
+  const poll = setInterval(() => {
+    sync().then(countdown);
+  }, STREAM_POLL_MS);
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': keep-alive\n\n');
+  }, STREAM_HEARTBEAT_MS);
+
+  function cleanup() {
+    closed = true;
+    unwatchPickup();
+    unwatchVendor();
+    clearInterval(poll);
+    clearInterval(heartbeat);
+  }
+  req.on('close', cleanup);
+
+  await sync();
+  countdown();
+  return undefined;
+});
+
+/**
+ * POST /api/pickups/:id/rating
+ * { stars (1-5), tags?, comment? } - rate the vendor of a completed pickup, once.
+ * tags: weighed_fairly, on_time, friendly, fair_price, late, unfair_weighing, rude, paid_less.
+ * Ratings of 1-2 stars are reviewed by an admin before they count towards the vendor's average.
+ */
+router.post('/:id/rating', async (req, res) => {
+  try {
+    const jwt = getBearerToken(req);
+    if (!jwt) return res.status(401).json({ success: false, error: 'Missing Authorization Bearer token' });
+
+    const id = String(req.params.id || '').trim();
+    if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+    const parsed = ratings.parseRatingInput(req.body);
+    if (!parsed.ok) return res.status(400).json({ success: false, error: parsed.error });
+
+    const anon = createAnonClientWithJwt(jwt);
+    const result = await ratings.submitRatingViaRpc(anon, id, parsed.value);
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, error: result.error, ...(result.code ? { code: result.code } : {}) });
+    }
+
+    const rating = await ratings.fetchPickupRating(anon, id);
+    console.log(`[RATINGS] pickup_rated pickupId=${id} ratingId=${result.ratingId} stars=${parsed.value.stars} status=${rating?.moderation_status}`);
+    await recordPickupEvent(null, id, 'pickup_rated', {
+      actor: 'customer',
+      data: { ratingId: result.ratingId, stars: parsed.value.stars, tags: parsed.value.tags },
+    });
+
+    return res.status(201).json({ success: true, pickupId: id, rating: ratings.formatRating(rating) });
+  } catch (err) {
+    console.error('rate pickup failed', err);
+    return res.status(500).json({ success: false, error: 'Could not save rating' });
+  }
+});
+
+/**
+ * POST /api/pickups/:id/find-vendor
+ * Customer-initiated retry: clears any current offer and restarts dispatch.
+ * Dispatch decisions remain in the backend.
+ */
+router.post('/:id/find-vendor', async (req, res) => {
+  try {
+    const jwt = getBearerToken(req);
+    if (!jwt) return res.status(401).json({ success: false, error: 'Missing Authorization Bearer token' });
+
+    const id = String(req.params.id || '').trim();
+    if (!id) return res.status(400).json({ success: false, error: 'id is required' });
+
+    const anon = createAnonClientWithJwt(jwt);
+    const { data: owned, error: ownErr } = await anon.from('pickups').select('id,status').eq('id', id).maybeSingle();
+    if (ownErr) return res.status(400).json({ success: false, error: ownErr.message || 'Could not verify pickup' });
+    if (!owned) return res.status(404).json({ success: false, error: 'pickup not found' });
+
+    // Also withdraws any outstanding offers (a new dispatch round starts, see pickupStateMachine retry_dispatch).
+    const result = await transitionViaRpc(anon, owned, 'retry_dispatch', 'find_vendor_again');
+    if (!result.ok) return res.status(400).json({ success: false, error: result.error || 'Could not restart vendor dispatch' });
+
+    await recordPickupEvent(null, id, 'dispatch_retry_requested', {
+      actor: 'customer',
+      fromStatus: owned.status,
+      toStatus: STATUS.FINDING_VENDOR,
+    });
 
     dispatcher.dispatchPickup(id).catch((e) => console.warn('[DISPATCH] dispatch_error', e));
-    return res.json({ success: true, pickupId: id, status: 'FINDING_VENDOR' });
+    return res.json({ success: true, pickupId: id, status: STATUS.FINDING_VENDOR });
   } catch (e) {
+    if (e instanceof PickupTransitionError) return res.status(e.httpStatus).json(e.toJSON());
     console.error('find-vendor failed', e);
     return res.status(500).json({ success: false, error: 'Could not restart vendor dispatch' });
   }
@@ -353,46 +1018,19 @@ router.post('/:id/cancel', async (req, res) => {
     if (ownErr) return res.status(400).json({ success: false, error: ownErr.message || 'Could not verify pickup' });
     if (!owned) return res.status(404).json({ success: false, error: 'pickup not found' });
 
-    const status = String(owned.status || '').toUpperCase();
-    if (status === 'COMPLETED') {
-      return res.status(409).json({ success: false, error: 'Completed pickups cannot be cancelled' });
-    }
+    // Also stops dispatch for this pickup (timers, outstanding offers, persisted state).
+    const result = await transitionViaRpc(anon, owned, 'cancel', 'cancel_pickup');
+    if (!result.ok) return res.status(400).json({ success: false, error: result.error || 'Could not cancel pickup' });
 
-    // Prefer a security-definer RPC so this works without SUPABASE_SERVICE_ROLE_KEY.
-    // Falls back to service-role update if RPC isn't present.
-    try {
-      const { error: rpcErr } = await anon.rpc('cancel_pickup', { p_pickup_id: id });
-      if (rpcErr) throw rpcErr;
-    } catch (e) {
-      const msg = e?.message || String(e);
-      if (/function cancel_pickup|schema cache/i.test(msg)) {
-        const service = createServiceClient();
-        const now = new Date().toISOString();
-        await service
-          .from('pickups')
-          .update({
-            status: 'CANCELLED',
-            cancelled_at: now,
-            assigned_vendor_ref: null,
-            assignment_expires_at: null,
-          })
-          .eq('id', id);
-      } else {
-        return res.status(400).json({ success: false, error: msg || 'Could not cancel pickup' });
-      }
-    }
-
-    // Stop any in-memory timers/state for this pickup.
-    try {
-      const state = dispatcher?._internal?.dispatchState?.get(id);
-      if (state?.timer) clearTimeout(state.timer);
-      dispatcher?._internal?.dispatchState?.delete(id);
-    } catch {
-      // ignore
-    }
+    await recordPickupEvent(null, id, 'pickup_cancelled', {
+      actor: 'customer',
+      fromStatus: owned.status,
+      toStatus: STATUS.CANCELLED,
+    });
 
-    return res.json({ success: true, pickupId: id, status: 'CANCELLED' });
+    return res.json({ success: true, pickupId: id, status: STATUS.CANCELLED });
   } catch (e) {
+    if (e instanceof PickupTransitionError) return res.status(e.httpStatus).json(e.toJSON());
     console.error('cancel pickup failed', e);
     return res.status(500).json({ success: false, error: 'Could not cancel pickup' });
   }
@@ -402,16 +1040,11 @@ router.post('/:id/cancel', async (req, res) => {
  * POST /api/pickups/accepted
  * Optional vendor notification endpoint: vendor can POST here to notify the customer backend
  * that it has accepted and notified its user. This will attempt to confirm acceptance via dispatcher.
+ * Signed like the vendor callbacks; shares the Idempotency-Key scope of POST /api/vendor/accept.
  */
-router.post('/accepted', async (req, res) => {
-  // vendor should sign this request using same signature scheme
-  const { verifyVendorSignature } = require('../vendor/security');
-  const sig = verifyVendorSignature(req);
-  if (!sig.ok) return res.status(401).json({ success: false, error: sig.error });
-
+router.post('/accepted', requireVendorSignature, idempotent('accept'), async (req, res) => {
   const body = req.body || {};
   const pickupId = body.pickupId || body.pickup_id || body.request_id || body.requestId;
-  const { assignedVendorRef } = body;
   if (!pickupId) {
     return res.status(400).json({
       success: false,
@@ -419,9 +1052,11 @@ router.post('/accepted', async (req, res) => {
     });
   }
 
+  const { vendorRef } = req;
+  if (!vendorRef) return res.status(400).json({ success: false, error: 'vendor_id (or assignedVendorRef) is required' });
+
   try {
-    const dispatcher = require('../services/dispatcher');
-    const result = await dispatcher.confirmVendorAcceptance(pickupId, assignedVendorRef);
+    const result = await dispatcher.confirmVendorAcceptance(pickupId, vendorRef);
     if (!result) return res.status(409).json({ success: false, error: 'Could not confirm acceptance' });
     return res.json({ success: true, pickup: result });
   } catch (e) {
@@ -1,19 +1,33 @@
 const express = require('express');
 const { createPublicAnonClient } = require('../supabase/client');
+const { rateInEffect } = require('../services/pricing');
+const { listRates, isMissingScheduleColumns } = require('../services/scrapRates');
+const { listScrapTypes, formatScrapType, groupByCategory } = require('../services/scrapTypes');
 
 const router = express.Router();
 
 // Fallback types keep the UI usable but DO NOT include fake "live" rates.
 // Real rates should come from Supabase tables: scrap_types + scrap_rates.
 const FALLBACK_TYPES = [
-  { id: 'plastic', name: 'Plastic', ratePerKg: null },
-  { id: 'cardboard', name: 'Cardboard', ratePerKg: null },
-  { id: 'metal', name: 'Metal', ratePerKg: null },
-  { id: 'paper', name: 'Paper', ratePerKg: null },
+  { id: 'plastic', name: 'Plastic', category: 'plastic', unit: 'kg', icon: null, minQuantity: null, ratePerKg: null },
+  { id: 'cardboard', name: 'Cardboard', category: 'paper', unit: 'kg', icon: null, minQuantity: null, ratePerKg: null },
+  { id: 'metal', name: 'Metal', category: 'metal', unit: 'kg', icon: null, minQuantity: null, ratePerKg: null },
+  { id: 'paper', name: 'Paper', category: 'paper', unit: 'kg', icon: null, minQuantity: null, ratePerKg: null },
 ];
 
+function fallbackResponse() {
+  return {
+    success: true,
+    source: 'fallback',
+    count: FALLBACK_TYPES.length,
+    types: FALLBACK_TYPES,
+    categories: groupByCategory(FALLBACK_TYPES),
+  };
+}
+
 // GET /api/scrap-types
-// Returns list of scrap types with the current active rate (if any)
+// Returns the active scrap types with the current rate (if any), flat and grouped by category.
+// ratePerKg is per piece for unit 'piece'.
 router.get('/', async (req, res) => {
   try {
     let supabase;
@@ -21,33 +35,27 @@ router.get('/', async (req, res) => {
       supabase = createPublicAnonClient();
     } catch (e) {
       // If Supabase env vars are not configured, keep the UI usable.
-      return res.json({ success: true, source: 'fallback', count: FALLBACK_TYPES.length, types: FALLBACK_TYPES });
+      return res.json(fallbackResponse());
     }
 
-    const { data: types, error: typesErr } = await supabase
-      .from('scrap_types')
-      .select('id,name,description,created_at')
-      .order('name', { ascending: true });
-
-    if (typesErr) {
+    let types;
+    try {
+      types = await listScrapTypes(supabase);
+    } catch (typesErr) {
       console.warn('scrap_types query failed; returning defaults:', typesErr.message);
-      return res.json({ success: true, source: 'fallback', count: FALLBACK_TYPES.length, types: FALLBACK_TYPES });
+      return res.json(fallbackResponse());
     }
 
+    // '*' so effective_to is picked up where the column exists (023_scrap_rate_schedules.sql).
     const { data: rates, error: ratesErr } = await supabase
       .from('scrap_rates')
-      .select('scrap_type_id,rate_per_kg,effective_from,is_active')
+      .select('*')
       .eq('is_active', true);
 
     if (ratesErr) {
       console.warn('scrap_rates query failed; returning defaults:', ratesErr.message);
       // Types are still real, but rates couldn't be loaded.
-      const outNoRates = (types || []).map((t) => ({
-        id: t.id,
-        name: t.name,
-        description: t.description,
-        ratePerKg: null,
-      }));
+      const outNoRates = types.map((t) => ({ ...formatScrapType(t), ratePerKg: null }));
 
       return res.json({
         success: true,
@@ -55,38 +63,74 @@ router.get('/', async (req, res) => {
         warning: 'rates_unavailable',
         count: outNoRates.length,
         types: outNoRates,
+        categories: groupByCategory(outNoRates),
       });
     }
 
-    const latestRateByType = new Map();
+    // Scheduled (future) and ended rates don't count as the current rate.
+    const ratesByType = new Map();
     for (const r of rates || []) {
-      const prev = latestRateByType.get(r.scrap_type_id);
-      if (!prev) {
-        latestRateByType.set(r.scrap_type_id, r);
-        continue;
-      }
-      // pick latest effective_from
-      const prevDate = prev.effective_from ? new Date(prev.effective_from) : new Date(0);
-      const nextDate = r.effective_from ? new Date(r.effective_from) : new Date(0);
-      if (nextDate >= prevDate) latestRateByType.set(r.scrap_type_id, r);
+      if (!ratesByType.has(r.scrap_type_id)) ratesByType.set(r.scrap_type_id, []);
+      ratesByType.get(r.scrap_type_id).push(r);
     }
+    const now = new Date();
 
-    const out = (types || []).map((t) => ({
-      id: t.id,
-      name: t.name,
-      description: t.description,
-      ratePerKg: latestRateByType.get(t.id)?.rate_per_kg ?? null,
+    const out = types.map((t) => ({
+      ...formatScrapType(t),
+      ratePerKg: rateInEffect(ratesByType.get(t.id), now)?.rate_per_kg ?? null,
     }));
 
     if (!out.length) {
-      return res.json({ success: true, source: 'fallback', count: FALLBACK_TYPES.length, types: FALLBACK_TYPES });
+      return res.json(fallbackResponse());
     }
 
-    return res.json({ success: true, source: 'supabase', count: out.length, types: out });
+    return res.json({ success: true, source: 'supabase', count: out.length, types: out, categories: groupByCategory(out) });
   } catch (err) {
     console.error('Failed to fetch scrap types', err);
     return res.status(500).json({ success: false, error: 'Could not fetch scrap types' });
   }
 });
 
+// GET /api/scrap-types/:id/rates
+// Public rate history of one scrap type (oldest first) for price charts.
+// Only active rates that have started are listed; scheduled changes stay hidden until they apply.
+router.get('/:id/rates', async (req, res) => {
+  const scrapTypeId = String(req.params.id || '').trim();
+  if (!scrapTypeId) return res.status(400).json({ success: false, error: 'id is required' });
+
+  let supabase;
+  try {
+    supabase = createPublicAnonClient();
+  } catch (e) {
+    return res.status(503).json({ success: false, error: 'Rates are not available right now' });
+  }
+
+  const options = { activeOnly: true, until: new Date(), limit: 1000 };
+  try {
+    let rates;
+    try {
+      rates = await listRates(supabase, scrapTypeId, { ...options, columns: 'rate_per_kg,effective_from,effective_to' });
+    } catch (err) {
+      if (!isMissingScheduleColumns(err)) throw err;
+      // Before 023_scrap_rate_schedules.sql a rate ran until the next one started.
+      rates = await listRates(supabase, scrapTypeId, { ...options, columns: 'rate_per_kg,effective_from' });
+      rates = rates.map((r, i) => ({ ...r, effective_to: rates[i + 1]?.effective_from ?? null }));
+    }
+
+    return res.json({
+      success: true,
+      scrapTypeId,
+      count: rates.length,
+      rates: rates.map((r) => ({
+        ratePerKg: r.rate_per_kg,
+        effectiveFrom: r.effective_from ?? null,
+        effectiveTo: r.effective_to ?? null,
+      })),
+    });
+  } catch (err) {
+    console.error('Failed to fetch scrap rate history', err);
+    return res.status(500).json({ success: false, error: 'Could not fetch rate history' });
+  }
+});
+
 module.exports = router;
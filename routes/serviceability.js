@@ -0,0 +1,37 @@
+const express = require('express');
+
+const { createPublicAnonClient } = require('../supabase/client');
+const { checkServiceability, parseCoordinate } = require('../services/serviceAreas');
+
+const router = express.Router();
+
+// GET /api/serviceability?lat=&lng=
+// Public check so the app can warn users before they fill the pickup form.
+router.get('/', async (req, res) => {
+  const lat = parseCoordinate(req.query.lat, -90, 90);
+  const lng = parseCoordinate(req.query.lng, -180, 180);
+  if (lat == null || lng == null) {
+    return res.status(400).json({ success: false, error: 'lat and lng query params must be valid coordinates' });
+  }
+
+  try {
+    let supabase;
+    try {
+      supabase = createPublicAnonClient();
+    } catch (e) {
+      return res.status(500).json({ success: false, error: e?.message || 'Supabase is not configured on server' });
+    }
+
+    const result = await checkServiceability(supabase, lat, lng);
+    return res.json({
+      success: true,
+      serviceable: result.serviceable,
+      area: result.area ? { id: result.area.id, name: result.area.name } : null,
+    });
+  } catch (err) {
+    console.error('Serviceability check failed', err);
+    return res.status(500).json({ success: false, error: 'Could not check serviceability' });
+  }
+});
+
+module.exports = router;
@@ -1,21 +1,48 @@
 const express = require('express');
 
-const { verifyVendorSignature } = require('../vendor/security');
+const { requireVendorSignature } = require('../vendor/security');
+const { idempotent } = require('../vendor/idempotency');
 const { createServiceClient } = require('../supabase/client');
 const dispatcher = require('../services/dispatcher');
+const { parseCapabilities } = require('../services/vendorCapabilities');
+const { parsePresenceStatus, setPresenceStatus } = require('../services/vendorPresence');
+const { recordPickupEvent } = require('../services/pickupEvents');
+const {
+  checkOfferUrl,
+  findVendorBackend,
+  recordRegistration,
+  requestChange,
+  isMissingTable: isOfferUrlAuditMissing,
+} = require('../services/vendorOfferUrl');
+const { MAX_WAIT_SECONDS, parseDeliveryMode, watchVendor, waitForOffers } = require('../services/offerPull');
+const dispatchStore = require('../services/dispatchStore');
+const { notifyVendorMoved } = require('../services/pickupUpdates');
+const { STATUS, PickupTransitionError, transitionPickup } = require('../services/pickupStateMachine');
+const {
+  fetchChange,
+  listPendingChangesForVendor,
+  recordVendorResponse,
+  isMissingTable: isChangesTableMissing,
+} = require('../services/pickupChanges');
+const {
+  parseSettlementInput,
+  buildSettlement,
+  saveSettlement,
+  fetchSettlement,
+  formatSettlement,
+  isMissingTable: isSettlementTableMissing,
+} = require('../services/settlements');
+const ratings = require('../services/pickupRatings');
 
 const router = express.Router();
 
 // POST /api/vendor/accept
 // Vendor backend calls this to accept a pickup.
-// Protected by HMAC signature of the raw request body.
-router.post('/accept', async (req, res) => {
-  const sig = verifyVendorSignature(req);
-  if (!sig.ok) return res.status(401).json({ success: false, error: sig.error });
-
+// Protected by HMAC signature (timestamp + nonce + raw body, see vendor/security.js).
+// Send an Idempotency-Key header to make retries safe.
+router.post('/accept', requireVendorSignature, idempotent('accept'), async (req, res) => {
   const body = req.body || {};
   const pickupId = body.pickupId || body.pickup_id || body.request_id || body.requestId;
-  const { assignedVendorRef, vendor_id, vendorId } = body;
   if (!pickupId) {
     return res.status(400).json({
       success: false,
@@ -23,8 +50,7 @@ router.post('/accept', async (req, res) => {
     });
   }
 
-  const vendorRefRaw = assignedVendorRef || vendor_id || vendorId;
-  const vendorRef = vendorRefRaw != null ? String(vendorRefRaw).trim() : '';
+  const { vendorRef } = req;
   if (!vendorRef) return res.status(400).json({ success: false, error: 'vendor_id (or assignedVendorRef) is required' });
 
   try {
@@ -43,14 +69,17 @@ router.post('/accept', async (req, res) => {
 
 // POST /api/vendor/location
 // Vendor backend posts its latest location and endpoint info.
-// NOTE: This endpoint is intentionally unauthenticated for now (write-only presence updates).
-router.post('/location', async (req, res) => {
+// Protected by HMAC signature like the other callbacks. The first call registers the vendor;
+// a different offer_url later goes through vendor_offer_url_changes (see services/vendorOfferUrl.js).
+// delivery_mode: 'webhook' (default, offers are POSTed to offer_url) or 'pull' (no offer_url needed,
+// offers are fetched from GET /api/vendor/offers).
+router.post('/location', requireVendorSignature, async (req, res) => {
   const body = req.body || {};
-  const { vendor_id, vendorId, vendorRef } = body;
-  const incomingVendorId = vendor_id || vendorId || vendorRef;
-  const vendorIdFinal = incomingVendorId != null ? String(incomingVendorId).trim() : '';
+  // The verified vendor (vendor/security.js): a signing key only ever registers its own vendor.
+  const vendorIdFinal = req.vendorRef;
 
   if (!vendorIdFinal) return res.status(400).json({ success: false, error: 'vendor_id is required' });
+  if (vendorIdFinal.length > 200) return res.status(400).json({ success: false, error: 'vendor_id must be at most 200 characters' });
 
   const latitudeRaw = body.latitude;
   const longitudeRaw = body.longitude;
@@ -60,77 +89,91 @@ router.post('/location', async (req, res) => {
   if (!Number.isFinite(latitudeNum) || !Number.isFinite(longitudeNum)) {
     return res.status(400).json({ success: false, error: 'latitude and longitude must be valid numbers' });
   }
+  if (Math.abs(latitudeNum) > 90 || Math.abs(longitudeNum) > 180) {
+    return res.status(400).json({ success: false, error: 'latitude must be within [-90, 90] and longitude within [-180, 180]' });
+  }
+
+  // Optional capability declaration (accepted_scrap_types, max_load_kg, vehicle_type).
+  const capabilities = parseCapabilities(body);
+  if (!capabilities.ok) return res.status(400).json({ success: false, error: capabilities.error });
+
+  // Optional explicit presence alongside the heartbeat (online/offline/busy).
+  const presenceRaw = body.presence_status ?? body.presenceStatus;
+  const presenceStatus = presenceRaw != null ? parsePresenceStatus(presenceRaw) : null;
+  if (presenceRaw != null && !presenceStatus) {
+    return res.status(400).json({ success: false, error: 'presence_status must be one of: online, offline, busy' });
+  }
+  const presence = { last_seen_at: new Date().toISOString(), ...(presenceStatus ? { presence_status: presenceStatus } : {}) };
+
+  const deliveryModeRaw = body.delivery_mode ?? body.deliveryMode;
+  let deliveryMode = deliveryModeRaw != null ? parseDeliveryMode(deliveryModeRaw) : null;
+  if (deliveryModeRaw != null && !deliveryMode) {
+    return res.status(400).json({ success: false, error: 'delivery_mode must be one of: webhook, pull' });
+  }
+
+  const offerUrlCandidate =
+    body.offer_url ??
+    body.offerUrl ??
+    body.url ??
+    body.callbackUrl ??
+    body.callback_url ??
+    null;
+
+  let offerUrlIncoming = null;
+  if (offerUrlCandidate != null && offerUrlCandidate !== '') {
+    const check = checkOfferUrl(offerUrlCandidate);
+    if (!check.ok) return res.status(400).json({ success: false, error: check.error });
+    offerUrlIncoming = check.value;
+  }
 
   try {
     const supabase = createServiceClient();
 
     const now = new Date().toISOString();
+    const signedWithKey = req.vendorSignature?.keyId || null;
 
-    const offerUrlCandidate =
-      body.offer_url ??
-      body.offerUrl ??
-      body.url ??
-      body.callbackUrl ??
-      body.callback_url ??
-      null;
-    const offerUrlTrimmed = typeof offerUrlCandidate === 'string' ? offerUrlCandidate.trim() : offerUrlCandidate;
-    let offerUrlFinal = offerUrlTrimmed || null;
-
-    // In production, do not accept localhost URLs.
-    if (offerUrlFinal) {
+    let existing;
+    try {
+      existing = await findVendorBackend(supabase, vendorIdFinal);
+    } catch (e) {
+      console.warn('vendor location lookup error', e?.message || e);
+      return res.status(400).json({ success: false, error: e?.message || 'Could not look up vendor' });
+    }
+
+    // vendor_backends.offer_url is NOT NULL in some DBs.
+    // If vendor doesn't send it (e.g., just periodic GPS pings), keep the stored offer_url.
+    // Only a new registration sets it directly; registered vendors go through requestChange.
+    let offerUrlFinal = existing ? existing.offer_url || null : offerUrlIncoming;
+    let offerUrlChange = null;
+    const pullMode = (deliveryMode || existing?.delivery_mode) === 'pull';
+
+    if (existing && offerUrlIncoming && offerUrlIncoming !== existing.offer_url) {
       try {
-        const u = new URL(String(offerUrlFinal));
-        const host = (u.hostname || '').toLowerCase();
-        if (
-          String(process.env.NODE_ENV || '').toLowerCase() === 'production' &&
-          (host === 'localhost' || host === '127.0.0.1' || host === '::1')
-        ) {
-          return res.status(400).json({
+        const result = await requestChange(supabase, vendorIdFinal, existing.offer_url, offerUrlIncoming, signedWithKey);
+        if (result.applied) offerUrlFinal = offerUrlIncoming;
+        offerUrlChange = { id: result.change?.id ?? null, status: result.change?.status || (result.applied ? 'APPLIED' : 'PENDING') };
+      } catch (e) {
+        // Without the audit table the change can't be recorded, so it isn't made.
+        if (isOfferUrlAuditMissing(e)) {
+          return res.status(503).json({
             success: false,
-            error: 'offer_url must be a public URL (localhost is not reachable from production server)',
+            error: 'offer_url changes are disabled until supabase/migrations/018_vendor_offer_url_changes.sql is applied',
           });
         }
-      } catch {
-        return res.status(400).json({ success: false, error: 'offer_url must be a valid http(s) URL' });
+        throw e;
       }
     }
 
-    // vendor_backends.offer_url is NOT NULL in some DBs.
-    // If vendor doesn't send it (e.g., just periodic GPS pings), reuse the existing stored offer_url.
-    if (!offerUrlFinal) {
-      let existing;
-      let existingErr;
-
-      ({ data: existing, error: existingErr } = await supabase
-        .from('vendor_backends')
-        .select('offer_url')
-        .eq('vendor_id', vendorIdFinal)
-        .maybeSingle());
-
-      if (
-        existingErr &&
-        /column .*vendor_id.*does not exist|42703|unknown column/i.test(existingErr.message || '')
-      ) {
-        ({ data: existing, error: existingErr } = await supabase
-          .from('vendor_backends')
-          .select('offer_url')
-          .eq('vendor_ref', vendorIdFinal)
-          .maybeSingle());
-      }
-
-      if (existingErr) {
-        console.warn('vendor location offer_url lookup error', existingErr.message || existingErr);
+    if (!offerUrlFinal && !pullMode) {
+      if (!offerUrlChange) {
+        return res.status(400).json({
+          success: false,
+          error:
+            'offer_url is required on first registration unless delivery_mode is pull (accepted keys: offer_url, offerUrl, url, callbackUrl, callback_url)',
+        });
       }
-
-      offerUrlFinal = existing?.offer_url || null;
-    }
-
-    if (!offerUrlFinal) {
-      return res.status(400).json({
-        success: false,
-        error:
-          'offer_url is required on first registration (accepted keys: offer_url, offerUrl, url, callbackUrl, callback_url)',
-      });
+      // A pull-mode vendor switching to webhook delivery stays on pull until its offer_url is approved.
+      deliveryMode = null;
     }
 
     // Preferred schema:
@@ -141,6 +184,9 @@ router.post('/location', async (req, res) => {
       longitude: longitudeNum,
       offer_url: offerUrlFinal,
       updated_at: now,
+      ...capabilities.value,
+      ...presence,
+      ...(deliveryMode ? { delivery_mode: deliveryMode } : {}),
     };
 
     // Back-compat schema used by existing migrations:
@@ -151,6 +197,9 @@ router.post('/location', async (req, res) => {
       last_longitude: longitudeNum,
       offer_url: offerUrlFinal,
       updated_at: now,
+      ...capabilities.value,
+      ...presence,
+      ...(deliveryMode ? { delivery_mode: deliveryMode } : {}),
     };
 
     let data;
@@ -167,23 +216,177 @@ router.post('/location', async (req, res) => {
       return res.status(400).json({ success: false, error: error.message || 'Could not upsert vendor location' });
     }
 
+    // Customers watching a pickup assigned to this vendor get a fresh ETA.
+    notifyVendorMoved(vendorIdFinal);
+
+    if (!existing) {
+      console.log(
+        `[SECURITY] vendor_registered vendor_id=${vendorIdFinal} key_id=${signedWithKey || 'shared'} mode=${deliveryMode || 'webhook'}`
+      );
+    }
+    if (!existing && offerUrlFinal) {
+      await recordRegistration(supabase, vendorIdFinal, offerUrlFinal, signedWithKey || 'shared');
+    }
+
     // Write-only presence: return minimal confirmation.
-    return res.json({ success: true, vendor_id: vendorIdFinal, updated_at: data?.updated_at || now });
+    return res.json({
+      success: true,
+      vendor_id: vendorIdFinal,
+      updated_at: data?.updated_at || now,
+      delivery_mode: data?.delivery_mode || deliveryMode || existing?.delivery_mode || 'webhook',
+      ...(offerUrlChange ? { offer_url_change: offerUrlChange } : {}),
+    });
   } catch (e) {
     console.error('Vendor location failed', e);
     return res.status(500).json({ success: false, error: 'Vendor location failed' });
   }
 });
 
+// GET /api/vendor/offers?vendor_id=&wait=
+// Open offers for this vendor, for backends that can't receive webhooks (delivery_mode = pull).
+// wait (seconds, max 30) turns it into a long-poll: the response comes as soon as there is an offer.
+// Answer offers with the usual POST /api/vendor/accept and /api/vendor/reject.
+router.get('/offers', requireVendorSignature, async (req, res) => {
+  const { vendorRef } = req;
+  if (!vendorRef) return res.status(400).json({ success: false, error: 'vendor_id query parameter is required' });
+
+  const waitRaw = Number.parseInt(String(req.query?.wait ?? '0'), 10);
+  const waitSeconds = Number.isFinite(waitRaw) && waitRaw > 0 ? Math.min(waitRaw, MAX_WAIT_SECONDS) : 0;
+
+  try {
+    const supabase = createServiceClient();
+    if (!(await findVendorBackend(supabase, vendorRef))) {
+      return res.status(404).json({ success: false, error: 'vendor not registered (POST /api/vendor/location first)' });
+    }
+
+    let closed = false;
+    req.on('close', () => {
+      closed = true;
+    });
+
+    const offers = await waitForOffers(
+      vendorRef,
+      waitSeconds * 1000,
+      (open) => (open ? dispatcher.describeOffers(supabase, vendorRef, open) : dispatcher.pendingOffersFor(supabase, vendorRef)),
+      () => closed
+    );
+    if (closed) return undefined;
+    return res.json({ success: true, vendor_id: vendorRef, count: offers.length, offers });
+  } catch (e) {
+    console.error('Vendor offers fetch failed', e);
+    return res.status(500).json({ success: false, error: 'Vendor offers fetch failed' });
+  }
+});
+
+// GET /api/vendor/offers/stream?vendor_id=
+// Server-Sent Events alternative to long-polling:
+//   event: offer            data: offer body (as GET /offers), sent once per offer
+//   event: offer_closed     data: { offer_id, pickup_id }, when an offer sent on this stream is no longer open
+//                           (accepted, rejected, expired, withdrawn or taken by another vendor)
+// plus a comment line every 15s to keep proxies from closing the connection.
+router.get('/offers/stream', requireVendorSignature, async (req, res) => {
+  const { vendorRef } = req;
+  if (!vendorRef) return res.status(400).json({ success: false, error: 'vendor_id query parameter is required' });
+
+  let supabase;
+  try {
+    supabase = createServiceClient();
+    if (!(await findVendorBackend(supabase, vendorRef))) {
+      return res.status(404).json({ success: false, error: 'vendor not registered (POST /api/vendor/location first)' });
+    }
+  } catch (e) {
+    console.error('Vendor offer stream failed', e);
+    return res.status(500).json({ success: false, error: 'Vendor offer stream failed' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // offer id -> pickup id for offers this stream has delivered (or seen for closed pickups).
+  const delivered = new Map();
+  let syncing = false;
+  let closed = false;
+
+  // polled: the shared poll's open offers for this vendor; re-read when not given.
+  const sync = async (polled) => {
+    if (syncing || closed) return;
+    syncing = true;
+    try {
+      const open = polled || (await dispatchStore.listPendingOffersForVendor(supabase, vendorRef));
+      const openIds = new Set(open.map((o) => String(o.id)));
+
+      for (const [offerId, pickupId] of delivered) {
+        if (openIds.has(offerId)) continue;
+        delivered.delete(offerId);
+        if (!closed) send('offer_closed', { offer_id: offerId, pickup_id: pickupId });
+      }
+
+      const fresh = open.filter((o) => !delivered.has(String(o.id)));
+      for (const o of fresh) delivered.set(String(o.id), String(o.pickup_id));
+      for (const offer of await dispatcher.describeOffers(supabase, vendorRef, fresh)) {
+        if (!closed) send('offer', offer);
+      }
+    } catch (e) {
+      console.warn(`[DISPATCH] vendor_stream_sync_failed vendor_id=${vendorRef} error=${e?.message || e}`);
+    } finally {
+      syncing = false;
+    }
+  };
+
+  console.log(`[DISPATCH] vendor_stream_open vendor_id=${vendorRef}`);
+  const unwatch = watchVendor(vendorRef, (polled) => {
+    sync(polled);
+  });
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15 * 1000);
+  req.on('close', () => {
+    closed = true;
+    unwatch();
+    clearInterval(heartbeat);
+    console.log(`[DISPATCH] vendor_stream_closed vendor_id=${vendorRef}`);
+  });
+
+  await sync();
+  return undefined;
+});
+
+// POST /api/vendor/presence
+// Vendor backend calls this when the vendor goes online/offline or becomes busy.
+// Location heartbeats keep last_seen_at fresh; this sets the explicit status.
+router.post('/presence', requireVendorSignature, async (req, res) => {
+  const body = req.body || {};
+  const vendorIdFinal = req.vendorRef;
+  if (!vendorIdFinal) return res.status(400).json({ success: false, error: 'vendor_id is required' });
+
+  const status = parsePresenceStatus(body.status ?? body.presence_status ?? body.presenceStatus);
+  if (!status) return res.status(400).json({ success: false, error: 'status must be one of: online, offline, busy' });
+
+  try {
+    const supabase = createServiceClient();
+    const row = await setPresenceStatus(supabase, vendorIdFinal, status);
+    if (!row) {
+      return res.status(404).json({ success: false, error: 'vendor not registered (POST /api/vendor/location first)' });
+    }
+
+    console.log(`[DISPATCH] vendor_presence vendor_id=${vendorIdFinal} status=${status}`);
+    return res.json({ success: true, vendor_id: vendorIdFinal, presence_status: status, last_seen_at: row.last_seen_at });
+  } catch (e) {
+    console.error('Vendor presence failed', e);
+    return res.status(500).json({ success: false, error: 'Vendor presence failed' });
+  }
+});
+
 // POST /api/vendor/reject
 // Vendor backend calls this to reject an offered pickup.
-router.post('/reject', async (req, res) => {
-  const sig = verifyVendorSignature(req);
-  if (!sig.ok) return res.status(401).json({ success: false, error: sig.error });
-
+router.post('/reject', requireVendorSignature, idempotent('reject'), async (req, res) => {
   const body = req.body || {};
   const pickupId = body.pickupId || body.pickup_id || body.request_id || body.requestId;
-  const { assignedVendorRef, vendor_id, vendorId } = body;
   if (!pickupId) {
     return res.status(400).json({
       success: false,
@@ -191,8 +394,7 @@ router.post('/reject', async (req, res) => {
     });
   }
 
-  const vendorRefRaw = assignedVendorRef || vendor_id || vendorId;
-  const vendorRef = vendorRefRaw != null ? String(vendorRefRaw).trim() : '';
+  const { vendorRef } = req;
   if (!vendorRef) return res.status(400).json({ success: false, error: 'vendor_id (or assignedVendorRef) is required' });
 
   try {
@@ -206,13 +408,9 @@ router.post('/reject', async (req, res) => {
 
 // POST /api/vendor/on-the-way
 // Vendor backend calls this when it is en route to the customer.
-router.post('/on-the-way', async (req, res) => {
-  const sig = verifyVendorSignature(req);
-  if (!sig.ok) return res.status(401).json({ success: false, error: sig.error });
-
+router.post('/on-the-way', requireVendorSignature, idempotent('on-the-way'), async (req, res) => {
   const body = req.body || {};
   const pickupId = body.pickupId || body.pickup_id || body.request_id || body.requestId;
-  const { assignedVendorRef, vendor_id, vendorId } = body;
 
   if (!pickupId) {
     return res.status(400).json({
@@ -221,58 +419,62 @@ router.post('/on-the-way', async (req, res) => {
     });
   }
 
-  const vendorRefRaw = assignedVendorRef || vendor_id || vendorId;
-  const vendorRef = vendorRefRaw != null ? String(vendorRefRaw).trim() : '';
+  const { vendorRef } = req;
   if (!vendorRef) return res.status(400).json({ success: false, error: 'vendor_id (or assignedVendorRef) is required' });
 
   try {
     const supabase = createServiceClient();
     const now = new Date().toISOString();
 
-    const { data, error } = await supabase
-      .from('pickups')
-      .update({ status: 'ON_THE_WAY' })
-      .eq('id', String(pickupId))
-      .eq('assigned_vendor_ref', String(vendorRef))
-      .in('status', ['ASSIGNED', 'ON_THE_WAY'])
-      .select('id,status,assigned_vendor_ref,completed_at,cancelled_at,created_at')
-      .maybeSingle();
+    const data = await transitionPickup(supabase, pickupId, 'start_trip', {
+      actor: 'vendor',
+      guard: (q) => q.eq('assigned_vendor_ref', vendorRef),
+      precondition: 'Pickup is not assigned to this vendor',
+    });
 
-    if (error) {
-      const msg = error.message || 'Could not set ON_THE_WAY';
-      // If the DB enum wasn't migrated yet, any mention of ON_THE_WAY will hard-error.
-      if (/invalid input value for enum\s+pickup_status:\s+"ON_THE_WAY"/i.test(msg)) {
-        return res.status(501).json({
-          success: false,
-          error:
-            'ON_THE_WAY is not enabled in DB yet. Apply Supabase migration backend/supabase/migrations/003_pickup_status_and_rpcs.sql then retry.',
-        });
-      }
-      return res.status(400).json({ success: false, error: msg });
-    }
-    if (!data) {
-      return res.status(409).json({
-        success: false,
-        error: 'Pickup not found, not assigned to this vendor, or not in a state that can be set to ON_THE_WAY',
-      });
-    }
+    await recordPickupEvent(supabase, data.id, 'vendor_on_the_way', {
+      actor: 'vendor',
+      vendorRef,
+      toStatus: STATUS.ON_THE_WAY,
+    });
 
     return res.json({ success: true, pickup: { ...data, updated_at: now } });
   } catch (e) {
+    if (e instanceof PickupTransitionError) return res.status(e.httpStatus).json(e.toJSON());
     console.error('Vendor on-the-way failed', e);
     return res.status(500).json({ success: false, error: 'Vendor on-the-way failed' });
   }
 });
 
-// POST /api/vendor/pickup-done
-// Vendor backend calls this when pickup is completed.
-router.post('/pickup-done', async (req, res) => {
-  const sig = verifyVendorSignature(req);
-  if (!sig.ok) return res.status(401).json({ success: false, error: sig.error });
+// Save a built settlement, then log it and add it to the pickup timeline.
+async function storeSettlement(supabase, pickupId, vendorRef, built) {
+  const settlement = await saveSettlement(supabase, pickupId, vendorRef, built);
+  const flaggedLines = settlement.items.filter((it) => it.flagged);
+  console.log(
+    `[SETTLEMENT] recorded pickupId=${pickupId} vendor_id=${vendorRef} total=${settlement.total_amount} method=${settlement.payment_method} flagged=${flaggedLines.length}`
+  );
+  await recordPickupEvent(supabase, pickupId, 'settlement_recorded', {
+    actor: 'vendor',
+    vendorRef,
+    data: {
+      totalAmount: Number(settlement.total_amount),
+      paymentMethod: settlement.payment_method,
+      flagged: flaggedLines.map((it) => ({ pickupItemId: it.pickup_item_id, scrapTypeId: it.scrap_type_id, reason: it.flag_reason })),
+    },
+  });
+  return settlement;
+}
 
+// POST /api/vendor/pickup-done
+// Vendor backend calls this when pickup is completed. It may settle the pickup in the same call:
+//   items: [{ pickup_item_id, actual_quantity }] for every pickup item (0 if nothing was collected)
+//   extra_items: [{ scrap_type_id, actual_quantity }], payment_method, payment_reference, notes
+// The settlement is priced with the rates in effect at completion (see services/settlements.js).
+// If it can't be stored the pickup stays COMPLETED and the call fails with 5xx (so an
+// Idempotency-Key is not kept); resend the settlement to POST /api/vendor/pickup-settlement.
+router.post('/pickup-done', requireVendorSignature, idempotent('pickup-done'), async (req, res) => {
   const body = req.body || {};
   const pickupId = body.pickupId || body.pickup_id || body.request_id || body.requestId;
-  const { assignedVendorRef, vendor_id, vendorId } = body;
 
   if (!pickupId) {
     return res.status(400).json({
@@ -281,60 +483,223 @@ router.post('/pickup-done', async (req, res) => {
     });
   }
 
-  const vendorRefRaw = assignedVendorRef || vendor_id || vendorId;
-  const vendorRef = vendorRefRaw != null ? String(vendorRefRaw).trim() : '';
+  const { vendorRef } = req;
   if (!vendorRef) return res.status(400).json({ success: false, error: 'vendor_id (or assignedVendorRef) is required' });
 
+  const settlementInput = parseSettlementInput(body);
+  if (!settlementInput.ok) return res.status(400).json({ success: false, error: settlementInput.error });
+
   try {
     const supabase = createServiceClient();
-    const now = new Date().toISOString();
+    const completedAt = new Date().toISOString();
 
-    // First try allowing completion from ASSIGNED or ON_THE_WAY.
-    // If the DB enum doesn't have ON_THE_WAY yet, retry with ASSIGNED only.
-    let data;
-    let error;
+    // Price before completing, so a report that doesn't match the pickup leaves it open.
+    let built = null;
+    if (settlementInput.value) {
+      built = await buildSettlement(supabase, pickupId, settlementInput.value, completedAt);
+      if (!built.ok) return res.status(400).json({ success: false, error: built.error });
+    }
 
-    ({ data, error } = await supabase
+    // Also stops any dispatch timers/state for this pickup (see pickupStateMachine complete).
+    const data = await transitionPickup(supabase, pickupId, 'complete', {
+      actor: 'vendor',
+      patch: { completed_at: completedAt },
+      guard: (q) => q.eq('assigned_vendor_ref', vendorRef),
+      precondition: 'Pickup is not assigned to this vendor',
+    });
+
+    await recordPickupEvent(supabase, data.id, 'pickup_completed', {
+      actor: 'vendor',
+      vendorRef,
+      toStatus: STATUS.COMPLETED,
+    });
+
+    if (!built) return res.json({ success: true, pickup: data, settlement: null });
+
+    let settlement;
+    try {
+      settlement = await storeSettlement(supabase, data.id, vendorRef, built.value);
+    } catch (e) {
+      console.error(`[SETTLEMENT] save_failed pickupId=${data.id} error=${e?.message || e}`);
+      const missing = isSettlementTableMissing(e);
+      return res.status(missing ? 501 : 500).json({
+        success: false,
+        error: missing
+          ? 'Pickup completed, settlement not recorded: apply supabase/migrations/021_pickup_settlements.sql, then resend it to POST /api/vendor/pickup-settlement'
+          : 'Pickup completed, settlement not recorded: resend it to POST /api/vendor/pickup-settlement',
+        code: 'SETTLEMENT_NOT_RECORDED',
+        pickup: data,
+      });
+    }
+
+    return res.json({ success: true, pickup: data, settlement: formatSettlement(settlement) });
+  } catch (e) {
+    if (e instanceof PickupTransitionError) return res.status(e.httpStatus).json(e.toJSON());
+    console.error('Vendor pickup-done failed', e);
+    return res.status(500).json({ success: false, error: 'Vendor pickup-done failed' });
+  }
+});
+
+// POST /api/vendor/pickup-settlement
+// Settlement for a pickup this vendor already completed without one (same body as pickup-done's
+// settlement part), e.g. after pickup-done answered SETTLEMENT_NOT_RECORDED. Priced with the rates
+// in effect at completed_at; 409 once a settlement exists.
+router.post('/pickup-settlement', requireVendorSignature, idempotent('pickup-settlement'), async (req, res) => {
+  const body = req.body || {};
+  const pickupId = body.pickupId || body.pickup_id || body.request_id || body.requestId;
+  if (!pickupId) {
+    return res.status(400).json({
+      success: false,
+      error: 'pickupId is required (accepted keys: pickupId, pickup_id, request_id, requestId)',
+    });
+  }
+
+  const { vendorRef } = req;
+  if (!vendorRef) return res.status(400).json({ success: false, error: 'vendor_id (or assignedVendorRef) is required' });
+
+  const settlementInput = parseSettlementInput(body);
+  if (!settlementInput.ok) return res.status(400).json({ success: false, error: settlementInput.error });
+  if (!settlementInput.value) return res.status(400).json({ success: false, error: 'items and payment_method are required' });
+
+  try {
+    const supabase = createServiceClient();
+
+    const { data: pickup, error } = await supabase
       .from('pickups')
-      .update({ status: 'COMPLETED', completed_at: now })
-      .eq('id', String(pickupId))
-      .eq('assigned_vendor_ref', String(vendorRef))
-      .in('status', ['ASSIGNED', 'ON_THE_WAY'])
-      .select('id,status,assigned_vendor_ref,completed_at,cancelled_at,created_at')
-      .maybeSingle());
-
-    if (error && /invalid input value for enum\s+pickup_status:\s+"ON_THE_WAY"/i.test(error.message || '')) {
-      ({ data, error } = await supabase
-        .from('pickups')
-        .update({ status: 'COMPLETED', completed_at: now })
-        .eq('id', String(pickupId))
-        .eq('assigned_vendor_ref', String(vendorRef))
-        .eq('status', 'ASSIGNED')
-        .select('id,status,assigned_vendor_ref,completed_at,cancelled_at,created_at')
-        .maybeSingle());
+      .select('id,status,assigned_vendor_ref,completed_at')
+      .eq('id', pickupId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!pickup || String(pickup.assigned_vendor_ref || '') !== vendorRef) {
+      return res.status(404).json({ success: false, error: 'Pickup not found for this vendor' });
+    }
+    if (pickup.status !== STATUS.COMPLETED) {
+      return res.status(409).json({ success: false, error: `Pickup is ${pickup.status}; settle it with POST /api/vendor/pickup-done` });
     }
+    if (await fetchSettlement(supabase, pickup.id)) {
+      return res.status(409).json({ success: false, error: 'A settlement is already recorded for this pickup' });
+    }
+
+    const built = await buildSettlement(supabase, pickup.id, settlementInput.value, pickup.completed_at || new Date().toISOString());
+    if (!built.ok) return res.status(400).json({ success: false, error: built.error });
 
-    if (error) return res.status(400).json({ success: false, error: error.message || 'Could not set COMPLETED' });
-    if (!data) {
-      return res.status(409).json({
+    const settlement = await storeSettlement(supabase, pickup.id, vendorRef, built.value);
+    return res.json({ success: true, settlement: formatSettlement(settlement) });
+  } catch (e) {
+    if (isSettlementTableMissing(e)) {
+      return res.status(501).json({
         success: false,
-        error: 'Pickup not found, not assigned to this vendor, or not in a state that can be completed',
+        error: 'Pickup settlements are not enabled in DB yet. Apply supabase/migrations/021_pickup_settlements.sql then retry.',
       });
     }
+    if (e?.code === '23505' || /duplicate key/i.test(e?.message || '')) {
+      return res.status(409).json({ success: false, error: 'A settlement is already recorded for this pickup' });
+    }
+    console.error('Vendor pickup-settlement failed', e);
+    return res.status(500).json({ success: false, error: 'Vendor pickup-settlement failed' });
+  }
+});
 
-    // Stop any in-memory dispatch timers/state for this pickup.
-    try {
-      const state = dispatcher?._internal?.dispatchState?.get(String(pickupId));
-      if (state?.timer) clearTimeout(state.timer);
-      dispatcher?._internal?.dispatchState?.delete(String(pickupId));
-    } catch {
-      // ignore
+// GET /api/vendor/pickup-changes?vendor_id=
+// Customer changes to this vendor's assigned pickups still waiting for an answer (webhook vendors
+// also get each one at POST /api/offer/update; pull-mode vendors read them here).
+router.get('/pickup-changes', requireVendorSignature, async (req, res) => {
+  const { vendorRef } = req;
+  if (!vendorRef) return res.status(400).json({ success: false, error: 'vendor_id query parameter is required' });
+
+  try {
+    const supabase = createServiceClient();
+    const changes = await listPendingChangesForVendor(supabase, vendorRef);
+    return res.json({ success: true, vendor_id: vendorRef, count: changes.length, changes });
+  } catch (e) {
+    if (isChangesTableMissing(e)) return res.json({ success: true, vendor_id: vendorRef, count: 0, changes: [] });
+    console.error('Vendor pickup changes fetch failed', e);
+    return res.status(500).json({ success: false, error: 'Vendor pickup changes fetch failed' });
+  }
+});
+
+// GET /api/vendor/ratings/summary?vendor_id=
+// Average stars, count, per-star distribution and tag counts over this vendor's published ratings.
+router.get('/ratings/summary', requireVendorSignature, async (req, res) => {
+  const { vendorRef } = req;
+  if (!vendorRef) return res.status(400).json({ success: false, error: 'vendor_id query parameter is required' });
+
+  try {
+    const summary = await ratings.summarizeVendorRatings(createServiceClient(), vendorRef);
+    return res.json({ success: true, ...summary });
+  } catch (e) {
+    console.error('Vendor rating summary failed', e);
+    return res.status(500).json({ success: false, error: 'Vendor rating summary failed' });
+  }
+});
+
+// GET /api/vendor/ratings?vendor_id=&limit=&cursor=
+// This vendor's published ratings, newest first; pass next_cursor back as cursor for the next page.
+router.get('/ratings', requireVendorSignature, async (req, res) => {
+  const { vendorRef } = req;
+  if (!vendorRef) return res.status(400).json({ success: false, error: 'vendor_id query parameter is required' });
+
+  const page = ratings.parsePageQuery(req.query);
+  if (!page.ok) return res.status(400).json({ success: false, error: page.error });
+
+  try {
+    const { rows, nextCursor } = await ratings.listRatings(createServiceClient(), {
+      vendorRef,
+      status: 'PUBLISHED',
+      ...page.value,
+    });
+    return res.json({
+      success: true,
+      vendor_id: vendorRef,
+      count: rows.length,
+      ratings: rows.map(ratings.formatRatingForVendor),
+      next_cursor: nextCursor,
+    });
+  } catch (e) {
+    if (ratings.isMissingTable(e)) return res.json({ success: true, vendor_id: vendorRef, count: 0, ratings: [], next_cursor: null });
+    console.error('Vendor ratings fetch failed', e);
+    return res.status(500).json({ success: false, error: 'Vendor ratings fetch failed' });
+  }
+});
+
+// POST /api/vendor/pickup-change
+// { vendor_id, change_id, decision: accept | decline, reason? }
+// Answer a customer's change to an assigned pickup. Declining releases the pickup: it goes back to
+// FINDING_VENDOR, this vendor is skipped and another vendor is searched.
+router.post('/pickup-change', requireVendorSignature, idempotent('pickup-change'), async (req, res) => {
+  const body = req.body || {};
+  const { vendorRef } = req;
+  if (!vendorRef) return res.status(400).json({ success: false, error: 'vendor_id (or assignedVendorRef) is required' });
+
+  const changeId = String(body.change_id || body.changeId || '').trim();
+  if (!changeId) return res.status(400).json({ success: false, error: 'change_id is required' });
+  const decision = String(body.decision || '').trim().toLowerCase();
+  const reason = body.reason != null ? String(body.reason).slice(0, 500) : null;
+
+  try {
+    const supabase = createServiceClient();
+    const change = await fetchChange(supabase, changeId);
+    if (!change) return res.status(404).json({ success: false, error: 'change not found' });
+    if (change.vendor_response !== 'PENDING') {
+      return res.status(409).json({ success: false, error: `Change was already answered (${change.vendor_response || 'no answer needed'})` });
     }
 
-    return res.json({ success: true, pickup: data });
+    // Release first: a vendor already on the way can't back out through this.
+    let released = null;
+    if (decision === 'decline' && String(change.vendor_ref) === vendorRef) {
+      released = await dispatcher.releaseAssignedVendor(change.pickup_id, vendorRef, reason || 'declined_customer_change');
+      if (!released) return res.status(409).json({ success: false, error: 'Pickup is no longer assigned to this vendor' });
+    }
+
+    const result = await recordVendorResponse(supabase, change, vendorRef, decision);
+    if (!result.ok && !released) return res.status(result.status).json({ success: false, error: result.error });
+
+    console.log(`[DISPATCH] pickup_change_answered pickupId=${change.pickup_id} vendor_id=${vendorRef} change_id=${changeId} decision=${decision}`);
+    return res.json({ success: true, change: result.ok ? result.change : change, released: Boolean(released) });
   } catch (e) {
-    console.error('Vendor pickup-done failed', e);
-    return res.status(500).json({ success: false, error: 'Vendor pickup-done failed' });
+    if (isChangesTableMissing(e)) return res.status(404).json({ success: false, error: 'change not found' });
+    console.error('Vendor pickup-change failed', e);
+    return res.status(500).json({ success: false, error: 'Vendor pickup-change failed' });
   }
 });
 
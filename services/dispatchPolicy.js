@@ -0,0 +1,234 @@
+// Dispatch policy: the knobs that control how a pickup is offered to vendors.
+//
+// Resolution order (later wins):
+// 1) built-in defaults (DEFAULT_POLICY)
+// 2) env overrides (DISPATCH_STRATEGY, DISPATCH_OFFER_TTL_SECONDS, ...)
+// 3) matching policy rows, lowest priority first, from:
+//    - DISPATCH_POLICIES env (JSON array, same shape as the table rows)
+//    - dispatch_policies table (see supabase/migrations/008_dispatch_policies.sql)
+//
+// A row matches a pickup by region, city (substring of the address) and/or
+// total estimated quantity (kg; items counted in pieces are left out). Null columns mean "inherit".
+
+const { isWeighed } = require('./scrapTypes');
+
+const DEFAULT_POLICY = Object.freeze({
+  // sequential | broadcast
+  strategy: 'sequential',
+  // broadcast only: how many vendors get the offer at once
+  waveSize: 3,
+  // how long a vendor has to accept
+  offerTtlSeconds: 120,
+  // cap on ranked candidates per dispatch round (null = no cap)
+  maxCandidates: null,
+  // never offer to vendors farther than this (null = no limit)
+  maxRadiusKm: null,
+  // extra attempts (jittered backoff) when delivering an offer fails transiently
+  offerRetries: 2,
+  // vendor_backends rows loaded per dispatch
+  vendorQueryLimit: 500,
+  // outbound offer HTTP timeout
+  httpTimeoutMs: 10000,
+  // vendors without a location heartbeat for this long are only used as a fallback
+  presenceStaleSeconds: 300,
+  // reliability stats look back this many days
+  reliabilityWindowDays: 30,
+  // candidate ranking: score = sum(weight * component), each component in [0, 1]
+  rankWeightDistance: 0.6,
+  rankWeightAcceptance: 0.25,
+  rankWeightCompletion: 0.1,
+  rankWeightResponse: 0.05,
+  // distance at which the distance component reaches 0 (maxRadiusKm is used when set)
+  rankDistanceScaleKm: 20,
+});
+
+// policy key -> table column
+const POLICY_COLUMNS = {
+  strategy: 'strategy',
+  waveSize: 'wave_size',
+  offerTtlSeconds: 'offer_ttl_seconds',
+  maxCandidates: 'max_candidates',
+  maxRadiusKm: 'max_radius_km',
+  offerRetries: 'offer_retries',
+  vendorQueryLimit: 'vendor_query_limit',
+  httpTimeoutMs: 'http_timeout_ms',
+  presenceStaleSeconds: 'presence_stale_seconds',
+  reliabilityWindowDays: 'reliability_window_days',
+  rankWeightDistance: 'rank_weight_distance',
+  rankWeightAcceptance: 'rank_weight_acceptance',
+  rankWeightCompletion: 'rank_weight_completion',
+  rankWeightResponse: 'rank_weight_response',
+  rankDistanceScaleKm: 'rank_distance_scale_km',
+};
+
+const CACHE_MS = 60 * 1000;
+let cachedRows = null;
+let cachedAt = 0;
+
+function positiveInt(v) {
+  const n = Number.parseInt(String(v), 10);
+  return Number.isFinite(n) && n > 0 ? n : undefined;
+}
+
+function nonNegativeInt(v) {
+  const n = Number.parseInt(String(v), 10);
+  return Number.isFinite(n) && n >= 0 ? n : undefined;
+}
+
+function nonNegativeNumber(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : undefined;
+}
+
+function positiveNumber(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : undefined;
+}
+
+const PARSERS = {
+  strategy: (v) => {
+    const s = String(v).trim().toLowerCase();
+    return s === 'sequential' || s === 'broadcast' ? s : undefined;
+  },
+  waveSize: positiveInt,
+  offerTtlSeconds: positiveInt,
+  maxCandidates: positiveInt,
+  maxRadiusKm: positiveNumber,
+  offerRetries: nonNegativeInt,
+  vendorQueryLimit: positiveInt,
+  httpTimeoutMs: positiveInt,
+  presenceStaleSeconds: positiveInt,
+  reliabilityWindowDays: positiveInt,
+  rankWeightDistance: nonNegativeNumber,
+  rankWeightAcceptance: nonNegativeNumber,
+  rankWeightCompletion: nonNegativeNumber,
+  rankWeightResponse: nonNegativeNumber,
+  rankDistanceScaleKm: positiveNumber,
+};
+
+// Returns only the keys that are present and valid; invalid values are logged and ignored.
+function parsePolicyValues(source, keyOf, label) {
+  const out = {};
+  for (const key of Object.keys(PARSERS)) {
+    const raw = source[keyOf(key)];
+    if (raw == null || raw === '') continue;
+    const parsed = PARSERS[key](raw);
+    if (parsed === undefined) {
+      console.warn(`[DISPATCH] policy_value_ignored source=${label} key=${key} value=${String(raw)}`);
+      continue;
+    }
+    out[key] = parsed;
+  }
+  return out;
+}
+
+function envPolicy() {
+  const envNames = {
+    strategy: 'DISPATCH_STRATEGY',
+    waveSize: 'DISPATCH_WAVE_SIZE',
+    offerTtlSeconds: 'DISPATCH_OFFER_TTL_SECONDS',
+    maxCandidates: 'DISPATCH_MAX_CANDIDATES',
+    maxRadiusKm: 'DISPATCH_MAX_RADIUS_KM',
+    offerRetries: 'DISPATCH_OFFER_RETRIES',
+    vendorQueryLimit: 'DISPATCH_VENDOR_QUERY_LIMIT',
+    httpTimeoutMs: 'DISPATCH_HTTP_TIMEOUT_MS',
+    presenceStaleSeconds: 'DISPATCH_PRESENCE_STALE_SECONDS',
+    reliabilityWindowDays: 'DISPATCH_RELIABILITY_WINDOW_DAYS',
+    rankWeightDistance: 'DISPATCH_RANK_WEIGHT_DISTANCE',
+    rankWeightAcceptance: 'DISPATCH_RANK_WEIGHT_ACCEPTANCE',
+    rankWeightCompletion: 'DISPATCH_RANK_WEIGHT_COMPLETION',
+    rankWeightResponse: 'DISPATCH_RANK_WEIGHT_RESPONSE',
+    rankDistanceScaleKm: 'DISPATCH_RANK_DISTANCE_SCALE_KM',
+  };
+  return parsePolicyValues(process.env, (key) => envNames[key], 'env');
+}
+
+function configRows() {
+  const raw = process.env.DISPATCH_POLICIES;
+  if (!raw || !String(raw).trim()) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed.map((r) => ({ is_active: true, priority: 0, ...r, source: 'config' })) : [];
+  } catch (e) {
+    console.warn('[DISPATCH] DISPATCH_POLICIES is not valid JSON; ignoring', e?.message || e);
+    return [];
+  }
+}
+
+async function fetchPolicyRows(supabase) {
+  if (cachedRows && Date.now() - cachedAt < CACHE_MS) return cachedRows;
+
+  try {
+    const { data, error } = await supabase.from('dispatch_policies').select('*').eq('is_active', true);
+    if (error) {
+      if (!/relation .*dispatch_policies.* does not exist/i.test(error.message || '')) {
+        console.warn('[DISPATCH] dispatch_policies_query_failed', error.message || error);
+      }
+      return cachedRows || [];
+    }
+    cachedRows = (data || []).map((r) => ({ ...r, source: 'db' }));
+    cachedAt = Date.now();
+    return cachedRows;
+  } catch {
+    return cachedRows || [];
+  }
+}
+
+function norm(v) {
+  return v == null ? '' : String(v).trim().toLowerCase();
+}
+
+function rowMatches(row, context) {
+  if (row.is_active === false) return false;
+  if (norm(row.region) && norm(row.region) !== norm(context.region)) return false;
+  if (norm(row.city)) {
+    const city = norm(row.city);
+    if (norm(context.city) !== city && !norm(context.address).includes(city)) return false;
+  }
+  if (row.min_total_quantity != null && !(context.totalQuantity >= Number(row.min_total_quantity))) return false;
+  if (row.max_total_quantity != null && !(context.totalQuantity <= Number(row.max_total_quantity))) return false;
+  return true;
+}
+
+// Build the matching context for a pickup from the pickup row and its items.
+function policyContext(pickup, items) {
+  const totalQuantity = (items || []).reduce((sum, it) => {
+    const q = Number(it?.estimated_quantity);
+    return Number.isFinite(q) && isWeighed(it?.scrap_types) ? sum + q : sum;
+  }, 0);
+
+  return {
+    region: pickup?.region || null,
+    city: pickup?.city || null,
+    address: pickup?.address || '',
+    totalQuantity,
+  };
+}
+
+// Resolve the effective policy for a pickup.
+// Returns { policy, matched } where matched lists the rows that were applied (for logs/inspection).
+async function resolveDispatchPolicy(supabase, context) {
+  const rows = [...configRows(), ...(await fetchPolicyRows(supabase))]
+    .filter((r) => rowMatches(r, context))
+    .sort((a, b) => (Number(a.priority) || 0) - (Number(b.priority) || 0));
+
+  let policy = { ...DEFAULT_POLICY, ...envPolicy() };
+  for (const row of rows) {
+    const label = `${row.source}:${row.name || row.id || 'unnamed'}`;
+    policy = { ...policy, ...parsePolicyValues(row, (key) => POLICY_COLUMNS[key], label) };
+  }
+
+  return { policy, matched: rows.map((r) => `${r.source}:${r.name || r.id || 'unnamed'}`) };
+}
+
+// Persisted policies (dispatch state) may predate newer keys; fill them from defaults.
+function withDefaults(policy) {
+  return { ...DEFAULT_POLICY, ...envPolicy(), ...(policy && typeof policy === 'object' ? policy : {}) };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  policyContext,
+  resolveDispatchPolicy,
+  withDefaults,
+};
@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const os = require('os');
+
+// Durable dispatch state (customer DB):
+// - pickup_dispatch_state: ranked candidates, cursor, round and a row-level lease
+// - pickup_offers: one row per offer sent, with its deadline and outcome
+// See supabase/migrations/006_dispatch_state.sql
+
+// Unique per process so leases taken by a crashed/restarted instance simply expire.
+const INSTANCE_ID = `${String(os.hostname() || 'host').replace(/[^a-zA-Z0-9_-]/g, '')}-${process.pid}-${crypto
+  .randomBytes(4)
+  .toString('hex')}`;
+
+// Long enough to cover one offer round-trip (HTTP timeout + DB writes).
+const LEASE_MS = 30 * 1000;
+
+function isMissingTable(error, table) {
+  const msg = error?.message || '';
+  return new RegExp(`relation .*${table}.* does not exist|Could not find the table .*${table}`, 'i').test(msg);
+}
+
+function storeError(error, table) {
+  if (isMissingTable(error, table)) {
+    return new Error(
+      `Missing table ${table}. Apply Supabase migration supabase/migrations/006_dispatch_state.sql then retry.`
+    );
+  }
+  return error instanceof Error ? error : new Error(error?.message || String(error));
+}
+
+async function loadState(supabase, pickupId) {
+  const { data, error } = await supabase
+    .from('pickup_dispatch_state')
+    .select('*')
+    .eq('pickup_id', pickupId)
+    .maybeSingle();
+
+  if (error) throw storeError(error, 'pickup_dispatch_state');
+  if (!data) return null;
+
+  return {
+    pickupId: data.pickup_id,
+    candidates: Array.isArray(data.candidates) ? data.candidates : [],
+    cursor: Number(data.cursor) || 0,
+    round: Number(data.round) || 0,
+    strategy: data.strategy || 'sequential',
+    waveSize: Number(data.wave_size) || 1,
+    policy: data.policy || null,
+    status: data.status,
+    leaseOwner: data.lease_owner,
+    leaseExpiresAt: data.lease_expires_at,
+    updatedAt: data.updated_at,
+  };
+}
+
+async function ensureStateRow(supabase, pickupId) {
+  const { error } = await supabase
+    .from('pickup_dispatch_state')
+    .upsert([{ pickup_id: pickupId, status: 'NEW' }], { onConflict: 'pickup_id', ignoreDuplicates: true });
+  if (error) throw storeError(error, 'pickup_dispatch_state');
+}
+
+// Atomically take (or renew) the lease for a pickup.
+// Returns true if this instance now holds it.
+async function acquireLease(supabase, pickupId) {
+  await ensureStateRow(supabase, pickupId);
+
+  const now = new Date();
+  const { data, error } = await supabase
+    .from('pickup_dispatch_state')
+    .update({ lease_owner: INSTANCE_ID, lease_expires_at: new Date(now.getTime() + LEASE_MS).toISOString() })
+    .eq('pickup_id', pickupId)
+    .or(`lease_owner.is.null,lease_expires_at.lt."${now.toISOString()}",lease_owner.eq."${INSTANCE_ID}"`)
+    .select('pickup_id')
+    .maybeSingle();
+
+  if (error) throw storeError(error, 'pickup_dispatch_state');
+  return Boolean(data);
+}
+
+async function releaseLease(supabase, pickupId) {
+  try {
+    await supabase
+      .from('pickup_dispatch_state')
+      .update({ lease_owner: null, lease_expires_at: null })
+      .eq('pickup_id', pickupId)
+      .eq('lease_owner', INSTANCE_ID);
+  } catch {
+    // Lease will expire on its own.
+  }
+}
+
+// Writes are fenced on the lease: if another instance took over, nothing is written.
+async function saveState(supabase, pickupId, patch) {
+  const row = {};
+  if (patch.candidates !== undefined) row.candidates = patch.candidates;
+  if (patch.cursor !== undefined) row.cursor = patch.cursor;
+  if (patch.round !== undefined) row.round = patch.round;
+  if (patch.status !== undefined) row.status = patch.status;
+  if (patch.strategy !== undefined) row.strategy = patch.strategy;
+  if (patch.waveSize !== undefined) row.wave_size = patch.waveSize;
+  if (patch.policy !== undefined) row.policy = patch.policy;
+
+  const { data, error } = await supabase
+    .from('pickup_dispatch_state')
+    .update(row)
+    .eq('pickup_id', pickupId)
+    .eq('lease_owner', INSTANCE_ID)
+    .select('pickup_id')
+    .maybeSingle();
+
+  if (error) throw storeError(error, 'pickup_dispatch_state');
+  return Boolean(data);
+}
+
+// Unfenced status change used when a pickup leaves dispatch (accepted, cancelled, completed).
+async function finishState(supabase, pickupId, status) {
+  try {
+    const { error } = await supabase
+      .from('pickup_dispatch_state')
+      .update({ status, lease_owner: null, lease_expires_at: null })
+      .eq('pickup_id', pickupId)
+      .eq('status', 'ACTIVE');
+
+    if (error && !isMissingTable(error, 'pickup_dispatch_state')) {
+      console.warn('[DISPATCH] dispatch_state_finish_failed', error.message || error);
+    }
+  } catch {
+    // ignore
+  }
+}
+
+// Inserts the offer row. Returns null if this vendor was already offered in this round,
+// which is what prevents re-offering after a restart.
+async function recordOffer(supabase, { pickupId, round, vendorRef, offerUrl, expiresAt }) {
+  const { data, error } = await supabase
+    .from('pickup_offers')
+    .insert([
+      {
+        pickup_id: pickupId,
+        round,
+        vendor_ref: String(vendorRef),
+        offer_url: offerUrl || null,
+        status: 'PENDING',
+        expires_at: expiresAt,
+      },
+    ])
+    .select('id,pickup_id,round,vendor_ref,status,offered_at,expires_at')
+    .maybeSingle();
+
+  if (error) {
+    if (/duplicate key value|pickup_offers_pickup_id_round_vendor_ref_key/i.test(error.message || '')) return null;
+    throw storeError(error, 'pickup_offers');
+  }
+  return data;
+}
+
+async function markOfferSent(supabase, offerId) {
+  try {
+    await supabase.from('pickup_offers').update({ sent_at: new Date().toISOString() }).eq('id', offerId);
+  } catch {
+    // ignore
+  }
+}
+
+// The vendor's PENDING, unexpired offer for this pickup (broadcast waves hold several at once).
+async function findPendingOffer(supabase, pickupId, vendorRef) {
+  const { data, error } = await supabase
+    .from('pickup_offers')
+    .select('id,pickup_id,round,vendor_ref,offer_url,offered_at,expires_at')
+    .eq('pickup_id', pickupId)
+    .eq('vendor_ref', String(vendorRef))
+    .eq('status', 'PENDING')
+    .gte('expires_at', new Date().toISOString())
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    if (!isMissingTable(error, 'pickup_offers')) console.warn('[DISPATCH] pending_offer_query_failed', error.message || error);
+    return null;
+  }
+  return data;
+}
+
+// A vendor's PENDING, unexpired offers across pickups, oldest first (pull-mode delivery).
+async function listPendingOffersForVendor(supabase, vendorRef, limit = 20) {
+  const { data, error } = await supabase
+    .from('pickup_offers')
+    .select('id,pickup_id,round,vendor_ref,offered_at,expires_at')
+    .eq('vendor_ref', String(vendorRef))
+    .eq('status', 'PENDING')
+    .gt('expires_at', new Date().toISOString())
+    .order('offered_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    if (!isMissingTable(error, 'pickup_offers')) console.warn('[DISPATCH] vendor_offer_query_failed', error.message || error);
+    return [];
+  }
+  return data || [];
+}
+
+async function countPendingOffers(supabase, pickupId) {
+  const { count, error } = await supabase
+    .from('pickup_offers')
+    .select('id', { count: 'exact', head: true })
+    .eq('pickup_id', pickupId)
+    .eq('status', 'PENDING');
+
+  if (error) return 0;
+  return count || 0;
+}
+
+// Moves PENDING offers to a final status. Filters: vendorRef, expiredBefore (ISO).
+async function closeOffers(supabase, pickupId, status, filters = {}) {
+  try {
+    let q = supabase
+      .from('pickup_offers')
+      .update({ status, responded_at: new Date().toISOString() })
+      .eq('pickup_id', pickupId)
+      .eq('status', 'PENDING');
+
+    if (filters.vendorRef != null) q = q.eq('vendor_ref', String(filters.vendorRef));
+    if (filters.expiredBefore) q = q.lt('expires_at', filters.expiredBefore);
+
+    const { data, error } = await q.select('id,round,vendor_ref,offer_url,offered_at,expires_at,responded_at');
+    if (error) {
+      if (!isMissingTable(error, 'pickup_offers')) console.warn('[DISPATCH] offer_close_failed', error.message || error);
+      return [];
+    }
+    return data || [];
+  } catch {
+    return [];
+  }
+}
+
+// Active dispatches with no offer out, nobody working on them (lease free/expired)
+// and not touched recently. The sweeper resumes these after a crash mid-dispatch.
+async function listStalledStates(supabase, olderThanMs, limit = 50) {
+  const now = Date.now();
+  const { data, error } = await supabase
+    .from('pickup_dispatch_state')
+    .select('pickup_id,cursor,round,updated_at,pickups!inner(status,assignment_expires_at)')
+    .eq('status', 'ACTIVE')
+    .is('pickups.assignment_expires_at', null)
+    .or(`lease_expires_at.is.null,lease_expires_at.lt."${new Date(now).toISOString()}"`)
+    .lt('updated_at', new Date(now - olderThanMs).toISOString())
+    .limit(limit);
+
+  if (error) {
+    if (!isMissingTable(error, 'pickup_dispatch_state')) {
+      console.warn('[DISPATCH] stalled_state_query_failed', error.message || error);
+    }
+    return [];
+  }
+  return data || [];
+}
+
+// Offers recorded but never acknowledged by the vendor while still unexpired:
+// the instance that prepared them died before (or while) sending.
+async function listUnsentOffers(supabase, olderThanMs, limit = 50) {
+  const now = Date.now();
+  const { data, error } = await supabase
+    .from('pickup_offers')
+    .select('id,pickup_id,round,vendor_ref,offer_url,expires_at')
+    .eq('status', 'PENDING')
+    .is('sent_at', null)
+    .lt('offered_at', new Date(now - olderThanMs).toISOString())
+    .gt('expires_at', new Date(now).toISOString())
+    .limit(limit);
+
+  if (error) {
+    if (!isMissingTable(error, 'pickup_offers')) console.warn('[DISPATCH] unsent_offer_query_failed', error.message || error);
+    return [];
+  }
+  return data || [];
+}
+
+module.exports = {
+  LEASE_MS,
+  INSTANCE_ID,
+  loadState,
+  acquireLease,
+  releaseLease,
+  saveState,
+  finishState,
+  recordOffer,
+  markOfferSent,
+  findPendingOffer,
+  listPendingOffersForVendor,
+  countPendingOffers,
+  closeOffers,
+  listStalledStates,
+  listUnsentOffers,
+  isMissingTable,
+};
@@ -1,27 +1,25 @@
-const fetch = require('node-fetch');
 const { createServiceClient } = require('../supabase/client');
-
-// In-memory dispatch state (timers, candidate lists)
-const dispatchState = new Map();
+const dispatchStore = require('./dispatchStore');
+const { policyContext, resolveDispatchPolicy, withDefaults } = require('./dispatchPolicy');
+const { pickupRequirement, checkVendorCapabilities } = require('./vendorCapabilities');
+const { checkServiceability } = require('./serviceAreas');
+const { classifyPresence } = require('./vendorPresence');
+const { fetchReliabilityStats, rankCandidates } = require('./vendorReliability');
+const { recordPickupEvent } = require('./pickupEvents');
+const { deliver } = require('./offerDelivery');
+const { signRequest } = require('../vendor/offerSignature');
+const { signingKeyFor } = require('../vendor/signingKeys');
+const { deliveryModeOf, notifyVendor } = require('./offerPull');
+const { findVendorBackend } = require('./vendorOfferUrl');
+const { STATUS, PickupTransitionError, isDispatchable, isTerminal, tryTransitionPickup } = require('./pickupStateMachine');
+const scheduler = require('./pickupScheduler');
+
+// Dispatch progress (candidates, cursor, offers, leases) lives in the DB (see dispatchStore).
+// Only offer timers are process-local: they are a fast path, the sweeper is the source of truth.
+const offerTimers = new Map();
 
 let sweeperTimer = null;
 
-function statusFindingVendor() { return 'FINDING_VENDOR'; }
-function statusAssigned() { return 'ASSIGNED'; }
-function statusOnTheWay() { return 'ON_THE_WAY'; }
-function statusNoVendorAvailable() { return 'NO_VENDOR_AVAILABLE'; }
-function statusCancelled() { return 'CANCELLED'; }
-function statusCompleted() { return 'COMPLETED'; }
-
-function isTerminalStatus(status) {
-  return (
-    status === statusAssigned() ||
-    status === statusOnTheWay() ||
-    status === statusCancelled() ||
-    status === statusCompleted()
-  );
-}
-
 function vendorIdOf(v) {
   const raw = v?.vendor_id || v?.vendor_ref || v?.id || 'unknown';
   return raw != null ? String(raw).trim() : 'unknown';
@@ -51,18 +49,26 @@ function offerUrlOf(v) {
   }
 }
 
-async function fetchScrapSummary(supabase, pickupId) {
-  // Optional enrichment: build a human-readable summary for the vendor UI.
+async function fetchPickupItems(supabase, pickupId) {
   try {
     const { data, error } = await supabase
       .from('pickups')
-      .select('id,pickup_items(estimated_quantity,scrap_type_id,scrap_types(name))')
+      .select('id,pickup_items(estimated_quantity,scrap_type_id,scrap_types(*))')
       .eq('id', pickupId)
       .maybeSingle();
 
-    if (error || !data) return null;
-    const items = data.pickup_items || [];
-    if (!Array.isArray(items) || items.length === 0) return null;
+    if (error || !data) return [];
+    return Array.isArray(data.pickup_items) ? data.pickup_items : [];
+  } catch {
+    return [];
+  }
+}
+
+async function fetchScrapSummary(supabase, pickupId) {
+  // Optional enrichment: build a human-readable summary for the vendor UI.
+  try {
+    const items = await fetchPickupItems(supabase, pickupId);
+    if (items.length === 0) return null;
 
     const parts = items
       .map((it) => {
@@ -98,8 +104,8 @@ function nowIso() {
   return new Date().toISOString();
 }
 
-function plusMinutesIso(minutes) {
-  return new Date(Date.now() + minutes * 60 * 1000).toISOString();
+function plusSecondsIso(seconds) {
+  return new Date(Date.now() + seconds * 1000).toISOString();
 }
 
 async function fetchRejectedVendorRefs(supabase, pickupId) {
@@ -156,7 +162,7 @@ async function fetchPickup(supabase, pickupId) {
   return data;
 }
 
-async function fetchVendors(supabase) {
+async function fetchVendors(supabase, limit = 500) {
   // Expected vendor_backends table (customer DB):
   // vendor_id/vendor_ref, latitude/last_latitude, longitude/last_longitude, offer_url, updated_at
   console.log('[DISPATCH] vendor_backends_query start');
@@ -164,9 +170,9 @@ async function fetchVendors(supabase) {
   let data;
   let error;
 
-  // NOTE: Availability filtering intentionally removed.
-  // We dispatch to any registered vendor backend row; offline vendors will naturally timeout.
-  ({ data, error } = await supabase.from('vendor_backends').select('*').limit(500));
+  // Presence filtering happens in dispatchPickup (after capability/radius checks)
+  // so stale vendors can still be used as a fallback.
+  ({ data, error } = await supabase.from('vendor_backends').select('*').limit(limit));
 
   if (error) {
     console.warn('[DISPATCH] vendor_backends_query failed:', error.message || error);
@@ -178,10 +184,48 @@ async function fetchVendors(supabase) {
   return list;
 }
 
-async function sendOfferToVendor(supabase, vendor, pickup) {
-  const url = offerUrlOf(vendor);
+// Offer body sent to (or fetched by) a vendor backend.
+async function buildOfferBody(supabase, vendorId, pickup) {
+  const requestId = String(pickup.id);
+
+  const latitude = Number(pickup.latitude ?? pickup.lat ?? null);
+  const longitude = Number(pickup.longitude ?? pickup.lon ?? pickup.lng ?? null);
+
+  const scrapSummary = await fetchScrapSummary(supabase, pickup.id);
+
+  const body = {
+    // Vendor backend SSE system expects these exact fields
+    vendor_id: vendorId,
+    request_id: requestId,
+    // Back-compat / convenience: some vendor clients expect pickupId
+    pickupId: requestId,
+    pickup_id: requestId,
+
+    latitude: Number.isFinite(latitude) ? latitude : null,
+    longitude: Number.isFinite(longitude) ? longitude : null,
+
+    ...(scrapSummary ? { scrap_summary: scrapSummary } : {}),
+  };
+
+  console.log(
+    `[DISPATCH] offer_payload pickupId=${pickup.id} vendor_id=${vendorId} request_id=${requestId} lat=${body.latitude} lon=${body.longitude} scrap=${scrapSummary ? 'yes' : 'no'}`
+  );
+  return body;
+}
+
+async function sendOfferToVendor(supabase, vendor, pickup, options = {}) {
+  const timeoutMs = options.timeoutMs || 10000;
+  const retries = options.retries || 0;
   const vendorId = vendorIdOf(vendor);
 
+  // Pull-mode vendors fetch the recorded offer themselves (GET /api/vendor/offers); just wake them up.
+  if (deliveryModeOf(vendor) === 'pull') {
+    notifyVendor(vendorId);
+    console.log(`[DISPATCH] offer_published pickupId=${pickup.id} vendor_id=${vendorId} mode=pull`);
+    return true;
+  }
+
+  const url = offerUrlOf(vendor);
   const urlCheck = validateOfferUrl(url);
   if (!urlCheck.ok) {
   // Allow localhost during local development
@@ -200,31 +244,35 @@ async function sendOfferToVendor(supabase, vendor, pickup) {
 
   console.log(`[DISPATCH] offer_url_used pickupId=${pickup.id} vendor_id=${vendorId} offer_url=${url}`);
 
-  const requestId = String(pickup.id);
+  const payload = JSON.stringify(await buildOfferBody(supabase, vendorId, pickup));
+  const signingKey = await signingKeyFor(supabase, vendorId);
 
-  const latitude = Number(pickup.latitude ?? pickup.lat ?? null);
-  const longitude = Number(pickup.longitude ?? pickup.lon ?? pickup.lng ?? null);
+  const result = await deliver(supabase, url, payload, {
+    kind: 'offer',
+    pickupId: pickup.id,
+    vendorRef: vendorId,
+    offerId: options.offerId,
+    headers: (attempt, deliveryId) => vendorRequestHeaders(payload, deliveryId, signingKey),
+    timeoutMs,
+    retries,
+    deadlineAt: options.deadlineAt,
+    deadLetter: true,
+  });
 
-  const scrapSummary = await fetchScrapSummary(supabase, pickup.id);
-
-  const body = {
-    // Vendor backend SSE system expects these exact fields
-    vendor_id: vendorId,
-    request_id: requestId,
-    // Back-compat / convenience: some vendor clients expect pickupId
-    pickupId: requestId,
-    pickup_id: requestId,
-
-    latitude: Number.isFinite(latitude) ? latitude : null,
-    longitude: Number.isFinite(longitude) ? longitude : null,
-
-    ...(scrapSummary ? { scrap_summary: scrapSummary } : {}),
-  };
+  if (!result.ok) throw new Error(result.circuitOpen ? `circuit_open for ${url}` : result.error || 'offer delivery failed');
 
   console.log(
-    `[DISPATCH] offer_payload pickupId=${pickup.id} vendor_id=${vendorId} request_id=${requestId} lat=${body.latitude} lon=${body.longitude} scrap=${scrapSummary ? 'yes' : 'no'}`
+    `[DISPATCH] offer_sent pickupId=${pickup.id} vendor_id=${vendorId} offer_url=${url} attempts=${result.attempts}`
   );
+  return true;
+}
 
+let unsignedWarned = false;
+
+// Outbound requests are signed like inbound callbacks (see vendor/offerSignature.js for the header contract),
+// with the vendor's own key when it has one (signingKey from signingKeyFor), else the shared secret.
+// The static VENDOR_API_TOKEN bearer is still sent for vendor backends that haven't moved to signatures yet.
+function vendorRequestHeaders(payload, deliveryId, signingKey) {
   const headers = { 'content-type': 'application/json' };
   const vendorApiToken = process.env.VENDOR_API_TOKEN;
   // Guard against accidentally shipping placeholder tokens.
@@ -232,33 +280,75 @@ async function sendOfferToVendor(supabase, vendor, pickup) {
     headers['authorization'] = `Bearer ${String(vendorApiToken).trim()}`;
   }
 
-  const payload = JSON.stringify(body);
-  console.log(`[DISPATCH] http_request_sent pickupId=${pickup.id} vendor_id=${vendorId} method=POST timeoutMs=10000 bytes=${Buffer.byteLength(payload)} url=${url}`);
+  const secret = process.env.VENDOR_WEBHOOK_SECRET;
+  if (signingKey) {
+    Object.assign(headers, signRequest(signingKey.secret, payload, { deliveryId, keyId: signingKey.keyId }));
+  } else if (secret) {
+    Object.assign(headers, signRequest(secret, payload, { deliveryId }));
+  } else if (!unsignedWarned) {
+    unsignedWarned = true;
+    console.warn('[DISPATCH] VENDOR_WEBHOOK_SECRET is not configured; outbound offers are sent unsigned');
+  }
+  return headers;
+}
 
-  const started = Date.now();
-  let resp;
+// Vendor Backend endpoints next to POST /api/offer: /api/offer/withdraw removes withdrawn offers,
+// /api/offer/update receives customer changes to a pickup the vendor holds.
+function offerSubUrl(offerUrl, action) {
+  if (!offerUrl) return null;
   try {
-    resp = await fetch(url, { method: 'POST', headers, body: payload, timeout: 10000 });
-  } catch (e) {
-    const elapsedMs = Date.now() - started;
-    console.warn(
-      `[DISPATCH] http_error pickupId=${pickup.id} vendor_id=${vendorId} elapsedMs=${elapsedMs} error=${e?.message || String(e)}`
-    );
-    throw e;
+    const u = new URL(offerUrl);
+    u.pathname = `${String(u.pathname || '').replace(/\/+$/, '')}/${action}`;
+    return u.toString();
+  } catch {
+    return null;
   }
+}
 
-  const elapsedMs = Date.now() - started;
-  console.log(`[DISPATCH] http_response pickupId=${pickup.id} vendor_id=${vendorId} status=${resp.status} ok=${resp.ok} elapsedMs=${elapsedMs}`);
+// Best-effort: tell a vendor backend that an offer it may still be showing is gone.
+async function sendOfferWithdrawal(supabase, offer, pickupId, reason) {
+  const url = offerSubUrl(offer?.offer_url, 'withdraw');
+  if (!url) return;
 
-  if (!resp.ok) {
-    const txt = await resp.text().catch(() => '');
-    const snippet = String(txt || '').slice(0, 800);
-    console.warn(`[DISPATCH] http_failure pickupId=${pickup.id} vendor_id=${vendorId} status=${resp.status} body=${snippet}`);
-    throw new Error(`Vendor responded ${resp.status}: ${snippet}`);
+  const requestId = String(pickupId);
+  const payload = JSON.stringify({
+    type: 'offer_withdrawn',
+    vendor_id: String(offer.vendor_ref),
+    request_id: requestId,
+    pickupId: requestId,
+    pickup_id: requestId,
+    reason,
+  });
+
+  // Shares the offer URL's circuit breaker: no point notifying a backend that is down.
+  const signingKey = await signingKeyFor(supabase, offer.vendor_ref);
+  const result = await deliver(supabase, url, payload, {
+    kind: 'withdrawal',
+    pickupId,
+    vendorRef: offer.vendor_ref,
+    offerId: offer.id,
+    headers: (attempt, deliveryId) => vendorRequestHeaders(payload, deliveryId, signingKey),
+    timeoutMs: 10000,
+    retries: 1,
+    breakerKey: offer.offer_url,
+  });
+  if (result.ok) {
+    console.log(`[DISPATCH] offer_withdrawn pickupId=${pickupId} vendor_id=${offer.vendor_ref} reason=${reason} status=${result.status}`);
+  } else {
+    console.warn(`[DISPATCH] offer_withdraw_failed pickupId=${pickupId} vendor_id=${offer.vendor_ref} error=${result.error}`);
   }
+}
 
-  console.log(`[DISPATCH] offer_sent pickupId=${pickup.id} vendor_id=${vendorId} offer_url=${url}`);
-  return true;
+// Close every PENDING offer for the pickup as WITHDRAWN and notify those vendors (fire-and-forget).
+async function withdrawOffers(supabase, pickupId, reason) {
+  const withdrawn = await dispatchStore.closeOffers(supabase, pickupId, 'WITHDRAWN');
+  for (const offer of withdrawn) {
+    await recordPickupEvent(supabase, pickupId, 'offer_withdrawn', { vendorRef: offer.vendor_ref, reason });
+    // Pull-mode offers have no offer_url; open streams drop them once woken.
+    if (!offer.offer_url) notifyVendor(offer.vendor_ref);
+    sendOfferWithdrawal(supabase, offer, pickupId, reason).catch(() => {});
+  }
+  return withdrawn;
 }
 
 async function dispatchPickup(pickupId, options = {}) {
@@ -273,195 +363,511 @@ async function dispatchPickup(pickupId, options = {}) {
     return;
   }
 
-  // Do not attempt dispatch for terminal statuses
-  if (isTerminalStatus(pickup.status)) {
+  // Only open, unassigned pickups are dispatched (see pickupStateMachine start_dispatch)
+  if (!isDispatchable(pickup.status)) {
     console.log(`[DISPATCH] dispatch_ignored_terminal pickupId=${pickupId} status=${pickup.status}`);
     return;
   }
 
   // If an active (unexpired) offer is already out, avoid restarting dispatch.
-  if (
-    pickup.status === statusFindingVendor() &&
-    pickup.assigned_vendor_ref &&
-    pickup.assignment_expires_at &&
-    new Date(pickup.assignment_expires_at) > new Date()
-  ) {
+  if (hasActiveOffer(pickup)) {
     console.log(
       `[DISPATCH] dispatch_ignored_active_offer pickupId=${pickupId} vendor_ref=${pickup.assigned_vendor_ref} expiresAt=${pickup.assignment_expires_at}`
     );
     return;
   }
 
-  // Set status to FINDING_VENDOR (but never clobber terminal states)
-  await supabase
-    .from('pickups')
-    .update({ status: statusFindingVendor() })
-    .eq('id', pickupId)
-    .in('status', ['REQUESTED', statusNoVendorAvailable(), statusFindingVendor()]);
-  console.log(`[DISPATCH] status_change pickupId=${pickupId} status=${statusFindingVendor()}`);
-
-  const vendors = await fetchVendors(supabase);
-  if (!vendors || vendors.length === 0) {
-    console.log(`[DISPATCH] no_vendors_available pickupId=${pickupId}`);
-    await supabase.from('pickups').update({ status: statusNoVendorAvailable() }).eq('id', pickupId);
+  // Only one instance may (re)build the candidate list for a pickup at a time.
+  if (!(await dispatchStore.acquireLease(supabase, pickupId))) {
+    console.log(`[DISPATCH] dispatch_ignored_leased pickupId=${pickupId}`);
     return;
   }
 
-  console.log(`[DISPATCH] vendors_loaded pickupId=${pickupId} count=${vendors.length}`);
+  try {
+    // Time slot still too far ahead: wait in SCHEDULED until the scheduler finds it due.
+    if (scheduler.isDeferred(pickup) && (await deferDispatch(supabase, pickup))) return;
 
-  const skipRefs = new Set((options.skipVendorRefs || []).map((x) => String(x)));
-  const persistedRejected = await fetchRejectedVendorRefs(supabase, pickupId);
-  for (const ref of persistedRejected) skipRefs.add(String(ref));
+    // Set status to FINDING_VENDOR (but never clobber a pickup that moved on meanwhile)
+    if (!(await tryTransitionPickup(supabase, pickupId, 'start_dispatch'))) {
+      console.log(`[DISPATCH] dispatch_ignored_status pickupId=${pickupId}`);
+      return;
+    }
 
-  // Compute distances
-  const px = Number(pickup.latitude) || Number(pickup.lat) || null;
-  const py = Number(pickup.longitude) || Number(pickup.lon) || Number(pickup.lng) || null;
+    const previous = await dispatchStore.loadState(supabase, pickupId);
+    const round = (previous?.round || 0) + 1;
 
-  const ranked = vendors
-    .map((v) => {
-      const vx = Number(v.last_latitude || v.latitude || v.lat || 0);
-      const vy = Number(v.last_longitude || v.longitude || v.lon || v.lng || 0);
-      const dist = px != null && py != null ? haversineDistanceKm(px, py, vx, vy) : Number.MAX_SAFE_INTEGER;
-      return { vendor: v, distanceKm: dist };
-    })
-    .sort((a, b) => a.distanceKm - b.distanceKm);
+    // Offers still pending from an earlier round are superseded by this one.
+    await withdrawOffers(supabase, pickupId, 'redispatch');
+    clearOfferTimer(pickupId);
 
-  const candidates = ranked
-    .map((r) => r.vendor)
-    .filter((v) => {
-      const ref = vendorIdOf(v);
-      if (!ref) return true;
-      return !skipRefs.has(String(ref));
+    const items = await fetchPickupItems(supabase, pickupId);
+    const context = policyContext(pickup, items);
+    if (!context.region) context.region = await serviceAreaRegion(supabase, pickup);
+    const { policy, matched } = await resolveDispatchPolicy(supabase, context);
+    const strategy = policy.strategy;
+    const waveSize = strategy === 'broadcast' ? policy.waveSize : 1;
+    console.log(
+      `[DISPATCH] policy_resolved pickupId=${pickupId} matched=${matched.join(',') || 'defaults'} strategy=${strategy} ttlSec=${policy.offerTtlSeconds} maxCandidates=${policy.maxCandidates ?? 'all'} maxRadiusKm=${policy.maxRadiusKm ?? 'none'}`
+    );
+    await recordPickupEvent(supabase, pickupId, 'dispatch_started', {
+      fromStatus: pickup.status,
+      toStatus: STATUS.FINDING_VENDOR,
+      data: { round, strategy, waveSize, offerTtlSeconds: policy.offerTtlSeconds, policies: matched },
     });
 
-  console.log(
-    `[DISPATCH] candidates_ranked pickupId=${pickupId} count=${candidates.length} top=${candidates
-      .slice(0, 3)
-      .map((v) => `${vendorIdOf(v)}@${offerUrlOf(v) || 'no_url'}`)
-      .join(',')}`
-  );
+    const vendors = await fetchVendors(supabase, policy.vendorQueryLimit);
+    if (!vendors || vendors.length === 0) {
+      console.log(`[DISPATCH] no_vendors_available pickupId=${pickupId}`);
+      await tryTransitionPickup(supabase, pickupId, 'no_vendor');
+      await recordPickupEvent(supabase, pickupId, 'no_vendor_available', {
+        reason: 'no_vendors_registered',
+        fromStatus: STATUS.FINDING_VENDOR,
+        toStatus: STATUS.NO_VENDOR_AVAILABLE,
+        data: { round },
+      });
+      await dispatchStore.saveState(supabase, pickupId, { candidates: [], cursor: 0, round, policy, status: 'EXHAUSTED' });
+      return;
+    }
+
+    console.log(
+      `[DISPATCH] vendors_loaded pickupId=${pickupId} count=${vendors.length} items=${items.length} totalQty=${pickupRequirement(items).totalKg}`
+    );
+
+    const skipRefs = new Set((options.skipVendorRefs || []).map((x) => String(x)));
+    const persistedRejected = await fetchRejectedVendorRefs(supabase, pickupId);
+    for (const ref of persistedRejected) skipRefs.add(String(ref));
+
+    // Compute distances
+    const px = Number(pickup.latitude) || Number(pickup.lat) || null;
+    const py = Number(pickup.longitude) || Number(pickup.lon) || Number(pickup.lng) || null;
+
+    // Why vendors were dropped, for the pickup timeline.
+    const filtered = { capability: 0, rejected: 0, radius: 0, presence: 0 };
 
-  // Save dispatch state
-  if (dispatchState.has(pickupId)) {
-    // clear previous timers
-    const prev = dispatchState.get(pickupId);
-    if (prev.timer) clearTimeout(prev.timer);
+    // Drop vendors that would always reject (scrap types they don't buy, load they can't carry).
+    const requirement = pickupRequirement(items);
+    const capable = vendors.filter((v) => {
+      const check = checkVendorCapabilities(v, requirement);
+      if (!check.ok) {
+        filtered.capability += 1;
+        console.log(`[DISPATCH] vendor_filtered_capability pickupId=${pickupId} vendor_id=${vendorIdOf(v)} reason=${check.reason}`);
+      }
+      return check.ok;
+    });
+
+    const ranked = capable
+      .map((v) => {
+        const vx = Number(v.last_latitude || v.latitude || v.lat || 0);
+        const vy = Number(v.last_longitude || v.longitude || v.lon || v.lng || 0);
+        const dist = px != null && py != null ? haversineDistanceKm(px, py, vx, vy) : Number.MAX_SAFE_INTEGER;
+        return { vendor: v, distanceKm: dist };
+      })
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+
+    // Persisted shape: only what is needed to send an offer later (from any instance).
+    const eligible = ranked
+      .filter((r) => {
+        const ref = vendorIdOf(r.vendor);
+        if (!ref || !skipRefs.has(String(ref))) return true;
+        filtered.rejected += 1;
+        return false;
+      })
+      // Radius limits (policy-wide and the vendor's own) only apply when the pickup has coordinates.
+      .filter((r) => {
+        if (r.distanceKm === Number.MAX_SAFE_INTEGER) return true;
+        if (policy.maxRadiusKm != null && r.distanceKm > policy.maxRadiusKm) {
+          filtered.radius += 1;
+          return false;
+        }
+        const vendorRadius = r.vendor.service_radius_km != null ? Number(r.vendor.service_radius_km) : null;
+        if (Number.isFinite(vendorRadius) && r.distanceKm > vendorRadius) {
+          filtered.radius += 1;
+          console.log(
+            `[DISPATCH] vendor_filtered_radius pickupId=${pickupId} vendor_id=${vendorIdOf(r.vendor)} distanceKm=${r.distanceKm.toFixed(1)} radiusKm=${vendorRadius}`
+          );
+          return false;
+        }
+        return true;
+      })
+      .map((r) => ({ ...r, presence: classifyPresence(r.vendor, policy.presenceStaleSeconds * 1000) }))
+      .filter((r) => {
+        if (r.presence === 'present' || r.presence === 'stale') return true;
+        filtered.presence += 1;
+        console.log(`[DISPATCH] vendor_filtered_presence pickupId=${pickupId} vendor_id=${vendorIdOf(r.vendor)} presence=${r.presence}`);
+        return false;
+      });
+
+    // Offer to vendors with a fresh heartbeat; stale ones only when nobody fresh is available.
+    const present = eligible.filter((r) => r.presence === 'present');
+    if (!present.length && eligible.length) {
+      console.log(`[DISPATCH] presence_fallback_stale pickupId=${pickupId} count=${eligible.length}`);
+    }
+    const pool = present.length ? present : eligible;
+
+    // Blend distance with each vendor's recent offer/job history (weights from the policy).
+    const stats = await fetchReliabilityStats(
+      supabase,
+      pool.map((r) => vendorIdOf(r.vendor)),
+      policy.reliabilityWindowDays
+    );
+    const scored = rankCandidates(pool, stats, policy, vendorIdOf);
+
+    const candidates = scored
+      .slice(0, policy.maxCandidates || undefined)
+      .map((r) => ({
+        vendor_ref: vendorIdOf(r.vendor),
+        delivery_mode: deliveryModeOf(r.vendor),
+        offer_url: deliveryModeOf(r.vendor) === 'pull' ? null : offerUrlOf(r.vendor),
+        distance_km: Number.isFinite(r.distanceKm) && r.distanceKm !== Number.MAX_SAFE_INTEGER ? r.distanceKm : null,
+        vehicle_type: r.vendor.vehicle_type || null,
+        presence: r.presence,
+        score: r.score,
+        score_components: r.components,
+      }));
+
+    console.log(
+      `[DISPATCH] candidates_ranked pickupId=${pickupId} round=${round} strategy=${strategy} waveSize=${waveSize} count=${candidates.length} top=${candidates
+        .slice(0, 3)
+        .map((c) => `${c.vendor_ref}@${c.offer_url || 'no_url'}(score=${c.score})`)
+        .join(',')}`
+    );
+
+    await recordPickupEvent(supabase, pickupId, 'candidates_ranked', {
+      data: {
+        round,
+        vendorsLoaded: vendors.length,
+        filtered,
+        staleFallback: !present.length && eligible.length > 0,
+        count: candidates.length,
+        top: candidates.slice(0, 5).map((c) => ({ vendor_ref: c.vendor_ref, score: c.score, distance_km: c.distance_km })),
+      },
+    });
+
+    const saved = await dispatchStore.saveState(supabase, pickupId, {
+      candidates,
+      cursor: 0,
+      round,
+      strategy,
+      waveSize,
+      policy,
+      status: 'ACTIVE',
+    });
+    if (!saved) {
+      console.warn(`[DISPATCH] dispatch_lease_lost pickupId=${pickupId}`);
+      return;
+    }
+
+    // try first candidate
+    await advanceDispatch(supabase, pickupId);
+  } finally {
+    await dispatchStore.releaseLease(supabase, pickupId);
+  }
+}
+
+// Park a pickup whose slot is beyond the dispatch lead time (see services/pickupScheduler.js).
+// Returns false when it should be dispatched right away instead (SCHEDULED not migrated).
+async function deferDispatch(supabase, pickup) {
+  const dispatchAt = new Date(scheduler.dispatchTimeOf(pickup)).toISOString();
+  if (pickup.status === STATUS.SCHEDULED) {
+    console.log(`[DISPATCH] dispatch_deferred pickupId=${pickup.id} dispatchAt=${dispatchAt}`);
+    return true;
   }
 
-  const state = { pickupId, candidates, index: 0, timer: null, rejectedVendorRefs: new Set() };
-  dispatchState.set(pickupId, state);
+  try {
+    if (!(await tryTransitionPickup(supabase, pickup.id, 'schedule'))) {
+      console.log(`[DISPATCH] dispatch_ignored_status pickupId=${pickup.id}`);
+      return true;
+    }
+  } catch (e) {
+    if (e instanceof PickupTransitionError && e.code === 'STATUS_NOT_ENABLED') {
+      console.warn(`[DISPATCH] schedule_unavailable pickupId=${pickup.id}; dispatching now (${e.message})`);
+      return false;
+    }
+    throw e;
+  }
 
-  // try first candidate
-  await tryOfferNext(pickupId);
+  console.log(`[DISPATCH] pickup_scheduled pickupId=${pickup.id} slotStart=${pickup.slot_start} dispatchAt=${dispatchAt}`);
+  await recordPickupEvent(supabase, pickup.id, 'pickup_scheduled', {
+    fromStatus: pickup.status,
+    toStatus: STATUS.SCHEDULED,
+    data: { slotStart: pickup.slot_start, dispatchAt },
+  });
+  return true;
 }
 
-async function tryOfferNext(pickupId) {
-  const supabase = createServiceClient();
-  const state = dispatchState.get(pickupId);
-  if (!state) return;
+// Region label of the service area containing the pickup (used to match dispatch policies).
+async function serviceAreaRegion(supabase, pickup) {
+  const lat = Number(pickup.latitude);
+  const lng = Number(pickup.longitude);
+  if (pickup.latitude == null || pickup.longitude == null || !Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  try {
+    const check = await checkServiceability(supabase, lat, lng);
+    return check.area?.region || null;
+  } catch {
+    return null;
+  }
+}
 
-  async function clearExpiredOfferIfAny() {
-    const now = nowIso();
-    await supabase
-      .from('pickups')
-      .update({ assigned_vendor_ref: null, assignment_expires_at: null })
-      .eq('id', pickupId)
-      .eq('status', statusFindingVendor())
-      .not('assignment_expires_at', 'is', null)
-      .lt('assignment_expires_at', now);
+// A sequential offer holds the pickup via assigned_vendor_ref + assignment_expires_at;
+// a broadcast wave holds it via assignment_expires_at alone.
+function hasActiveOffer(pickup) {
+  return Boolean(
+    pickup &&
+      pickup.status === STATUS.FINDING_VENDOR &&
+      pickup.assignment_expires_at &&
+      new Date(pickup.assignment_expires_at) > new Date()
+  );
+}
+
+function scheduleOfferTimeout(pickupId, vendorRef, delayMs) {
+  clearOfferTimer(pickupId);
+  const timer = setTimeout(() => {
+    offerTimers.delete(pickupId);
+    handleOfferTimeout(pickupId, { vendor_ref: vendorRef });
+  }, delayMs);
+  offerTimers.set(pickupId, timer);
+}
+
+function clearOfferTimer(pickupId) {
+  const timer = offerTimers.get(pickupId);
+  if (timer) clearTimeout(timer);
+  offerTimers.delete(pickupId);
+}
+
+async function clearExpiredOfferIfAny(supabase, pickupId) {
+  const now = nowIso();
+  await supabase
+    .from('pickups')
+    .update({ assigned_vendor_ref: null, assignment_expires_at: null })
+    .eq('id', pickupId)
+    .eq('status', STATUS.FINDING_VENDOR)
+    .not('assignment_expires_at', 'is', null)
+    .lt('assignment_expires_at', now);
+  await expireOffers(supabase, pickupId, now);
+}
+
+// Close offers past their deadline as EXPIRED and put them on the timeline.
+async function expireOffers(supabase, pickupId, now) {
+  const expired = await dispatchStore.closeOffers(supabase, pickupId, 'EXPIRED', { expiredBefore: now });
+  for (const offer of expired) {
+    await recordPickupEvent(supabase, pickupId, 'offer_expired', {
+      vendorRef: offer.vendor_ref,
+      reason: 'no_response_before_deadline',
+      data: { round: offer.round, expiresAt: offer.expires_at },
+    });
   }
+  return expired;
+}
 
-  while (state.index < state.candidates.length) {
-    const vendor = state.candidates[state.index];
-    const vendorId = vendorIdOf(vendor);
-    if (state.rejectedVendorRefs && state.rejectedVendorRefs.has(String(vendorId))) {
-      console.log(`[DISPATCH] vendor_skipped_rejected pickupId=${pickupId} vendor_id=${vendorId}`);
-      state.index += 1;
+// Release the offer slot on the pickup (holder = vendor ref for sequential, null for a broadcast wave),
+// so the next candidate can be offered right away instead of after expiry.
+async function releaseOfferSlot(supabase, pickupId, holder) {
+  let q = supabase
+    .from('pickups')
+    .update({ assigned_vendor_ref: null, assignment_expires_at: null })
+    .eq('id', pickupId)
+    .eq('status', STATUS.FINDING_VENDOR);
+  q = holder ? q.eq('assigned_vendor_ref', String(holder)) : q.is('assigned_vendor_ref', null);
+  await q;
+}
+
+// Walks the persisted candidate list from the cursor until an offer (sequential) or
+// a wave of offers (broadcast) is out. Caller must hold the dispatch lease for this pickup.
+async function advanceDispatch(supabase, pickupId) {
+  const state = await dispatchStore.loadState(supabase, pickupId);
+  if (!state || state.status !== 'ACTIVE') return;
+
+  const policy = withDefaults(state.policy);
+  const broadcast = state.strategy === 'broadcast';
+  const waveSize = broadcast ? Math.max(1, state.waveSize) : 1;
+  const rejected = await fetchRejectedVendorRefs(supabase, pickupId);
+  let cursor = state.cursor;
+
+  while (cursor < state.candidates.length) {
+    // Next wave: up to waveSize candidates from the cursor that haven't rejected this pickup.
+    const wave = [];
+    let next = cursor;
+    while (next < state.candidates.length && wave.length < waveSize) {
+      const vendor = state.candidates[next];
+      next += 1;
+      if (rejected.has(String(vendorIdOf(vendor)))) {
+        console.log(`[DISPATCH] vendor_skipped_rejected pickupId=${pickupId} vendor_id=${vendorIdOf(vendor)}`);
+        continue;
+      }
+      console.log(
+        `[DISPATCH] vendor_selected pickupId=${pickupId} index=${next}/${state.candidates.length} vendor_id=${vendorIdOf(vendor)} offer_url=${offerUrlOf(vendor) || ''}`
+      );
+      wave.push(vendor);
+    }
+
+    if (!wave.length) {
+      cursor = next;
+      await dispatchStore.saveState(supabase, pickupId, { cursor });
       continue;
     }
-    const offerUrl = offerUrlOf(vendor);
-    console.log(
-      `[DISPATCH] vendor_selected pickupId=${pickupId} index=${state.index + 1}/${state.candidates.length} vendor_id=${vendorId} offer_url=${offerUrl || ''}`
-    );
-    try {
-      // Ensure we never overwrite an active (unexpired) offer.
-      await clearExpiredOfferIfAny();
-
-      // set assigned vendor ref and assignment_expires_at
-      const expiresAt = plusMinutesIso(2);
-      const { data: offered, error: offerErr } = await supabase
-        .from('pickups')
-        .update({
-          assigned_vendor_ref: vendorId,
-          assignment_expires_at: expiresAt,
-          status: statusFindingVendor(),
-        })
-        .eq('id', pickupId)
-        .eq('status', statusFindingVendor())
-        .is('assigned_vendor_ref', null)
-        .select('id,status,assigned_vendor_ref,assignment_expires_at')
-        .maybeSingle();
-
-      if (offerErr) throw offerErr;
-      if (!offered) {
-        const currentPickup = await fetchPickup(supabase, pickupId);
-        if (!currentPickup) return;
-        if (isTerminalStatus(currentPickup.status)) {
-          console.log(`[DISPATCH] offer_aborted_terminal pickupId=${pickupId} status=${currentPickup.status}`);
-          if (state.timer) clearTimeout(state.timer);
-          dispatchState.delete(pickupId);
-          return;
-        }
 
-        // Another worker/timer may already have an active offer out.
-        if (
-          currentPickup.status === statusFindingVendor() &&
-          currentPickup.assigned_vendor_ref &&
-          currentPickup.assignment_expires_at &&
-          new Date(currentPickup.assignment_expires_at) > new Date()
-        ) {
-          console.log(
-            `[DISPATCH] offer_skipped_active_offer pickupId=${pickupId} vendor_ref=${currentPickup.assigned_vendor_ref} expiresAt=${currentPickup.assignment_expires_at}`
-          );
-          return;
-        }
+    // Ensure we never overwrite an active (unexpired) offer.
+    await clearExpiredOfferIfAny(supabase, pickupId);
 
-        // Otherwise, advance and keep trying.
-        state.index += 1;
-        continue;
+    // Claim the pickup's offer slot (assigned vendor for sequential, wave expiry for broadcast).
+    const holder = broadcast ? null : vendorIdOf(wave[0]);
+    const expiresAt = plusSecondsIso(policy.offerTtlSeconds);
+    const { data: claimed, error: claimErr } = await supabase
+      .from('pickups')
+      .update({
+        assigned_vendor_ref: holder,
+        assignment_expires_at: expiresAt,
+        status: STATUS.FINDING_VENDOR,
+      })
+      .eq('id', pickupId)
+      .eq('status', STATUS.FINDING_VENDOR)
+      .is('assigned_vendor_ref', null)
+      .is('assignment_expires_at', null)
+      .select('id,status,assigned_vendor_ref,assignment_expires_at')
+      .maybeSingle();
+
+    if (claimErr) throw claimErr;
+    if (!claimed) {
+      const currentPickup = await fetchPickup(supabase, pickupId);
+      if (!currentPickup) return;
+      if (!isDispatchable(currentPickup.status)) {
+        console.log(`[DISPATCH] offer_aborted_terminal pickupId=${pickupId} status=${currentPickup.status}`);
+        clearOfferTimer(pickupId);
+        await dispatchStore.finishState(supabase, pickupId, 'DONE');
+        return;
       }
 
-      console.log(`[DISPATCH] offer_prepared pickupId=${pickupId} vendor_id=${vendorId} expiresAt=${expiresAt}`);
+      // Another worker/timer may already have an active offer out.
+      if (hasActiveOffer(currentPickup)) {
+        console.log(
+          `[DISPATCH] offer_skipped_active_offer pickupId=${pickupId} vendor_ref=${currentPickup.assigned_vendor_ref || 'wave'} expiresAt=${currentPickup.assignment_expires_at}`
+        );
+        return;
+      }
 
-      // send offer
-      const pickup = await fetchPickup(supabase, pickupId);
-      await sendOfferToVendor(supabase, vendor, pickup);
+      console.log(`[DISPATCH] offer_aborted_status pickupId=${pickupId} status=${currentPickup.status}`);
+      return;
+    }
 
-      // set timer to handle timeout
-      if (state.timer) clearTimeout(state.timer);
-      state.timer = setTimeout(() => {
-        handleOfferTimeout(pickupId, vendor);
-      }, 2 * 60 * 1000 + 1000);
+    // Persist the offers and move the cursor past these vendors BEFORE sending,
+    // so a restart (or another instance) never offers to them twice.
+    const prepared = [];
+    for (const vendor of wave) {
+      const offer = await dispatchStore.recordOffer(supabase, {
+        pickupId,
+        round: state.round,
+        vendorRef: vendorIdOf(vendor),
+        offerUrl: offerUrlOf(vendor),
+        expiresAt,
+      });
+      if (!offer) {
+        console.log(
+          `[DISPATCH] vendor_skipped_already_offered pickupId=${pickupId} vendor_id=${vendorIdOf(vendor)} round=${state.round}`
+        );
+        continue;
+      }
+      prepared.push({ vendor, offer });
+    }
 
-      // store updated state
-      dispatchState.set(pickupId, state);
+    cursor = next;
+    if (!(await dispatchStore.saveState(supabase, pickupId, { cursor }))) {
+      console.warn(`[DISPATCH] dispatch_lease_lost pickupId=${pickupId}`);
       return;
-    } catch (err) {
-      console.warn(
-        `[DISPATCH] offer_failed pickupId=${pickupId} vendor_id=${vendorId} error=${err?.message || String(err)}`
-      );
-      // move to next
-      state.index += 1;
+    }
+
+    if (!prepared.length) {
+      await releaseOfferSlot(supabase, pickupId, holder);
       continue;
     }
+
+    for (const { vendor } of prepared) {
+      console.log(`[DISPATCH] offer_prepared pickupId=${pickupId} vendor_id=${vendorIdOf(vendor)} expiresAt=${expiresAt}`);
+    }
+
+    // send offers (a broadcast wave goes out in parallel)
+    const pickup = await fetchPickup(supabase, pickupId);
+    // Retries must finish while the offer is still open and before our lease runs out.
+    const sendDeadline = Math.min(new Date(expiresAt).getTime(), Date.now() + dispatchStore.LEASE_MS - 5000);
+    const delivered = await Promise.all(
+      prepared.map(async ({ vendor, offer }) => {
+        try {
+          await sendOfferToVendor(supabase, vendor, pickup, {
+            timeoutMs: policy.httpTimeoutMs,
+            retries: policy.offerRetries,
+            offerId: offer.id,
+            deadlineAt: sendDeadline,
+          });
+          await dispatchStore.markOfferSent(supabase, offer.id);
+          await recordPickupEvent(supabase, pickupId, 'offer_sent', {
+            vendorRef: vendorIdOf(vendor),
+            data: { round: state.round, strategy: state.strategy, expiresAt, score: vendor.score ?? null },
+          });
+          return true;
+        } catch (err) {
+          console.warn(
+            `[DISPATCH] offer_failed pickupId=${pickupId} vendor_id=${vendorIdOf(vendor)} error=${err?.message || String(err)}`
+          );
+          await dispatchStore.closeOffers(supabase, pickupId, 'FAILED', { vendorRef: vendorIdOf(vendor) });
+          await recordPickupEvent(supabase, pickupId, 'offer_failed', {
+            vendorRef: vendorIdOf(vendor),
+            reason: err?.message || String(err),
+            data: { round: state.round },
+          });
+          return false;
+        }
+      })
+    );
+
+    if (delivered.some(Boolean)) {
+      // Local timer is only a fast path; the sweeper enforces expiry from the DB on any instance.
+      scheduleOfferTimeout(pickupId, holder, new Date(expiresAt).getTime() - Date.now() + 1000);
+      return;
+    }
+
+    // Nobody in this wave could be reached: free the slot and move to the next candidates now.
+    await releaseOfferSlot(supabase, pickupId, holder);
   }
 
   // Exhausted candidates
-  await supabase
-    .from('pickups')
-    .update({ status: statusNoVendorAvailable(), assigned_vendor_ref: null, assignment_expires_at: null })
-    .eq('id', pickupId);
-  dispatchState.delete(pickupId);
+  console.log(`[DISPATCH] candidates_exhausted pickupId=${pickupId} round=${state.round}`);
+  const exhausted = await tryTransitionPickup(supabase, pickupId, 'no_vendor');
+  await dispatchStore.saveState(supabase, pickupId, { status: 'EXHAUSTED' });
+  if (exhausted) {
+    await recordPickupEvent(supabase, pickupId, 'no_vendor_available', {
+      reason: state.candidates.length ? 'candidates_exhausted' : 'no_eligible_vendors',
+      fromStatus: STATUS.FINDING_VENDOR,
+      toStatus: STATUS.NO_VENDOR_AVAILABLE,
+      data: { round: state.round, candidates: state.candidates.length },
+    });
+  }
+}
+
+async function tryOfferNext(pickupId) {
+  const supabase = createServiceClient();
+
+  if (!(await dispatchStore.acquireLease(supabase, pickupId))) {
+    console.log(`[DISPATCH] offer_next_ignored_leased pickupId=${pickupId}`);
+    return;
+  }
+
+  try {
+    await advanceDispatch(supabase, pickupId);
+  } finally {
+    await dispatchStore.releaseLease(supabase, pickupId);
+  }
+}
+
+// Continue dispatch from the persisted cursor, or rebuild it if there is none
+// (pickups dispatched before durable state existed, or a stopped/exhausted run).
+async function continueDispatch(supabase, pickupId, skipVendorRefs) {
+  const state = await dispatchStore.loadState(supabase, pickupId);
+  if (state && state.status === 'ACTIVE') {
+    await tryOfferNext(pickupId);
+    return { advanced: true };
+  }
+
+  await dispatchPickup(pickupId, { skipVendorRefs });
+  return { restarted: true };
 }
 
 async function handleOfferTimeout(pickupId, vendor) {
@@ -470,48 +876,39 @@ async function handleOfferTimeout(pickupId, vendor) {
     const { data: pickup } = await supabase.from('pickups').select('*').eq('id', pickupId).maybeSingle();
     if (!pickup) return;
 
-    // If pickup already assigned, do nothing
-    if (pickup.status === statusAssigned() || pickup.status === statusOnTheWay()) {
-      dispatchState.delete(pickupId);
-      return;
-    }
-
-    // If pickup is cancelled/completed, stop dispatching
-    if (pickup.status === statusCancelled() || pickup.status === statusCompleted()) {
-      dispatchState.delete(pickupId);
+    // Assigned (DONE) or cancelled/completed (STOPPED): nothing left to dispatch
+    if (!isDispatchable(pickup.status)) {
+      clearOfferTimer(pickupId);
+      await dispatchStore.finishState(supabase, pickupId, isTerminal(pickup.status) ? 'STOPPED' : 'DONE');
       return;
     }
 
     // If assignment_expires_at is in the future, don't expire yet
     if (pickup.assignment_expires_at && new Date(pickup.assignment_expires_at) > new Date()) return;
 
-    // Clear the expired offer only if it still matches the vendor we offered.
-    const offeredVendorRef = vendorIdOf(vendor);
+    // Clear the expired offer only if it is still the one that timed out
+    // (a vendor ref for sequential offers, no ref for a broadcast wave).
+    const offeredVendorRef = pickup.assigned_vendor_ref || vendor?.vendor_ref || null;
     const now = nowIso();
-    await supabase
+    let clearQuery = supabase
       .from('pickups')
       .update({ assigned_vendor_ref: null, assignment_expires_at: null })
       .eq('id', pickupId)
-      .eq('status', statusFindingVendor())
-      .eq('assigned_vendor_ref', offeredVendorRef)
+      .eq('status', STATUS.FINDING_VENDOR)
       .not('assignment_expires_at', 'is', null)
       .lt('assignment_expires_at', now);
-
-    // Mark vendor as timed out (no history), move to next
-    const state = dispatchState.get(pickupId);
-    if (state) {
-      state.index += 1;
-      await tryOfferNext(pickupId);
-      return;
+    clearQuery = offeredVendorRef
+      ? clearQuery.eq('assigned_vendor_ref', String(offeredVendorRef))
+      : clearQuery.is('assigned_vendor_ref', null);
+    await clearQuery;
+
+    const expired = await expireOffers(supabase, pickupId, now);
+    if (expired.length) {
+      console.log(`[DISPATCH] offer_timeout pickupId=${pickupId} vendor_id=${expired.map((o) => o.vendor_ref).join(',')}`);
     }
 
-    // If server restarted and we lost in-memory state, restart dispatch while skipping
-    // the vendor that was last offered.
-    if (pickup.assigned_vendor_ref) {
-      await dispatchPickup(pickupId, { skipVendorRefs: [pickup.assigned_vendor_ref] });
-    } else {
-      await dispatchPickup(pickupId);
-    }
+    // Move to next candidate (the expired vendor is already behind the cursor).
+    await continueDispatch(supabase, pickupId, offeredVendorRef ? [offeredVendorRef] : []);
   } catch (e) {
     console.error('handleOfferTimeout failed', e);
   }
@@ -524,28 +921,184 @@ async function confirmVendorAcceptance(pickupId, assignedVendorRef) {
   const now = nowIso();
 
   // Atomic assignment: succeed only if this vendor is currently offered and unexpired.
-  const { data, error } = await supabase
+  const assign = (guard) =>
+    tryTransitionPickup(supabase, pickupId, 'assign', {
+      actor: 'vendor',
+      patch: { assigned_vendor_ref: assignedVendorRef },
+      guard: (q) => guard(q).gte('assignment_expires_at', now),
+      select: 'id,status,assigned_vendor_ref',
+    });
+
+  let data = await assign((q) => q.eq('assigned_vendor_ref', assignedVendorRef));
+
+  if (!data && (await dispatchStore.findPendingOffer(supabase, pickupId, assignedVendorRef))) {
+    // Broadcast wave: first accept wins. The conditional update on an unheld, unexpired wave
+    // is atomic, so a second vendor accepting concurrently matches no row.
+    data = await assign((q) => q.is('assigned_vendor_ref', null));
+  }
+
+  if (!data) {
+    // Late accept / mismatched vendor / cancelled / already assigned.
+    return null;
+  }
+
+  clearOfferTimer(pickupId);
+  await dispatchStore.closeOffers(supabase, pickupId, 'ACCEPTED', { vendorRef: assignedVendorRef });
+  await recordPickupEvent(supabase, pickupId, 'vendor_assigned', {
+    actor: 'vendor',
+    vendorRef: assignedVendorRef,
+    fromStatus: STATUS.FINDING_VENDOR,
+    toStatus: STATUS.ASSIGNED,
+  });
+  await withdrawOffers(supabase, pickupId, 'assigned_to_another_vendor');
+  await dispatchStore.finishState(supabase, pickupId, 'DONE');
+
+  return data;
+}
+
+async function handleVendorRejection(pickupId, assignedVendorRef) {
+  const supabase = createServiceClient();
+
+  // Record rejection (best-effort; does not block redispatch)
+  await recordVendorRejection(supabase, pickupId, assignedVendorRef);
+
+  // Atomically clear the assignment only if this vendor is currently offered.
+  const { data: cleared, error } = await supabase
     .from('pickups')
-    .update({ status: statusAssigned(), assigned_vendor_ref: assignedVendorRef, assignment_expires_at: null })
+    .update({ assigned_vendor_ref: null, assignment_expires_at: null, status: STATUS.FINDING_VENDOR })
     .eq('id', pickupId)
+    .eq('status', STATUS.FINDING_VENDOR)
     .eq('assigned_vendor_ref', assignedVendorRef)
-    .eq('status', statusFindingVendor())
-    .gte('assignment_expires_at', now)
     .select('id,status,assigned_vendor_ref')
     .maybeSingle();
 
   if (error) throw error;
-  if (!data) {
-    // Late accept / mismatched vendor / cancelled / already assigned.
-    return null;
+  if (!cleared) {
+    // Broadcast wave: the vendor holds a pending offer but not the pickup itself.
+    const closed = await dispatchStore.closeOffers(supabase, pickupId, 'REJECTED', { vendorRef: assignedVendorRef });
+    if (!closed.length) {
+      // Late reject or mismatched vendor; ignore.
+      return null;
+    }
+    await recordPickupEvent(supabase, pickupId, 'offer_rejected', { actor: 'vendor', vendorRef: assignedVendorRef });
+
+    const pending = await dispatchStore.countPendingOffers(supabase, pickupId);
+    if (pending > 0) return { waiting: pending };
+
+    // Everyone in the wave declined: release it and move on without waiting for expiry.
+    await releaseOfferSlot(supabase, pickupId, null);
+    clearOfferTimer(pickupId);
+    return continueDispatch(supabase, pickupId, [assignedVendorRef]);
   }
 
-  // Clear timer
-  const state = dispatchState.get(pickupId);
-  if (state && state.timer) clearTimeout(state.timer);
-  dispatchState.delete(pickupId);
+  clearOfferTimer(pickupId);
+  await dispatchStore.closeOffers(supabase, pickupId, 'REJECTED', { vendorRef: assignedVendorRef });
+  await recordPickupEvent(supabase, pickupId, 'offer_rejected', { actor: 'vendor', vendorRef: assignedVendorRef });
 
-  return data;
+  // The rejecting vendor is already behind the cursor (and persisted as rejected).
+  return continueDispatch(supabase, pickupId, [assignedVendorRef]);
+}
+
+// Best-effort: tell the assigned vendor that the customer changed the pickup (PATCH /api/pickups/:id).
+// change: pickup_changes row. The vendor answers with POST /api/vendor/pickup-change; pull-mode
+// vendors are woken up and read open changes from GET /api/vendor/pickup-changes.
+async function notifyPickupChange(pickupId, vendorRef, change) {
+  const supabase = createServiceClient();
+  const vendor = await findVendorBackend(supabase, String(vendorRef));
+  if (!vendor) return;
+
+  if (deliveryModeOf(vendor) === 'pull') {
+    notifyVendor(String(vendorRef));
+    console.log(`[DISPATCH] pickup_change_published pickupId=${pickupId} vendor_id=${vendorRef} change_id=${change.id} mode=pull`);
+    return;
+  }
+
+  const offerUrl = offerUrlOf(vendor);
+  const url = offerSubUrl(offerUrl, 'update');
+  if (!url) return;
+
+  const pickup = await fetchPickup(supabase, pickupId);
+  const payload = JSON.stringify({
+    type: 'pickup_updated',
+    ...(pickup ? await buildOfferBody(supabase, String(vendorRef), pickup) : { vendor_id: String(vendorRef) }),
+    change_id: change.id,
+    changed_fields: change.changed_fields,
+    before: change.before,
+    after: change.after,
+  });
+
+  const signingKey = await signingKeyFor(supabase, vendorRef);
+  const result = await deliver(supabase, url, payload, {
+    kind: 'pickup_update',
+    pickupId,
+    vendorRef,
+    headers: (attempt, deliveryId) => vendorRequestHeaders(payload, deliveryId, signingKey),
+    timeoutMs: 10000,
+    retries: 2,
+    breakerKey: offerUrl,
+    deadLetter: true,
+  });
+  if (result.ok) {
+    console.log(`[DISPATCH] pickup_change_sent pickupId=${pickupId} vendor_id=${vendorRef} change_id=${change.id} status=${result.status}`);
+  } else {
+    console.warn(`[DISPATCH] pickup_change_send_failed pickupId=${pickupId} vendor_id=${vendorRef} change_id=${change.id} error=${result.error}`);
+  }
+}
+
+// The assigned vendor backs out (e.g. declined a customer change): release the pickup, keep the
+// vendor out of the next round and dispatch again. Returns the updated pickup or null when the
+// vendor no longer holds it.
+async function releaseAssignedVendor(pickupId, vendorRef, reason) {
+  const supabase = createServiceClient();
+  const released = await tryTransitionPickup(supabase, pickupId, 'unassign', {
+    actor: 'vendor',
+    guard: (q) => q.eq('assigned_vendor_ref', vendorRef),
+    select: 'id,status,assigned_vendor_ref',
+  });
+  if (!released) return null;
+
+  await recordVendorRejection(supabase, pickupId, vendorRef);
+  await recordPickupEvent(supabase, pickupId, 'vendor_released', {
+    actor: 'vendor',
+    vendorRef,
+    reason,
+    fromStatus: STATUS.ASSIGNED,
+    toStatus: STATUS.FINDING_VENDOR,
+  });
+
+  dispatchPickup(pickupId).catch((e) => console.warn('[DISPATCH] dispatch_error', e));
+  return released;
+}
+
+// Offer bodies (same shape as a webhook offer, plus offer_id/round/offered_at/expires_at)
+// for pickup_offers rows, skipping pickups that are no longer looking for a vendor.
+// Used by pull-mode vendors (routes/vendor.js GET /offers and /offers/stream).
+async function describeOffers(supabase, vendorRef, offers) {
+  const out = [];
+  for (const offer of offers) {
+    const pickup = await fetchPickup(supabase, offer.pickup_id);
+    if (!pickup || pickup.status !== STATUS.FINDING_VENDOR) continue;
+    const body = await buildOfferBody(supabase, String(vendorRef), pickup);
+    out.push({ ...body, offer_id: offer.id, round: offer.round, offered_at: offer.offered_at, expires_at: offer.expires_at });
+  }
+  return out;
+}
+
+async function pendingOffersFor(supabase, vendorRef) {
+  return describeOffers(supabase, vendorRef, await dispatchStore.listPendingOffersForVendor(supabase, vendorRef));
+}
+
+// Called (through pickupStateMachine effects) when a pickup leaves dispatch for reasons outside
+// the dispatcher (customer cancel, completion, customer-initiated restart).
+async function stopDispatch(pickupId, status = 'STOPPED', reason = 'pickup_closed') {
+  clearOfferTimer(pickupId);
+  try {
+    const supabase = createServiceClient();
+    await withdrawOffers(supabase, pickupId, reason);
+    await dispatchStore.finishState(supabase, pickupId, status);
+  } catch (e) {
+    console.warn('[DISPATCH] stop_dispatch_failed', pickupId, e?.message || e);
+  }
 }
 
 async function sweepExpiredOffersOnce() {
@@ -556,7 +1109,7 @@ async function sweepExpiredOffersOnce() {
   const { data, error } = await supabase
     .from('pickups')
     .select('id,assigned_vendor_ref,assignment_expires_at,status')
-    .eq('status', statusFindingVendor())
+    .eq('status', STATUS.FINDING_VENDOR)
     .not('assignment_expires_at', 'is', null)
     .lt('assignment_expires_at', now)
     .limit(50);
@@ -568,7 +1121,7 @@ async function sweepExpiredOffersOnce() {
 
   for (const p of data || []) {
     try {
-      // Reuse timeout handler (it will restart dispatch if in-memory state is missing)
+      // Reuse timeout handler (it continues from the persisted cursor on whichever instance runs it)
       await handleOfferTimeout(p.id, { vendor_ref: p.assigned_vendor_ref });
     } catch (e) {
       console.warn('Dispatcher sweeper failed for pickup', p.id, e?.message || e);
@@ -576,67 +1129,102 @@ async function sweepExpiredOffersOnce() {
   }
 }
 
+// Recover from an instance dying mid-dispatch:
+// - offers recorded but never delivered are re-sent (same vendor, same round)
+// - active dispatches with no offer out continue from their cursor
+async function resumeStalledDispatchesOnce() {
+  const supabase = createServiceClient();
+
+  for (const o of await dispatchStore.listUnsentOffers(supabase, dispatchStore.LEASE_MS)) {
+    if (!(await dispatchStore.acquireLease(supabase, o.pickup_id))) continue;
+    let pickup = null;
+    try {
+      pickup = await fetchPickup(supabase, o.pickup_id);
+      const stillOffered =
+        pickup &&
+        pickup.status === STATUS.FINDING_VENDOR &&
+        (pickup.assigned_vendor_ref == null || String(pickup.assigned_vendor_ref) === String(o.vendor_ref));
+      if (!stillOffered) {
+        await dispatchStore.closeOffers(supabase, o.pickup_id, 'FAILED', { vendorRef: o.vendor_ref });
+        continue;
+      }
+      console.log(`[DISPATCH] offer_resend pickupId=${o.pickup_id} vendor_id=${o.vendor_ref}`);
+      const state = await dispatchStore.loadState(supabase, o.pickup_id);
+      const policy = withDefaults(state?.policy);
+      // Pull-mode offers are the ones recorded without an offer_url.
+      const vendor = { vendor_ref: o.vendor_ref, offer_url: o.offer_url, delivery_mode: o.offer_url ? 'webhook' : 'pull' };
+      await sendOfferToVendor(supabase, vendor, pickup, {
+        timeoutMs: policy.httpTimeoutMs,
+        retries: policy.offerRetries,
+        offerId: o.id,
+        deadlineAt: Math.min(new Date(o.expires_at).getTime(), Date.now() + dispatchStore.LEASE_MS - 5000),
+      });
+      await dispatchStore.markOfferSent(supabase, o.id);
+      await recordPickupEvent(supabase, o.pickup_id, 'offer_sent', {
+        vendorRef: o.vendor_ref,
+        reason: 'resent_after_restart',
+        data: { round: o.round, expiresAt: o.expires_at },
+      });
+      scheduleOfferTimeout(o.pickup_id, pickup.assigned_vendor_ref, new Date(o.expires_at).getTime() - Date.now() + 1000);
+    } catch (e) {
+      console.warn(`[DISPATCH] offer_resend_failed pickupId=${o.pickup_id} vendor_id=${o.vendor_ref} error=${e?.message || e}`);
+      await dispatchStore.closeOffers(supabase, o.pickup_id, 'FAILED', { vendorRef: o.vendor_ref });
+      await recordPickupEvent(supabase, o.pickup_id, 'offer_failed', {
+        vendorRef: o.vendor_ref,
+        reason: e?.message || String(e),
+        data: { round: o.round, resend: true },
+      });
+      // Free the slot once nobody else in the wave is still holding an offer; the next sweep resumes dispatch.
+      if ((await dispatchStore.countPendingOffers(supabase, o.pickup_id)) === 0) {
+        await releaseOfferSlot(supabase, o.pickup_id, pickup?.assigned_vendor_ref || null).catch(() => {});
+      }
+    } finally {
+      await dispatchStore.releaseLease(supabase, o.pickup_id);
+    }
+  }
+
+  for (const s of await dispatchStore.listStalledStates(supabase, dispatchStore.LEASE_MS)) {
+    const status = s.pickups?.status;
+    if (status !== STATUS.FINDING_VENDOR) {
+      // Pickup moved on without the dispatcher noticing (e.g. cancelled via RPC).
+      await dispatchStore.finishState(supabase, s.pickup_id, status && !isDispatchable(status) ? 'DONE' : 'STOPPED');
+      continue;
+    }
+    console.log(`[DISPATCH] dispatch_resume pickupId=${s.pickup_id} cursor=${s.cursor} round=${s.round}`);
+    await tryOfferNext(s.pickup_id);
+  }
+}
+
 function startDispatcherSweeper() {
   if (sweeperTimer) return;
+  const n = Number.parseInt(String(process.env.DISPATCH_SWEEP_INTERVAL_MS || ''), 10);
+  const intervalMs = Number.isFinite(n) && n >= 1000 ? n : 10 * 1000;
+  // A slow sweep (e.g. a long scheduler run) skips ticks rather than overlapping the next one.
+  let sweeping = false;
   sweeperTimer = setInterval(() => {
-    sweepExpiredOffersOnce().catch((e) => console.warn('Dispatcher sweeper error', e?.message || e));
-  }, 10 * 1000);
+    if (sweeping) return;
+    sweeping = true;
+    sweepExpiredOffersOnce()
+      .then(() => resumeStalledDispatchesOnce())
+      .then(() => scheduler.runSchedulerOnce())
+      .catch((e) => console.warn('Dispatcher sweeper error', e?.message || e))
+      .finally(() => {
+        sweeping = false;
+      });
+  }, intervalMs);
 }
 
 module.exports = {
   dispatchPickup,
   confirmVendorAcceptance,
-  handleVendorRejection: async function (pickupId, assignedVendorRef) {
-    const supabase = createServiceClient();
-
-    // Record rejection (best-effort; does not block redispatch)
-    await recordVendorRejection(supabase, pickupId, assignedVendorRef);
-
-    // Atomically clear the assignment only if this vendor is currently offered.
-    const { data: cleared, error } = await supabase
-      .from('pickups')
-      .update({ assigned_vendor_ref: null, assignment_expires_at: null, status: statusFindingVendor() })
-      .eq('id', pickupId)
-      .eq('status', statusFindingVendor())
-      .eq('assigned_vendor_ref', assignedVendorRef)
-      .select('id,status,assigned_vendor_ref')
-      .maybeSingle();
-
-    if (error) throw error;
-    if (!cleared) {
-      // Late reject or mismatched vendor; ignore.
-      return null;
-    }
-
-    const state = dispatchState.get(pickupId);
-    if (!state) {
-      // Server likely restarted; rebuild dispatch state and continue, skipping this vendor.
-      await dispatchPickup(pickupId, { skipVendorRefs: [assignedVendorRef] });
-      return { restarted: true };
-    }
-
-    if (state.rejectedVendorRefs) state.rejectedVendorRefs.add(String(assignedVendorRef));
-
-    const current = state.candidates[state.index];
-    const curRef = vendorIdOf(current);
-    if (String(curRef) !== String(assignedVendorRef || '')) {
-      // The rejecting vendor isn't the current candidate anymore (timeout/advance happened);
-      // still keep it rejected and continue dispatch if needed.
-      await tryOfferNext(pickupId);
-      return { advanced: true, outOfOrder: true };
-    }
-
-    state.index += 1;
-    if (state.timer) {
-      clearTimeout(state.timer);
-      state.timer = null;
-    }
-    dispatchState.set(pickupId, state);
-    await tryOfferNext(pickupId);
-    return { advanced: true };
-  },
+  handleVendorRejection,
   tryOfferNext,
+  stopDispatch,
+  notifyPickupChange,
+  releaseAssignedVendor,
+  pendingOffersFor,
+  describeOffers,
   startDispatcherSweeper,
   // exported for tests/debugging
-  _internal: { dispatchState },
+  _internal: { offerTimers, INSTANCE_ID: dispatchStore.INSTANCE_ID },
 };
@@ -0,0 +1,250 @@
+// Outbound delivery to vendor backends (offers and withdrawals).
+//
+// - Bounded retries with jittered exponential backoff for transient failures
+//   (network errors, timeouts, 408/429/5xx). Other 4xx responses are not retried.
+// - Per offer-URL circuit breaker: after N consecutive failures the URL is skipped
+//   for a cool-down; then one trial request decides whether it closes again.
+//   Breaker state is process-local (each instance learns on its own within a few failures).
+// - Every attempt is written to offer_delivery_attempts; offers that were never delivered
+//   go to offer_dead_letters for admins (see supabase/migrations/014_offer_delivery.sql).
+// - Each call gets a delivery id that the caller can sign into the request (vendor/offerSignature.js).
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+function envInt(name, fallback) {
+  const n = Number.parseInt(String(process.env[name] || ''), 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function breakerThreshold() {
+  return envInt('DISPATCH_BREAKER_FAILURES', 5);
+}
+
+function breakerCooldownMs() {
+  return envInt('DISPATCH_BREAKER_COOLDOWN_MS', 60 * 1000);
+}
+
+function backoffBaseMs() {
+  return envInt('DISPATCH_RETRY_BASE_MS', 500);
+}
+
+function backoffMaxMs() {
+  return envInt('DISPATCH_RETRY_MAX_MS', 5000);
+}
+
+// url -> { failures, state: 'closed' | 'open' | 'half_open', openedAt, lastError }
+const breakers = new Map();
+
+function breakerFor(key) {
+  let b = breakers.get(key);
+  if (!b) {
+    b = { failures: 0, state: 'closed', openedAt: null, lastError: null };
+    breakers.set(key, b);
+  }
+  return b;
+}
+
+// Returns true when a request to this URL may go out now.
+function breakerAllows(key) {
+  const b = breakerFor(key);
+  if (b.state === 'closed') return true;
+  if (b.state === 'open' && Date.now() - b.openedAt >= breakerCooldownMs()) {
+    // Let exactly one trial request through.
+    b.state = 'half_open';
+    return true;
+  }
+  return false;
+}
+
+function breakerSuccess(key) {
+  const b = breakerFor(key);
+  if (b.state !== 'closed') console.log(`[DISPATCH] circuit_closed url=${key}`);
+  b.failures = 0;
+  b.state = 'closed';
+  b.openedAt = null;
+  b.lastError = null;
+}
+
+function breakerFailure(key, error) {
+  const b = breakerFor(key);
+  b.failures += 1;
+  b.lastError = error;
+  if (b.state === 'half_open' || b.failures >= breakerThreshold()) {
+    if (b.state !== 'open') console.warn(`[DISPATCH] circuit_opened url=${key} failures=${b.failures} error=${error}`);
+    b.state = 'open';
+    b.openedAt = Date.now();
+  }
+}
+
+// Snapshot for admin inspection.
+function circuitStates() {
+  const cooldown = breakerCooldownMs();
+  return [...breakers.entries()]
+    .filter(([, b]) => b.failures > 0 || b.state !== 'closed')
+    .map(([url, b]) => ({
+      url,
+      state: b.state,
+      failures: b.failures,
+      lastError: b.lastError,
+      openedAt: b.openedAt ? new Date(b.openedAt).toISOString() : null,
+      retryAt: b.state === 'open' ? new Date(b.openedAt + cooldown).toISOString() : null,
+    }));
+}
+
+function resetCircuit(url) {
+  return breakers.delete(url);
+}
+
+function isTransientStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// Full jitter: random delay in [0, min(max, base * 2^(attempt-1))].
+function backoffDelayMs(attempt) {
+  const ceiling = Math.min(backoffMaxMs(), backoffBaseMs() * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isMissingTable(error, table) {
+  return new RegExp(`relation .*${table}.* does not exist`, 'i').test(error?.message || '');
+}
+
+async function recordAttempt(supabase, row) {
+  if (!supabase) return;
+  try {
+    const { error } = await supabase.from('offer_delivery_attempts').insert([row]);
+    if (error && !isMissingTable(error, 'offer_delivery_attempts')) {
+      console.warn('[DISPATCH] delivery_attempt_record_failed', error.message || error);
+    }
+  } catch {
+    // ignore
+  }
+}
+
+function parsePayload(payload) {
+  try {
+    return JSON.parse(payload);
+  } catch {
+    return { raw: String(payload).slice(0, 2000) };
+  }
+}
+
+async function recordDeadLetter(supabase, row) {
+  if (!supabase) return;
+  try {
+    const { error } = await supabase.from('offer_dead_letters').insert([row]);
+    if (error && !isMissingTable(error, 'offer_dead_letters')) {
+      console.warn('[DISPATCH] dead_letter_record_failed', error.message || error);
+    }
+  } catch {
+    // ignore
+  }
+}
+
+// POST a JSON payload to a vendor backend.
+// options: { kind, pickupId, vendorRef, offerId, headers, timeoutMs, retries, deadlineAt, breakerKey, deadLetter }
+// headers may be a function (attempt, deliveryId) => headers, so each attempt can be signed freshly.
+// deliveryId is generated once per call and stays the same across retries (vendors dedupe on it).
+// Returns { ok, deliveryId, attempts, status, error, circuitOpen }. Never throws.
+async function deliver(supabase, url, payload, options = {}) {
+  const kind = options.kind || 'offer';
+  const retries = Math.max(0, options.retries || 0);
+  const timeoutMs = options.timeoutMs || 10000;
+  const breakerKey = options.breakerKey || url;
+  const deliveryId = crypto.randomUUID();
+  const tag = `pickupId=${options.pickupId} vendor_id=${options.vendorRef} kind=${kind} delivery_id=${deliveryId}`;
+  const base = {
+    delivery_id: deliveryId,
+    offer_id: options.offerId || null,
+    pickup_id: options.pickupId != null ? String(options.pickupId) : null,
+    vendor_ref: options.vendorRef != null ? String(options.vendorRef) : null,
+    url,
+    kind,
+  };
+
+  let attempts = 0;
+  let lastStatus = null;
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= retries + 1; attempt += 1) {
+    if (!breakerAllows(breakerKey)) {
+      console.warn(`[DISPATCH] circuit_open_skip ${tag} url=${breakerKey}`);
+      lastError = lastError || 'circuit_open';
+      if (attempts === 0) {
+        await recordAttempt(supabase, { ...base, attempt, ok: false, status_code: null, error: 'circuit_open', duration_ms: 0 });
+        if (options.deadLetter) {
+          await recordDeadLetter(supabase, { ...base, payload: parsePayload(payload), attempts: 0, last_status: null, last_error: 'circuit_open' });
+        }
+        return { ok: false, deliveryId, attempts: 0, status: null, error: 'circuit_open', circuitOpen: true };
+      }
+      break;
+    }
+
+    attempts = attempt;
+    console.log(
+      `[DISPATCH] http_request_sent ${tag} method=POST attempt=${attempt}/${retries + 1} timeoutMs=${timeoutMs} bytes=${Buffer.byteLength(payload)} url=${url}`
+    );
+
+    const headers = typeof options.headers === 'function' ? options.headers(attempt, deliveryId) : options.headers;
+    const started = Date.now();
+    let transient = true;
+    try {
+      const resp = await fetch(url, { method: 'POST', headers, body: payload, timeout: timeoutMs });
+      const elapsedMs = Date.now() - started;
+      lastStatus = resp.status;
+      console.log(`[DISPATCH] http_response ${tag} status=${resp.status} ok=${resp.ok} elapsedMs=${elapsedMs}`);
+
+      if (resp.ok) {
+        breakerSuccess(breakerKey);
+        await recordAttempt(supabase, { ...base, attempt, ok: true, status_code: resp.status, error: null, duration_ms: elapsedMs });
+        return { ok: true, deliveryId, attempts, status: resp.status, error: null, circuitOpen: false };
+      }
+
+      const txt = await resp.text().catch(() => '');
+      const snippet = String(txt || '').slice(0, 800);
+      console.warn(`[DISPATCH] http_failure ${tag} status=${resp.status} body=${snippet}`);
+      lastError = `Vendor responded ${resp.status}: ${snippet}`;
+      transient = isTransientStatus(resp.status);
+      await recordAttempt(supabase, { ...base, attempt, ok: false, status_code: resp.status, error: lastError.slice(0, 500), duration_ms: elapsedMs });
+    } catch (e) {
+      const elapsedMs = Date.now() - started;
+      lastError = e?.message || String(e);
+      console.warn(`[DISPATCH] http_error ${tag} elapsedMs=${elapsedMs} error=${lastError}`);
+      await recordAttempt(supabase, { ...base, attempt, ok: false, status_code: null, error: lastError.slice(0, 500), duration_ms: elapsedMs });
+    }
+
+    // A vendor that answers 4xx is up; only transport errors and 5xx count against the breaker.
+    if (transient) breakerFailure(breakerKey, lastError);
+    else breakerSuccess(breakerKey);
+    if (!transient || attempt > retries) break;
+
+    const delay = backoffDelayMs(attempt);
+    if (options.deadlineAt && Date.now() + delay + timeoutMs > options.deadlineAt) {
+      console.warn(`[DISPATCH] retry_skipped_deadline ${tag} attempt=${attempt}`);
+      break;
+    }
+    await sleep(delay);
+  }
+
+  if (options.deadLetter) {
+    await recordDeadLetter(supabase, {
+      ...base,
+      payload: parsePayload(payload),
+      attempts,
+      last_status: lastStatus,
+      last_error: lastError ? String(lastError).slice(0, 500) : null,
+    });
+  }
+  return { ok: false, deliveryId, attempts, status: lastStatus, error: lastError, circuitOpen: false };
+}
+
+module.exports = {
+  deliver,
+  circuitStates,
+  resetCircuit,
+};
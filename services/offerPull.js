@@ -0,0 +1,134 @@
+// Pull-mode offer delivery for vendors that can't receive webhooks (NAT, mobile networks, localhost).
+//
+// Offers for a vendor with vendor_backends.delivery_mode = 'pull' are only recorded in pickup_offers;
+// the vendor fetches them with GET /api/vendor/offers (long-poll) or GET /api/vendor/offers/stream (SSE)
+// and answers through the usual /api/vendor/accept and /api/vendor/reject.
+//
+// notifyVendor() wakes waiting requests on this instance straight away. Offers made (or closed) by
+// other instances are noticed within POLL_MS: while a vendor has open long-polls/streams here, one
+// shared poll per vendor re-reads its open pickup_offers and hands the rows to all of them.
+
+const { EventEmitter } = require('events');
+const { createServiceClient } = require('../supabase/client');
+const { listPendingOffersForVendor } = require('./dispatchStore');
+
+const POLL_MS = 2000;
+const MAX_WAIT_SECONDS = 30;
+
+const DELIVERY_MODES = ['webhook', 'pull'];
+
+const bus = new EventEmitter();
+// One listener per open long-poll/stream; the default cap of 10 is far too low.
+bus.setMaxListeners(0);
+
+function parseDeliveryMode(input) {
+  const s = String(input || '').trim().toLowerCase();
+  return DELIVERY_MODES.includes(s) ? s : null;
+}
+
+function deliveryModeOf(vendor) {
+  return parseDeliveryMode(vendor?.delivery_mode) || 'webhook';
+}
+
+// vendorRef -> { watchers, timer, supabase, polling } for vendors with open watchers.
+const pollers = new Map();
+
+function notifyVendor(vendorRef) {
+  bus.emit(`offers:${vendorRef}`);
+}
+
+function pollVendor(vendorRef) {
+  const poller = pollers.get(vendorRef);
+  if (!poller || poller.polling) return;
+  poller.polling = true;
+  listPendingOffersForVendor(poller.supabase, vendorRef)
+    .then((open) => bus.emit(`offers:${vendorRef}`, open))
+    .catch((e) => console.warn(`[DISPATCH] vendor_offer_poll_failed vendor_id=${vendorRef} error=${e?.message || e}`))
+    .finally(() => {
+      poller.polling = false;
+    });
+}
+
+function startPoller(vendorRef) {
+  let supabase;
+  try {
+    supabase = createServiceClient();
+  } catch {
+    // Without the service role only local notifications wake watchers.
+    return { watchers: 0, timer: null };
+  }
+  const poller = { watchers: 0, supabase, polling: false, timer: null };
+  pollers.set(vendorRef, poller);
+  poller.timer = setInterval(() => pollVendor(vendorRef), POLL_MS);
+  return poller;
+}
+
+// Calls onChange whenever the vendor's offers may have changed: with no argument on a local notify
+// (re-read them), and every POLL_MS with the vendor's open pickup_offers rows from the shared poll.
+// Returns an unsubscribe function.
+function watchVendor(vendorRef, onChange) {
+  const event = `offers:${vendorRef}`;
+  bus.on(event, onChange);
+  const poller = pollers.get(vendorRef) || startPoller(vendorRef);
+  poller.watchers += 1;
+
+  let watching = true;
+  return () => {
+    if (!watching) return;
+    watching = false;
+    bus.off(event, onChange);
+    poller.watchers -= 1;
+    if (poller.watchers <= 0 && pollers.get(vendorRef) === poller) {
+      clearInterval(poller.timer);
+      pollers.delete(vendorRef);
+    }
+  };
+}
+
+// Long-poll: resolves with the first non-empty result of load(), or [] after waitMs.
+// load(openOffers?) gets the shared poll's rows when it is woken by a poll tick.
+async function waitForOffers(vendorRef, waitMs, load, isClosed) {
+  const first = await load();
+  if (first.length || waitMs <= 0) return first;
+
+  return new Promise((resolve) => {
+    let done = false;
+    let loading = false;
+
+    const finish = (offers) => {
+      if (done) return;
+      done = true;
+      unwatch();
+      clearTimeout(timeout);
+      resolve(offers);
+    };
+
+    const check = (open) => {
+      if (done || loading) return;
+      if (isClosed && isClosed()) return finish([]);
+      if (open && !open.length) return;
+      loading = true;
+      load(open)
+        .then((offers) => {
+          loading = false;
+          if (offers.length) finish(offers);
+        })
+        .catch(() => {
+          loading = false;
+        });
+    };
+
+    const unwatch = watchVendor(vendorRef, check);
+    const timeout = setTimeout(() => finish([]), waitMs);
+  });
+}
+
+module.exports = {
+  DELIVERY_MODES,
+  MAX_WAIT_SECONDS,
+  parseDeliveryMode,
+  deliveryModeOf,
+  notifyVendor,
+  watchVendor,
+  waitForOffers,
+};
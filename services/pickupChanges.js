@@ -0,0 +1,158 @@
+// Customer edits to booked pickups (PATCH /api/pickups/:id, see supabase/migrations/025_pickup_changes.sql).
+//
+// update_pickup (customer JWT, security definer) applies the edit, enforces ownership and the
+// per-status rules and logs it in pickup_changes. After it:
+// - FINDING_VENDOR: the vendor search restarts so offers carry the new details;
+// - ASSIGNED: the vendor is notified and confirms or declines (POST /api/vendor/pickup-change);
+//   declining releases the pickup for dispatch (dispatcher.releaseAssignedVendor).
+
+const { createServiceClient } = require('../supabase/client');
+const { STATUS, DISPATCHABLE_STATUSES } = require('./pickupStateMachine');
+const { parseQuoteItems } = require('./quotes');
+const { slotRpcArgs } = require('./pickupSlots');
+
+const EDITABLE_STATUSES = [...DISPATCHABLE_STATUSES, STATUS.ASSIGNED];
+const VENDOR_DECISIONS = { accept: 'ACCEPTED', decline: 'DECLINED' };
+
+const CHANGE_COLUMNS = 'id,pickup_id,changed_fields,before,after,status_at_change,vendor_ref,vendor_response,responded_at,created_at';
+
+function isMissingTable(error) {
+  return /relation .*pickup_changes.* does not exist/i.test(error?.message || '');
+}
+
+function isEditable(status) {
+  return EDITABLE_STATUSES.includes(String(status || '').toUpperCase());
+}
+
+// { address?, latitude?, longitude?, timeSlot?, slotId?, items? } (same field names as POST /api/pickups).
+// Returns { ok: true, value } or { ok: false, error }.
+function parsePickupPatch(body) {
+  const value = {};
+
+  if (body?.address !== undefined) {
+    if (typeof body.address !== 'string' || !body.address.trim()) return { ok: false, error: 'address must be a non-empty string' };
+    value.address = body.address.trim();
+  }
+
+  if (body?.timeSlot !== undefined) {
+    if (typeof body.timeSlot !== 'string' || !body.timeSlot.trim()) return { ok: false, error: 'timeSlot must be a non-empty string' };
+    value.timeSlot = body.timeSlot.trim();
+  }
+
+  const slotId = body?.slotId ?? body?.slot_id;
+  if (slotId !== undefined) {
+    if (typeof slotId !== 'string' || !slotId.trim()) return { ok: false, error: 'slotId must be a non-empty string' };
+    value.slotId = slotId.trim();
+  }
+
+  if (body?.latitude !== undefined || body?.longitude !== undefined) {
+    if (typeof body.latitude !== 'number' || typeof body.longitude !== 'number') {
+      return { ok: false, error: 'latitude and longitude must be sent together as numbers' };
+    }
+    value.latitude = body.latitude;
+    value.longitude = body.longitude;
+  }
+
+  if (body?.items !== undefined) {
+    const items = parseQuoteItems(body.items);
+    if (!items.ok) return items;
+    value.items = items.value;
+  }
+
+  if (!Object.keys(value).length) {
+    return { ok: false, error: 'Nothing to update (address, latitude/longitude, timeSlot, slotId or items)' };
+  }
+  return { ok: true, value };
+}
+
+// slot: resolved by pickupSlots.resolveRequestedSlot when the edit picks a time slot (null otherwise).
+// Returns { ok: true, result } (update_pickup's jsonb) or { ok: false, status, code?, error }.
+async function updatePickupViaRpc(anon, pickupId, value, slot = null) {
+  const { data, error } = await anon.rpc('update_pickup', {
+    p_pickup_id: pickupId,
+    p_address: value.address ?? null,
+    p_latitude: value.latitude ?? null,
+    p_longitude: value.longitude ?? null,
+    p_time_slot: slot ? null : value.timeSlot ?? null,
+    p_items: value.items ?? null,
+    ...(slot ? slotRpcArgs(slot) : {}),
+  });
+  if (!error) return { ok: true, result: data };
+
+  const msg = error.message || 'Could not update pickup';
+  const coded = msg.match(/(NOT_FOUND|NOT_EDITABLE|ITEM_INVALID|SLOT_FULL|SLOT_PAST|SLOT_INVALID):\s*(.*)/);
+  if (coded) {
+    const status = { NOT_FOUND: 404, NOT_EDITABLE: 409 }[coded[1]] || 422;
+    return { ok: false, status, code: coded[1], error: coded[2] };
+  }
+  if (/function update_pickup|schema cache/i.test(msg)) {
+    return {
+      ok: false,
+      status: 501,
+      error: 'Pickup editing is not enabled in DB yet. Apply supabase/migrations/025_pickup_changes.sql then retry.',
+    };
+  }
+  return { ok: false, status: 400, error: msg };
+}
+
+async function fetchChange(supabase, changeId) {
+  const { data, error } = await supabase.from('pickup_changes').select(CHANGE_COLUMNS).eq('id', String(changeId)).maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+// Send a change that needs the assigned vendor's answer to that vendor (best-effort).
+async function notifyVendorOfChange(changeId) {
+  const change = await fetchChange(createServiceClient(), changeId);
+  if (!change?.vendor_ref || change.vendor_response !== 'PENDING') return;
+  // Required lazily: the dispatcher pulls in most of the services.
+  const dispatcher = require('./dispatcher');
+  await dispatcher.notifyPickupChange(change.pickup_id, change.vendor_ref, change);
+}
+
+// Changes still waiting for this vendor's answer, oldest first.
+async function listPendingChangesForVendor(supabase, vendorRef) {
+  const { data, error } = await supabase
+    .from('pickup_changes')
+    .select(CHANGE_COLUMNS)
+    .eq('vendor_ref', String(vendorRef))
+    .eq('vendor_response', 'PENDING')
+    .order('created_at', { ascending: true })
+    .limit(100);
+  if (error) throw error;
+  return data || [];
+}
+
+// decision: accept | decline. Only the vendor the change was sent to may answer, once.
+// Returns { ok: true, change } or { ok: false, status, error }.
+async function recordVendorResponse(supabase, change, vendorRef, decision) {
+  const response = VENDOR_DECISIONS[decision];
+  if (!response) return { ok: false, status: 400, error: `decision must be one of ${Object.keys(VENDOR_DECISIONS).join(', ')}` };
+  if (String(change.vendor_ref) !== String(vendorRef)) return { ok: false, status: 403, error: 'This change was not sent to this vendor' };
+
+  const { data, error } = await supabase
+    .from('pickup_changes')
+    .update({ vendor_response: response, responded_at: new Date().toISOString() })
+    .eq('id', change.id)
+    .eq('vendor_response', 'PENDING')
+    .select(CHANGE_COLUMNS)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) {
+    const current = await fetchChange(supabase, change.id);
+    return { ok: false, status: 409, error: `Change was already answered (${current?.vendor_response || 'unknown'})` };
+  }
+  return { ok: true, change: data };
+}
+
+module.exports = {
+  EDITABLE_STATUSES,
+  isMissingTable,
+  isEditable,
+  parsePickupPatch,
+  updatePickupViaRpc,
+  fetchChange,
+  notifyVendorOfChange,
+  listPendingChangesForVendor,
+  recordVendorResponse,
+};
@@ -0,0 +1,107 @@
+// Pickup events: append-only timeline of state changes and dispatch decisions (pickup_events table).
+// Writes are best-effort: a missing table or a failed insert is logged, never thrown,
+// so the timeline can't break dispatch or the API.
+
+const { createServiceClient } = require('../supabase/client');
+const { notifyPickup } = require('./pickupUpdates');
+
+const ACTORS = ['customer', 'vendor', 'system', 'admin'];
+
+// Events customers may see, with the label shown in the app. Everything else
+// (offers, rankings, other vendors) is internal and only visible to admins.
+const CUSTOMER_EVENTS = {
+  pickup_created: 'Pickup requested',
+  pickup_scheduled: 'Scheduled; we will look for a vendor closer to your time slot',
+  dispatch_started: 'Looking for a vendor',
+  dispatch_retry_requested: 'Asked to find a vendor again',
+  no_vendor_available: 'No vendor available right now',
+  vendor_assigned: 'Vendor assigned',
+  pickup_updated: 'Pickup details changed',
+  vendor_released: 'Vendor released the pickup; finding another vendor',
+  vendor_on_the_way: 'Vendor is on the way',
+  pickup_completed: 'Pickup completed',
+  settlement_recorded: 'Payment recorded',
+  pickup_rated: 'You rated this pickup',
+  pickup_cancelled: 'Pickup cancelled',
+};
+
+let missingTableLogged = false;
+
+function isMissingTable(error) {
+  return /relation .*pickup_events.* does not exist/i.test(error?.message || '');
+}
+
+// fields: { actor, vendorRef, reason, fromStatus, toStatus, data }
+// supabase is optional: routes that only hold a customer client let this create a service client.
+async function recordPickupEvent(supabase, pickupId, eventType, fields = {}) {
+  if (!pickupId || !eventType) return;
+
+  try {
+    const client = supabase || createServiceClient();
+    const actor = ACTORS.includes(fields.actor) ? fields.actor : 'system';
+    const { error } = await client.from('pickup_events').insert([
+      {
+        pickup_id: String(pickupId),
+        event_type: eventType,
+        actor,
+        vendor_ref: fields.vendorRef != null ? String(fields.vendorRef) : null,
+        reason: fields.reason != null ? String(fields.reason).slice(0, 500) : null,
+        from_status: fields.fromStatus || null,
+        to_status: fields.toStatus || null,
+        data: fields.data && typeof fields.data === 'object' ? fields.data : null,
+      },
+    ]);
+
+    if (error) {
+      if (isMissingTable(error)) {
+        if (!missingTableLogged) console.warn('[EVENTS] pickup_events table missing; apply supabase/migrations/013_pickup_events.sql');
+        missingTableLogged = true;
+        // The transition still happened; live streams re-read the pickup itself.
+        notifyPickup(String(pickupId));
+        return;
+      }
+      console.warn(`[EVENTS] record_failed pickupId=${pickupId} type=${eventType} error=${error.message || error}`);
+      return;
+    }
+    notifyPickup(String(pickupId));
+  } catch (e) {
+    console.warn(`[EVENTS] record_failed pickupId=${pickupId} type=${eventType} error=${e?.message || e}`);
+  }
+}
+
+// Full timeline, oldest first. Returns [] when the table doesn't exist yet.
+async function listPickupEvents(supabase, pickupId, options = {}) {
+  let q = supabase
+    .from('pickup_events')
+    .select('id,pickup_id,event_type,actor,vendor_ref,reason,from_status,to_status,data,created_at')
+    .eq('pickup_id', String(pickupId))
+    .order('id', { ascending: true })
+    .limit(options.limit || 500);
+  if (options.afterId != null) q = q.gt('id', options.afterId);
+
+  const { data, error } = await q;
+  if (error) {
+    if (isMissingTable(error)) return [];
+    throw error;
+  }
+  return data || [];
+}
+
+// Customer-facing view: only whitelisted events, no vendor refs, reasons or internal data.
+function sanitizeForCustomer(events) {
+  return (events || [])
+    .filter((e) => Object.prototype.hasOwnProperty.call(CUSTOMER_EVENTS, e.event_type))
+    .map((e) => ({
+      id: e.id,
+      type: e.event_type,
+      label: CUSTOMER_EVENTS[e.event_type],
+      status: e.to_status || null,
+      at: e.created_at,
+    }));
+}
+
+module.exports = {
+  recordPickupEvent,
+  listPickupEvents,
+  sanitizeForCustomer,
+};
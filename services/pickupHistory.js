@@ -0,0 +1,141 @@
+// Customer pickup history for GET /api/pickups.
+//
+// Queries run with the customer's JWT, so RLS (pickups_select_own) limits them to the caller.
+// Newest first, paged with an opaque cursor (created_at + id of the last row, base64url) so
+// pickups created while paging don't shift later pages.
+
+const { STATUS } = require('./pickupStateMachine');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+// Scrap type filter: an inner join on the caller's pickup_items (RLS: pickup_items_select_own),
+// aliased so the page's own pickup_items embed still lists every item.
+const TYPE_MATCH = 'type_match:pickup_items!inner(scrap_type_id)';
+
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIMESTAMP_RE = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function encodeCursor(row) {
+  return Buffer.from(`${row.created_at}|${row.id}`, 'utf8').toString('base64url');
+}
+
+function decodeCursor(raw) {
+  const text = Buffer.from(String(raw), 'base64url').toString('utf8');
+  const sep = text.lastIndexOf('|');
+  if (sep <= 0) return null;
+  const createdAt = text.slice(0, sep);
+  const id = text.slice(sep + 1);
+  // Both go into a PostgREST filter string: only a timestamp and a uuid are let through.
+  if (!UUID_RE.test(id) || !TIMESTAMP_RE.test(createdAt) || Number.isNaN(new Date(createdAt).getTime())) return null;
+  return { createdAt, id };
+}
+
+// from/to: ISO timestamps or dates; a date-only `to` includes that whole day (UTC).
+function parseBound(raw, endOfDay) {
+  if (raw == null || raw === '') return { ok: true, value: null };
+  const text = String(raw).trim();
+  const d = new Date(text);
+  if (Number.isNaN(d.getTime())) return { ok: false };
+  if (endOfDay && DATE_ONLY_RE.test(text)) d.setUTCDate(d.getUTCDate() + 1);
+  return { ok: true, value: d.toISOString() };
+}
+
+// Query string: status (comma-separated), from, to, scrap_type_id, limit, cursor.
+// Returns { ok: true, value } or { ok: false, error }.
+function parseHistoryQuery(query) {
+  const value = { statuses: null, from: null, to: null, scrapTypeId: null, limit: DEFAULT_LIMIT, cursor: null };
+
+  if (query?.status) {
+    const known = Object.values(STATUS);
+    const statuses = [...new Set(String(query.status).split(',').map((s) => s.trim().toUpperCase()).filter(Boolean))];
+    const unknown = statuses.find((s) => !known.includes(s));
+    if (unknown) return { ok: false, error: `status must be one of ${known.join(', ')}` };
+    value.statuses = statuses.length ? statuses : null;
+  }
+
+  const from = parseBound(query?.from, false);
+  const to = parseBound(query?.to, true);
+  if (!from.ok || !to.ok) return { ok: false, error: 'from and to must be ISO dates or timestamps' };
+  if (from.value && to.value && from.value >= to.value) return { ok: false, error: 'from must be before to' };
+  value.from = from.value;
+  value.to = to.value;
+
+  const scrapTypeId = query?.scrap_type_id ?? query?.scrapTypeId;
+  if (scrapTypeId) value.scrapTypeId = String(scrapTypeId).trim();
+
+  if (query?.limit != null && query.limit !== '') {
+    const n = Number.parseInt(String(query.limit), 10);
+    if (!Number.isFinite(n) || n <= 0) return { ok: false, error: `limit must be between 1 and ${MAX_LIMIT}` };
+    value.limit = Math.min(n, MAX_LIMIT);
+  }
+
+  if (query?.cursor) {
+    value.cursor = decodeCursor(query.cursor);
+    if (!value.cursor) return { ok: false, error: 'cursor is invalid' };
+  }
+
+  return { ok: true, value };
+}
+
+function selectColumns(columns, filters) {
+  return filters.scrapTypeId ? `${columns},${TYPE_MATCH}` : columns;
+}
+
+// Date range and scrap type (with selectColumns); status is left to the caller (the counts ignore it).
+function applyFilters(q, filters) {
+  let out = q;
+  if (filters.from) out = out.gte('created_at', filters.from);
+  if (filters.to) out = out.lt('created_at', filters.to);
+  if (filters.scrapTypeId) out = out.eq('type_match.scrap_type_id', filters.scrapTypeId);
+  return out;
+}
+
+// One page. Returns { rows, nextCursor }.
+async function listCustomerPickups(supabase, columns, filters) {
+  let q = applyFilters(supabase.from('pickups').select(selectColumns(columns, filters)), filters)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(filters.limit + 1);
+  if (filters.statuses) q = q.in('status', filters.statuses);
+  if (filters.cursor) {
+    const { createdAt, id } = filters.cursor;
+    q = q.or(`created_at.lt."${createdAt}",and(created_at.eq."${createdAt}",id.lt."${id}")`);
+  }
+
+  const { data, error } = await q;
+  if (error) throw error;
+
+  const rows = (data || []).slice(0, filters.limit);
+  const nextCursor = (data || []).length > filters.limit ? encodeCursor(rows[rows.length - 1]) : null;
+  return { rows, nextCursor };
+}
+
+// { [status]: count, total } over the same date range and scrap type, for the app's tabs.
+// A status the database doesn't know yet (enum not migrated) counts as 0.
+async function countByStatus(supabase, filters) {
+  const statuses = Object.values(STATUS);
+  const results = await Promise.all(
+    statuses.map((status) =>
+      applyFilters(supabase.from('pickups').select(selectColumns('id', filters), { count: 'exact', head: true }), filters).eq('status', status)
+    )
+  );
+
+  const counts = {};
+  let total = 0;
+  results.forEach(({ count, error }, i) => {
+    if (error && !/invalid input value for enum/i.test(error.message || '')) throw error;
+    counts[statuses[i]] = error ? 0 : count || 0;
+    total += counts[statuses[i]];
+  });
+  counts.total = total;
+  return counts;
+}
+
+module.exports = {
+  parseHistoryQuery,
+  listCustomerPickups,
+  countByStatus,
+  encodeCursor,
+  decodeCursor,
+};
@@ -0,0 +1,235 @@
+// Customer ratings of completed pickups (see supabase/migrations/028_pickup_ratings.sql).
+//
+// A customer rates a COMPLETED pickup once: 1-5 stars, optional tags from RATING_TAGS and a
+// comment. The rating is stored against the vendor that did the pickup. Ratings of 1-2 stars are
+// held as PENDING until an admin publishes or rejects them (/api/admin/ratings); only PUBLISHED
+// ratings count towards a vendor's average and show up on the vendor endpoints.
+
+const { encodeCursor, decodeCursor } = require('./pickupHistory');
+
+// Same list as rate_pickup in 028_pickup_ratings.sql.
+const RATING_TAGS = {
+  weighed_fairly: 'Weighed fairly',
+  on_time: 'On time',
+  friendly: 'Friendly',
+  fair_price: 'Fair price',
+  late: 'Late',
+  unfair_weighing: 'Unfair weighing',
+  rude: 'Rude',
+  paid_less: 'Paid less than agreed',
+};
+
+const MODERATION_STATUSES = ['PUBLISHED', 'PENDING', 'REJECTED'];
+const MAX_COMMENT = 1000;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const RATING_COLUMNS = 'id,pickup_id,customer_id,vendor_ref,stars,tags,comment,moderation_status,moderation_note,moderated_at,created_at';
+
+function isMissingTable(error) {
+  return /relation .*(pickup_ratings|vendor_rating_stats|vendor_rating_tags).* does not exist/i.test(error?.message || '');
+}
+
+// { stars, tags?, comment? } -> { ok: true, value } or { ok: false, error }.
+// Tags are matched case-insensitively, spaces as underscores ("Weighed fairly" -> weighed_fairly).
+function parseRatingInput(body) {
+  const stars = Number(body?.stars ?? body?.rating);
+  if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+    return { ok: false, error: 'stars must be a whole number from 1 to 5' };
+  }
+
+  const tagsRaw = body?.tags ?? [];
+  if (!Array.isArray(tagsRaw)) return { ok: false, error: 'tags must be an array' };
+  const tags = [];
+  for (const raw of tagsRaw) {
+    const tag = String(raw ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (!RATING_TAGS[tag]) {
+      return { ok: false, error: `unknown tag "${raw}" (allowed: ${Object.keys(RATING_TAGS).join(', ')})` };
+    }
+    if (!tags.includes(tag)) tags.push(tag);
+  }
+
+  const commentRaw = body?.comment;
+  if (commentRaw != null && typeof commentRaw !== 'string') return { ok: false, error: 'comment must be a string' };
+  const comment = commentRaw ? commentRaw.trim() : '';
+  if (comment.length > MAX_COMMENT) return { ok: false, error: `comment must be at most ${MAX_COMMENT} characters` };
+
+  return { ok: true, value: { stars, tags, comment: comment || null } };
+}
+
+// Calls rate_pickup with the customer's JWT; { ok: true, ratingId } or { ok: false, status, code?, error }.
+async function submitRatingViaRpc(anon, pickupId, value) {
+  const { data, error } = await anon.rpc('rate_pickup', {
+    p_pickup_id: pickupId,
+    p_stars: value.stars,
+    p_tags: value.tags,
+    p_comment: value.comment,
+  });
+  if (!error) return { ok: true, ratingId: data };
+
+  const msg = error.message || 'Could not save rating';
+  const coded = msg.match(/(NOT_FOUND|NOT_RATEABLE|ALREADY_RATED|RATING_INVALID):\s*(.*)/);
+  if (coded) {
+    const status = { NOT_FOUND: 404, ALREADY_RATED: 409, NOT_RATEABLE: 409 }[coded[1]] || 422;
+    return { ok: false, status, code: coded[1], error: coded[2] };
+  }
+  if (/function rate_pickup|schema cache/i.test(msg)) {
+    return {
+      ok: false,
+      status: 501,
+      error: 'Pickup ratings are not enabled in DB yet. Apply supabase/migrations/028_pickup_ratings.sql then retry.',
+    };
+  }
+  return { ok: false, status: 400, error: msg };
+}
+
+// The customer's own rating of a pickup (RLS), or null.
+async function fetchPickupRating(supabase, pickupId) {
+  const { data, error } = await supabase.from('pickup_ratings').select(RATING_COLUMNS).eq('pickup_id', String(pickupId)).maybeSingle();
+  if (error) {
+    if (isMissingTable(error)) return null;
+    throw error;
+  }
+  return data || null;
+}
+
+function averageOf(stats) {
+  return stats?.average_stars != null ? Math.round(Number(stats.average_stars) * 100) / 100 : null;
+}
+
+// Short summary per vendor for pickup vendor blocks: Map ref -> { average, count }.
+// Vendors without published ratings get { average: null, count: 0 }.
+async function fetchRatingSummaries(service, vendorRefs) {
+  const refs = [...new Set((vendorRefs || []).filter(Boolean).map(String))];
+  const out = new Map(refs.map((ref) => [ref, { average: null, count: 0 }]));
+  if (!refs.length) return out;
+
+  const { data, error } = await service.from('vendor_rating_stats').select('vendor_ref,rating_count,average_stars').in('vendor_ref', refs);
+  if (error) {
+    if (isMissingTable(error)) return out;
+    throw error;
+  }
+  for (const s of data || []) out.set(String(s.vendor_ref), { average: averageOf(s), count: Number(s.rating_count) || 0 });
+  return out;
+}
+
+// Full aggregate for one vendor: average, count, per-star distribution and tag counts.
+async function summarizeVendorRatings(service, vendorRef) {
+  const ref = String(vendorRef);
+  const [statsRes, tagsRes] = await Promise.all([
+    service.from('vendor_rating_stats').select('*').eq('vendor_ref', ref).maybeSingle(),
+    service.from('vendor_rating_tags').select('tag,tag_count').eq('vendor_ref', ref),
+  ]);
+  const error = statsRes.error || tagsRes.error;
+  if (error && !isMissingTable(error)) throw error;
+
+  const stats = error ? null : statsRes.data;
+  const distribution = {};
+  for (let n = 1; n <= 5; n += 1) distribution[n] = Number(stats?.[`stars_${n}`]) || 0;
+  const tags = (error ? [] : tagsRes.data || [])
+    .map((t) => ({ tag: t.tag, label: RATING_TAGS[t.tag] || t.tag, count: Number(t.tag_count) || 0 }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+
+  return {
+    vendor_id: ref,
+    average: averageOf(stats),
+    count: Number(stats?.rating_count) || 0,
+    distribution,
+    tags,
+    last_rated_at: stats?.last_rated_at || null,
+  };
+}
+
+// { limit?, cursor? } -> { ok: true, value: { limit, cursor } } or { ok: false, error }.
+function parsePageQuery(query) {
+  let limit = DEFAULT_LIMIT;
+  if (query?.limit != null && query.limit !== '') {
+    const n = Number.parseInt(String(query.limit), 10);
+    if (!Number.isFinite(n) || n <= 0) return { ok: false, error: `limit must be between 1 and ${MAX_LIMIT}` };
+    limit = Math.min(n, MAX_LIMIT);
+  }
+  let cursor = null;
+  if (query?.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) return { ok: false, error: 'cursor is invalid' };
+  }
+  return { ok: true, value: { limit, cursor } };
+}
+
+// Newest first; { rows, nextCursor }. Filter by vendor_ref and/or moderation_status.
+async function listRatings(service, { vendorRef = null, status = null, limit = DEFAULT_LIMIT, cursor = null } = {}) {
+  let q = service.from('pickup_ratings').select(RATING_COLUMNS);
+  if (vendorRef) q = q.eq('vendor_ref', String(vendorRef));
+  if (status) q = q.eq('moderation_status', status);
+  if (cursor) q = q.or(`created_at.lt."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.lt."${cursor.id}")`);
+
+  const { data, error } = await q
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit + 1);
+  if (error) throw error;
+
+  const rows = (data || []).slice(0, limit);
+  const nextCursor = (data || []).length > limit ? encodeCursor(rows[rows.length - 1]) : null;
+  return { rows, nextCursor };
+}
+
+// Customer API shape (camelCase, like the pickup detail response).
+function formatRating(r) {
+  if (!r) return null;
+  return {
+    id: r.id,
+    stars: r.stars,
+    tags: r.tags || [],
+    comment: r.comment || null,
+    moderationStatus: r.moderation_status,
+    createdAt: r.created_at,
+  };
+}
+
+// Vendor API shape: no customer id, no moderation fields (vendors only see published ratings).
+function formatRatingForVendor(r) {
+  return {
+    id: r.id,
+    pickup_id: r.pickup_id,
+    stars: r.stars,
+    tags: r.tags || [],
+    comment: r.comment || null,
+    created_at: r.created_at,
+  };
+}
+
+// Admin decision on a PENDING rating: 'approve' publishes it, 'reject' keeps it out of every
+// aggregate. Returns the updated row, or null when the rating is not (or no longer) PENDING.
+async function moderateRating(service, ratingId, decision, note = null) {
+  const { data, error } = await service
+    .from('pickup_ratings')
+    .update({
+      moderation_status: decision === 'approve' ? 'PUBLISHED' : 'REJECTED',
+      moderation_note: note,
+      moderated_at: new Date().toISOString(),
+    })
+    .eq('id', String(ratingId))
+    .eq('moderation_status', 'PENDING')
+    .select(RATING_COLUMNS)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+module.exports = {
+  RATING_TAGS,
+  MODERATION_STATUSES,
+  RATING_COLUMNS,
+  isMissingTable,
+  parseRatingInput,
+  submitRatingViaRpc,
+  fetchPickupRating,
+  fetchRatingSummaries,
+  summarizeVendorRatings,
+  parsePageQuery,
+  listRatings,
+  formatRating,
+  formatRatingForVendor,
+  moderateRating,
+};
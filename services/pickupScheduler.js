@@ -0,0 +1,173 @@
+// Deferred dispatch for pickups booked into a future time slot (pickups.slot_start, see
+// supabase/migrations/026_pickup_slots.sql and 027_scheduled_dispatch.sql).
+//
+// dispatchPickup parks a pickup whose slot starts more than the lead time ahead in SCHEDULED
+// (vendors rarely take an offer days ahead). The dispatcher sweeper calls runSchedulerOnce, which:
+// - dispatches SCHEDULED pickups once their slot is within DISPATCH_LEAD_MINUTES;
+// - dispatches slotted pickups left at NO_VENDOR_AVAILABLE again every DISPATCH_RETRY_MINUTES
+//   until the slot starts;
+// - escalates pickups still without a vendor when their slot starts (pickups.escalated_at plus a
+//   dispatch_escalated event; ops work them from GET /api/admin/pickups/escalated). Moving the
+//   pickup to another time slot clears escalated_at (update_pickup), so the new slot escalates too.
+// Everything is read back from the database on each sweep, so restarts lose nothing.
+
+const { createServiceClient } = require('../supabase/client');
+const { recordPickupEvent } = require('./pickupEvents');
+const { STATUS } = require('./pickupStateMachine');
+
+const DEFAULT_LEAD_MINUTES = 120;
+const DEFAULT_RETRY_MINUTES = 30;
+const BATCH = 50;
+
+// Pickups that still need a vendor.
+const UNASSIGNED_STATUSES = [STATUS.SCHEDULED, STATUS.FINDING_VENDOR, STATUS.NO_VENDOR_AVAILABLE];
+
+let notMigratedLogged = false;
+
+function minutesFromEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function leadMinutes() {
+  return minutesFromEnv('DISPATCH_LEAD_MINUTES', DEFAULT_LEAD_MINUTES);
+}
+
+function retryMinutes() {
+  return Math.max(1, minutesFromEnv('DISPATCH_RETRY_MINUTES', DEFAULT_RETRY_MINUTES));
+}
+
+// When dispatch should start for a pickup (ms), or null for pickups without a slot.
+function dispatchTimeOf(pickup) {
+  const start = pickup?.slot_start ? new Date(pickup.slot_start).getTime() : NaN;
+  return Number.isFinite(start) ? start - leadMinutes() * 60 * 1000 : null;
+}
+
+// True while the pickup's slot is too far ahead to offer to vendors.
+function isDeferred(pickup, now = Date.now()) {
+  const at = dispatchTimeOf(pickup);
+  return at != null && at > now;
+}
+
+function isNotMigrated(error) {
+  return /column .*(slot_start|escalated_at).* does not exist|invalid input value for enum\s+pickup_status:\s+"SCHEDULED"/i.test(
+    error?.message || ''
+  );
+}
+
+function queryFailed(step, error) {
+  if (isNotMigrated(error)) {
+    if (!notMigratedLogged) console.warn('[DISPATCH] scheduled dispatch disabled; apply supabase/migrations/027_scheduled_dispatch.sql');
+    notMigratedLogged = true;
+  } else {
+    console.warn(`[DISPATCH] scheduler_${step}_query_failed error=${error?.message || error}`);
+  }
+}
+
+// SCHEDULED pickups whose dispatch time has come (or that lost their slot in an edit).
+async function dispatchDuePickups(supabase, dispatcher, now) {
+  const dueBefore = new Date(now + leadMinutes() * 60 * 1000).toISOString();
+  const { data, error } = await supabase
+    .from('pickups')
+    .select('id,slot_start')
+    .eq('status', STATUS.SCHEDULED)
+    .or(`slot_start.is.null,slot_start.lte."${dueBefore}"`)
+    .order('slot_start', { ascending: true })
+    .limit(BATCH);
+  if (error) return queryFailed('due', error);
+
+  for (const p of data || []) {
+    console.log(`[DISPATCH] scheduled_dispatch_due pickupId=${p.id} slotStart=${p.slot_start}`);
+    await dispatcher.dispatchPickup(p.id).catch((e) => console.warn('[DISPATCH] dispatch_error', e));
+  }
+}
+
+// Slotted pickups nobody took: try again while the slot is still ahead.
+async function retryUnclaimedPickups(supabase, dispatcher, now) {
+  const { data, error } = await supabase
+    .from('pickups')
+    .select('id,slot_start')
+    .eq('status', STATUS.NO_VENDOR_AVAILABLE)
+    .gt('slot_start', new Date(now).toISOString())
+    .is('escalated_at', null)
+    .order('slot_start', { ascending: true })
+    .limit(BATCH);
+  if (error) return queryFailed('retry', error);
+  if (!data?.length) return;
+
+  // The dispatch state's updated_at is when the last round ended.
+  const { data: states, error: stateErr } = await supabase
+    .from('pickup_dispatch_state')
+    .select('pickup_id,updated_at')
+    .in('pickup_id', data.map((p) => p.id));
+  if (stateErr) return queryFailed('retry_state', stateErr);
+  const lastRound = new Map((states || []).map((s) => [String(s.pickup_id), new Date(s.updated_at).getTime()]));
+
+  const retryBefore = now - retryMinutes() * 60 * 1000;
+  for (const p of data) {
+    const last = lastRound.get(String(p.id));
+    if (last != null && last > retryBefore) continue;
+    console.log(`[DISPATCH] scheduled_dispatch_retry pickupId=${p.id} slotStart=${p.slot_start}`);
+    await recordPickupEvent(supabase, p.id, 'dispatch_retry_scheduled', {
+      reason: 'no_vendor_before_slot',
+      fromStatus: STATUS.NO_VENDOR_AVAILABLE,
+      data: { slotStart: p.slot_start },
+    });
+    await dispatcher.dispatchPickup(p.id).catch((e) => console.warn('[DISPATCH] dispatch_error', e));
+  }
+}
+
+// Slot started and still no vendor: hand over to ops, once per pickup. Any offer still out stays
+// open, so a vendor may yet accept.
+async function escalateUnassignedPickups(supabase, now) {
+  const nowIso = new Date(now).toISOString();
+  const { data, error } = await supabase
+    .from('pickups')
+    .select('id,status,slot_start,slot_end')
+    .in('status', UNASSIGNED_STATUSES)
+    .lte('slot_start', nowIso)
+    .is('escalated_at', null)
+    .order('slot_start', { ascending: true })
+    .limit(BATCH);
+  if (error) return queryFailed('escalate', error);
+
+  for (const p of data || []) {
+    // Claim it so only one instance escalates.
+    const { data: claimed, error: claimErr } = await supabase
+      .from('pickups')
+      .update({ escalated_at: nowIso })
+      .eq('id', p.id)
+      .is('escalated_at', null)
+      .select('id')
+      .maybeSingle();
+    if (claimErr) {
+      console.warn(`[DISPATCH] escalation_claim_failed pickupId=${p.id} error=${claimErr.message || claimErr}`);
+      continue;
+    }
+    if (!claimed) continue;
+
+    console.warn(`[DISPATCH] dispatch_escalated pickupId=${p.id} status=${p.status} slotStart=${p.slot_start}`);
+    await recordPickupEvent(supabase, p.id, 'dispatch_escalated', {
+      reason: 'no_vendor_before_slot',
+      fromStatus: p.status,
+      data: { slotStart: p.slot_start, slotEnd: p.slot_end },
+    });
+  }
+}
+
+async function runSchedulerOnce(now = Date.now()) {
+  const supabase = createServiceClient();
+  // Required lazily: the dispatcher runs this from its sweeper.
+  const dispatcher = require('./dispatcher');
+  await dispatchDuePickups(supabase, dispatcher, now);
+  await retryUnclaimedPickups(supabase, dispatcher, now);
+  await escalateUnassignedPickups(supabase, now);
+}
+
+module.exports = {
+  UNASSIGNED_STATUSES,
+  leadMinutes,
+  dispatchTimeOf,
+  isDeferred,
+  runSchedulerOnce,
+};
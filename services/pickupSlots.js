@@ -0,0 +1,334 @@
+// Pickup time slots (pickup_slot_windows, see supabase/migrations/026_pickup_slots.sql).
+//
+// A window is a recurring time range (09:00-12:00 on the weekdays in days_of_week, wall-clock
+// time in its timezone) with a capacity per area. A slot is one window on one date; clients get
+// slot ids ('<YYYY-MM-DD>@<window id>') from GET /api/pickups/slots and book with one.
+// An area uses its own windows when it has any, the default windows (no area) otherwise.
+// With no windows at all the slot model is off and timeSlot stays free text.
+
+const { STATUS } = require('./pickupStateMachine');
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const ALL_DAYS = [1, 2, 3, 4, 5, 6, 7];
+const DEFAULT_DAYS_AHEAD = 7;
+const MAX_DAYS_AHEAD = 14;
+const MAX_LABEL = 60;
+const MAX_CAPACITY = 10000;
+
+const SLOT_ID_RE = /^(\d{4}-\d{2}-\d{2})@([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const WINDOW_COLUMNS = 'id,service_area_id,label,start_time,end_time,days_of_week,capacity,timezone,is_active,created_at,updated_at';
+
+function isMissingTable(error) {
+  return /relation .*pickup_slot_windows.* does not exist/i.test(error?.message || '');
+}
+
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isValidDate(text) {
+  if (!DATE_RE.test(text)) return false;
+  const d = new Date(`${text}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === text;
+}
+
+// 'HH:MM' from 'HH:MM' or Postgres' 'HH:MM:SS'; null when malformed.
+function normalizeTime(raw) {
+  const m = String(raw ?? '').trim().match(TIME_RE);
+  return m ? `${m[1]}:${m[2]}` : null;
+}
+
+function parseSlotId(raw) {
+  const m = String(raw ?? '').trim().match(SLOT_ID_RE);
+  if (!m || !isValidDate(m[1])) return null;
+  return { date: m[1], windowId: m[2].toLowerCase() };
+}
+
+function formatSlotId(date, windowId) {
+  return `${date}@${windowId}`;
+}
+
+// Wall-clock parts of an instant in a timezone.
+function zonedParts(instant, tz) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(instant);
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+}
+
+function offsetMs(instant, tz) {
+  const p = zonedParts(instant, tz);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+// The instant a wall-clock date + 'HH:MM' in tz happens (same as Postgres' `timestamp at time zone tz`).
+function zonedToUtc(date, time, tz) {
+  const [y, mo, d] = date.split('-').map(Number);
+  const [h, mi] = time.split(':').map(Number);
+  const guess = Date.UTC(y, mo - 1, d, h, mi);
+  const first = guess - offsetMs(new Date(guess), tz);
+  // Second pass for days where the offset changes (DST).
+  return new Date(guess - offsetMs(new Date(first), tz));
+}
+
+// 'YYYY-MM-DD' of an instant in tz.
+function localDate(instant, tz) {
+  const p = zonedParts(instant, tz);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+function addDays(date, n) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+function isoWeekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay() || 7;
+}
+
+function daysOf(window) {
+  return Array.isArray(window.days_of_week) && window.days_of_week.length ? window.days_of_week.map(Number) : ALL_DAYS;
+}
+
+function timezoneOf(window) {
+  return window.timezone || DEFAULT_TIMEZONE;
+}
+
+// Same text as reserve_pickup_slot puts in pickups.time_slot.
+function formatTimeSlot(window, date) {
+  return `${date} ${normalizeTime(window.start_time)}-${normalizeTime(window.end_time)}`;
+}
+
+// One window on one date: { slotId, date, startsAt, endsAt, ... } or null when it isn't offered that day.
+function slotOf(window, date) {
+  if (!daysOf(window).includes(isoWeekday(date))) return null;
+  const tz = timezoneOf(window);
+  const startTime = normalizeTime(window.start_time);
+  const endTime = normalizeTime(window.end_time);
+  return {
+    slotId: formatSlotId(date, window.id),
+    windowId: window.id,
+    date,
+    startTime,
+    endTime,
+    label: window.label || null,
+    timeSlot: formatTimeSlot(window, date),
+    timezone: tz,
+    startsAt: zonedToUtc(date, startTime, tz).toISOString(),
+    endsAt: zonedToUtc(date, endTime, tz).toISOString(),
+  };
+}
+
+// Admin input. partial: PATCH (only the fields sent); current: the stored window, so a PATCH of
+// only start_time or end_time is checked against the other one. Returns { ok: true, value } (a
+// pickup_slot_windows patch) or { ok: false, error }.
+function parseWindowInput(body, { partial = false, current = null } = {}) {
+  const has = (...keys) => keys.some((k) => body?.[k] !== undefined);
+  const pick = (...keys) => keys.map((k) => body?.[k]).find((v) => v !== undefined);
+  const value = {};
+
+  if (!partial || has('start_time', 'startTime')) {
+    const t = normalizeTime(pick('start_time', 'startTime'));
+    if (!t) return { ok: false, error: 'start_time is required (HH:MM)' };
+    value.start_time = t;
+  }
+
+  if (!partial || has('end_time', 'endTime')) {
+    const t = normalizeTime(pick('end_time', 'endTime'));
+    if (!t) return { ok: false, error: 'end_time is required (HH:MM)' };
+    value.end_time = t;
+  }
+
+  const start = value.start_time || normalizeTime(current?.start_time);
+  const end = value.end_time || normalizeTime(current?.end_time);
+  if (start && end && end <= start) {
+    return { ok: false, error: 'end_time must be after start_time (windows cannot span midnight)' };
+  }
+
+  if (!partial || has('capacity')) {
+    const n = Number(body?.capacity);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_CAPACITY) return { ok: false, error: `capacity must be an integer between 0 and ${MAX_CAPACITY}` };
+    value.capacity = n;
+  }
+
+  if (has('days_of_week', 'daysOfWeek')) {
+    const raw = pick('days_of_week', 'daysOfWeek');
+    const days = Array.isArray(raw) ? [...new Set(raw.map(Number))].sort((a, b) => a - b) : null;
+    if (!days || !days.length || !days.every((d) => ALL_DAYS.includes(d))) {
+      return { ok: false, error: 'days_of_week must be a non-empty array of ISO weekdays (1 = Monday .. 7 = Sunday)' };
+    }
+    value.days_of_week = days;
+  }
+
+  if (has('label')) {
+    const raw = body.label;
+    if (raw != null && (typeof raw !== 'string' || raw.trim().length > MAX_LABEL)) {
+      return { ok: false, error: `label must be text of at most ${MAX_LABEL} characters` };
+    }
+    value.label = raw != null && raw.trim() ? raw.trim() : null;
+  }
+
+  if (has('timezone')) {
+    const tz = String(body.timezone ?? '').trim();
+    if (!tz || !isValidTimezone(tz)) return { ok: false, error: 'timezone must be an IANA zone, e.g. Asia/Kolkata' };
+    value.timezone = tz;
+  }
+
+  if (has('service_area_id', 'serviceAreaId')) {
+    const raw = pick('service_area_id', 'serviceAreaId');
+    value.service_area_id = raw != null && String(raw).trim() ? String(raw).trim() : null;
+  }
+
+  if (has('is_active', 'isActive')) {
+    const raw = pick('is_active', 'isActive');
+    if (typeof raw !== 'boolean') return { ok: false, error: 'is_active must be a boolean' };
+    value.is_active = raw;
+  }
+
+  if (partial && Object.keys(value).length === 0) return { ok: false, error: 'Nothing to update' };
+  return { ok: true, value };
+}
+
+// Active windows that apply to an area (null: no area), earliest first. [] before the migration.
+async function fetchWindowsForArea(supabase, areaId) {
+  const { data, error } = await supabase.from('pickup_slot_windows').select(WINDOW_COLUMNS).eq('is_active', true);
+  if (error) {
+    if (isMissingTable(error)) return [];
+    throw error;
+  }
+
+  const windows = data || [];
+  const own = areaId ? windows.filter((w) => String(w.service_area_id) === String(areaId)) : [];
+  const chosen = own.length ? own : windows.filter((w) => !w.service_area_id);
+  return chosen.sort((a, b) => String(a.start_time).localeCompare(String(b.start_time)));
+}
+
+// Pickups holding a place, keyed by slot id. Needs the service client (other customers' pickups).
+async function countBookings(supabase, windowIds, fromDate, toDate, areaId) {
+  if (!windowIds.length) return new Map();
+
+  let q = supabase
+    .from('pickups')
+    .select('slot_window_id,slot_date')
+    .in('slot_window_id', windowIds)
+    .gte('slot_date', fromDate)
+    .lte('slot_date', toDate)
+    .neq('status', STATUS.CANCELLED);
+  q = areaId ? q.eq('slot_area_id', areaId) : q.is('slot_area_id', null);
+
+  const { data, error } = await q;
+  if (error) throw error;
+
+  const counts = new Map();
+  for (const row of data || []) {
+    const key = formatSlotId(String(row.slot_date).slice(0, 10), row.slot_window_id);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+// Bookable slots (not started, room left) for the next `days` days, in time order.
+// Returns { configured, slots }; configured = false means free-text time slots.
+async function listAvailableSlots(supabase, areaId, { days = DEFAULT_DAYS_AHEAD, now = new Date() } = {}) {
+  const windows = await fetchWindowsForArea(supabase, areaId);
+  if (!windows.length) return { configured: false, slots: [] };
+
+  const candidates = [];
+  for (const w of windows) {
+    const today = localDate(now, timezoneOf(w));
+    for (let i = 0; i < days; i += 1) {
+      const slot = slotOf(w, addDays(today, i));
+      if (slot && new Date(slot.startsAt) > now) candidates.push({ slot, capacity: Number(w.capacity) || 0 });
+    }
+  }
+  if (!candidates.length) return { configured: true, slots: [] };
+
+  const dates = candidates.map((c) => c.slot.date).sort();
+  const booked = await countBookings(
+    supabase,
+    windows.map((w) => w.id),
+    dates[0],
+    dates[dates.length - 1],
+    areaId
+  );
+
+  const slots = candidates
+    .map(({ slot, capacity }) => {
+      const taken = booked.get(slot.slotId) || 0;
+      return { ...slot, capacity, booked: taken, remaining: Math.max(0, capacity - taken) };
+    })
+    .filter((s) => s.remaining > 0)
+    .sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+  return { configured: true, slots };
+}
+
+// The slot a booking or edit asks for: body.slotId, or a slot id sent as timeSlot.
+// Checks it against the area's windows; capacity is checked by the database under a lock.
+// Returns { ok: true, slot } (slot null = free-text time slot) or { ok: false, code, error }.
+async function resolveRequestedSlot(supabase, body, areaId, now = new Date()) {
+  const raw = body?.slotId ?? body?.slot_id ?? (parseSlotId(body?.timeSlot) ? body.timeSlot : null);
+  const windows = await fetchWindowsForArea(supabase, areaId);
+
+  if (!windows.length) {
+    if (raw != null && raw !== '') return { ok: false, code: 'SLOT_INVALID', error: 'Time slots are not offered here; send timeSlot as text' };
+    return { ok: true, slot: null };
+  }
+  if (raw == null || raw === '') {
+    return { ok: false, code: 'SLOT_REQUIRED', error: 'Choose one of the time slots from GET /api/pickups/slots (slotId)' };
+  }
+
+  const parsed = parseSlotId(raw);
+  if (!parsed) return { ok: false, code: 'SLOT_INVALID', error: 'slotId must look like YYYY-MM-DD@<window id>' };
+
+  const window = windows.find((w) => String(w.id).toLowerCase() === parsed.windowId);
+  if (!window) return { ok: false, code: 'SLOT_INVALID', error: 'time slot is not offered in this area' };
+
+  const slot = slotOf(window, parsed.date);
+  if (!slot) return { ok: false, code: 'SLOT_INVALID', error: `time slot is not offered on ${parsed.date}` };
+  if (new Date(slot.startsAt) <= now) return { ok: false, code: 'SLOT_PAST', error: `time slot ${slot.timeSlot} has already started` };
+
+  return { ok: true, slot: { ...slot, areaId: areaId || null } };
+}
+
+// create_pickup / update_pickup arguments for a resolved slot.
+function slotRpcArgs(slot) {
+  return { p_slot_window_id: slot.windowId, p_slot_date: slot.date, p_slot_area_id: slot.areaId || null };
+}
+
+// 'SLOT_FULL: ...' etc. raised by reserve_pickup_slot; null for other errors.
+function slotErrorOf(message) {
+  const m = String(message || '').match(/(SLOT_(?:FULL|PAST|INVALID)):\s*(.*)/);
+  return m ? { code: m[1], error: m[2] } : null;
+}
+
+module.exports = {
+  DEFAULT_DAYS_AHEAD,
+  MAX_DAYS_AHEAD,
+  WINDOW_COLUMNS,
+  isMissingTable,
+  parseSlotId,
+  parseWindowInput,
+  fetchWindowsForArea,
+  listAvailableSlots,
+  resolveRequestedSlot,
+  slotRpcArgs,
+  slotErrorOf,
+};
@@ -0,0 +1,338 @@
+const { createServiceClient } = require('../supabase/client');
+
+// Pickup state machine: every pickup status, the transitions between them, who may trigger each
+// one and what else changes with it. Routes and the dispatcher change pickups.status only through
+// transitionPickup(), or transitionViaRpc() for customer RPCs that enforce the same rules
+// (see supabase/migrations/020_pickup_state_machine.sql).
+//
+//   REQUESTED ──start_dispatch──> FINDING_VENDOR ──assign──> ASSIGNED ──start_trip──> ON_THE_WAY
+//        │                          │  ^   ^               │    │                        │
+//        │                 no_vendor│  │   └───unassign────┘    └────────complete────────┴──> COMPLETED
+//        │                          v  │retry_dispatch
+//        │                    NO_VENDOR_AVAILABLE
+//        └──────────── cancel (any open status) ────────────────────────────────────────────> CANCELLED
+//
+//   REQUESTED, FINDING_VENDOR, NO_VENDOR_AVAILABLE ──schedule──> SCHEDULED ──start_dispatch──> FINDING_VENDOR
+//   (time slot beyond the dispatch lead time)                              (slot due, services/pickupScheduler.js)
+//
+// Offers inside FINDING_VENDOR (claiming/releasing the offer slot via assigned_vendor_ref and
+// assignment_expires_at) are dispatcher bookkeeping, not status transitions.
+
+const STATUS = Object.freeze({
+  REQUESTED: 'REQUESTED',
+  SCHEDULED: 'SCHEDULED',
+  FINDING_VENDOR: 'FINDING_VENDOR',
+  NO_VENDOR_AVAILABLE: 'NO_VENDOR_AVAILABLE',
+  ASSIGNED: 'ASSIGNED',
+  ON_THE_WAY: 'ON_THE_WAY',
+  COMPLETED: 'COMPLETED',
+  CANCELLED: 'CANCELLED',
+});
+
+const ACTORS = ['customer', 'vendor', 'system', 'admin'];
+
+// No way out of these.
+const TERMINAL_STATUSES = [STATUS.COMPLETED, STATUS.CANCELLED];
+// Statuses the dispatcher may (re)start offering from.
+const DISPATCHABLE_STATUSES = [STATUS.REQUESTED, STATUS.SCHEDULED, STATUS.FINDING_VENDOR, STATUS.NO_VENDOR_AVAILABLE];
+const OPEN_STATUSES = [...DISPATCHABLE_STATUSES, STATUS.ASSIGNED, STATUS.ON_THE_WAY];
+
+// effects:
+//   clearOffer:   assigned_vendor_ref and assignment_expires_at are reset
+//   clearExpiry:  only assignment_expires_at is reset (the assigned vendor stays)
+//   timestamp:    column set to now()
+//   reopen:       cancelled_at is reset
+//   stopDispatch: { status, reason } for dispatcher.stopDispatch (timers, open offers, dispatch state)
+const TRANSITIONS = Object.freeze({
+  start_dispatch: {
+    from: DISPATCHABLE_STATUSES,
+    to: STATUS.FINDING_VENDOR,
+    actors: ['system'],
+    effects: {},
+  },
+  // Booked for a slot too far ahead to offer yet; dispatch starts again when it is due.
+  schedule: {
+    from: [STATUS.REQUESTED, STATUS.FINDING_VENDOR, STATUS.NO_VENDOR_AVAILABLE],
+    to: STATUS.SCHEDULED,
+    actors: ['system'],
+    effects: { clearOffer: true, stopDispatch: { status: 'STOPPED', reason: 'scheduled' } },
+  },
+  // Not from SCHEDULED: those are dispatched when their slot is due.
+  retry_dispatch: {
+    from: [STATUS.REQUESTED, STATUS.FINDING_VENDOR, STATUS.NO_VENDOR_AVAILABLE],
+    to: STATUS.FINDING_VENDOR,
+    actors: ['customer', 'admin'],
+    effects: { clearOffer: true, reopen: true, stopDispatch: { status: 'STOPPED', reason: 'redispatch' } },
+  },
+  no_vendor: {
+    from: [STATUS.FINDING_VENDOR],
+    to: STATUS.NO_VENDOR_AVAILABLE,
+    actors: ['system'],
+    effects: { clearOffer: true },
+  },
+  // The dispatcher closes the accepted offer and withdraws the rest itself (confirmVendorAcceptance).
+  assign: {
+    from: [STATUS.FINDING_VENDOR],
+    to: STATUS.ASSIGNED,
+    actors: ['vendor'],
+    effects: { clearExpiry: true },
+  },
+  // The assigned vendor backs out (e.g. declines a customer's change, see services/pickupChanges.js);
+  // the caller dispatches the pickup again.
+  unassign: {
+    from: [STATUS.ASSIGNED],
+    to: STATUS.FINDING_VENDOR,
+    actors: ['vendor', 'admin'],
+    effects: { clearOffer: true, stopDispatch: { status: 'STOPPED', reason: 'vendor_released' } },
+  },
+  start_trip: {
+    from: [STATUS.ASSIGNED, STATUS.ON_THE_WAY],
+    to: STATUS.ON_THE_WAY,
+    actors: ['vendor'],
+    effects: {},
+  },
+  complete: {
+    from: [STATUS.ASSIGNED, STATUS.ON_THE_WAY],
+    to: STATUS.COMPLETED,
+    actors: ['vendor', 'admin'],
+    effects: { timestamp: 'completed_at', stopDispatch: { status: 'DONE', reason: 'pickup_completed' } },
+  },
+  cancel: {
+    from: OPEN_STATUSES,
+    to: STATUS.CANCELLED,
+    actors: ['customer', 'admin'],
+    effects: { clearOffer: true, timestamp: 'cancelled_at', stopDispatch: { status: 'STOPPED', reason: 'pickup_cancelled' } },
+  },
+});
+
+const ERROR_HTTP_STATUS = {
+  ILLEGAL_TRANSITION: 409,
+  PRECONDITION_FAILED: 409,
+  ACTOR_NOT_ALLOWED: 403,
+  NOT_FOUND: 404,
+  STATUS_NOT_ENABLED: 501,
+  UNKNOWN_TRANSITION: 500,
+};
+
+class PickupTransitionError extends Error {
+  // details: { transition, from (current status), to, actor }
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'PickupTransitionError';
+    this.code = code;
+    this.httpStatus = ERROR_HTTP_STATUS[code] || 409;
+    this.transition = details.transition || null;
+    this.currentStatus = details.from || null;
+    this.targetStatus = details.to || null;
+    this.actor = details.actor || null;
+  }
+
+  // Response body in the API's { success, error } shape.
+  toJSON() {
+    return {
+      success: false,
+      code: this.code,
+      error: this.message,
+      transition: this.transition,
+      status: this.currentStatus,
+    };
+  }
+}
+
+function normalizeStatus(status) {
+  return status != null ? String(status).trim().toUpperCase() : null;
+}
+
+function isTerminal(status) {
+  return TERMINAL_STATUSES.includes(normalizeStatus(status));
+}
+
+function isDispatchable(status) {
+  return DISPATCHABLE_STATUSES.includes(normalizeStatus(status));
+}
+
+function transitionFor(name) {
+  const def = TRANSITIONS[name];
+  if (!def) throw new PickupTransitionError('UNKNOWN_TRANSITION', `Unknown pickup transition ${name}`, { transition: name });
+  return def;
+}
+
+function canTransition(name, fromStatus, actor) {
+  const def = TRANSITIONS[name];
+  return Boolean(def && def.from.includes(normalizeStatus(fromStatus)) && (!actor || def.actors.includes(actor)));
+}
+
+// Throws PickupTransitionError unless `actor` may run `name` on a pickup in `fromStatus`.
+function assertTransition(name, fromStatus, actor) {
+  const def = transitionFor(name);
+  const from = normalizeStatus(fromStatus);
+  const details = { transition: name, from, to: def.to, actor };
+  if (actor && !def.actors.includes(actor)) {
+    throw new PickupTransitionError('ACTOR_NOT_ALLOWED', `Pickup transition ${name} cannot be triggered by a ${actor}`, details);
+  }
+  if (!def.from.includes(from)) {
+    throw new PickupTransitionError('ILLEGAL_TRANSITION', `Pickup transition ${name} is not allowed from status ${from}`, details);
+  }
+  return def;
+}
+
+// Columns written along with the new status.
+function transitionPatch(def, now = new Date().toISOString()) {
+  const patch = { status: def.to };
+  if (def.effects.clearOffer) Object.assign(patch, { assigned_vendor_ref: null, assignment_expires_at: null });
+  if (def.effects.clearExpiry) patch.assignment_expires_at = null;
+  if (def.effects.reopen) patch.cancelled_at = null;
+  if (def.effects.timestamp) patch[def.effects.timestamp] = now;
+  return patch;
+}
+
+// Post-commit effects (timers, open offers, dispatch state). Also used after RPC-driven transitions.
+async function applyTransitionEffects(pickupId, name) {
+  const { stopDispatch } = transitionFor(name).effects;
+  if (!stopDispatch) return;
+  // Required lazily: the dispatcher itself goes through this module.
+  const dispatcher = require('./dispatcher');
+  await dispatcher.stopDispatch(String(pickupId), stopDispatch.status, stopDispatch.reason);
+}
+
+// Statuses added to the pickup_status enum after the first migration, and where.
+const STATUS_MIGRATIONS = {
+  [STATUS.ON_THE_WAY]: '003_pickup_status_and_rpcs.sql',
+  [STATUS.SCHEDULED]: '027_scheduled_dispatch.sql',
+};
+
+// The status a database without its migration rejected, or null.
+function missingStatusOf(error) {
+  const m = (error?.message || '').match(/invalid input value for enum\s+pickup_status:\s+"(\w+)"/i);
+  return m && STATUS_MIGRATIONS[m[1]] ? m[1] : null;
+}
+
+// Move a pickup through transition `name` with a conditional update.
+// options:
+//   actor:   who triggers it (checked against the transition's actors)
+//   patch:   extra columns to write (e.g. assigned_vendor_ref on assign)
+//   guard:   (query) => query, extra preconditions (e.g. .eq('assigned_vendor_ref', ref))
+//   select:  columns to return (default id,status,assigned_vendor_ref,assignment_expires_at,completed_at,cancelled_at,created_at)
+//   precondition: message used when the status matched but the guard did not
+//   effects: false to skip applyTransitionEffects
+// Returns the updated row; throws PickupTransitionError when the transition isn't possible.
+async function transitionPickup(supabase, pickupId, name, options = {}) {
+  const def = transitionFor(name);
+  const actor = options.actor || 'system';
+  if (!def.actors.includes(actor)) assertTransition(name, def.from[0], actor);
+
+  const select = options.select || 'id,status,assigned_vendor_ref,assignment_expires_at,completed_at,cancelled_at,created_at';
+  const patch = { ...transitionPatch(def), ...(options.patch || {}) };
+
+  const run = (from) => {
+    let q = supabase.from('pickups').update(patch).eq('id', String(pickupId)).in('status', from);
+    if (options.guard) q = options.guard(q);
+    return q.select(select).maybeSingle();
+  };
+
+  let from = def.from;
+  let { data, error } = await run(from);
+
+  // Databases that haven't applied a status' migration reject any mention of it.
+  for (let missing = missingStatusOf(error); missing; missing = missingStatusOf(error)) {
+    if (def.to === missing || !from.includes(missing)) {
+      throw new PickupTransitionError(
+        'STATUS_NOT_ENABLED',
+        `${missing} is not enabled in DB yet. Apply Supabase migration supabase/migrations/${STATUS_MIGRATIONS[missing]} then retry.`,
+        { transition: name, to: def.to, actor }
+      );
+    }
+    from = from.filter((s) => s !== missing);
+    ({ data, error } = await run(from));
+  }
+  if (error) throw error;
+
+  if (!data) {
+    const { data: current, error: readErr } = await supabase
+      .from('pickups')
+      .select('id,status')
+      .eq('id', String(pickupId))
+      .maybeSingle();
+    if (readErr) throw readErr;
+    if (!current) {
+      throw new PickupTransitionError('NOT_FOUND', 'pickup not found', { transition: name, to: def.to, actor });
+    }
+    const status = normalizeStatus(current.status);
+    if (!from.includes(status)) assertTransition(name, status, actor);
+    throw new PickupTransitionError(
+      'PRECONDITION_FAILED',
+      options.precondition || `Pickup changed during transition ${name}`,
+      { transition: name, from: status, to: def.to, actor }
+    );
+  }
+
+  console.log(`[DISPATCH] status_change pickupId=${pickupId} status=${def.to} transition=${name} actor=${actor}`);
+  if (options.effects !== false) await applyTransitionEffects(pickupId, name);
+  return data;
+}
+
+// Same as transitionPickup, but a transition that no longer applies (pickup moved on, guard
+// didn't match) returns null instead of throwing. For system transitions that may lose a race.
+async function tryTransitionPickup(supabase, pickupId, name, options = {}) {
+  try {
+    return await transitionPickup(supabase, pickupId, name, options);
+  } catch (e) {
+    if (e instanceof PickupTransitionError && ['ILLEGAL_TRANSITION', 'PRECONDITION_FAILED', 'NOT_FOUND'].includes(e.code)) {
+      return null;
+    }
+    throw e;
+  }
+}
+
+// Customer transitions through their security-definer RPC (cancel_pickup, find_vendor_again), so
+// they work without SUPABASE_SERVICE_ROLE_KEY. The RPC enforces the same from-statuses and raises
+// ILLEGAL_TRANSITION otherwise; without the RPC this falls back to a service-role transitionPickup.
+// `pickup` is the customer's row ({ id, status }) as read through their own JWT.
+// Returns { ok: true } or { ok: false, error } for an RPC failure unrelated to the transition.
+async function transitionViaRpc(anon, pickup, name, rpcName, actor = 'customer') {
+  assertTransition(name, pickup.status, actor);
+
+  let error = null;
+  try {
+    ({ error } = await anon.rpc(rpcName, { p_pickup_id: pickup.id }));
+  } catch (e) {
+    error = e;
+  }
+
+  if (error) {
+    const msg = error?.message || String(error);
+    if (/ILLEGAL_TRANSITION/.test(msg)) {
+      throw new PickupTransitionError('ILLEGAL_TRANSITION', msg.replace(/^.*ILLEGAL_TRANSITION:\s*/, ''), {
+        transition: name,
+        // The status the RPC saw (ends the message), not the possibly stale one read before.
+        from: (msg.match(/status\s+(\w+)\s*$/) || [])[1] || normalizeStatus(pickup.status),
+        to: transitionFor(name).to,
+        actor,
+      });
+    }
+    if (!new RegExp(`function ${rpcName}|schema cache`, 'i').test(msg)) return { ok: false, error: msg };
+    await transitionPickup(createServiceClient(), pickup.id, name, { actor });
+    return { ok: true };
+  }
+
+  await applyTransitionEffects(pickup.id, name);
+  return { ok: true };
+}
+
+module.exports = {
+  STATUS,
+  ACTORS,
+  TERMINAL_STATUSES,
+  DISPATCHABLE_STATUSES,
+  OPEN_STATUSES,
+  TRANSITIONS,
+  PickupTransitionError,
+  isTerminal,
+  isDispatchable,
+  canTransition,
+  assertTransition,
+  applyTransitionEffects,
+  transitionPickup,
+  tryTransitionPickup,
+  transitionViaRpc,
+};
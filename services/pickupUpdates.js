@@ -0,0 +1,40 @@
+// In-process change notifications for live pickup streams (GET /api/pickups/:id/stream).
+//
+// - notifyPickup: something about the pickup changed (fired for every recorded pickup event,
+//   so dispatcher and vendor route transitions reach open streams straight away)
+// - notifyVendorMoved: a vendor sent a location heartbeat (ETA may have changed)
+// Only streams on this instance hear these; streams also poll, so other instances catch up.
+
+const { EventEmitter } = require('events');
+
+const bus = new EventEmitter();
+// One listener per open stream; the default cap of 10 is far too low.
+bus.setMaxListeners(0);
+
+function notifyPickup(pickupId) {
+  if (pickupId != null) bus.emit(`pickup:${pickupId}`);
+}
+
+function notifyVendorMoved(vendorRef) {
+  if (vendorRef != null) bus.emit(`vendor:${vendorRef}`);
+}
+
+// Returns an unsubscribe function.
+function onPickup(pickupId, fn) {
+  const event = `pickup:${pickupId}`;
+  bus.on(event, fn);
+  return () => bus.off(event, fn);
+}
+
+function onVendorMoved(vendorRef, fn) {
+  const event = `vendor:${vendorRef}`;
+  bus.on(event, fn);
+  return () => bus.off(event, fn);
+}
+
+module.exports = {
+  notifyPickup,
+  notifyVendorMoved,
+  onPickup,
+  onVendorMoved,
+};
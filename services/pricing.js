@@ -0,0 +1,121 @@
+// Scrap pricing: which scrap_rates row applies to a scrap type at a given moment, and quotes.
+// A rate is in effect from its effective_from (null = always) until its effective_to (null = open)
+// while is_active; when several qualify the latest effective_from wins. Rates scheduled for later
+// are ignored. Schedules are managed through services/scrapRates.js.
+
+// Quotes: quantities are rounded to 0.1 kg, line amounts to paise and the payout total to whole
+// rupees. A line below its scrap type's min_quantity (or QUOTE_MIN_QUANTITY_KG) pays nothing.
+// Types counted in pieces (services/scrapTypes.js) are priced per piece and need whole numbers.
+const { unitOf } = require('./scrapTypes');
+
+const QUOTE_CURRENCY = 'INR';
+
+function effectiveTime(rate) {
+  const t = rate?.effective_from ? new Date(rate.effective_from).getTime() : 0;
+  return Number.isFinite(t) ? t : 0;
+}
+
+// rates: scrap_rates rows for one scrap type (or several: filter first). Returns the row or null.
+function rateInEffect(rates, at = new Date()) {
+  const atMs = new Date(at).getTime();
+  let best = null;
+  for (const r of rates || []) {
+    if (r?.is_active === false) continue;
+    const from = effectiveTime(r);
+    if (from > atMs) continue;
+    if (r?.effective_to && new Date(r.effective_to).getTime() <= atMs) continue;
+    if (!best || from >= effectiveTime(best)) best = r;
+  }
+  return best;
+}
+
+// Map scrap_type_id -> rate row in effect at `at` for the given scrap types.
+async function fetchRatesInEffect(supabase, scrapTypeIds, at = new Date()) {
+  const ids = [...new Set((scrapTypeIds || []).filter(Boolean).map(String))];
+  const out = new Map();
+  if (!ids.length) return out;
+
+  // '*' so effective_to is picked up where the column exists (023_scrap_rate_schedules.sql).
+  const { data, error } = await supabase
+    .from('scrap_rates')
+    .select('*')
+    .in('scrap_type_id', ids)
+    .eq('is_active', true);
+  if (error) throw error;
+
+  // Future and undated rows are sorted out here (effective_from may be null).
+  const byType = new Map();
+  for (const r of data || []) {
+    const key = String(r.scrap_type_id);
+    if (!byType.has(key)) byType.set(key, []);
+    byType.get(key).push(r);
+  }
+  for (const [key, rows] of byType) {
+    const rate = rateInEffect(rows, at);
+    if (rate) out.set(key, rate);
+  }
+  return out;
+}
+
+function roundMoney(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
+
+function roundQuantity(n) {
+  return Math.round(Number(n) * 10) / 10;
+}
+
+function defaultMinQuantity() {
+  const n = Number.parseFloat(String(process.env.QUOTE_MIN_QUANTITY_KG || ''));
+  return Number.isFinite(n) && n >= 0 ? n : 1;
+}
+
+// Price customer items ([{ scrapTypeId, estimatedQuantity }], already validated).
+// types: Map scrap_type_id -> scrap_types row; rates: Map from fetchRatesInEffect.
+// Returns { lines, totalAmount, currency }; lines that pay nothing carry a reason
+// (unknown_type | unavailable_type | no_rate | not_whole_pieces | below_minimum).
+// ratePerKg is the price per piece on lines with unit 'piece'.
+function priceQuote(items, types, rates) {
+  const fallbackMin = defaultMinQuantity();
+  const lines = items.map((it) => {
+    const key = String(it.scrapTypeId);
+    const type = types.get(key) || null;
+    const rate = rates.get(key) || null;
+    const unit = unitOf(type);
+    const quantity = unit === 'piece' ? Number(it.estimatedQuantity) : roundQuantity(it.estimatedQuantity);
+    const minRaw = Number(type?.min_quantity);
+    const minQuantity = type?.min_quantity != null && Number.isFinite(minRaw) ? minRaw : unit === 'piece' ? 1 : fallbackMin;
+    const ratePerKg = rate && Number.isFinite(Number(rate.rate_per_kg)) ? Number(rate.rate_per_kg) : null;
+
+    let reason = null;
+    if (!type) reason = 'unknown_type';
+    else if (type.is_active === false) reason = 'unavailable_type';
+    else if (ratePerKg == null) reason = 'no_rate';
+    else if (unit === 'piece' && !Number.isInteger(quantity)) reason = 'not_whole_pieces';
+    else if (quantity < minQuantity) reason = 'below_minimum';
+
+    return {
+      scrapTypeId: key,
+      name: type?.name || null,
+      unit,
+      quantity,
+      minQuantity,
+      ratePerKg,
+      amount: reason ? 0 : roundMoney(quantity * ratePerKg),
+      reason,
+    };
+  });
+
+  return {
+    lines,
+    totalAmount: Math.round(lines.reduce((sum, l) => sum + l.amount, 0)),
+    currency: QUOTE_CURRENCY,
+  };
+}
+
+module.exports = {
+  rateInEffect,
+  fetchRatesInEffect,
+  priceQuote,
+  roundMoney,
+};
@@ -0,0 +1,122 @@
+// Price quotes for POST /api/pickups/quote (see supabase/migrations/022_price_quotes.sql).
+//
+// A quote is stored in pickup_quotes (service role) and handed to the customer as a signed id:
+//   `${quoteUuid}.${expiresUnixSeconds}.${hex HMAC-SHA256(QUOTE_SIGNING_SECRET, `${quoteUuid}.${expiresUnixSeconds}`)}`
+// POST /api/pickups checks the signature and expiry before passing the uuid to create_pickup,
+// which checks the stored quote (unused, unexpired, same items) and copies it onto the pickup.
+// Quotes that expired unused are deleted now and then (pruneExpired).
+
+const { hmacSha256Hex, safeEqual } = require('../vendor/security');
+const { fetchRatesInEffect, priceQuote } = require('./pricing');
+
+const MAX_ITEMS = 50;
+const PRUNE_EVERY_MS = 10 * 60 * 1000;
+let lastPrunedAt = 0;
+
+function isMissingTable(error) {
+  return /relation .*pickup_quotes.* does not exist/i.test(error?.message || '');
+}
+
+function ttlMinutes() {
+  const n = Number.parseInt(String(process.env.QUOTE_TTL_MINUTES || ''), 10);
+  return Number.isFinite(n) && n > 0 ? n : 30;
+}
+
+function signingSecret() {
+  return process.env.QUOTE_SIGNING_SECRET || null;
+}
+
+// Same items shape as POST /api/pickups. Returns { ok: true, value } or { ok: false, error }.
+function parseQuoteItems(raw) {
+  if (!Array.isArray(raw) || raw.length === 0) {
+    return { ok: false, error: 'items is required (array of { scrapTypeId, estimatedQuantity }).' };
+  }
+  if (raw.length > MAX_ITEMS) return { ok: false, error: `items must have at most ${MAX_ITEMS} entries` };
+
+  const value = [];
+  for (const it of raw) {
+    const scrapTypeId = it?.scrapTypeId != null ? String(it.scrapTypeId).trim() : '';
+    const estimatedQuantity = Number(it?.estimatedQuantity);
+    if (!scrapTypeId) return { ok: false, error: 'every item needs a scrapTypeId' };
+    if (it?.estimatedQuantity == null || !Number.isFinite(estimatedQuantity) || estimatedQuantity <= 0) {
+      return { ok: false, error: `estimatedQuantity for ${scrapTypeId} must be a number > 0` };
+    }
+    value.push({ scrapTypeId, estimatedQuantity });
+  }
+  return { ok: true, value };
+}
+
+function signQuoteId(id, expiresAt) {
+  const exp = Math.floor(new Date(expiresAt).getTime() / 1000);
+  return `${id}.${exp}.${hmacSha256Hex(signingSecret(), `${id}.${exp}`)}`;
+}
+
+// Returns { ok: true, id, expiresAt } or { ok: false, code: QUOTE_INVALID | QUOTE_EXPIRED, error }.
+function verifyQuoteId(token, now = Date.now()) {
+  const secret = signingSecret();
+  if (!secret) return { ok: false, code: 'QUOTE_INVALID', error: 'Quotes cannot be used right now (signing is not configured)' };
+
+  const parts = typeof token === 'string' ? token.trim().split('.') : [];
+  const [id, expRaw, sig] = parts;
+  const exp = Number(expRaw);
+  if (parts.length !== 3 || !id || !Number.isInteger(exp) || !/^[0-9a-f]{64}$/i.test(sig || '')) {
+    return { ok: false, code: 'QUOTE_INVALID', error: 'quoteId is malformed' };
+  }
+  if (!safeEqual(sig.toLowerCase(), hmacSha256Hex(secret, `${id}.${exp}`))) {
+    return { ok: false, code: 'QUOTE_INVALID', error: 'quoteId signature is invalid' };
+  }
+  if (exp * 1000 < now) return { ok: false, code: 'QUOTE_EXPIRED', error: 'Quote has expired; request a new one' };
+  return { ok: true, id, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+// Price items with the rates in effect at `at`. reader: any client that can read scrap_types/scrap_rates.
+async function buildQuote(reader, items, at = new Date()) {
+  const ids = [...new Set(items.map((it) => it.scrapTypeId))];
+  // '*' so min_quantity is picked up where the column exists.
+  const { data: typeRows, error } = await reader.from('scrap_types').select('*').in('id', ids);
+  if (error) throw error;
+
+  const types = new Map((typeRows || []).map((t) => [String(t.id), t]));
+  const rates = await fetchRatesInEffect(reader, ids, at);
+  return priceQuote(items, types, rates);
+}
+
+async function pruneExpired(supabase) {
+  if (Date.now() - lastPrunedAt < PRUNE_EVERY_MS) return;
+  lastPrunedAt = Date.now();
+  try {
+    await supabase.from('pickup_quotes').delete().is('pickup_id', null).lt('expires_at', new Date().toISOString());
+  } catch {
+    // ignore
+  }
+}
+
+async function saveQuote(supabase, items, quote, expiresAt) {
+  const { data, error } = await supabase
+    .from('pickup_quotes')
+    .insert([
+      {
+        items,
+        lines: quote.lines,
+        total_amount: quote.totalAmount,
+        currency: quote.currency,
+        expires_at: new Date(expiresAt).toISOString(),
+      },
+    ])
+    .select('id,expires_at')
+    .maybeSingle();
+  if (error) throw error;
+  pruneExpired(supabase).catch(() => {});
+  return data;
+}
+
+module.exports = {
+  ttlMinutes,
+  signingSecret,
+  parseQuoteItems,
+  signQuoteId,
+  verifyQuoteId,
+  buildQuote,
+  saveQuote,
+  isMissingTable,
+};
@@ -0,0 +1,402 @@
+// Scrap rate schedules (scrap_rates, see supabase/migrations/023_scrap_rate_schedules.sql).
+//
+// - scheduleRate: a new rate from effective_from (now or later; rates are not backdated). The
+//   active rate in effect at that moment ends there; the new one runs until the next scheduled
+//   rate, or until effective_to, which may not run into that next rate.
+// - deactivateRate: the rate stops applying and the rate it had cut short gets its period back.
+// - importRateSheet: the same for every row of a CSV rate sheet, validated as a whole first; if a
+//   row still fails to save, the rows saved before it are rolled back.
+// Rows are never deleted, so the full history stays available.
+
+const RATE_COLUMNS = 'id,scrap_type_id,rate_per_kg,effective_from,effective_to,is_active,note,created_by,deactivated_at,created_at';
+
+// Clock skew allowed for "effective now" requests.
+const BACKDATE_TOLERANCE_MS = 60 * 1000;
+const MAX_RATE_PER_KG = 100000;
+const MAX_SHEET_ROWS = 1000;
+
+function isMissingScheduleColumns(error) {
+  return /column .*(effective_to|deactivated_at|created_by|note).* does not exist|42703/i.test(error?.message || '');
+}
+
+function startOf(rate) {
+  return rate?.effective_from ? new Date(rate.effective_from).getTime() : -Infinity;
+}
+
+function endOf(rate) {
+  return rate?.effective_to ? new Date(rate.effective_to).getTime() : Infinity;
+}
+
+function parseTime(raw) {
+  if (raw == null || raw === '') return { ok: true, value: null };
+  const d = new Date(raw);
+  return Number.isNaN(d.getTime()) ? { ok: false } : { ok: true, value: d };
+}
+
+// Admin or rate-sheet input: { rate_per_kg, effective_from?, effective_to?, note? }.
+// Returns { ok: true, value: { ratePerKg, effectiveFrom, effectiveTo, note } } (ISO times) or { ok: false, error }.
+function parseRateInput(input, now = Date.now()) {
+  const rateRaw = input?.rate_per_kg ?? input?.ratePerKg;
+  const ratePerKg = Number(rateRaw);
+  if (rateRaw == null || rateRaw === '' || !Number.isFinite(ratePerKg) || ratePerKg <= 0 || ratePerKg > MAX_RATE_PER_KG) {
+    return { ok: false, error: `rate_per_kg must be a number > 0 and <= ${MAX_RATE_PER_KG}` };
+  }
+
+  const from = parseTime(input?.effective_from ?? input?.effectiveFrom);
+  if (!from.ok) return { ok: false, error: 'effective_from must be an ISO date/time' };
+  const effectiveFrom = from.value || new Date(now);
+  if (effectiveFrom.getTime() < now - BACKDATE_TOLERANCE_MS) {
+    return { ok: false, error: 'effective_from cannot be in the past (rates are not backdated)' };
+  }
+
+  const to = parseTime(input?.effective_to ?? input?.effectiveTo);
+  if (!to.ok) return { ok: false, error: 'effective_to must be an ISO date/time' };
+  if (to.value && to.value <= effectiveFrom) return { ok: false, error: 'effective_to must be after effective_from' };
+
+  const noteRaw = input?.note;
+  if (noteRaw != null && (typeof noteRaw !== 'string' || noteRaw.length > 500)) {
+    return { ok: false, error: 'note must be a string of at most 500 characters' };
+  }
+
+  return {
+    ok: true,
+    value: {
+      ratePerKg: Math.round(ratePerKg * 100) / 100,
+      effectiveFrom: effectiveFrom.toISOString(),
+      effectiveTo: to.value ? to.value.toISOString() : null,
+      note: noteRaw ? noteRaw.trim() || null : null,
+    },
+  };
+}
+
+// Rates of one scrap type, oldest first.
+// options: { activeOnly, until (skip rates starting after this time), limit, columns }
+async function listRates(supabase, scrapTypeId, options = {}) {
+  let q = supabase
+    .from('scrap_rates')
+    .select(options.columns || RATE_COLUMNS)
+    .eq('scrap_type_id', String(scrapTypeId))
+    .order('effective_from', { ascending: true })
+    .limit(options.limit || 500);
+  if (options.activeOnly) q = q.eq('is_active', true);
+
+  const { data, error } = await q;
+  if (error) throw error;
+  const until = options.until ? new Date(options.until).getTime() : null;
+  return (data || [])
+    .filter((r) => until == null || startOf(r) <= until)
+    .sort((a, b) => startOf(a) - startOf(b));
+}
+
+// Where a new rate fits among a type's active rates (no writes).
+// Returns { ok: true, covering, effectiveTo } (covering: the rate to end at effective_from, or null)
+// or { ok: false, status: 409, error }.
+function planSchedule(activeRates, value) {
+  const start = new Date(value.effectiveFrom).getTime();
+  const same = activeRates.find((r) => startOf(r) === start);
+  if (same) {
+    return { ok: false, status: 409, error: `rate ${same.id} already starts at ${value.effectiveFrom}; deactivate it first` };
+  }
+
+  const covering = activeRates.find((r) => startOf(r) < start && endOf(r) > start) || null;
+  const next = activeRates.filter((r) => startOf(r) > start).sort((a, b) => startOf(a) - startOf(b))[0] || null;
+
+  if (value.effectiveTo && next && new Date(value.effectiveTo).getTime() > startOf(next)) {
+    return {
+      ok: false,
+      status: 409,
+      error: `overlaps rate ${next.id} starting at ${next.effective_from}; end before it or deactivate it first`,
+    };
+  }
+
+  return { ok: true, covering, effectiveTo: value.effectiveTo || (next ? next.effective_from : null) };
+}
+
+// Returns { ok: true, rate, ended, endedWas } (ended: the rate cut short, if any; endedWas: that
+// rate before it was cut short) or { ok: false, status, error }.
+async function scheduleRate(supabase, scrapTypeId, value, createdBy) {
+  const active = await listRates(supabase, scrapTypeId, { activeOnly: true });
+  const plan = planSchedule(active, value);
+  if (!plan.ok) return plan;
+
+  let ended = null;
+  if (plan.covering) {
+    const { data, error } = await supabase
+      .from('scrap_rates')
+      .update({ effective_to: value.effectiveFrom })
+      .eq('id', plan.covering.id)
+      .eq('is_active', true)
+      .select(RATE_COLUMNS)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return { ok: false, status: 409, error: 'rates changed meanwhile; retry' };
+    ended = data;
+  }
+
+  const { data: rate, error } = await supabase
+    .from('scrap_rates')
+    .insert([
+      {
+        scrap_type_id: String(scrapTypeId),
+        rate_per_kg: value.ratePerKg,
+        effective_from: value.effectiveFrom,
+        effective_to: plan.effectiveTo,
+        is_active: true,
+        note: value.note,
+        created_by: createdBy || 'admin',
+      },
+    ])
+    .select(RATE_COLUMNS)
+    .maybeSingle();
+
+  if (error) {
+    // Give the cut-short rate its period back.
+    if (ended) {
+      await supabase.from('scrap_rates').update({ effective_to: plan.covering.effective_to || null }).eq('id', ended.id);
+    }
+    // Exclusion constraint: another write got in between.
+    if (/scrap_rates_no_overlap|23P01/i.test(error.message || '') || error.code === '23P01') {
+      return { ok: false, status: 409, error: 'overlaps another active rate; retry' };
+    }
+    throw error;
+  }
+
+  console.log(
+    `[RATES] rate_scheduled scrap_type_id=${scrapTypeId} rate_id=${rate?.id} rate_per_kg=${value.ratePerKg} from=${value.effectiveFrom} to=${plan.effectiveTo || 'open'} ended=${ended?.id || 'none'}`
+  );
+  return { ok: true, rate, ended, endedWas: ended ? plan.covering : null };
+}
+
+// Undo scheduleRate results, newest first: the new rates are deactivated and the rates they cut
+// short get their old effective_to back.
+async function rollBackScheduled(supabase, scheduled) {
+  for (const s of [...scheduled].reverse()) {
+    const { error } = await supabase
+      .from('scrap_rates')
+      .update({ is_active: false, deactivated_at: new Date().toISOString() })
+      .eq('id', s.rate.id);
+    if (error) throw error;
+    if (s.ended) {
+      const { error: restoreErr } = await supabase
+        .from('scrap_rates')
+        .update({ effective_to: s.endedWas.effective_to || null })
+        .eq('id', s.ended.id);
+      if (restoreErr) throw restoreErr;
+    }
+  }
+}
+
+// Returns { ok: true, rate, extended } or { ok: false, status, error }.
+async function deactivateRate(supabase, rateId) {
+  const { data: rate, error } = await supabase
+    .from('scrap_rates')
+    .update({ is_active: false, deactivated_at: new Date().toISOString() })
+    .eq('id', String(rateId))
+    .eq('is_active', true)
+    .select(RATE_COLUMNS)
+    .maybeSingle();
+  if (error) throw error;
+  if (!rate) return { ok: false, status: 404, error: 'active rate not found' };
+
+  // The rate that was ended when this one was scheduled runs on in its place.
+  let extended = null;
+  if (rate.effective_from) {
+    const start = startOf(rate);
+    const active = await listRates(supabase, rate.scrap_type_id, { activeOnly: true });
+    const previous = active.find((r) => r.effective_to && endOf(r) === start);
+    if (previous) {
+      const { data, error: extendErr } = await supabase
+        .from('scrap_rates')
+        .update({ effective_to: rate.effective_to || null })
+        .eq('id', previous.id)
+        .eq('is_active', true)
+        .select(RATE_COLUMNS)
+        .maybeSingle();
+      if (extendErr) throw extendErr;
+      extended = data || null;
+    }
+  }
+
+  console.log(`[RATES] rate_deactivated rate_id=${rate.id} scrap_type_id=${rate.scrap_type_id} extended=${extended?.id || 'none'}`);
+  return { ok: true, rate, extended };
+}
+
+// Minimal RFC 4180 parser: quoted fields, doubled quotes, CRLF. Returns an array of rows.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((f) => f.trim() !== ''));
+}
+
+// Rate sheet CSV with a header row:
+//   scrap_type (id or name; also scrap_type_id / scrap_type_name), rate_per_kg, effective_from,
+//   effective_to (optional), note (optional)
+// Every row is validated (and checked against the current schedule and the other rows) before
+// anything is written. A row can still fail to save (e.g. another write got in between); the rows
+// saved before it are then rolled back (rollBackScheduled), so the sheet applies completely or not
+// at all. Returns
+//   { ok: false, status, error, errors: [{ line, error }] } when the sheet is rejected, or
+//   { ok: true, dryRun, results: [{ line, scrapTypeId, status: planned | scheduled, rate? }] }
+async function importRateSheet(supabase, text, options = {}) {
+  const rows = parseCsv(String(text || ''));
+  if (rows.length < 2) return { ok: false, status: 400, error: 'rate sheet needs a header row and at least one rate', errors: [] };
+  if (rows.length - 1 > MAX_SHEET_ROWS) {
+    return { ok: false, status: 400, error: `rate sheet must have at most ${MAX_SHEET_ROWS} rates`, errors: [] };
+  }
+
+  const header = rows[0].map((h) => h.trim().toLowerCase());
+  const col = (...names) => header.findIndex((h) => names.includes(h));
+  const idx = {
+    type: col('scrap_type', 'scrap_type_id', 'scrap_type_name'),
+    rate: col('rate_per_kg'),
+    from: col('effective_from'),
+    to: col('effective_to'),
+    note: col('note'),
+  };
+  if (idx.type < 0 || idx.rate < 0 || idx.from < 0) {
+    return { ok: false, status: 400, error: 'header must include scrap_type, rate_per_kg and effective_from', errors: [] };
+  }
+
+  const { data: types, error: typesErr } = await supabase.from('scrap_types').select('id,name');
+  if (typesErr) throw typesErr;
+  const typeByKey = new Map();
+  for (const t of types || []) {
+    typeByKey.set(String(t.id), t);
+    if (t.name) typeByKey.set(String(t.name).trim().toLowerCase(), t);
+  }
+
+  const now = Date.now();
+  const errors = [];
+  const parsed = [];
+  rows.slice(1).forEach((cells, i) => {
+    const line = i + 2;
+    const cell = (j) => (j >= 0 && cells[j] != null ? cells[j].trim() : '');
+    const key = cell(idx.type);
+    const type = typeByKey.get(key) || typeByKey.get(key.toLowerCase());
+    if (!type) return errors.push({ line, error: `unknown scrap type ${key || '(empty)'}` });
+
+    const input = parseRateInput(
+      { rate_per_kg: cell(idx.rate), effective_from: cell(idx.from) || null, effective_to: cell(idx.to) || null, note: cell(idx.note) || null },
+      now
+    );
+    if (!input.ok) return errors.push({ line, error: input.error });
+    if (!cell(idx.from)) return errors.push({ line, error: 'effective_from is required in a rate sheet' });
+    return parsed.push({ line, scrapTypeId: String(type.id), value: input.value });
+  });
+
+  // Check each type's rows in date order against its schedule as it would be after the earlier rows.
+  const byType = new Map();
+  for (const p of parsed) {
+    if (!byType.has(p.scrapTypeId)) byType.set(p.scrapTypeId, []);
+    byType.get(p.scrapTypeId).push(p);
+  }
+  for (const [scrapTypeId, list] of byType) {
+    const active = (await listRates(supabase, scrapTypeId, { activeOnly: true })).map((r) => ({ ...r }));
+    list.sort((a, b) => new Date(a.value.effectiveFrom) - new Date(b.value.effectiveFrom));
+    for (const p of list) {
+      const plan = planSchedule(active, p.value);
+      if (!plan.ok) {
+        errors.push({ line: p.line, error: plan.error });
+        continue;
+      }
+      if (plan.covering) plan.covering.effective_to = p.value.effectiveFrom;
+      active.push({ id: `line ${p.line}`, effective_from: p.value.effectiveFrom, effective_to: plan.effectiveTo });
+    }
+  }
+
+  if (errors.length) {
+    errors.sort((a, b) => a.line - b.line);
+    return { ok: false, status: 400, error: 'rate sheet rejected; nothing was changed', errors };
+  }
+
+  const ordered = [...parsed].sort((a, b) => a.line - b.line);
+  if (options.dryRun) {
+    return { ok: true, dryRun: true, results: ordered.map((p) => ({ line: p.line, scrapTypeId: p.scrapTypeId, status: 'planned' })) };
+  }
+
+  // Per type in date order, so every row finds the schedule it was validated against.
+  const scheduled = [];
+  let failure = null;
+  for (const list of byType.values()) {
+    for (const p of list) {
+      try {
+        const r = await scheduleRate(supabase, p.scrapTypeId, p.value, options.createdBy || 'import');
+        if (!r.ok) failure = { line: p.line, status: r.status, error: r.error };
+        else scheduled.push({ ...r, line: p.line, scrapTypeId: p.scrapTypeId });
+      } catch (e) {
+        failure = { line: p.line, status: 500, error: e?.message || String(e) };
+      }
+      if (failure) break;
+    }
+    if (failure) break;
+  }
+
+  if (failure) {
+    try {
+      await rollBackScheduled(supabase, scheduled);
+    } catch (e) {
+      console.error(`[RATES] rate_import_rollback_failed scheduled=${scheduled.length} error=${e?.message || e}`);
+      return {
+        ok: false,
+        status: 500,
+        error: `line ${failure.line} failed and rolling back the ${scheduled.length} rates already scheduled failed too; check the rate history`,
+        errors: [{ line: failure.line, error: failure.error }],
+      };
+    }
+    console.warn(`[RATES] rate_import_rolled_back line=${failure.line} rolled_back=${scheduled.length} error=${failure.error}`);
+    return {
+      ok: false,
+      status: failure.status || 500,
+      error: `rate sheet not applied: line ${failure.line} failed; the ${scheduled.length} rates scheduled before it were rolled back`,
+      errors: [{ line: failure.line, error: failure.error }],
+    };
+  }
+
+  const results = scheduled
+    .map((r) => ({ line: r.line, scrapTypeId: r.scrapTypeId, status: 'scheduled', rate: r.rate }))
+    .sort((a, b) => a.line - b.line);
+  return { ok: true, dryRun: false, results };
+}
+
+module.exports = {
+  RATE_COLUMNS,
+  parseRateInput,
+  listRates,
+  planSchedule,
+  scheduleRate,
+  deactivateRate,
+  importRateSheet,
+  isMissingScheduleColumns,
+};
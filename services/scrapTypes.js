@@ -0,0 +1,154 @@
+// Scrap type catalog (scrap_types, see supabase/migrations/024_scrap_type_catalog.sql).
+//
+// unit: 'kg' (weighed) or 'piece' (counted, e.g. appliances; rates are then per piece).
+// category groups types in the public listing; icon is an opaque key or URL for the apps;
+// min_quantity (in the type's unit) is the smallest amount create_pickup accepts;
+// is_active = false hides a type from new pickups without touching existing ones.
+
+const UNITS = ['kg', 'piece'];
+const DEFAULT_UNIT = 'kg';
+const UNCATEGORIZED = 'other';
+
+const MAX_NAME = 80;
+const MAX_DESCRIPTION = 500;
+const MAX_ICON = 500;
+const CATEGORY_RE = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+function isMissingCatalogColumns(error) {
+  return /column .*(unit|category|icon|min_quantity|is_active|sort_order).* does not exist|42703/i.test(error?.message || '');
+}
+
+function unitOf(type) {
+  return UNITS.includes(type?.unit) ? type.unit : DEFAULT_UNIT;
+}
+
+// Piece-counted items have no weight we know of, so they stay out of kg totals (vendor load).
+function isWeighed(type) {
+  return unitOf(type) === 'kg';
+}
+
+function optionalText(raw, max) {
+  if (raw == null || raw === '') return { ok: true, value: null };
+  if (typeof raw !== 'string') return { ok: false };
+  const value = raw.trim();
+  return value.length <= max ? { ok: true, value: value || null } : { ok: false };
+}
+
+// Admin input. partial: PATCH (only the fields sent). Returns { ok: true, value } (a scrap_types
+// patch) or { ok: false, error }.
+function parseScrapTypeInput(body, { partial = false } = {}) {
+  const has = (...keys) => keys.some((k) => body?.[k] !== undefined);
+  const pick = (...keys) => keys.map((k) => body?.[k]).find((v) => v !== undefined);
+  const value = {};
+
+  if (!partial || has('name')) {
+    const name = typeof body?.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_NAME) return { ok: false, error: `name is required (at most ${MAX_NAME} characters)` };
+    value.name = name;
+  }
+
+  if (has('description')) {
+    const description = optionalText(body.description, MAX_DESCRIPTION);
+    if (!description.ok) return { ok: false, error: `description must be text of at most ${MAX_DESCRIPTION} characters` };
+    value.description = description.value;
+  }
+
+  if (!partial || has('unit')) {
+    const unit = body?.unit == null || body.unit === '' ? DEFAULT_UNIT : String(body.unit).trim().toLowerCase();
+    if (!UNITS.includes(unit)) return { ok: false, error: `unit must be one of ${UNITS.join(', ')}` };
+    value.unit = unit;
+  }
+
+  if (has('category')) {
+    const raw = body.category;
+    const category = raw == null || raw === '' ? null : String(raw).trim().toLowerCase().replace(/[\s_]+/g, '-');
+    if (category != null && !CATEGORY_RE.test(category)) {
+      return { ok: false, error: 'category must be a short slug (letters, digits, dashes), e.g. metal, paper, e-waste' };
+    }
+    value.category = category;
+  }
+
+  if (has('icon')) {
+    const icon = optionalText(body.icon, MAX_ICON);
+    if (!icon.ok) return { ok: false, error: `icon must be text of at most ${MAX_ICON} characters` };
+    value.icon = icon.value;
+  }
+
+  if (has('min_quantity', 'minQuantity')) {
+    const raw = pick('min_quantity', 'minQuantity');
+    if (raw == null || raw === '') {
+      value.min_quantity = null;
+    } else {
+      const n = Number(raw);
+      if (!Number.isFinite(n) || n < 0 || n > 100000) return { ok: false, error: 'min_quantity must be a number >= 0' };
+      value.min_quantity = n;
+    }
+  }
+
+  if (has('is_active', 'isActive')) {
+    const raw = pick('is_active', 'isActive');
+    if (typeof raw !== 'boolean') return { ok: false, error: 'is_active must be a boolean' };
+    value.is_active = raw;
+  }
+
+  if (has('sort_order', 'sortOrder')) {
+    const n = Number(pick('sort_order', 'sortOrder'));
+    if (!Number.isInteger(n)) return { ok: false, error: 'sort_order must be an integer' };
+    value.sort_order = n;
+  }
+
+  // Pieces are whole; a fractional minimum would never mean anything.
+  if (value.unit === 'piece' && value.min_quantity != null && !Number.isInteger(value.min_quantity)) {
+    return { ok: false, error: 'min_quantity must be a whole number for unit piece' };
+  }
+
+  if (partial && Object.keys(value).length === 0) return { ok: false, error: 'Nothing to update' };
+  return { ok: true, value };
+}
+
+function compareTypes(a, b) {
+  return (Number(a.sort_order) || 0) - (Number(b.sort_order) || 0) || String(a.name || '').localeCompare(String(b.name || ''));
+}
+
+// All scrap types ('*' so catalog columns are picked up where they exist), in display order.
+// includeInactive: admin view; otherwise hidden types are left out.
+async function listScrapTypes(supabase, { includeInactive = false } = {}) {
+  const { data, error } = await supabase.from('scrap_types').select('*');
+  if (error) throw error;
+  return (data || []).filter((t) => includeInactive || t.is_active !== false).sort(compareTypes);
+}
+
+// Public shape of a scrap type.
+function formatScrapType(t) {
+  return {
+    id: t.id,
+    name: t.name,
+    description: t.description ?? null,
+    category: t.category || UNCATEGORIZED,
+    unit: unitOf(t),
+    icon: t.icon ?? null,
+    minQuantity: t.min_quantity != null ? Number(t.min_quantity) : null,
+  };
+}
+
+// [{ category, types }] in order of each category's first type.
+function groupByCategory(types) {
+  const groups = new Map();
+  for (const t of types) {
+    const category = t.category || UNCATEGORIZED;
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(t);
+  }
+  return [...groups].map(([category, list]) => ({ category, types: list }));
+}
+
+module.exports = {
+  UNITS,
+  isMissingCatalogColumns,
+  unitOf,
+  isWeighed,
+  parseScrapTypeInput,
+  listScrapTypes,
+  formatScrapType,
+  groupByCategory,
+};
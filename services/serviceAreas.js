@@ -0,0 +1,144 @@
+// Serviceable areas: admin-defined GeoJSON polygons (service_areas table).
+// A location is serviceable when it falls inside any active area.
+// With no active areas configured, every location is serviceable.
+
+const CACHE_MS = 60 * 1000;
+let cachedAreas = null;
+let cachedAt = 0;
+
+function isPosition(p) {
+  return (
+    Array.isArray(p) &&
+    p.length >= 2 &&
+    Number.isFinite(p[0]) &&
+    Number.isFinite(p[1]) &&
+    p[0] >= -180 &&
+    p[0] <= 180 &&
+    p[1] >= -90 &&
+    p[1] <= 90
+  );
+}
+
+function isRing(ring) {
+  return Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition);
+}
+
+// Accepts a Polygon/MultiPolygon geometry or a Feature wrapping one.
+// Returns { ok: true, geometry } or { ok: false, error }.
+function normalizeGeometry(input) {
+  let geom = input;
+  if (typeof geom === 'string') {
+    try {
+      geom = JSON.parse(geom);
+    } catch {
+      return { ok: false, error: 'geojson must be valid JSON' };
+    }
+  }
+  if (geom && geom.type === 'Feature') geom = geom.geometry;
+  if (!geom || typeof geom !== 'object') return { ok: false, error: 'geojson is required' };
+
+  if (geom.type === 'Polygon') {
+    if (!Array.isArray(geom.coordinates) || !geom.coordinates.length || !geom.coordinates.every(isRing)) {
+      return { ok: false, error: 'Polygon coordinates must be linear rings of [lng, lat] positions (4+ each)' };
+    }
+    return { ok: true, geometry: { type: 'Polygon', coordinates: geom.coordinates } };
+  }
+
+  if (geom.type === 'MultiPolygon') {
+    const ok =
+      Array.isArray(geom.coordinates) &&
+      geom.coordinates.length > 0 &&
+      geom.coordinates.every((poly) => Array.isArray(poly) && poly.length > 0 && poly.every(isRing));
+    if (!ok) return { ok: false, error: 'MultiPolygon coordinates must be polygons of linear rings of [lng, lat] positions' };
+    return { ok: true, geometry: { type: 'MultiPolygon', coordinates: geom.coordinates } };
+  }
+
+  return { ok: false, error: 'geojson must be a Polygon or MultiPolygon (or a Feature wrapping one)' };
+}
+
+// Ray casting on [lng, lat] positions.
+function pointInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+// First ring is the outer boundary, the rest are holes.
+function pointInPolygon(lng, lat, rings) {
+  if (!pointInRing(lng, lat, rings[0])) return false;
+  return !rings.slice(1).some((hole) => pointInRing(lng, lat, hole));
+}
+
+function geometryContains(geometry, lat, lng) {
+  if (!geometry) return false;
+  if (geometry.type === 'Polygon') return pointInPolygon(lng, lat, geometry.coordinates);
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates.some((poly) => pointInPolygon(lng, lat, poly));
+  return false;
+}
+
+async function fetchActiveAreas(supabase) {
+  if (cachedAreas && Date.now() - cachedAt < CACHE_MS) return cachedAreas;
+
+  const { data, error } = await supabase
+    .from('service_areas')
+    .select('id,name,region,geojson')
+    .eq('is_active', true);
+
+  if (error) {
+    if (/relation .*service_areas.* does not exist/i.test(error.message || '')) {
+      cachedAreas = [];
+      cachedAt = Date.now();
+      return cachedAreas;
+    }
+    throw error;
+  }
+
+  cachedAreas = (data || [])
+    .map((a) => {
+      const geom = normalizeGeometry(a.geojson);
+      if (!geom.ok) console.warn(`[AREAS] service_area_invalid id=${a.id} error=${geom.error}`);
+      return geom.ok ? { id: a.id, name: a.name, region: a.region || null, geometry: geom.geometry } : null;
+    })
+    .filter(Boolean);
+  cachedAt = Date.now();
+  return cachedAreas;
+}
+
+// Admin writes call this so changes apply immediately on this instance.
+function invalidateAreaCache() {
+  cachedAreas = null;
+  cachedAt = 0;
+}
+
+// Query-string coordinate within [min, max], or null.
+function parseCoordinate(raw, min, max) {
+  if (raw == null || String(raw).trim() === '') return null;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= min && n <= max ? n : null;
+}
+
+// Returns { configured, serviceable, area } for a coordinate.
+async function checkServiceability(supabase, lat, lng) {
+  const areas = await fetchActiveAreas(supabase);
+  if (!areas.length) return { configured: false, serviceable: true, area: null };
+
+  const area = areas.find((a) => geometryContains(a.geometry, lat, lng)) || null;
+  return {
+    configured: true,
+    serviceable: Boolean(area),
+    area: area ? { id: area.id, name: area.name, region: area.region } : null,
+  };
+}
+
+module.exports = {
+  normalizeGeometry,
+  geometryContains,
+  checkServiceability,
+  parseCoordinate,
+  invalidateAreaCache,
+};
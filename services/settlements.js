@@ -0,0 +1,264 @@
+// Pickup settlements: what a vendor actually collected when completing a pickup and what the
+// customer was paid for it (see supabase/migrations/021_pickup_settlements.sql).
+//
+// The vendor reports an actual quantity for every pickup_items row (0 when nothing was handed
+// over), optional extra items and the payment method. Each line is priced with the rate in
+// effect at completion time (services/pricing.js) and flagged when it deviates from the
+// customer's estimate by more than SETTLEMENT_DEVIATION_THRESHOLD or has no rate.
+
+const { fetchRatesInEffect, roundMoney } = require('./pricing');
+
+const PAYMENT_METHODS = ['cash', 'upi', 'bank_transfer', 'wallet'];
+const MAX_EXTRA_ITEMS = 50;
+
+function isMissingTable(error) {
+  return /relation .*pickup_settlement.* does not exist/i.test(error?.message || '');
+}
+
+function deviationThreshold() {
+  const n = Number.parseFloat(String(process.env.SETTLEMENT_DEVIATION_THRESHOLD || ''));
+  return Number.isFinite(n) && n > 0 ? n : 0.5;
+}
+
+function parseQuantity(raw) {
+  if (raw == null || raw === '') return null;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function optionalText(raw, max) {
+  if (raw == null || raw === '') return { ok: true, value: null };
+  if (typeof raw !== 'string') return { ok: false };
+  const value = raw.trim();
+  return value.length <= max ? { ok: true, value: value || null } : { ok: false };
+}
+
+// Settlement part of a pickup-done body:
+//   items:          [{ pickup_item_id, actual_quantity }], one per pickup_items row
+//   extra_items:    [{ scrap_type_id, actual_quantity }] (optional)
+//   payment_method: cash | upi | bank_transfer | wallet
+//   payment_reference, notes (optional)
+// Returns { ok: true, value: null } when none of it was sent (completion without settlement),
+// { ok: true, value } or { ok: false, error }.
+function parseSettlementInput(body) {
+  const itemsRaw = body?.items ?? body?.actual_items ?? body?.actualItems;
+  const extrasRaw = body?.extra_items ?? body?.extraItems;
+  const methodRaw = body?.payment_method ?? body?.paymentMethod;
+  if (itemsRaw == null && extrasRaw == null && methodRaw == null) return { ok: true, value: null };
+
+  if (!Array.isArray(itemsRaw)) {
+    return { ok: false, error: 'items must be an array of { pickup_item_id, actual_quantity }' };
+  }
+  const items = [];
+  const seen = new Set();
+  for (const it of itemsRaw) {
+    const idRaw = it?.pickup_item_id ?? it?.pickupItemId ?? it?.id;
+    const pickupItemId = idRaw != null ? String(idRaw).trim() : '';
+    const actualQuantity = parseQuantity(it?.actual_quantity ?? it?.actualQuantity);
+    if (!pickupItemId) return { ok: false, error: 'every item needs a pickup_item_id' };
+    if (actualQuantity == null) {
+      return { ok: false, error: `actual_quantity for item ${pickupItemId} must be a number >= 0` };
+    }
+    if (seen.has(pickupItemId)) return { ok: false, error: `item ${pickupItemId} is listed more than once` };
+    seen.add(pickupItemId);
+    items.push({ pickupItemId, actualQuantity });
+  }
+
+  if (extrasRaw != null && !Array.isArray(extrasRaw)) {
+    return { ok: false, error: 'extra_items must be an array of { scrap_type_id, actual_quantity }' };
+  }
+  if ((extrasRaw || []).length > MAX_EXTRA_ITEMS) {
+    return { ok: false, error: `extra_items must have at most ${MAX_EXTRA_ITEMS} entries` };
+  }
+  const extras = [];
+  for (const it of extrasRaw || []) {
+    const typeRaw = it?.scrap_type_id ?? it?.scrapTypeId;
+    const scrapTypeId = typeRaw != null ? String(typeRaw).trim() : '';
+    const actualQuantity = parseQuantity(it?.actual_quantity ?? it?.actualQuantity);
+    if (!scrapTypeId) return { ok: false, error: 'every extra item needs a scrap_type_id' };
+    if (!actualQuantity) {
+      return { ok: false, error: `actual_quantity for extra item ${scrapTypeId} must be a number > 0` };
+    }
+    extras.push({ scrapTypeId, actualQuantity });
+  }
+
+  const paymentMethod = String(methodRaw || '').trim().toLowerCase();
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    return { ok: false, error: `payment_method must be one of: ${PAYMENT_METHODS.join(', ')}` };
+  }
+
+  const reference = optionalText(body.payment_reference ?? body.paymentReference, 200);
+  if (!reference.ok) return { ok: false, error: 'payment_reference must be a string of at most 200 characters' };
+  const notes = optionalText(body.notes, 1000);
+  if (!notes.ok) return { ok: false, error: 'notes must be a string of at most 1000 characters' };
+
+  return {
+    ok: true,
+    value: { items, extras, paymentMethod, paymentReference: reference.value, notes: notes.value },
+  };
+}
+
+function priceLine(line, rates, threshold) {
+  const rate = line.scrapTypeId ? rates.get(String(line.scrapTypeId)) : null;
+  const ratePerKg = rate && Number.isFinite(Number(rate.rate_per_kg)) ? Number(rate.rate_per_kg) : null;
+
+  let deviation = null;
+  const estimated = Number(line.estimatedQuantity);
+  if (line.estimatedQuantity != null && Number.isFinite(estimated) && estimated > 0) {
+    deviation = Math.round(((line.actualQuantity - estimated) / estimated) * 1000) / 1000;
+  }
+
+  let flagReason = null;
+  if (ratePerKg == null) flagReason = 'no_rate';
+  else if (deviation != null && Math.abs(deviation) > threshold) flagReason = 'large_deviation';
+
+  return {
+    pickup_item_id: line.pickupItemId || null,
+    scrap_type_id: line.scrapTypeId || null,
+    estimated_quantity: line.estimatedQuantity ?? null,
+    actual_quantity: line.actualQuantity,
+    rate_per_kg: ratePerKg,
+    rate_effective_from: rate?.effective_from || null,
+    amount: ratePerKg != null ? roundMoney(line.actualQuantity * ratePerKg) : 0,
+    deviation,
+    flagged: Boolean(flagReason),
+    flag_reason: flagReason,
+  };
+}
+
+// Price the vendor's report against the pickup's items at `at` (completion time).
+// Returns { ok: true, value: { settlement, items } } (rows ready to insert, minus ids)
+// or { ok: false, error } when the report doesn't match the pickup.
+async function buildSettlement(supabase, pickupId, input, at) {
+  const { data: pickupItems, error } = await supabase
+    .from('pickup_items')
+    .select('id,scrap_type_id,estimated_quantity')
+    .eq('pickup_id', String(pickupId));
+  if (error) throw error;
+
+  const reported = new Map(input.items.map((it) => [it.pickupItemId, it.actualQuantity]));
+  const known = new Set((pickupItems || []).map((it) => String(it.id)));
+  const unknown = [...reported.keys()].filter((id) => !known.has(id));
+  if (unknown.length) return { ok: false, error: `items not on this pickup: ${unknown.join(', ')}` };
+  const missing = [...known].filter((id) => !reported.has(id));
+  if (missing.length) return { ok: false, error: `actual_quantity missing for pickup items: ${missing.join(', ')}` };
+
+  if (input.extras.length) {
+    const typeIds = [...new Set(input.extras.map((e) => e.scrapTypeId))];
+    const { data: types, error: typesErr } = await supabase.from('scrap_types').select('id').in('id', typeIds);
+    if (typesErr) throw typesErr;
+    const found = new Set((types || []).map((t) => String(t.id)));
+    const unknownTypes = typeIds.filter((id) => !found.has(id));
+    if (unknownTypes.length) return { ok: false, error: `unknown scrap types in extra_items: ${unknownTypes.join(', ')}` };
+  }
+
+  const lines = [
+    ...(pickupItems || []).map((it) => ({
+      pickupItemId: String(it.id),
+      scrapTypeId: it.scrap_type_id,
+      estimatedQuantity: it.estimated_quantity,
+      actualQuantity: reported.get(String(it.id)),
+    })),
+    ...input.extras.map((e) => ({ scrapTypeId: e.scrapTypeId, actualQuantity: e.actualQuantity })),
+  ];
+
+  const rates = await fetchRatesInEffect(supabase, lines.map((l) => l.scrapTypeId), at);
+  const threshold = deviationThreshold();
+  const items = lines.map((l) => priceLine(l, rates, threshold));
+
+  return {
+    ok: true,
+    value: {
+      settlement: {
+        payment_method: input.paymentMethod,
+        payment_reference: input.paymentReference,
+        notes: input.notes,
+        total_amount: roundMoney(items.reduce((sum, it) => sum + it.amount, 0)),
+        total_quantity: Math.round(items.reduce((sum, it) => sum + it.actual_quantity, 0) * 1000) / 1000,
+        flagged: items.some((it) => it.flagged),
+        rates_at: new Date(at).toISOString(),
+      },
+      items,
+    },
+  };
+}
+
+// Store a built settlement. Returns the settlement row with its items.
+async function saveSettlement(supabase, pickupId, vendorRef, built) {
+  const { data: settlement, error } = await supabase
+    .from('pickup_settlements')
+    .insert([{ ...built.settlement, pickup_id: String(pickupId), vendor_ref: String(vendorRef) }])
+    .select('*')
+    .maybeSingle();
+  if (error) throw error;
+
+  const rows = built.items.map((it) => ({ ...it, settlement_id: settlement.id, pickup_id: String(pickupId) }));
+  const { data: items, error: itemsErr } = await supabase.from('pickup_settlement_items').insert(rows).select('*');
+  if (itemsErr) {
+    // Don't leave a total without its lines.
+    await supabase.from('pickup_settlements').delete().eq('id', settlement.id);
+    throw itemsErr;
+  }
+  return { ...settlement, items: items || [] };
+}
+
+// Settlement with its items, or null (none recorded, or the tables don't exist yet).
+async function fetchSettlement(supabase, pickupId) {
+  const { data: settlement, error } = await supabase
+    .from('pickup_settlements')
+    .select('*')
+    .eq('pickup_id', String(pickupId))
+    .maybeSingle();
+  if (error) {
+    if (isMissingTable(error)) return null;
+    throw error;
+  }
+  if (!settlement) return null;
+
+  const { data: items, error: itemsErr } = await supabase
+    .from('pickup_settlement_items')
+    .select('*')
+    .eq('settlement_id', settlement.id)
+    .order('id', { ascending: true });
+  if (itemsErr) throw itemsErr;
+  return { ...settlement, items: items || [] };
+}
+
+// API shape (camelCase, like the pickup detail response).
+function formatSettlement(s) {
+  if (!s) return null;
+  return {
+    id: s.id,
+    paymentMethod: s.payment_method,
+    paymentReference: s.payment_reference || null,
+    currency: s.currency || 'INR',
+    totalAmount: Number(s.total_amount),
+    totalQuantity: Number(s.total_quantity),
+    flagged: Boolean(s.flagged),
+    ratesAt: s.rates_at,
+    notes: s.notes || null,
+    createdAt: s.created_at,
+    items: (s.items || []).map((it) => ({
+      pickupItemId: it.pickup_item_id || null,
+      scrapTypeId: it.scrap_type_id || null,
+      extra: !it.pickup_item_id,
+      estimatedQuantity: it.estimated_quantity ?? null,
+      actualQuantity: Number(it.actual_quantity),
+      ratePerKg: it.rate_per_kg != null ? Number(it.rate_per_kg) : null,
+      amount: Number(it.amount),
+      deviation: it.deviation != null ? Number(it.deviation) : null,
+      flagged: Boolean(it.flagged),
+      flagReason: it.flag_reason || null,
+    })),
+  };
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  parseSettlementInput,
+  buildSettlement,
+  saveSettlement,
+  fetchSettlement,
+  formatSettlement,
+  isMissingTable,
+};
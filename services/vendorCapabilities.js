@@ -0,0 +1,108 @@
+// Vendor capabilities: which scrap types a vendor buys, how much it can carry, with what, and how far it travels.
+// Stored on vendor_backends (accepted_scrap_types, max_load_kg, vehicle_type, service_radius_km).
+
+const { isWeighed } = require('./scrapTypes');
+
+const VEHICLE_TYPES = ['cycle_cart', 'two_wheeler', 'three_wheeler', 'mini_truck', 'truck'];
+
+function normKey(v) {
+  return v == null ? '' : String(v).trim().toLowerCase();
+}
+
+// Parse capability fields from a vendor registration body.
+// Only fields that are present are returned, so periodic GPS pings don't wipe them.
+// Returns { ok: true, value } or { ok: false, error }.
+function parseCapabilities(body) {
+  const value = {};
+
+  const typesRaw = body.accepted_scrap_types ?? body.acceptedScrapTypes;
+  if (typesRaw !== undefined) {
+    if (typesRaw === null) {
+      value.accepted_scrap_types = null;
+    } else if (!Array.isArray(typesRaw) || typesRaw.some((t) => typeof t !== 'string' || !t.trim())) {
+      return { ok: false, error: 'accepted_scrap_types must be an array of scrap type ids or names' };
+    } else {
+      value.accepted_scrap_types = [...new Set(typesRaw.map((t) => t.trim()))];
+    }
+  }
+
+  const loadRaw = body.max_load_kg ?? body.maxLoadKg;
+  if (loadRaw !== undefined) {
+    if (loadRaw === null) {
+      value.max_load_kg = null;
+    } else {
+      const load = typeof loadRaw === 'string' ? Number.parseFloat(loadRaw) : loadRaw;
+      if (!Number.isFinite(load) || load <= 0) return { ok: false, error: 'max_load_kg must be a positive number' };
+      value.max_load_kg = load;
+    }
+  }
+
+  const radiusRaw = body.service_radius_km ?? body.serviceRadiusKm;
+  if (radiusRaw !== undefined) {
+    if (radiusRaw === null) {
+      value.service_radius_km = null;
+    } else {
+      const radius = typeof radiusRaw === 'string' ? Number.parseFloat(radiusRaw) : radiusRaw;
+      if (!Number.isFinite(radius) || radius <= 0) return { ok: false, error: 'service_radius_km must be a positive number' };
+      value.service_radius_km = radius;
+    }
+  }
+
+  const vehicleRaw = body.vehicle_type ?? body.vehicleType;
+  if (vehicleRaw !== undefined) {
+    if (vehicleRaw === null) {
+      value.vehicle_type = null;
+    } else {
+      const vehicle = normKey(vehicleRaw);
+      if (!VEHICLE_TYPES.includes(vehicle)) {
+        return { ok: false, error: `vehicle_type must be one of: ${VEHICLE_TYPES.join(', ')}` };
+      }
+      value.vehicle_type = vehicle;
+    }
+  }
+
+  return { ok: true, value };
+}
+
+// What a pickup needs from a vendor, derived from its pickup_items
+// (shape from fetchPickupItems: { estimated_quantity, scrap_type_id, scrap_types: { name, unit } }).
+// Items counted in pieces don't add to totalKg.
+function pickupRequirement(items) {
+  const list = Array.isArray(items) ? items : [];
+  const totalKg = list.reduce((sum, it) => {
+    const q = Number(it?.estimated_quantity);
+    return Number.isFinite(q) && isWeighed(it?.scrap_types) ? sum + q : sum;
+  }, 0);
+
+  return {
+    scrapTypes: list.map((it) => ({
+      id: it?.scrap_type_id != null ? String(it.scrap_type_id) : null,
+      name: it?.scrap_types?.name || null,
+    })),
+    totalKg,
+  };
+}
+
+// Returns { ok: true } or { ok: false, reason } explaining why the vendor can't take the pickup.
+function checkVendorCapabilities(vendor, requirement) {
+  const accepted = Array.isArray(vendor?.accepted_scrap_types) ? vendor.accepted_scrap_types.map(normKey) : [];
+  if (accepted.length) {
+    const acceptedSet = new Set(accepted);
+    const missing = requirement.scrapTypes.find((t) => !acceptedSet.has(normKey(t.id)) && !acceptedSet.has(normKey(t.name)));
+    if (missing) return { ok: false, reason: `scrap_type_not_accepted:${missing.name || missing.id}` };
+  }
+
+  const maxLoad = vendor?.max_load_kg != null ? Number(vendor.max_load_kg) : null;
+  if (Number.isFinite(maxLoad) && requirement.totalKg > maxLoad) {
+    return { ok: false, reason: `over_capacity:${requirement.totalKg}>${maxLoad}` };
+  }
+
+  return { ok: true };
+}
+
+module.exports = {
+  VEHICLE_TYPES,
+  parseCapabilities,
+  pickupRequirement,
+  checkVendorCapabilities,
+};
@@ -0,0 +1,223 @@
+// Vendor offer_url registration and changes.
+//
+// Offers carry customer coordinates, so where they are sent is guarded:
+// - the first registration of a vendor sets offer_url directly
+// - any later offer_url (a different URL, or a first one for a registered pull-mode vendor) is held
+//   as PENDING until an admin approves it (/api/admin/vendors). With VENDOR_OFFER_URL_AUTO_APPLY=true,
+//   changes signed with the vendor's own key (vendor/signingKeys.js) apply immediately instead.
+// - every registration, change request and decision is kept in vendor_offer_url_changes
+//   (see supabase/migrations/018_vendor_offer_url_changes.sql)
+
+const net = require('net');
+
+const CHANGE_STATUSES = ['APPLIED', 'PENDING', 'APPROVED', 'REJECTED', 'SUPERSEDED'];
+const MAX_URL_LENGTH = 2048;
+
+function isMissingTable(error) {
+  return /relation .*vendor_offer_url_changes.* does not exist/i.test(error?.message || '');
+}
+
+function isMissingVendorIdColumn(error) {
+  return /column .*vendor_id.*does not exist|42703|unknown column/i.test(error?.message || '');
+}
+
+function autoApplyAllowed() {
+  return String(process.env.VENDOR_OFFER_URL_AUTO_APPLY || '').toLowerCase() === 'true';
+}
+
+function isProduction() {
+  return String(process.env.NODE_ENV || '').toLowerCase() === 'production';
+}
+
+// Loopback, private, link-local and unspecified addresses (IP literals only; names aren't resolved).
+function isPrivateAddress(host) {
+  const h = host.replace(/^\[|\]$/g, '');
+  if (net.isIPv4(h)) {
+    const [a, b] = h.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+  }
+  if (net.isIPv6(h)) {
+    const l = h.toLowerCase();
+    return l === '::' || l === '::1' || l.startsWith('fc') || l.startsWith('fd') || l.startsWith('fe80');
+  }
+  return false;
+}
+
+// Validate an offer_url sent by a vendor backend. Returns { ok: true, value } or { ok: false, error }.
+// Production additionally requires https and a public host.
+function checkOfferUrl(raw) {
+  const value = typeof raw === 'string' ? raw.trim() : '';
+  if (!value) return { ok: false, error: 'offer_url must be a non-empty string' };
+  if (value.length > MAX_URL_LENGTH) return { ok: false, error: `offer_url must be at most ${MAX_URL_LENGTH} characters` };
+
+  let u;
+  try {
+    u = new URL(value);
+  } catch {
+    return { ok: false, error: 'offer_url must be a valid http(s) URL' };
+  }
+  if (!/^https?:$/.test(u.protocol)) return { ok: false, error: 'offer_url must be a valid http(s) URL' };
+  if (u.username || u.password) return { ok: false, error: 'offer_url must not contain credentials' };
+
+  if (isProduction()) {
+    const host = (u.hostname || '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host)) {
+      return {
+        ok: false,
+        error: 'offer_url must be a public URL (localhost/private addresses are not reachable from production server)',
+      };
+    }
+    if (u.protocol !== 'https:') return { ok: false, error: 'offer_url must use https' };
+  }
+
+  return { ok: true, value };
+}
+
+// Registered vendor_backends row (preferred vendor_id schema, then legacy vendor_ref), or null.
+async function findVendorBackend(supabase, vendorRef) {
+  let { data, error } = await supabase.from('vendor_backends').select('*').eq('vendor_id', vendorRef).maybeSingle();
+  if (error && isMissingVendorIdColumn(error)) {
+    ({ data, error } = await supabase.from('vendor_backends').select('*').eq('vendor_ref', vendorRef).maybeSingle());
+  }
+  if (error) throw error;
+  return data || null;
+}
+
+async function applyOfferUrl(supabase, vendorRef, url) {
+  const patch = { offer_url: url, updated_at: new Date().toISOString() };
+  let { data, error } = await supabase
+    .from('vendor_backends')
+    .update(patch)
+    .eq('vendor_id', vendorRef)
+    .select('*')
+    .maybeSingle();
+  if (error && isMissingVendorIdColumn(error)) {
+    ({ data, error } = await supabase
+      .from('vendor_backends')
+      .update(patch)
+      .eq('vendor_ref', vendorRef)
+      .select('*')
+      .maybeSingle());
+  }
+  if (error) throw error;
+  return data || null;
+}
+
+// Insert an audit row. Throws when the table is missing too: changes must not go unrecorded.
+async function recordChange(supabase, row) {
+  const { data, error } = await supabase.from('vendor_offer_url_changes').insert([row]).select('*').maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Registration audit is best-effort: a new vendor has no offer_url to hijack yet.
+async function recordRegistration(supabase, vendorRef, url, requestedVia) {
+  try {
+    await recordChange(supabase, {
+      vendor_ref: vendorRef,
+      old_url: null,
+      new_url: url,
+      status: 'APPLIED',
+      requested_via: requestedVia,
+      decided_by: 'registration',
+      decided_at: new Date().toISOString(),
+    });
+  } catch (e) {
+    if (!isMissingTable(e)) console.warn(`[SECURITY] offer_url_audit_failed vendor_id=${vendorRef} error=${e?.message || e}`);
+  }
+}
+
+// A registered vendor asks for a different offer_url (oldUrl is null for a pull-mode vendor adding one).
+// requestedVia: the vendor key id the request was signed with, or null for the shared secret.
+// Returns { applied: true, change } or { applied: false, change } (PENDING admin approval).
+async function requestChange(supabase, vendorRef, oldUrl, newUrl, requestedVia) {
+  const now = new Date().toISOString();
+  const base = { vendor_ref: vendorRef, old_url: oldUrl || null, new_url: newUrl, requested_via: requestedVia || 'shared' };
+
+  const autoApply = Boolean(requestedVia) && autoApplyAllowed();
+
+  const { data: pending, error: pendingErr } = await supabase
+    .from('vendor_offer_url_changes')
+    .select('*')
+    .eq('vendor_ref', vendorRef)
+    .eq('status', 'PENDING')
+    .order('created_at', { ascending: false });
+  if (pendingErr) throw pendingErr;
+
+  // Re-sending the same URL while it waits is not a new request.
+  const same = autoApply ? null : (pending || []).find((c) => c.new_url === newUrl);
+  if (same) return { applied: false, change: same };
+
+  // Only the latest request can be approved.
+  if ((pending || []).length) {
+    const { error } = await supabase
+      .from('vendor_offer_url_changes')
+      .update({ status: 'SUPERSEDED', decided_at: now, decided_by: 'superseded' })
+      .eq('vendor_ref', vendorRef)
+      .eq('status', 'PENDING');
+    if (error) throw error;
+  }
+
+  if (autoApply) {
+    const change = await recordChange(supabase, { ...base, status: 'APPLIED', decided_by: `vendor_key:${requestedVia}`, decided_at: now });
+    console.log(`[SECURITY] offer_url_changed vendor_id=${vendorRef} key_id=${requestedVia} change_id=${change?.id}`);
+    return { applied: true, change };
+  }
+
+  const change = await recordChange(supabase, { ...base, status: 'PENDING' });
+  console.warn(`[SECURITY] offer_url_change_pending vendor_id=${vendorRef} change_id=${change?.id} via=${base.requested_via}`);
+  return { applied: false, change };
+}
+
+// Admin decision on a PENDING change. Returns { ok: true, change, vendor } or { ok: false, status, error }.
+async function decideChange(supabase, vendorRef, changeId, approve, note) {
+  const { data: change, error } = await supabase
+    .from('vendor_offer_url_changes')
+    .update({
+      status: approve ? 'APPROVED' : 'REJECTED',
+      decided_by: 'admin',
+      decided_at: new Date().toISOString(),
+      decision_note: note || null,
+    })
+    .eq('id', changeId)
+    .eq('vendor_ref', vendorRef)
+    .eq('status', 'PENDING')
+    .select('*')
+    .maybeSingle();
+  if (error) throw error;
+  if (!change) return { ok: false, status: 404, error: 'Pending offer_url change not found for this vendor' };
+
+  if (!approve) {
+    console.log(`[SECURITY] offer_url_change_rejected vendor_id=${vendorRef} change_id=${changeId}`);
+    return { ok: true, change, vendor: null };
+  }
+
+  const vendor = await applyOfferUrl(supabase, vendorRef, change.new_url);
+  console.log(`[SECURITY] offer_url_change_approved vendor_id=${vendorRef} change_id=${changeId}`);
+  return { ok: true, change, vendor };
+}
+
+async function listChanges(supabase, options = {}) {
+  let q = supabase
+    .from('vendor_offer_url_changes')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(options.limit || 100);
+  if (options.vendorRef) q = q.eq('vendor_ref', options.vendorRef);
+  if (options.status) q = q.eq('status', options.status);
+
+  const { data, error } = await q;
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = {
+  CHANGE_STATUSES,
+  checkOfferUrl,
+  findVendorBackend,
+  recordRegistration,
+  requestChange,
+  decideChange,
+  listChanges,
+  isMissingTable,
+};
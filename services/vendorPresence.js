@@ -0,0 +1,67 @@
+// Vendor presence: explicit ONLINE/OFFLINE/BUSY status plus location heartbeats (last_seen_at).
+//
+// For dispatch a vendor is classified as:
+// - present:  ONLINE and seen within the staleness threshold
+// - stale:    ONLINE but no heartbeat within the threshold (fallback only)
+// - offline / busy / inactive: never offered
+
+const PRESENCE_STATUSES = ['ONLINE', 'OFFLINE', 'BUSY'];
+
+function parsePresenceStatus(input) {
+  const s = String(input || '').trim().toUpperCase();
+  return PRESENCE_STATUSES.includes(s) ? s : null;
+}
+
+function lastSeenOf(vendor) {
+  const raw = vendor?.last_seen_at || vendor?.updated_at || null;
+  const t = raw ? new Date(raw).getTime() : NaN;
+  return Number.isFinite(t) ? t : null;
+}
+
+function classifyPresence(vendor, staleMs, now = Date.now()) {
+  if (vendor?.active === false) return 'inactive';
+
+  const status = parsePresenceStatus(vendor?.presence_status) || 'ONLINE';
+  if (status === 'OFFLINE') return 'offline';
+  if (status === 'BUSY') return 'busy';
+
+  const lastSeen = lastSeenOf(vendor);
+  if (lastSeen == null || now - lastSeen > staleMs) return 'stale';
+  return 'present';
+}
+
+// Update presence_status for a vendor (preferred vendor_id schema, then legacy vendor_ref).
+// Returns the updated row or null if the vendor isn't registered.
+async function setPresenceStatus(supabase, vendorRef, status) {
+  const now = new Date().toISOString();
+  const patch = { presence_status: status, last_seen_at: now, updated_at: now };
+
+  let data;
+  let error;
+
+  ({ data, error } = await supabase
+    .from('vendor_backends')
+    .update(patch)
+    .eq('vendor_id', vendorRef)
+    .select('*')
+    .maybeSingle());
+
+  if (error && /column .*vendor_id.*does not exist|42703|unknown column/i.test(error.message || '')) {
+    ({ data, error } = await supabase
+      .from('vendor_backends')
+      .update(patch)
+      .eq('vendor_ref', vendorRef)
+      .select('*')
+      .maybeSingle());
+  }
+
+  if (error) throw error;
+  return data || null;
+}
+
+module.exports = {
+  PRESENCE_STATUSES,
+  parsePresenceStatus,
+  classifyPresence,
+  setPresenceStatus,
+};
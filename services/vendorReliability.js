@@ -0,0 +1,151 @@
+// Vendor reliability: rolling per-vendor offer/job stats and the candidate ranking that blends them with distance.
+// Stats come from the vendor_reliability_stats() function (see supabase/migrations/012_vendor_reliability.sql).
+//
+// Ranking score = sum(weight * component), every component in [0, 1]:
+// - distance:   1 at the pickup, 0 at rankDistanceScaleKm (or maxRadiusKm) and beyond
+// - acceptance: accepted / (accepted + rejected + timed out), smoothed towards 0.5 for new vendors
+// - completion: completed / accepted, smoothed towards 1 (no history = no penalty)
+// - response:   1 for an instant answer, 0 when the vendor uses the whole offer TTL
+// Weights come from the dispatch policy (rankWeight*), so ops can tune them per region.
+
+// Pseudo-counts that keep a vendor with little history close to neutral.
+const ACCEPTANCE_PRIOR = { hits: 1, total: 2 };
+const COMPLETION_PRIOR = { hits: 2, total: 2 };
+
+function isMissingFunction(error) {
+  const msg = error?.message || '';
+  return /vendor_reliability_stats/i.test(msg) && /(does not exist|could not find)/i.test(msg);
+}
+
+function toCount(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function emptyStats(vendorRef) {
+  return {
+    vendor_ref: vendorRef,
+    offers_sent: 0,
+    accepted: 0,
+    rejected: 0,
+    timed_out: 0,
+    completed: 0,
+    avg_response_seconds: null,
+  };
+}
+
+function sinceIso(windowDays) {
+  return new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Returns a Map vendor_ref -> stats for the rolling window.
+// vendorRefs = null loads every vendor with activity in the window.
+// Missing migration or query errors yield an empty map (everyone ranks as a new vendor).
+async function fetchReliabilityStats(supabase, vendorRefs, windowDays) {
+  const out = new Map();
+  if (Array.isArray(vendorRefs) && !vendorRefs.length) return out;
+
+  const { data, error } = await supabase.rpc('vendor_reliability_stats', {
+    p_since: sinceIso(windowDays),
+    p_vendor_refs: Array.isArray(vendorRefs) ? vendorRefs.map(String) : null,
+  });
+
+  if (error) {
+    if (!isMissingFunction(error)) console.warn('[DISPATCH] reliability_stats_failed', error.message || error);
+    return out;
+  }
+
+  for (const row of data || []) {
+    if (!row?.vendor_ref) continue;
+    out.set(String(row.vendor_ref), {
+      vendor_ref: String(row.vendor_ref),
+      offers_sent: toCount(row.offers_sent),
+      accepted: toCount(row.accepted),
+      rejected: toCount(row.rejected),
+      timed_out: toCount(row.timed_out),
+      completed: toCount(row.completed),
+      avg_response_seconds: row.avg_response_seconds == null ? null : Number(row.avg_response_seconds),
+    });
+  }
+  return out;
+}
+
+function clamp01(n) {
+  return Math.min(1, Math.max(0, n));
+}
+
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+function reliabilityComponents(stats, policy) {
+  const s = stats || emptyStats(null);
+  const answered = s.accepted + s.rejected + s.timed_out;
+
+  const acceptance = (s.accepted + ACCEPTANCE_PRIOR.hits) / (answered + ACCEPTANCE_PRIOR.total);
+  const completion = Math.min(s.completed + COMPLETION_PRIOR.hits, s.accepted + COMPLETION_PRIOR.total) /
+    (s.accepted + COMPLETION_PRIOR.total);
+
+  const ttl = Number(policy.offerTtlSeconds) || 0;
+  const response = s.avg_response_seconds == null || ttl <= 0 ? 0.5 : 1 - clamp01(s.avg_response_seconds / ttl);
+
+  return {
+    acceptance: round3(clamp01(acceptance)),
+    completion: round3(clamp01(completion)),
+    response: round3(response),
+  };
+}
+
+function distanceComponent(distanceKm, policy) {
+  if (!Number.isFinite(distanceKm)) return 0;
+  const scale = Number(policy.maxRadiusKm) || Number(policy.rankDistanceScaleKm) || 0;
+  if (scale <= 0) return 0;
+  return round3(1 - clamp01(distanceKm / scale));
+}
+
+function rankingWeights(policy) {
+  return {
+    distance: Number(policy.rankWeightDistance) || 0,
+    acceptance: Number(policy.rankWeightAcceptance) || 0,
+    completion: Number(policy.rankWeightCompletion) || 0,
+    response: Number(policy.rankWeightResponse) || 0,
+  };
+}
+
+// Score one candidate. Returns { score, components, weights }.
+function scoreCandidate(distanceKm, stats, policy) {
+  const weights = rankingWeights(policy);
+  const components = { distance: distanceComponent(distanceKm, policy), ...reliabilityComponents(stats, policy) };
+  const totalWeight = Object.values(weights).reduce((a, b) => a + b, 0);
+
+  const raw = Object.keys(weights).reduce((sum, k) => sum + weights[k] * components[k], 0);
+  // Normalise so scores stay comparable when ops change the weights.
+  const score = totalWeight > 0 ? round3(raw / totalWeight) : 0;
+  return { score, components, weights };
+}
+
+// entries: [{ vendor, distanceKm }] -> same entries with { score, components, stats } attached,
+// best first. Ties fall back to distance so the old nearest-first order is kept.
+function rankCandidates(entries, statsByRef, policy, refOf) {
+  return entries
+    .map((e) => {
+      const ref = refOf(e.vendor);
+      const stats = statsByRef.get(ref) || emptyStats(ref);
+      const { score, components } = scoreCandidate(e.distanceKm, stats, policy);
+      return { ...e, score, components, stats };
+    })
+    .sort((a, b) => {
+      if (b.score !== a.score) return b.score - a.score;
+      const da = Number.isFinite(a.distanceKm) ? a.distanceKm : Number.POSITIVE_INFINITY;
+      const db = Number.isFinite(b.distanceKm) ? b.distanceKm : Number.POSITIVE_INFINITY;
+      return da - db;
+    });
+}
+
+module.exports = {
+  fetchReliabilityStats,
+  reliabilityComponents,
+  rankingWeights,
+  scoreCandidate,
+  rankCandidates,
+};
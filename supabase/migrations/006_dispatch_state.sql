@@ -0,0 +1,74 @@
+-- ScrapCo (Customer Backend) - Durable dispatch state
+-- Apply this in Supabase SQL editor AFTER 003_pickup_vendor_rejections.sql
+--
+-- Purpose:
+-- - Persist dispatch progress (ranked candidates + cursor) so restarts don't lose it
+-- - Persist every offer with its deadline so vendors are never re-offered or skipped
+-- - Row-level lease so two backend instances never advance the same pickup
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.pickup_dispatch_state (
+  pickup_id uuid primary key references public.pickups(id) on delete cascade,
+  -- Ranked candidate list: [{ vendor_ref, offer_url, distance_km }]
+  candidates jsonb not null default '[]'::jsonb,
+  -- Index of the next candidate to offer to
+  cursor integer not null default 0,
+  -- Incremented every time dispatch is restarted (customer retry)
+  round integer not null default 0,
+  -- NEW | ACTIVE | EXHAUSTED | DONE | STOPPED
+  status text not null default 'NEW',
+  lease_owner text,
+  lease_expires_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists idx_pickup_dispatch_state_status
+  on public.pickup_dispatch_state(status, lease_expires_at);
+
+create table if not exists public.pickup_offers (
+  id uuid primary key default gen_random_uuid(),
+  pickup_id uuid not null references public.pickups(id) on delete cascade,
+  round integer not null default 0,
+  vendor_ref text not null,
+  offer_url text,
+  -- PENDING | ACCEPTED | REJECTED | EXPIRED | FAILED | WITHDRAWN
+  status text not null default 'PENDING',
+  offered_at timestamptz not null default now(),
+  -- Set once the vendor backend acknowledged the offer (null = never delivered)
+  sent_at timestamptz,
+  expires_at timestamptz not null,
+  responded_at timestamptz,
+  unique (pickup_id, round, vendor_ref)
+);
+
+create index if not exists idx_pickup_offers_pickup_id
+  on public.pickup_offers(pickup_id, status);
+
+-- updated_at trigger (set_updated_at() is created by 005_blog_posts.sql; recreate defensively)
+create or replace function public.set_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_trigger where tgname = 'pickup_dispatch_state_set_updated_at'
+  ) then
+    create trigger pickup_dispatch_state_set_updated_at
+    before update on public.pickup_dispatch_state
+    for each row
+    execute procedure public.set_updated_at();
+  end if;
+end $$;
+
+-- RLS enabled with no policies: only the CUSTOMER BACKEND (service role) can read/write.
+alter table public.pickup_dispatch_state enable row level security;
+alter table public.pickup_offers enable row level security;
@@ -0,0 +1,11 @@
+-- ScrapCo (Customer Backend) - Broadcast dispatch strategy
+-- Apply this in Supabase SQL editor AFTER 006_dispatch_state.sql
+--
+-- The strategy is fixed per dispatch round so changing DISPATCH_STRATEGY mid-flight
+-- doesn't confuse pickups that are already being dispatched.
+
+alter table if exists public.pickup_dispatch_state
+  add column if not exists strategy text not null default 'sequential';
+
+alter table if exists public.pickup_dispatch_state
+  add column if not exists wave_size integer not null default 1;
@@ -0,0 +1,56 @@
+-- ScrapCo (Customer Backend) - Dispatch policies
+-- Apply this in Supabase SQL editor AFTER 007_dispatch_broadcast.sql
+--
+-- Ops can tune dispatch per region/city or pickup size without a deploy.
+-- Every setting column is nullable: null = inherit from defaults/env or a lower-priority row.
+-- Rows are applied lowest priority first, so the highest matching priority wins.
+-- Changes are picked up by the backend within ~1 minute (cache).
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.dispatch_policies (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  is_active boolean not null default true,
+  priority integer not null default 0,
+
+  -- Match conditions (all optional; a row with none applies to every pickup)
+  region text,
+  city text,
+  min_total_quantity numeric,
+  max_total_quantity numeric,
+
+  -- Settings
+  strategy text check (strategy in ('sequential', 'broadcast')),
+  wave_size integer check (wave_size > 0),
+  offer_ttl_seconds integer check (offer_ttl_seconds > 0),
+  max_candidates integer check (max_candidates > 0),
+  max_radius_km numeric check (max_radius_km > 0),
+  offer_retries integer check (offer_retries >= 0),
+  vendor_query_limit integer check (vendor_query_limit > 0),
+  http_timeout_ms integer check (http_timeout_ms > 0),
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists idx_dispatch_policies_active
+  on public.dispatch_policies(is_active, priority);
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_trigger where tgname = 'dispatch_policies_set_updated_at'
+  ) then
+    create trigger dispatch_policies_set_updated_at
+    before update on public.dispatch_policies
+    for each row
+    execute procedure public.set_updated_at();
+  end if;
+end $$;
+
+alter table public.dispatch_policies enable row level security;
+
+-- The resolved policy is frozen per dispatch round so offers in flight keep their TTL.
+alter table if exists public.pickup_dispatch_state
+  add column if not exists policy jsonb;
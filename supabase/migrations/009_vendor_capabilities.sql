@@ -0,0 +1,15 @@
+-- ScrapCo (Customer Backend) - Vendor capabilities
+-- Apply this in Supabase SQL editor AFTER 008_dispatch_policies.sql
+--
+-- Vendors declare what they buy and how much they can carry (via POST /api/vendor/location).
+-- The dispatcher only offers pickups a vendor can actually take.
+-- Null / empty = no restriction (keeps existing vendors eligible for everything).
+
+alter table if exists public.vendor_backends
+  add column if not exists accepted_scrap_types text[];
+
+alter table if exists public.vendor_backends
+  add column if not exists max_load_kg numeric;
+
+alter table if exists public.vendor_backends
+  add column if not exists vehicle_type text;
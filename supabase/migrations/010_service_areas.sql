@@ -0,0 +1,47 @@
+-- ScrapCo (Customer Backend) - Service radius + serviceable areas
+-- Apply this in Supabase SQL editor AFTER 009_vendor_capabilities.sql
+--
+-- - vendor_backends.service_radius_km: the dispatcher never offers pickups farther than this
+-- - service_areas: admin-defined GeoJSON polygons; pickups outside every active area are rejected.
+--   With no active areas at all, every location is serviceable (keeps existing setups working).
+
+create extension if not exists pgcrypto;
+
+alter table if exists public.vendor_backends
+  add column if not exists service_radius_km numeric;
+
+create table if not exists public.service_areas (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  -- Optional region label; matched by dispatch_policies.region
+  region text,
+  -- GeoJSON Polygon or MultiPolygon geometry ([lng, lat] positions)
+  geojson jsonb not null,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists idx_service_areas_active on public.service_areas(is_active);
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_trigger where tgname = 'service_areas_set_updated_at'
+  ) then
+    create trigger service_areas_set_updated_at
+    before update on public.service_areas
+    for each row
+    execute procedure public.set_updated_at();
+  end if;
+end $$;
+
+-- RLS: anyone can read active areas (public serviceability check); writes via service role only.
+alter table public.service_areas enable row level security;
+
+drop policy if exists "service_areas_public_read_active" on public.service_areas;
+create policy "service_areas_public_read_active"
+on public.service_areas
+for select
+to anon, authenticated
+using (is_active = true);
@@ -0,0 +1,31 @@
+-- ScrapCo (Customer Backend) - Vendor presence
+-- Apply this in Supabase SQL editor AFTER 010_service_areas.sql
+--
+-- - presence_status: explicit state set by the vendor backend (POST /api/vendor/presence)
+-- - last_seen_at: bumped by every location heartbeat (POST /api/vendor/location)
+-- The dispatcher only offers to ONLINE vendors seen recently, falling back to stale
+-- ONLINE vendors only when no fresh ones are available. OFFLINE/BUSY/inactive are never offered.
+
+alter table if exists public.vendor_backends
+  add column if not exists presence_status text not null default 'ONLINE';
+
+alter table if exists public.vendor_backends
+  add column if not exists last_seen_at timestamptz;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_constraint where conname = 'vendor_backends_presence_status_check'
+  ) then
+    alter table public.vendor_backends
+      add constraint vendor_backends_presence_status_check
+      check (presence_status in ('ONLINE', 'OFFLINE', 'BUSY'));
+  end if;
+end $$;
+
+-- Existing rows: treat the last location update as the last heartbeat.
+update public.vendor_backends set last_seen_at = updated_at where last_seen_at is null;
+
+-- Staleness threshold per dispatch policy (null = inherit).
+alter table if exists public.dispatch_policies
+  add column if not exists presence_stale_seconds integer check (presence_stale_seconds > 0);
@@ -0,0 +1,80 @@
+-- ScrapCo (Customer Backend) - Vendor reliability stats
+-- Apply this in Supabase SQL editor AFTER 011_vendor_presence.sql
+--
+-- Rolling per-vendor stats computed from pickup_offers (offers/accepts/rejects/timeouts,
+-- response time) and pickups (completed jobs). Used by the dispatcher to blend
+-- reliability with distance when ranking candidates.
+
+create or replace function public.vendor_reliability_stats(
+  p_since timestamptz,
+  p_vendor_refs text[] default null
+)
+returns table (
+  vendor_ref text,
+  offers_sent bigint,
+  accepted bigint,
+  rejected bigint,
+  timed_out bigint,
+  completed bigint,
+  avg_response_seconds numeric
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with o as (
+    select
+      po.vendor_ref,
+      count(*) filter (where po.sent_at is not null) as offers_sent,
+      count(*) filter (where po.status = 'ACCEPTED') as accepted,
+      count(*) filter (where po.status = 'REJECTED') as rejected,
+      count(*) filter (where po.status = 'EXPIRED') as timed_out,
+      avg(extract(epoch from (po.responded_at - coalesce(po.sent_at, po.offered_at))))
+        filter (where po.status in ('ACCEPTED', 'REJECTED')) as avg_response_seconds
+    from public.pickup_offers po
+    where po.offered_at >= p_since
+      and (p_vendor_refs is null or po.vendor_ref = any(p_vendor_refs))
+    group by po.vendor_ref
+  ),
+  c as (
+    select p.assigned_vendor_ref as vendor_ref, count(*) as completed
+    from public.pickups p
+    where p.status = 'COMPLETED'
+      and p.completed_at >= p_since
+      and p.assigned_vendor_ref is not null
+      and (p_vendor_refs is null or p.assigned_vendor_ref = any(p_vendor_refs))
+    group by p.assigned_vendor_ref
+  )
+  select
+    coalesce(o.vendor_ref, c.vendor_ref) as vendor_ref,
+    coalesce(o.offers_sent, 0) as offers_sent,
+    coalesce(o.accepted, 0) as accepted,
+    coalesce(o.rejected, 0) as rejected,
+    coalesce(o.timed_out, 0) as timed_out,
+    coalesce(c.completed, 0) as completed,
+    round(o.avg_response_seconds, 1) as avg_response_seconds
+  from o
+  full outer join c on c.vendor_ref = o.vendor_ref;
+$$;
+
+-- Backend only (service role).
+revoke execute on function public.vendor_reliability_stats(timestamptz, text[]) from public, anon, authenticated;
+grant execute on function public.vendor_reliability_stats(timestamptz, text[]) to service_role;
+
+create index if not exists idx_pickup_offers_vendor_offered_at
+  on public.pickup_offers(vendor_ref, offered_at);
+
+-- Ranking weights + stats window per dispatch policy (null = inherit).
+alter table if exists public.dispatch_policies
+  add column if not exists reliability_window_days integer check (reliability_window_days > 0);
+alter table if exists public.dispatch_policies
+  add column if not exists rank_weight_distance numeric check (rank_weight_distance >= 0);
+alter table if exists public.dispatch_policies
+  add column if not exists rank_weight_acceptance numeric check (rank_weight_acceptance >= 0);
+alter table if exists public.dispatch_policies
+  add column if not exists rank_weight_completion numeric check (rank_weight_completion >= 0);
+alter table if exists public.dispatch_policies
+  add column if not exists rank_weight_response numeric check (rank_weight_response >= 0);
+alter table if exists public.dispatch_policies
+  add column if not exists rank_distance_scale_km numeric check (rank_distance_scale_km > 0);
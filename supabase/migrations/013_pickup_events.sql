@@ -0,0 +1,28 @@
+-- ScrapCo (Customer Backend) - Pickup event timeline
+-- Apply this in Supabase SQL editor AFTER 012_vendor_reliability.sql
+--
+-- Every pickup state change and dispatch decision (offer sent/failed/expired/rejected/withdrawn,
+-- candidate ranking, no vendor available, ...) is appended here by the backend.
+-- Customers read a sanitized view through GET /api/pickups/:id/timeline;
+-- admins read the full log through GET /api/admin/pickups/:id/timeline.
+
+create table if not exists public.pickup_events (
+  id bigint generated always as identity primary key,
+  pickup_id uuid not null references public.pickups(id) on delete cascade,
+  -- e.g. pickup_created, dispatch_started, offer_sent, offer_expired, vendor_assigned
+  event_type text not null,
+  -- customer | vendor | system | admin
+  actor text not null default 'system' check (actor in ('customer', 'vendor', 'system', 'admin')),
+  vendor_ref text,
+  reason text,
+  from_status text,
+  to_status text,
+  data jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_pickup_events_pickup_id
+  on public.pickup_events(pickup_id, id);
+
+-- Backend only (service role); customers go through the API, which strips vendor details.
+alter table public.pickup_events enable row level security;
@@ -0,0 +1,53 @@
+-- ScrapCo (Customer Backend) - Offer delivery log + dead letters
+-- Apply this in Supabase SQL editor AFTER 013_pickup_events.sql
+--
+-- offer_delivery_attempts: one row per HTTP attempt to a vendor backend (offers and withdrawals).
+-- offer_dead_letters: offers that were never delivered (retries exhausted or circuit open),
+-- listed for admins at GET /api/admin/dispatch/dead-letters.
+
+create extension if not exists pgcrypto;
+
+create table if not exists public.offer_delivery_attempts (
+  id bigint generated always as identity primary key,
+  offer_id uuid references public.pickup_offers(id) on delete cascade,
+  pickup_id uuid references public.pickups(id) on delete cascade,
+  vendor_ref text,
+  url text not null,
+  -- offer | withdrawal
+  kind text not null default 'offer',
+  attempt integer not null,
+  ok boolean not null,
+  status_code integer,
+  error text,
+  duration_ms integer,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_offer_delivery_attempts_pickup
+  on public.offer_delivery_attempts(pickup_id, id);
+create index if not exists idx_offer_delivery_attempts_vendor
+  on public.offer_delivery_attempts(vendor_ref, created_at);
+
+create table if not exists public.offer_dead_letters (
+  id uuid primary key default gen_random_uuid(),
+  offer_id uuid references public.pickup_offers(id) on delete cascade,
+  pickup_id uuid references public.pickups(id) on delete cascade,
+  vendor_ref text,
+  url text not null,
+  kind text not null default 'offer',
+  payload jsonb,
+  attempts integer not null default 0,
+  last_status integer,
+  last_error text,
+  created_at timestamptz not null default now(),
+  resolved_at timestamptz,
+  resolution_note text
+);
+
+create index if not exists idx_offer_dead_letters_open
+  on public.offer_dead_letters(created_at)
+  where resolved_at is null;
+
+-- Backend only (service role).
+alter table public.offer_delivery_attempts enable row level security;
+alter table public.offer_dead_letters enable row level security;
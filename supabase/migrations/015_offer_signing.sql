@@ -0,0 +1,13 @@
+-- ScrapCo (Customer Backend) - Signed outbound deliveries
+-- Apply this in Supabase SQL editor AFTER 014_offer_delivery.sql
+--
+-- Outbound offers/withdrawals carry x-scrapco-delivery-id (see vendor/offerSignature.js).
+-- Store it with each attempt and dead letter so a vendor's report can be matched to our log.
+
+alter table if exists public.offer_delivery_attempts
+  add column if not exists delivery_id uuid;
+alter table if exists public.offer_dead_letters
+  add column if not exists delivery_id uuid;
+
+create index if not exists idx_offer_delivery_attempts_delivery_id
+  on public.offer_delivery_attempts(delivery_id);
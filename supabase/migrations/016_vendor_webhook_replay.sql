@@ -0,0 +1,36 @@
+-- ScrapCo (Customer Backend) - Replay protection + idempotency for vendor webhooks
+-- Apply this in Supabase SQL editor AFTER 015_offer_signing.sql
+--
+-- vendor_webhook_nonces: x-scrapco-nonce values seen within the signature tolerance window.
+-- vendor_idempotency_keys: stored responses for Idempotency-Key retries of vendor callbacks.
+-- Both are backend-only (service role) and hold short-lived rows.
+
+create table if not exists public.vendor_webhook_nonces (
+  nonce text primary key,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_vendor_webhook_nonces_expires_at
+  on public.vendor_webhook_nonces(expires_at);
+
+create table if not exists public.vendor_idempotency_keys (
+  -- route + vendor ref, e.g. 'accept:vendor-123'
+  scope text not null,
+  idem_key text not null,
+  -- sha256 of the raw request body; a reused key with a different body is rejected
+  request_hash text not null,
+  -- IN_PROGRESS | DONE
+  state text not null default 'IN_PROGRESS',
+  response_status integer,
+  response_body jsonb,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  primary key (scope, idem_key)
+);
+
+create index if not exists idx_vendor_idempotency_keys_expires_at
+  on public.vendor_idempotency_keys(expires_at);
+
+alter table public.vendor_webhook_nonces enable row level security;
+alter table public.vendor_idempotency_keys enable row level security;
@@ -0,0 +1,27 @@
+-- ScrapCo (Customer Backend) - Per-vendor webhook signing keys
+-- Apply this in Supabase SQL editor AFTER 016_vendor_webhook_replay.sql
+--
+-- Each vendor signs its callbacks with its own secret, identified by x-scrapco-key-id,
+-- and outbound offers to it are signed with its newest active key.
+-- Rotation: at most two ACTIVE keys per vendor (enforced by the backend); issue a new key,
+-- switch the vendor backend over, then revoke the old one (or let expires_at retire it).
+-- Managed through /api/admin/vendors/:vendorRef/keys.
+
+create table if not exists public.vendor_signing_keys (
+  key_id text primary key,
+  vendor_ref text not null,
+  -- HMAC secret; needed in clear to verify signatures, so backend-only (RLS, no policies)
+  secret text not null,
+  -- ACTIVE | REVOKED
+  status text not null default 'ACTIVE' check (status in ('ACTIVE', 'REVOKED')),
+  created_at timestamptz not null default now(),
+  -- set when a newer key was issued with an overlap window
+  expires_at timestamptz,
+  revoked_at timestamptz,
+  last_used_at timestamptz
+);
+
+create index if not exists idx_vendor_signing_keys_vendor
+  on public.vendor_signing_keys(vendor_ref, status);
+
+alter table public.vendor_signing_keys enable row level security;
@@ -0,0 +1,33 @@
+-- ScrapCo (Customer Backend) - Audit + approval of vendor offer_url changes
+-- Apply this in Supabase SQL editor AFTER 017_vendor_signing_keys.sql
+--
+-- Offers (with customer coordinates) are POSTed to vendor_backends.offer_url, so changing it is guarded:
+-- - first registration: recorded as APPLIED
+-- - any later change: PENDING until an admin APPROVES / REJECTS it (/api/admin/vendors);
+--   with VENDOR_OFFER_URL_AUTO_APPLY=true a change signed with the vendor's own key is APPLIED directly;
+--   a newer request SUPERSEDES an older pending one
+-- Until this table exists the backend refuses offer_url changes (registrations still work).
+
+create table if not exists public.vendor_offer_url_changes (
+  id bigint generated always as identity primary key,
+  vendor_ref text not null,
+  old_url text,
+  new_url text not null,
+  status text not null check (status in ('APPLIED', 'PENDING', 'APPROVED', 'REJECTED', 'SUPERSEDED')),
+  -- signing key id the request was signed with, or 'shared' for VENDOR_WEBHOOK_SECRET
+  requested_via text not null default 'shared',
+  -- 'registration' | 'vendor_key:<key id>' | 'admin' | 'superseded'
+  decided_by text,
+  decision_note text,
+  created_at timestamptz not null default now(),
+  decided_at timestamptz
+);
+
+create index if not exists idx_vendor_offer_url_changes_vendor
+  on public.vendor_offer_url_changes(vendor_ref, created_at desc);
+
+create index if not exists idx_vendor_offer_url_changes_pending
+  on public.vendor_offer_url_changes(created_at)
+  where status = 'PENDING';
+
+alter table public.vendor_offer_url_changes enable row level security;
@@ -0,0 +1,29 @@
+-- ScrapCo (Customer Backend) - Pull-mode offer delivery
+-- Apply this in Supabase SQL editor AFTER 018_vendor_offer_url_changes.sql
+--
+-- - delivery_mode: 'webhook' (offers POSTed to offer_url) or 'pull' (vendor fetches its offers with
+--   GET /api/vendor/offers or /api/vendor/offers/stream). Set via POST /api/vendor/location.
+-- - Pull-mode vendors don't need an offer_url, so it becomes nullable.
+-- - Pull-mode offers are recorded in pickup_offers with offer_url = null.
+
+alter table if exists public.vendor_backends
+  add column if not exists delivery_mode text not null default 'webhook';
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_constraint where conname = 'vendor_backends_delivery_mode_check'
+  ) then
+    alter table public.vendor_backends
+      add constraint vendor_backends_delivery_mode_check
+      check (delivery_mode in ('webhook', 'pull'));
+  end if;
+end $$;
+
+alter table if exists public.vendor_backends
+  alter column offer_url drop not null;
+
+-- Pull-mode vendors read their open offers by vendor.
+create index if not exists idx_pickup_offers_vendor_pending
+  on public.pickup_offers(vendor_ref, expires_at)
+  where status = 'PENDING';
@@ -0,0 +1,75 @@
+-- ScrapCo (Customer Backend) - Pickup state machine alignment
+-- Apply this in Supabase SQL editor AFTER 019_vendor_pull_delivery.sql
+--
+-- The customer RPCs accept exactly the transitions defined in services/pickupStateMachine.js:
+-- - cancel:         REQUESTED, FINDING_VENDOR, NO_VENDOR_AVAILABLE, ASSIGNED, ON_THE_WAY -> CANCELLED
+-- - retry_dispatch: REQUESTED, FINDING_VENDOR, NO_VENDOR_AVAILABLE -> FINDING_VENDOR
+-- A pickup the customer owns in any other status raises 'ILLEGAL_TRANSITION: ...' (the backend maps
+-- this to a 409) instead of silently updating nothing. Cancelling an already cancelled pickup is
+-- now rejected too, so cancelled_at keeps the original time.
+
+create or replace function public.cancel_pickup(p_pickup_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_status text;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  update public.pickups
+    set status = 'CANCELLED',
+        cancelled_at = now(),
+        assigned_vendor_ref = null,
+        assignment_expires_at = null
+  where id = p_pickup_id
+    and customer_id = auth.uid()
+    and status in ('REQUESTED', 'FINDING_VENDOR', 'NO_VENDOR_AVAILABLE', 'ASSIGNED', 'ON_THE_WAY');
+
+  if not found then
+    select status::text into v_status from public.pickups where id = p_pickup_id and customer_id = auth.uid();
+    if v_status is not null then
+      raise exception 'ILLEGAL_TRANSITION: cannot cancel a pickup in status %', v_status;
+    end if;
+  end if;
+end;
+$$;
+
+grant execute on function public.cancel_pickup(uuid) to authenticated;
+
+create or replace function public.find_vendor_again(p_pickup_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_status text;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  update public.pickups
+    set status = 'FINDING_VENDOR',
+        assigned_vendor_ref = null,
+        assignment_expires_at = null,
+        cancelled_at = null
+  where id = p_pickup_id
+    and customer_id = auth.uid()
+    and status in ('REQUESTED', 'FINDING_VENDOR', 'NO_VENDOR_AVAILABLE');
+
+  if not found then
+    select status::text into v_status from public.pickups where id = p_pickup_id and customer_id = auth.uid();
+    if v_status is not null then
+      raise exception 'ILLEGAL_TRANSITION: cannot retry dispatch for a pickup in status %', v_status;
+    end if;
+  end if;
+end;
+$$;
+
+grant execute on function public.find_vendor_again(uuid) to authenticated;
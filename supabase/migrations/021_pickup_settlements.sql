@@ -0,0 +1,86 @@
+-- ScrapCo (Customer Backend) - Pickup settlements
+-- Apply this in Supabase SQL editor AFTER 020_pickup_state_machine.sql
+--
+-- When a vendor completes a pickup (POST /api/vendor/pickup-done) it reports the weight actually
+-- collected per pickup_items row, any extra items and how the customer was paid. The backend
+-- prices every line with the scrap_rates row in effect at completion time and stores the result:
+-- - pickup_settlements: one row per pickup (total, payment method, whether anything was flagged)
+-- - pickup_settlement_items: one row per line; rate_per_kg/rate_effective_from are copied so
+--   later rate changes never alter a past settlement
+-- A line is flagged when the actual quantity deviates from estimated_quantity by more than
+-- SETTLEMENT_DEVIATION_THRESHOLD (default 0.5 = 50%) or no rate was in effect for its scrap type.
+
+create table if not exists public.pickup_settlements (
+  id uuid primary key default gen_random_uuid(),
+  pickup_id uuid not null unique references public.pickups(id) on delete cascade,
+  vendor_ref text not null,
+  -- cash | upi | bank_transfer | wallet
+  payment_method text not null check (payment_method in ('cash', 'upi', 'bank_transfer', 'wallet')),
+  payment_reference text,
+  currency text not null default 'INR',
+  total_amount numeric(12, 2) not null default 0,
+  total_quantity numeric(12, 3) not null default 0,
+  flagged boolean not null default false,
+  rates_at timestamptz not null,
+  notes text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.pickup_settlement_items (
+  id bigint generated always as identity primary key,
+  settlement_id uuid not null references public.pickup_settlements(id) on delete cascade,
+  pickup_id uuid not null references public.pickups(id) on delete cascade,
+  -- null for extra items the customer handed over that weren't in the request
+  pickup_item_id uuid references public.pickup_items(id) on delete set null,
+  scrap_type_id uuid,
+  estimated_quantity numeric,
+  actual_quantity numeric not null check (actual_quantity >= 0),
+  rate_effective_from timestamptz,
+  rate_per_kg numeric,
+  amount numeric(12, 2) not null default 0,
+  -- (actual - estimated) / estimated, null for extra items
+  deviation numeric,
+  flagged boolean not null default false,
+  -- large_deviation | no_rate
+  flag_reason text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_pickup_settlement_items_settlement
+  on public.pickup_settlement_items(settlement_id);
+
+create index if not exists idx_pickup_settlements_flagged
+  on public.pickup_settlements(created_at desc)
+  where flagged;
+
+-- Written by the backend (service role); customers can read their own pickups' settlements.
+alter table public.pickup_settlements enable row level security;
+alter table public.pickup_settlement_items enable row level security;
+
+drop policy if exists "pickup_settlements_select_own" on public.pickup_settlements;
+create policy "pickup_settlements_select_own"
+on public.pickup_settlements
+for select
+to authenticated
+using (
+  exists (
+    select 1
+    from public.pickups p
+    where p.id = pickup_settlements.pickup_id
+      and p.customer_id = auth.uid()
+  )
+);
+
+drop policy if exists "pickup_settlement_items_select_own" on public.pickup_settlement_items;
+create policy "pickup_settlement_items_select_own"
+on public.pickup_settlement_items
+for select
+to authenticated
+using (
+  exists (
+    select 1
+    from public.pickups p
+    where p.id = pickup_settlement_items.pickup_id
+      and p.customer_id = auth.uid()
+  )
+);
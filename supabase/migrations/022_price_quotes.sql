@@ -0,0 +1,140 @@
+-- ScrapCo (Customer Backend) - Instant price quotes
+-- Apply this in Supabase SQL editor AFTER 021_pickup_settlements.sql
+--
+-- POST /api/pickups/quote prices the customer's items with the active scrap_rates and stores the
+-- quote here (service role only); the customer gets a signed quote id that expires with the quote.
+-- POST /api/pickups passes the quote id to create_pickup, which attaches the quote to the pickup
+-- only if it exists, hasn't expired, hasn't been used and was made for exactly the same items.
+-- The quote is copied onto pickups.quote so the estimate stays as quoted.
+-- Only signed-in customers get a stored (lockable) quote; unused ones are deleted once expired.
+
+create table if not exists public.pickup_quotes (
+  id uuid primary key default gen_random_uuid(),
+  -- normalized [{ scrapTypeId, estimatedQuantity }], as sent by the customer
+  items jsonb not null,
+  -- priced lines, see services/pricing.js priceQuote
+  lines jsonb not null,
+  total_amount numeric(12, 2) not null,
+  currency text not null default 'INR',
+  expires_at timestamptz not null,
+  pickup_id uuid references public.pickups(id) on delete set null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_pickup_quotes_expires_at
+  on public.pickup_quotes(expires_at)
+  where pickup_id is null;
+
+-- Backend only (service role); customers see the copy on their pickup.
+alter table public.pickup_quotes enable row level security;
+
+alter table if exists public.pickups
+  add column if not exists quote_id uuid references public.pickup_quotes(id) on delete set null,
+  add column if not exists quote jsonb;
+
+-- Items as a comparable value: sorted { scrapTypeId, estimatedQuantity } pairs.
+create or replace function public.normalize_pickup_items(p_items jsonb)
+returns jsonb
+language sql
+immutable
+as $$
+  select coalesce(
+    jsonb_agg(
+      jsonb_build_object('scrapTypeId', x->>'scrapTypeId', 'estimatedQuantity', (x->>'estimatedQuantity')::numeric)
+      order by x->>'scrapTypeId', (x->>'estimatedQuantity')::numeric
+    ),
+    '[]'::jsonb
+  )
+  from jsonb_array_elements(p_items) as x;
+$$;
+
+-- create_pickup gains p_quote_id. The old 5-argument version is dropped so named calls without
+-- a quote stay unambiguous (p_quote_id defaults to null).
+drop function if exists public.create_pickup(text, numeric, numeric, text, jsonb);
+
+create or replace function public.create_pickup(
+  p_address text,
+  p_latitude numeric,
+  p_longitude numeric,
+  p_time_slot text,
+  p_items jsonb,
+  p_quote_id uuid default null
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_pickup_id uuid;
+  v_item jsonb;
+  v_scrap_type_id uuid;
+  v_qty numeric;
+  v_quote public.pickup_quotes%rowtype;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'p_items must be a non-empty array';
+  end if;
+
+  if p_quote_id is not null then
+    select * into v_quote from public.pickup_quotes where id = p_quote_id for update;
+    if not found then
+      raise exception 'QUOTE_INVALID: quote not found';
+    end if;
+    if v_quote.expires_at < now() then
+      raise exception 'QUOTE_EXPIRED: quote expired at %', v_quote.expires_at;
+    end if;
+    if v_quote.pickup_id is not null or v_quote.used_at is not null then
+      raise exception 'QUOTE_USED: quote was already used for another pickup';
+    end if;
+    if public.normalize_pickup_items(v_quote.items) <> public.normalize_pickup_items(p_items) then
+      raise exception 'QUOTE_MISMATCH: items differ from the quoted items';
+    end if;
+  end if;
+
+  insert into public.pickups (customer_id, status, address, latitude, longitude, time_slot)
+  values (auth.uid(), 'REQUESTED', p_address, p_latitude, p_longitude, p_time_slot)
+  returning id into v_pickup_id;
+
+  for v_item in select * from jsonb_array_elements(p_items)
+  loop
+    v_scrap_type_id := (v_item->>'scrapTypeId')::uuid;
+    v_qty := (v_item->>'estimatedQuantity')::numeric;
+
+    if v_qty is null or v_qty <= 0 then
+      raise exception 'estimatedQuantity must be > 0';
+    end if;
+
+    insert into public.pickup_items (pickup_id, scrap_type_id, estimated_quantity)
+    values (v_pickup_id, v_scrap_type_id, v_qty);
+  end loop;
+
+  if p_quote_id is not null then
+    update public.pickup_quotes
+      set pickup_id = v_pickup_id,
+          used_at = now()
+    where id = p_quote_id;
+
+    update public.pickups
+      set quote_id = p_quote_id,
+          quote = jsonb_build_object(
+            'id', v_quote.id,
+            'totalAmount', v_quote.total_amount,
+            'currency', v_quote.currency,
+            'lines', v_quote.lines,
+            'quotedAt', v_quote.created_at,
+            'expiresAt', v_quote.expires_at
+          )
+    where id = v_pickup_id;
+  end if;
+
+  return v_pickup_id;
+end;
+$$;
+
+grant execute on function public.create_pickup(text, numeric, numeric, text, jsonb, uuid) to authenticated;
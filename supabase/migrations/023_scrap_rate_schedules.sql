@@ -0,0 +1,67 @@
+-- ScrapCo (Customer Backend) - Effective-dated scrap rate schedules
+-- Apply this in Supabase SQL editor AFTER 022_price_quotes.sql
+--
+-- A scrap_rates row applies from effective_from (null = since forever) until effective_to
+-- (null = until further notice) while is_active. Rates are managed through /api/admin/scrap-rates:
+-- scheduling a new rate ends the one it replaces, deactivating a rate hands its period back to the
+-- rate before it, and rows are never deleted so the history stays chartable
+-- (GET /api/scrap-types/:id/rates).
+-- Active rates of one scrap type may not overlap; the exclusion constraint below enforces it.
+
+alter table if exists public.scrap_rates
+  add column if not exists effective_to timestamptz,
+  add column if not exists note text,
+  add column if not exists created_by text,
+  add column if not exists deactivated_at timestamptz,
+  add column if not exists created_at timestamptz not null default now();
+
+-- Existing rows: each active rate now ends where the next active rate of its type begins.
+with ordered as (
+  select
+    id,
+    lead(coalesce(effective_from, '-infinity'::timestamptz)) over (
+      partition by scrap_type_id
+      order by coalesce(effective_from, '-infinity'::timestamptz), created_at, id
+    ) as next_from
+  from public.scrap_rates
+  where is_active and effective_to is null
+)
+update public.scrap_rates r
+  set effective_to = o.next_from
+from ordered o
+where r.id = o.id
+  and o.next_from is not null;
+
+do $$
+begin
+  if exists (select 1 from pg_constraint where conname = 'scrap_rates_check_effective_range') then
+    return;
+  end if;
+  alter table public.scrap_rates
+    add constraint scrap_rates_check_effective_range
+    check (effective_to is null or effective_from is null or effective_to >= effective_from);
+end $$;
+
+-- No two active rates of one scrap type in effect at the same moment.
+do $$
+begin
+  if exists (select 1 from pg_constraint where conname = 'scrap_rates_no_overlap') then
+    return;
+  end if;
+  begin
+    create extension if not exists btree_gist;
+    alter table public.scrap_rates
+      add constraint scrap_rates_no_overlap
+      exclude using gist (
+        scrap_type_id with =,
+        tstzrange(coalesce(effective_from, '-infinity'::timestamptz), coalesce(effective_to, 'infinity'::timestamptz), '[)') with &&
+      )
+      where (is_active);
+  exception when others then
+    -- The API still checks overlaps before writing; this is the backstop.
+    raise notice 'scrap_rates_no_overlap not created: %', sqlerrm;
+  end;
+end $$;
+
+create index if not exists idx_scrap_rates_type_from
+  on public.scrap_rates(scrap_type_id, effective_from);
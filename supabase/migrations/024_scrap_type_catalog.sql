@@ -0,0 +1,146 @@
+-- ScrapCo (Customer Backend) - Scrap type catalog: units, categories, minimums, visibility
+-- Apply this in Supabase SQL editor AFTER 023_scrap_rate_schedules.sql
+--
+-- Scrap types are managed through /api/admin/scrap-types. A type is priced and picked up either
+-- by weight (unit = 'kg') or by count (unit = 'piece', e.g. appliances; quantities are whole
+-- numbers and scrap_rates.rate_per_kg is the price per piece). Hidden types (is_active = false)
+-- disappear from GET /api/scrap-types and can't be booked, but stay on existing pickups.
+-- create_pickup checks every item against its type: active, whole pieces, at least min_quantity.
+
+alter table if exists public.scrap_types
+  add column if not exists unit text not null default 'kg',
+  add column if not exists category text,
+  add column if not exists icon text,
+  add column if not exists min_quantity numeric(10, 2),
+  add column if not exists is_active boolean not null default true,
+  add column if not exists sort_order integer not null default 0,
+  add column if not exists updated_at timestamptz not null default now();
+
+do $$
+begin
+  if exists (select 1 from pg_constraint where conname = 'scrap_types_check_unit') then
+    return;
+  end if;
+  alter table public.scrap_types
+    add constraint scrap_types_check_unit check (unit in ('kg', 'piece'));
+end $$;
+
+do $$
+begin
+  if exists (select 1 from pg_constraint where conname = 'scrap_types_check_min_quantity') then
+    return;
+  end if;
+  alter table public.scrap_types
+    add constraint scrap_types_check_min_quantity check (min_quantity is null or min_quantity >= 0);
+end $$;
+
+-- Names identify types in rate sheets and vendor capabilities, so keep them unique.
+do $$
+begin
+  create unique index if not exists uq_scrap_types_name_lower
+    on public.scrap_types(lower(name));
+exception when unique_violation then
+  raise notice 'uq_scrap_types_name_lower not created: rename duplicate scrap types first (%)', sqlerrm;
+end $$;
+
+create index if not exists idx_scrap_types_category
+  on public.scrap_types(category, sort_order);
+
+-- Same signature as 022_price_quotes.sql; only the per-item checks are new.
+create or replace function public.create_pickup(
+  p_address text,
+  p_latitude numeric,
+  p_longitude numeric,
+  p_time_slot text,
+  p_items jsonb,
+  p_quote_id uuid default null
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_pickup_id uuid;
+  v_item jsonb;
+  v_scrap_type_id uuid;
+  v_qty numeric;
+  v_type public.scrap_types%rowtype;
+  v_quote public.pickup_quotes%rowtype;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'p_items must be a non-empty array';
+  end if;
+
+  if p_quote_id is not null then
+    select * into v_quote from public.pickup_quotes where id = p_quote_id for update;
+    if not found then
+      raise exception 'QUOTE_INVALID: quote not found';
+    end if;
+    if v_quote.expires_at < now() then
+      raise exception 'QUOTE_EXPIRED: quote expired at %', v_quote.expires_at;
+    end if;
+    if v_quote.pickup_id is not null or v_quote.used_at is not null then
+      raise exception 'QUOTE_USED: quote was already used for another pickup';
+    end if;
+    if public.normalize_pickup_items(v_quote.items) <> public.normalize_pickup_items(p_items) then
+      raise exception 'QUOTE_MISMATCH: items differ from the quoted items';
+    end if;
+  end if;
+
+  insert into public.pickups (customer_id, status, address, latitude, longitude, time_slot)
+  values (auth.uid(), 'REQUESTED', p_address, p_latitude, p_longitude, p_time_slot)
+  returning id into v_pickup_id;
+
+  for v_item in select * from jsonb_array_elements(p_items)
+  loop
+    v_scrap_type_id := (v_item->>'scrapTypeId')::uuid;
+    v_qty := (v_item->>'estimatedQuantity')::numeric;
+
+    if v_qty is null or v_qty <= 0 then
+      raise exception 'estimatedQuantity must be > 0';
+    end if;
+
+    select * into v_type from public.scrap_types where id = v_scrap_type_id;
+    if not found or not v_type.is_active then
+      raise exception 'ITEM_INVALID: scrap type % is not available', v_scrap_type_id;
+    end if;
+    if v_type.unit = 'piece' and v_qty <> trunc(v_qty) then
+      raise exception 'ITEM_INVALID: % is counted in pieces; estimatedQuantity must be a whole number', v_type.name;
+    end if;
+    if v_type.min_quantity is not null and v_qty < v_type.min_quantity then
+      raise exception 'ITEM_INVALID: % needs at least % %', v_type.name, v_type.min_quantity, v_type.unit;
+    end if;
+
+    insert into public.pickup_items (pickup_id, scrap_type_id, estimated_quantity)
+    values (v_pickup_id, v_scrap_type_id, v_qty);
+  end loop;
+
+  if p_quote_id is not null then
+    update public.pickup_quotes
+      set pickup_id = v_pickup_id,
+          used_at = now()
+    where id = p_quote_id;
+
+    update public.pickups
+      set quote_id = p_quote_id,
+          quote = jsonb_build_object(
+            'id', v_quote.id,
+            'totalAmount', v_quote.total_amount,
+            'currency', v_quote.currency,
+            'lines', v_quote.lines,
+            'quotedAt', v_quote.created_at,
+            'expiresAt', v_quote.expires_at
+          )
+    where id = v_pickup_id;
+  end if;
+
+  return v_pickup_id;
+end;
+$$;
+
+grant execute on function public.create_pickup(text, numeric, numeric, text, jsonb, uuid) to authenticated;
@@ -0,0 +1,220 @@
+-- ScrapCo (Customer Backend) - Customer edits to booked pickups
+-- Apply this in Supabase SQL editor AFTER 024_scrap_type_catalog.sql
+--
+-- PATCH /api/pickups/:id calls update_pickup with the customer's JWT. Rules per status:
+-- - REQUESTED, FINDING_VENDOR, NO_VENDOR_AVAILABLE: address, location, time slot and items may change
+--   freely (the backend restarts an ongoing vendor search so offers show the new details).
+-- - ASSIGNED: the same edits apply, and the assigned vendor is asked to confirm them
+--   (vendor_response = 'PENDING'); a vendor that declines is released and the pickup is
+--   dispatched again (POST /api/vendor/pickup-change).
+-- - ON_THE_WAY and closed pickups can't be edited ('NOT_EDITABLE: ...').
+-- Every edit is kept in pickup_changes with the values before and after.
+
+create table if not exists public.pickup_changes (
+  id uuid primary key default gen_random_uuid(),
+  pickup_id uuid not null references public.pickups(id) on delete cascade,
+  changed_fields text[] not null,
+  -- { address, latitude, longitude, time_slot, items } (only the changed fields)
+  before jsonb not null,
+  after jsonb not null,
+  status_at_change text not null,
+  -- vendor assigned when the change was made; null when no vendor had to confirm it
+  vendor_ref text,
+  -- PENDING | ACCEPTED | DECLINED | SUPERSEDED (a newer change replaced it before the vendor answered)
+  vendor_response text,
+  responded_at timestamptz,
+  created_at timestamptz not null default now(),
+  constraint pickup_changes_check_vendor_response
+    check (vendor_response is null or vendor_response in ('PENDING', 'ACCEPTED', 'DECLINED', 'SUPERSEDED'))
+);
+
+create index if not exists idx_pickup_changes_pickup_id
+  on public.pickup_changes(pickup_id, created_at desc);
+
+create index if not exists idx_pickup_changes_vendor_pending
+  on public.pickup_changes(vendor_ref, created_at)
+  where vendor_response = 'PENDING';
+
+alter table public.pickup_changes enable row level security;
+
+drop policy if exists "pickup_changes_select_own" on public.pickup_changes;
+create policy "pickup_changes_select_own"
+on public.pickup_changes
+for select
+to authenticated
+using (
+  exists (
+    select 1
+    from public.pickups p
+    where p.id = pickup_changes.pickup_id
+      and p.customer_id = auth.uid()
+  )
+);
+
+-- Null arguments mean "unchanged"; p_items replaces all items. Returns
+-- { change_id, status, vendor_ref, vendor_response, changed_fields, quote_dropped }
+-- (change_id null when nothing actually changed).
+create or replace function public.update_pickup(
+  p_pickup_id uuid,
+  p_address text default null,
+  p_latitude numeric default null,
+  p_longitude numeric default null,
+  p_time_slot text default null,
+  p_items jsonb default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_pickup public.pickups%rowtype;
+  v_status text;
+  v_fields text[] := '{}';
+  v_before jsonb := '{}'::jsonb;
+  v_after jsonb := '{}'::jsonb;
+  v_old_items jsonb;
+  v_item jsonb;
+  v_scrap_type_id uuid;
+  v_qty numeric;
+  v_type public.scrap_types%rowtype;
+  v_vendor_ref text;
+  v_response text;
+  v_change_id uuid;
+  v_quote_dropped boolean := false;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  select * into v_pickup from public.pickups
+  where id = p_pickup_id and customer_id = auth.uid()
+  for update;
+  if not found then
+    raise exception 'NOT_FOUND: pickup not found';
+  end if;
+
+  v_status := v_pickup.status::text;
+  if v_status not in ('REQUESTED', 'FINDING_VENDOR', 'NO_VENDOR_AVAILABLE', 'ASSIGNED') then
+    raise exception 'NOT_EDITABLE: a pickup in status % can no longer be changed', v_status;
+  end if;
+
+  if p_address is not null and p_address is distinct from v_pickup.address then
+    v_fields := v_fields || 'address';
+    v_before := v_before || jsonb_build_object('address', v_pickup.address);
+    v_after := v_after || jsonb_build_object('address', p_address);
+  end if;
+
+  if (p_latitude is not null or p_longitude is not null)
+     and (p_latitude is distinct from v_pickup.latitude or p_longitude is distinct from v_pickup.longitude) then
+    v_fields := v_fields || 'location';
+    v_before := v_before || jsonb_build_object('latitude', v_pickup.latitude, 'longitude', v_pickup.longitude);
+    v_after := v_after || jsonb_build_object('latitude', p_latitude, 'longitude', p_longitude);
+  end if;
+
+  if p_time_slot is not null and p_time_slot is distinct from v_pickup.time_slot then
+    v_fields := v_fields || 'time_slot';
+    v_before := v_before || jsonb_build_object('time_slot', v_pickup.time_slot);
+    v_after := v_after || jsonb_build_object('time_slot', p_time_slot);
+  end if;
+
+  if p_items is not null then
+    if jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+      raise exception 'p_items must be a non-empty array';
+    end if;
+
+    select coalesce(
+      jsonb_agg(jsonb_build_object('scrapTypeId', scrap_type_id::text, 'estimatedQuantity', estimated_quantity)),
+      '[]'::jsonb
+    )
+    into v_old_items
+    from public.pickup_items
+    where pickup_id = p_pickup_id;
+
+    if public.normalize_pickup_items(v_old_items) <> public.normalize_pickup_items(p_items) then
+      v_fields := v_fields || 'items';
+      v_before := v_before || jsonb_build_object('items', v_old_items);
+      v_after := v_after || jsonb_build_object('items', p_items);
+    end if;
+  end if;
+
+  if cardinality(v_fields) = 0 then
+    return jsonb_build_object(
+      'change_id', null,
+      'status', v_status,
+      'vendor_ref', null,
+      'vendor_response', null,
+      'changed_fields', '[]'::jsonb,
+      'quote_dropped', false
+    );
+  end if;
+
+  update public.pickups
+    set address = coalesce(p_address, address),
+        latitude = case when 'location' = any(v_fields) then p_latitude else latitude end,
+        longitude = case when 'location' = any(v_fields) then p_longitude else longitude end,
+        time_slot = coalesce(p_time_slot, time_slot)
+  where id = p_pickup_id;
+
+  if 'items' = any(v_fields) then
+    delete from public.pickup_items where pickup_id = p_pickup_id;
+
+    -- Same checks as create_pickup (024_scrap_type_catalog.sql).
+    for v_item in select * from jsonb_array_elements(p_items)
+    loop
+      v_scrap_type_id := (v_item->>'scrapTypeId')::uuid;
+      v_qty := (v_item->>'estimatedQuantity')::numeric;
+
+      if v_qty is null or v_qty <= 0 then
+        raise exception 'estimatedQuantity must be > 0';
+      end if;
+
+      select * into v_type from public.scrap_types where id = v_scrap_type_id;
+      if not found or not v_type.is_active then
+        raise exception 'ITEM_INVALID: scrap type % is not available', v_scrap_type_id;
+      end if;
+      if v_type.unit = 'piece' and v_qty <> trunc(v_qty) then
+        raise exception 'ITEM_INVALID: % is counted in pieces; estimatedQuantity must be a whole number', v_type.name;
+      end if;
+      if v_type.min_quantity is not null and v_qty < v_type.min_quantity then
+        raise exception 'ITEM_INVALID: % needs at least % %', v_type.name, v_type.min_quantity, v_type.unit;
+      end if;
+
+      insert into public.pickup_items (pickup_id, scrap_type_id, estimated_quantity)
+      values (p_pickup_id, v_scrap_type_id, v_qty);
+    end loop;
+
+    -- The quote priced the old items.
+    if v_pickup.quote_id is not null then
+      update public.pickups set quote_id = null, quote = null where id = p_pickup_id;
+      v_quote_dropped := true;
+    end if;
+  end if;
+
+  if v_status = 'ASSIGNED' and v_pickup.assigned_vendor_ref is not null then
+    v_vendor_ref := v_pickup.assigned_vendor_ref;
+    v_response := 'PENDING';
+    -- The vendor answers the latest change only.
+    update public.pickup_changes
+      set vendor_response = 'SUPERSEDED',
+          responded_at = now()
+    where pickup_id = p_pickup_id
+      and vendor_response = 'PENDING';
+  end if;
+
+  insert into public.pickup_changes (pickup_id, changed_fields, before, after, status_at_change, vendor_ref, vendor_response)
+  values (p_pickup_id, v_fields, v_before, v_after, v_status, v_vendor_ref, v_response)
+  returning id into v_change_id;
+
+  return jsonb_build_object(
+    'change_id', v_change_id,
+    'status', v_status,
+    'vendor_ref', v_vendor_ref,
+    'vendor_response', v_response,
+    'changed_fields', to_jsonb(v_fields),
+    'quote_dropped', v_quote_dropped
+  );
+end;
+$$;
+
+grant execute on function public.update_pickup(uuid, text, numeric, numeric, text, jsonb) to authenticated;
@@ -0,0 +1,454 @@
+-- ScrapCo (Customer Backend) - Pickup time slots with per-area capacity
+-- Apply this in Supabase SQL editor AFTER 025_pickup_changes.sql
+--
+-- pickup_slot_windows is the slot catalogue: recurring windows (e.g. 09:00-12:00, Mon-Sat) with a
+-- capacity, managed through /api/admin/pickup-slots. A bookable slot is one window on one date
+-- (slot id '<YYYY-MM-DD>@<window id>', listed by GET /api/pickups/slots).
+-- - Windows with a service_area_id apply to that area only; windows without one apply to every
+--   area that has none of its own (and everywhere when no service areas are configured).
+-- - Capacity counts per slot and per area: a default window with capacity 10 takes 10 pickups in
+--   each area. Cancelled pickups free their place.
+-- - Until a window exists, timeSlot stays free text as before.
+-- create_pickup / update_pickup take the slot plus the area the backend resolved for the location
+-- (point-in-polygon runs in services/serviceAreas.js) and reject full ('SLOT_FULL: ...'),
+-- started ('SLOT_PAST: ...') or unknown ('SLOT_INVALID: ...') slots.
+
+create table if not exists public.pickup_slot_windows (
+  id uuid primary key default gen_random_uuid(),
+  -- null = default window for areas without their own windows
+  service_area_id uuid references public.service_areas(id) on delete cascade,
+  label text,
+  start_time time not null,
+  end_time time not null,
+  -- ISO weekdays the window is offered on (1 = Monday .. 7 = Sunday)
+  days_of_week smallint[] not null default '{1,2,3,4,5,6,7}',
+  capacity integer not null,
+  -- start_time/end_time are wall-clock times in this zone
+  timezone text not null default 'Asia/Kolkata',
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint pickup_slot_windows_check_times check (end_time > start_time),
+  constraint pickup_slot_windows_check_capacity check (capacity >= 0),
+  constraint pickup_slot_windows_check_days check (days_of_week <@ '{1,2,3,4,5,6,7}'::smallint[])
+);
+
+create index if not exists idx_pickup_slot_windows_area
+  on public.pickup_slot_windows(service_area_id, start_time)
+  where is_active = true;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_trigger where tgname = 'pickup_slot_windows_set_updated_at'
+  ) then
+    create trigger pickup_slot_windows_set_updated_at
+    before update on public.pickup_slot_windows
+    for each row
+    execute procedure public.set_updated_at();
+  end if;
+end $$;
+
+-- RLS: anyone can read active windows (the app lists slots before login); writes via service role only.
+alter table public.pickup_slot_windows enable row level security;
+
+drop policy if exists "pickup_slot_windows_public_read_active" on public.pickup_slot_windows;
+create policy "pickup_slot_windows_public_read_active"
+on public.pickup_slot_windows
+for select
+to anon, authenticated
+using (is_active = true);
+
+-- The slot a pickup is booked in. time_slot keeps a readable copy ('2026-10-20 09:00-12:00')
+-- for vendors and older apps.
+alter table if exists public.pickups
+  add column if not exists slot_window_id uuid references public.pickup_slot_windows(id) on delete restrict,
+  add column if not exists slot_date date,
+  add column if not exists slot_area_id uuid,
+  add column if not exists slot_start timestamptz,
+  add column if not exists slot_end timestamptz;
+
+create index if not exists idx_pickups_slot
+  on public.pickups(slot_window_id, slot_date)
+  where slot_window_id is not null;
+
+-- Checks a slot and that it still has room; returns { slot_start, slot_end, time_slot }.
+-- p_pickup_id: the pickup moving into the slot (update_pickup), not counted against it.
+-- Internal to create_pickup / update_pickup (no grant).
+create or replace function public.reserve_pickup_slot(
+  p_window_id uuid,
+  p_slot_date date,
+  p_area_id uuid,
+  p_pickup_id uuid default null
+)
+returns jsonb
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_window public.pickup_slot_windows%rowtype;
+  v_start timestamptz;
+  v_booked integer;
+begin
+  if p_window_id is null or p_slot_date is null then
+    raise exception 'SLOT_INVALID: time slot is incomplete';
+  end if;
+
+  -- The row lock serialises bookings per window, so two customers can't both take the last place.
+  select * into v_window from public.pickup_slot_windows where id = p_window_id for update;
+  if not found or not v_window.is_active then
+    raise exception 'SLOT_INVALID: time slot is not offered';
+  end if;
+  if v_window.service_area_id is not null and v_window.service_area_id is distinct from p_area_id then
+    raise exception 'SLOT_INVALID: time slot is not offered in this area';
+  end if;
+  if not (extract(isodow from p_slot_date)::smallint = any(v_window.days_of_week)) then
+    raise exception 'SLOT_INVALID: time slot is not offered on %', p_slot_date;
+  end if;
+
+  v_start := (p_slot_date + v_window.start_time) at time zone v_window.timezone;
+  if v_start <= now() then
+    raise exception 'SLOT_PAST: time slot % % has already started', p_slot_date, v_window.start_time;
+  end if;
+
+  select count(*) into v_booked
+  from public.pickups p
+  where p.slot_window_id = p_window_id
+    and p.slot_date = p_slot_date
+    and p.slot_area_id is not distinct from p_area_id
+    and p.status <> 'CANCELLED'
+    and (p_pickup_id is null or p.id <> p_pickup_id);
+
+  if v_booked >= v_window.capacity then
+    raise exception 'SLOT_FULL: time slot % % is fully booked', p_slot_date, v_window.start_time;
+  end if;
+
+  return jsonb_build_object(
+    'slot_start', v_start,
+    'slot_end', (p_slot_date + v_window.end_time) at time zone v_window.timezone,
+    'time_slot', to_char(p_slot_date, 'YYYY-MM-DD') || ' ' || to_char(v_window.start_time, 'HH24:MI') || '-' || to_char(v_window.end_time, 'HH24:MI')
+  );
+end;
+$$;
+
+revoke execute on function public.reserve_pickup_slot(uuid, date, uuid, uuid) from public, anon, authenticated;
+
+-- create_pickup gains the slot arguments (the 024_scrap_type_catalog.sql checks are unchanged).
+-- With a slot, time_slot is derived from it and p_time_slot is ignored.
+drop function if exists public.create_pickup(text, numeric, numeric, text, jsonb, uuid);
+
+create or replace function public.create_pickup(
+  p_address text,
+  p_latitude numeric,
+  p_longitude numeric,
+  p_time_slot text,
+  p_items jsonb,
+  p_quote_id uuid default null,
+  p_slot_window_id uuid default null,
+  p_slot_date date default null,
+  p_slot_area_id uuid default null
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_pickup_id uuid;
+  v_item jsonb;
+  v_scrap_type_id uuid;
+  v_qty numeric;
+  v_type public.scrap_types%rowtype;
+  v_quote public.pickup_quotes%rowtype;
+  v_slot jsonb;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'p_items must be a non-empty array';
+  end if;
+
+  if p_quote_id is not null then
+    select * into v_quote from public.pickup_quotes where id = p_quote_id for update;
+    if not found then
+      raise exception 'QUOTE_INVALID: quote not found';
+    end if;
+    if v_quote.expires_at < now() then
+      raise exception 'QUOTE_EXPIRED: quote expired at %', v_quote.expires_at;
+    end if;
+    if v_quote.pickup_id is not null or v_quote.used_at is not null then
+      raise exception 'QUOTE_USED: quote was already used for another pickup';
+    end if;
+    if public.normalize_pickup_items(v_quote.items) <> public.normalize_pickup_items(p_items) then
+      raise exception 'QUOTE_MISMATCH: items differ from the quoted items';
+    end if;
+  end if;
+
+  if p_slot_window_id is not null or p_slot_date is not null then
+    v_slot := public.reserve_pickup_slot(p_slot_window_id, p_slot_date, p_slot_area_id);
+  end if;
+
+  insert into public.pickups (
+    customer_id, status, address, latitude, longitude, time_slot,
+    slot_window_id, slot_date, slot_area_id, slot_start, slot_end
+  )
+  values (
+    auth.uid(), 'REQUESTED', p_address, p_latitude, p_longitude, coalesce(v_slot->>'time_slot', p_time_slot),
+    case when v_slot is not null then p_slot_window_id end,
+    case when v_slot is not null then p_slot_date end,
+    case when v_slot is not null then p_slot_area_id end,
+    (v_slot->>'slot_start')::timestamptz,
+    (v_slot->>'slot_end')::timestamptz
+  )
+  returning id into v_pickup_id;
+
+  for v_item in select * from jsonb_array_elements(p_items)
+  loop
+    v_scrap_type_id := (v_item->>'scrapTypeId')::uuid;
+    v_qty := (v_item->>'estimatedQuantity')::numeric;
+
+    if v_qty is null or v_qty <= 0 then
+      raise exception 'estimatedQuantity must be > 0';
+    end if;
+
+    select * into v_type from public.scrap_types where id = v_scrap_type_id;
+    if not found or not v_type.is_active then
+      raise exception 'ITEM_INVALID: scrap type % is not available', v_scrap_type_id;
+    end if;
+    if v_type.unit = 'piece' and v_qty <> trunc(v_qty) then
+      raise exception 'ITEM_INVALID: % is counted in pieces; estimatedQuantity must be a whole number', v_type.name;
+    end if;
+    if v_type.min_quantity is not null and v_qty < v_type.min_quantity then
+      raise exception 'ITEM_INVALID: % needs at least % %', v_type.name, v_type.min_quantity, v_type.unit;
+    end if;
+
+    insert into public.pickup_items (pickup_id, scrap_type_id, estimated_quantity)
+    values (v_pickup_id, v_scrap_type_id, v_qty);
+  end loop;
+
+  if p_quote_id is not null then
+    update public.pickup_quotes
+      set pickup_id = v_pickup_id,
+          used_at = now()
+    where id = p_quote_id;
+
+    update public.pickups
+      set quote_id = p_quote_id,
+          quote = jsonb_build_object(
+            'id', v_quote.id,
+            'totalAmount', v_quote.total_amount,
+            'currency', v_quote.currency,
+            'lines', v_quote.lines,
+            'quotedAt', v_quote.created_at,
+            'expiresAt', v_quote.expires_at
+          )
+    where id = v_pickup_id;
+  end if;
+
+  return v_pickup_id;
+end;
+$$;
+
+grant execute on function public.create_pickup(text, numeric, numeric, text, jsonb, uuid, uuid, date, uuid) to authenticated;
+
+-- update_pickup gains the slot arguments too (rules from 025_pickup_changes.sql are unchanged).
+-- A slot moves the pickup into it (capacity checked, its own place not counted); a free-text
+-- p_time_slot without a slot leaves the slot model.
+drop function if exists public.update_pickup(uuid, text, numeric, numeric, text, jsonb);
+
+create or replace function public.update_pickup(
+  p_pickup_id uuid,
+  p_address text default null,
+  p_latitude numeric default null,
+  p_longitude numeric default null,
+  p_time_slot text default null,
+  p_items jsonb default null,
+  p_slot_window_id uuid default null,
+  p_slot_date date default null,
+  p_slot_area_id uuid default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_pickup public.pickups%rowtype;
+  v_status text;
+  v_fields text[] := '{}';
+  v_before jsonb := '{}'::jsonb;
+  v_after jsonb := '{}'::jsonb;
+  v_old_items jsonb;
+  v_item jsonb;
+  v_scrap_type_id uuid;
+  v_qty numeric;
+  v_type public.scrap_types%rowtype;
+  v_vendor_ref text;
+  v_response text;
+  v_change_id uuid;
+  v_quote_dropped boolean := false;
+  v_slot jsonb;
+  v_time_slot text := p_time_slot;
+  v_slot_changed boolean := false;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  select * into v_pickup from public.pickups
+  where id = p_pickup_id and customer_id = auth.uid()
+  for update;
+  if not found then
+    raise exception 'NOT_FOUND: pickup not found';
+  end if;
+
+  v_status := v_pickup.status::text;
+  if v_status not in ('REQUESTED', 'FINDING_VENDOR', 'NO_VENDOR_AVAILABLE', 'ASSIGNED') then
+    raise exception 'NOT_EDITABLE: a pickup in status % can no longer be changed', v_status;
+  end if;
+
+  if p_slot_window_id is not null or p_slot_date is not null then
+    if p_slot_window_id is distinct from v_pickup.slot_window_id
+       or p_slot_date is distinct from v_pickup.slot_date
+       or p_slot_area_id is distinct from v_pickup.slot_area_id then
+      v_slot := public.reserve_pickup_slot(p_slot_window_id, p_slot_date, p_slot_area_id, p_pickup_id);
+      v_time_slot := v_slot->>'time_slot';
+      v_slot_changed := true;
+    else
+      v_time_slot := null;
+    end if;
+  elsif p_time_slot is not null and v_pickup.slot_window_id is not null then
+    v_slot_changed := true;
+  end if;
+
+  if p_address is not null and p_address is distinct from v_pickup.address then
+    v_fields := v_fields || 'address';
+    v_before := v_before || jsonb_build_object('address', v_pickup.address);
+    v_after := v_after || jsonb_build_object('address', p_address);
+  end if;
+
+  if (p_latitude is not null or p_longitude is not null)
+     and (p_latitude is distinct from v_pickup.latitude or p_longitude is distinct from v_pickup.longitude) then
+    v_fields := v_fields || 'location';
+    v_before := v_before || jsonb_build_object('latitude', v_pickup.latitude, 'longitude', v_pickup.longitude);
+    v_after := v_after || jsonb_build_object('latitude', p_latitude, 'longitude', p_longitude);
+  end if;
+
+  if (v_time_slot is not null and v_time_slot is distinct from v_pickup.time_slot) or v_slot_changed then
+    v_fields := v_fields || 'time_slot';
+    v_before := v_before || jsonb_build_object('time_slot', v_pickup.time_slot);
+    v_after := v_after || jsonb_build_object('time_slot', coalesce(v_time_slot, v_pickup.time_slot));
+  end if;
+
+  if p_items is not null then
+    if jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+      raise exception 'p_items must be a non-empty array';
+    end if;
+
+    select coalesce(
+      jsonb_agg(jsonb_build_object('scrapTypeId', scrap_type_id::text, 'estimatedQuantity', estimated_quantity)),
+      '[]'::jsonb
+    )
+    into v_old_items
+    from public.pickup_items
+    where pickup_id = p_pickup_id;
+
+    if public.normalize_pickup_items(v_old_items) <> public.normalize_pickup_items(p_items) then
+      v_fields := v_fields || 'items';
+      v_before := v_before || jsonb_build_object('items', v_old_items);
+      v_after := v_after || jsonb_build_object('items', p_items);
+    end if;
+  end if;
+
+  if cardinality(v_fields) = 0 then
+    return jsonb_build_object(
+      'change_id', null,
+      'status', v_status,
+      'vendor_ref', null,
+      'vendor_response', null,
+      'changed_fields', '[]'::jsonb,
+      'quote_dropped', false
+    );
+  end if;
+
+  update public.pickups
+    set address = coalesce(p_address, address),
+        latitude = case when 'location' = any(v_fields) then p_latitude else latitude end,
+        longitude = case when 'location' = any(v_fields) then p_longitude else longitude end,
+        time_slot = coalesce(v_time_slot, time_slot)
+  where id = p_pickup_id;
+
+  if v_slot_changed then
+    update public.pickups
+      set slot_window_id = case when v_slot is not null then p_slot_window_id end,
+          slot_date = case when v_slot is not null then p_slot_date end,
+          slot_area_id = case when v_slot is not null then p_slot_area_id end,
+          slot_start = (v_slot->>'slot_start')::timestamptz,
+          slot_end = (v_slot->>'slot_end')::timestamptz
+    where id = p_pickup_id;
+  end if;
+
+  if 'items' = any(v_fields) then
+    delete from public.pickup_items where pickup_id = p_pickup_id;
+
+    -- Same checks as create_pickup (024_scrap_type_catalog.sql).
+    for v_item in select * from jsonb_array_elements(p_items)
+    loop
+      v_scrap_type_id := (v_item->>'scrapTypeId')::uuid;
+      v_qty := (v_item->>'estimatedQuantity')::numeric;
+
+      if v_qty is null or v_qty <= 0 then
+        raise exception 'estimatedQuantity must be > 0';
+      end if;
+
+      select * into v_type from public.scrap_types where id = v_scrap_type_id;
+      if not found or not v_type.is_active then
+        raise exception 'ITEM_INVALID: scrap type % is not available', v_scrap_type_id;
+      end if;
+      if v_type.unit = 'piece' and v_qty <> trunc(v_qty) then
+        raise exception 'ITEM_INVALID: % is counted in pieces; estimatedQuantity must be a whole number', v_type.name;
+      end if;
+      if v_type.min_quantity is not null and v_qty < v_type.min_quantity then
+        raise exception 'ITEM_INVALID: % needs at least % %', v_type.name, v_type.min_quantity, v_type.unit;
+      end if;
+
+      insert into public.pickup_items (pickup_id, scrap_type_id, estimated_quantity)
+      values (p_pickup_id, v_scrap_type_id, v_qty);
+    end loop;
+
+    -- The quote priced the old items.
+    if v_pickup.quote_id is not null then
+      update public.pickups set quote_id = null, quote = null where id = p_pickup_id;
+      v_quote_dropped := true;
+    end if;
+  end if;
+
+  if v_status = 'ASSIGNED' and v_pickup.assigned_vendor_ref is not null then
+    v_vendor_ref := v_pickup.assigned_vendor_ref;
+    v_response := 'PENDING';
+    -- The vendor answers the latest change only.
+    update public.pickup_changes
+      set vendor_response = 'SUPERSEDED',
+          responded_at = now()
+    where pickup_id = p_pickup_id
+      and vendor_response = 'PENDING';
+  end if;
+
+  insert into public.pickup_changes (pickup_id, changed_fields, before, after, status_at_change, vendor_ref, vendor_response)
+  values (p_pickup_id, v_fields, v_before, v_after, v_status, v_vendor_ref, v_response)
+  returning id into v_change_id;
+
+  return jsonb_build_object(
+    'change_id', v_change_id,
+    'status', v_status,
+    'vendor_ref', v_vendor_ref,
+    'vendor_response', v_response,
+    'changed_fields', to_jsonb(v_fields),
+    'quote_dropped', v_quote_dropped
+  );
+end;
+$$;
+
+grant execute on function public.update_pickup(uuid, text, numeric, numeric, text, jsonb, uuid, date, uuid) to authenticated;
@@ -0,0 +1,263 @@
+-- ScrapCo (Customer Backend) - Deferred dispatch for future time slots
+-- Apply this in Supabase SQL editor AFTER 026_pickup_slots.sql
+--
+-- Pickups booked into a slot that starts more than DISPATCH_LEAD_MINUTES ahead wait in the new
+-- SCHEDULED status instead of being offered to vendors days early. The backend's dispatcher sweeper
+-- (services/pickupScheduler.js) dispatches them when the slot is due, retries the ones nobody took
+-- until the slot starts, and then escalates: escalated_at is set and ops see the pickup in
+-- GET /api/admin/pickups/escalated.
+-- - cancel_pickup accepts SCHEDULED pickups.
+-- - update_pickup accepts edits to SCHEDULED pickups (no vendor to confirm them); a new time slot
+--   clears escalated_at so the pickup can be escalated again for that slot.
+-- - find_vendor_again is unchanged: scheduled pickups are not dispatched early on request.
+
+do $$
+begin
+  if exists (select 1 from pg_type where typname = 'pickup_status') then
+    begin
+      alter type public.pickup_status add value if not exists 'SCHEDULED';
+    exception
+      when duplicate_object then
+        null;
+    end;
+  end if;
+end $$;
+
+-- Set once, when the slot started with no vendor assigned.
+alter table if exists public.pickups
+  add column if not exists escalated_at timestamptz;
+
+create index if not exists idx_pickups_status_slot_start
+  on public.pickups(status, slot_start)
+  where slot_start is not null;
+
+create or replace function public.cancel_pickup(p_pickup_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_status text;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  update public.pickups
+    set status = 'CANCELLED',
+        cancelled_at = now(),
+        assigned_vendor_ref = null,
+        assignment_expires_at = null
+  where id = p_pickup_id
+    and customer_id = auth.uid()
+    and status in ('REQUESTED', 'SCHEDULED', 'FINDING_VENDOR', 'NO_VENDOR_AVAILABLE', 'ASSIGNED', 'ON_THE_WAY');
+
+  if not found then
+    select status::text into v_status from public.pickups where id = p_pickup_id and customer_id = auth.uid();
+    if v_status is not null then
+      raise exception 'ILLEGAL_TRANSITION: cannot cancel a pickup in status %', v_status;
+    end if;
+  end if;
+end;
+$$;
+
+grant execute on function public.cancel_pickup(uuid) to authenticated;
+
+-- Same as 026_pickup_slots.sql plus SCHEDULED among the editable statuses.
+create or replace function public.update_pickup(
+  p_pickup_id uuid,
+  p_address text default null,
+  p_latitude numeric default null,
+  p_longitude numeric default null,
+  p_time_slot text default null,
+  p_items jsonb default null,
+  p_slot_window_id uuid default null,
+  p_slot_date date default null,
+  p_slot_area_id uuid default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_pickup public.pickups%rowtype;
+  v_status text;
+  v_fields text[] := '{}';
+  v_before jsonb := '{}'::jsonb;
+  v_after jsonb := '{}'::jsonb;
+  v_old_items jsonb;
+  v_item jsonb;
+  v_scrap_type_id uuid;
+  v_qty numeric;
+  v_type public.scrap_types%rowtype;
+  v_vendor_ref text;
+  v_response text;
+  v_change_id uuid;
+  v_quote_dropped boolean := false;
+  v_slot jsonb;
+  v_time_slot text := p_time_slot;
+  v_slot_changed boolean := false;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  select * into v_pickup from public.pickups
+  where id = p_pickup_id and customer_id = auth.uid()
+  for update;
+  if not found then
+    raise exception 'NOT_FOUND: pickup not found';
+  end if;
+
+  v_status := v_pickup.status::text;
+  if v_status not in ('REQUESTED', 'SCHEDULED', 'FINDING_VENDOR', 'NO_VENDOR_AVAILABLE', 'ASSIGNED') then
+    raise exception 'NOT_EDITABLE: a pickup in status % can no longer be changed', v_status;
+  end if;
+
+  if p_slot_window_id is not null or p_slot_date is not null then
+    if p_slot_window_id is distinct from v_pickup.slot_window_id
+       or p_slot_date is distinct from v_pickup.slot_date
+       or p_slot_area_id is distinct from v_pickup.slot_area_id then
+      v_slot := public.reserve_pickup_slot(p_slot_window_id, p_slot_date, p_slot_area_id, p_pickup_id);
+      v_time_slot := v_slot->>'time_slot';
+      v_slot_changed := true;
+    else
+      v_time_slot := null;
+    end if;
+  elsif p_time_slot is not null and v_pickup.slot_window_id is not null then
+    v_slot_changed := true;
+  end if;
+
+  if p_address is not null and p_address is distinct from v_pickup.address then
+    v_fields := v_fields || 'address';
+    v_before := v_before || jsonb_build_object('address', v_pickup.address);
+    v_after := v_after || jsonb_build_object('address', p_address);
+  end if;
+
+  if (p_latitude is not null or p_longitude is not null)
+     and (p_latitude is distinct from v_pickup.latitude or p_longitude is distinct from v_pickup.longitude) then
+    v_fields := v_fields || 'location';
+    v_before := v_before || jsonb_build_object('latitude', v_pickup.latitude, 'longitude', v_pickup.longitude);
+    v_after := v_after || jsonb_build_object('latitude', p_latitude, 'longitude', p_longitude);
+  end if;
+
+  if (v_time_slot is not null and v_time_slot is distinct from v_pickup.time_slot) or v_slot_changed then
+    v_fields := v_fields || 'time_slot';
+    v_before := v_before || jsonb_build_object('time_slot', v_pickup.time_slot);
+    v_after := v_after || jsonb_build_object('time_slot', coalesce(v_time_slot, v_pickup.time_slot));
+  end if;
+
+  if p_items is not null then
+    if jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+      raise exception 'p_items must be a non-empty array';
+    end if;
+
+    select coalesce(
+      jsonb_agg(jsonb_build_object('scrapTypeId', scrap_type_id::text, 'estimatedQuantity', estimated_quantity)),
+      '[]'::jsonb
+    )
+    into v_old_items
+    from public.pickup_items
+    where pickup_id = p_pickup_id;
+
+    if public.normalize_pickup_items(v_old_items) <> public.normalize_pickup_items(p_items) then
+      v_fields := v_fields || 'items';
+      v_before := v_before || jsonb_build_object('items', v_old_items);
+      v_after := v_after || jsonb_build_object('items', p_items);
+    end if;
+  end if;
+
+  if cardinality(v_fields) = 0 then
+    return jsonb_build_object(
+      'change_id', null,
+      'status', v_status,
+      'vendor_ref', null,
+      'vendor_response', null,
+      'changed_fields', '[]'::jsonb,
+      'quote_dropped', false
+    );
+  end if;
+
+  update public.pickups
+    set address = coalesce(p_address, address),
+        latitude = case when 'location' = any(v_fields) then p_latitude else latitude end,
+        longitude = case when 'location' = any(v_fields) then p_longitude else longitude end,
+        time_slot = coalesce(v_time_slot, time_slot),
+        -- Escalation was for the old slot.
+        escalated_at = case when 'time_slot' = any(v_fields) then null else escalated_at end
+  where id = p_pickup_id;
+
+  if v_slot_changed then
+    update public.pickups
+      set slot_window_id = case when v_slot is not null then p_slot_window_id end,
+          slot_date = case when v_slot is not null then p_slot_date end,
+          slot_area_id = case when v_slot is not null then p_slot_area_id end,
+          slot_start = (v_slot->>'slot_start')::timestamptz,
+          slot_end = (v_slot->>'slot_end')::timestamptz
+    where id = p_pickup_id;
+  end if;
+
+  if 'items' = any(v_fields) then
+    delete from public.pickup_items where pickup_id = p_pickup_id;
+
+    -- Same checks as create_pickup (024_scrap_type_catalog.sql).
+    for v_item in select * from jsonb_array_elements(p_items)
+    loop
+      v_scrap_type_id := (v_item->>'scrapTypeId')::uuid;
+      v_qty := (v_item->>'estimatedQuantity')::numeric;
+
+      if v_qty is null or v_qty <= 0 then
+        raise exception 'estimatedQuantity must be > 0';
+      end if;
+
+      select * into v_type from public.scrap_types where id = v_scrap_type_id;
+      if not found or not v_type.is_active then
+        raise exception 'ITEM_INVALID: scrap type % is not available', v_scrap_type_id;
+      end if;
+      if v_type.unit = 'piece' and v_qty <> trunc(v_qty) then
+        raise exception 'ITEM_INVALID: % is counted in pieces; estimatedQuantity must be a whole number', v_type.name;
+      end if;
+      if v_type.min_quantity is not null and v_qty < v_type.min_quantity then
+        raise exception 'ITEM_INVALID: % needs at least % %', v_type.name, v_type.min_quantity, v_type.unit;
+      end if;
+
+      insert into public.pickup_items (pickup_id, scrap_type_id, estimated_quantity)
+      values (p_pickup_id, v_scrap_type_id, v_qty);
+    end loop;
+
+    -- The quote priced the old items.
+    if v_pickup.quote_id is not null then
+      update public.pickups set quote_id = null, quote = null where id = p_pickup_id;
+      v_quote_dropped := true;
+    end if;
+  end if;
+
+  if v_status = 'ASSIGNED' and v_pickup.assigned_vendor_ref is not null then
+    v_vendor_ref := v_pickup.assigned_vendor_ref;
+    v_response := 'PENDING';
+    -- The vendor answers the latest change only.
+    update public.pickup_changes
+      set vendor_response = 'SUPERSEDED',
+          responded_at = now()
+    where pickup_id = p_pickup_id
+      and vendor_response = 'PENDING';
+  end if;
+
+  insert into public.pickup_changes (pickup_id, changed_fields, before, after, status_at_change, vendor_ref, vendor_response)
+  values (p_pickup_id, v_fields, v_before, v_after, v_status, v_vendor_ref, v_response)
+  returning id into v_change_id;
+
+  return jsonb_build_object(
+    'change_id', v_change_id,
+    'status', v_status,
+    'vendor_ref', v_vendor_ref,
+    'vendor_response', v_response,
+    'changed_fields', to_jsonb(v_fields),
+    'quote_dropped', v_quote_dropped
+  );
+end;
+$$;
+
+grant execute on function public.update_pickup(uuid, text, numeric, numeric, text, jsonb, uuid, date, uuid) to authenticated;
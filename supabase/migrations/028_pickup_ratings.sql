@@ -0,0 +1,140 @@
+-- ScrapCo (Customer Backend) - Customer ratings of completed pickups
+-- Apply this in Supabase SQL editor AFTER 027_scheduled_dispatch.sql
+--
+-- POST /api/pickups/:id/rating calls rate_pickup with the customer's JWT: 1-5 stars, optional tags
+-- (see services/pickupRatings.js) and comment, once per COMPLETED pickup, for the vendor who did it.
+-- Low ratings (1-2 stars) wait for an admin (moderation_status = 'PENDING', /api/admin/ratings)
+-- before they count; admins publish or reject them. Only PUBLISHED ratings show up in the vendor
+-- aggregates (vendor_rating_stats, vendor_rating_tags) and the vendor endpoints.
+
+create table if not exists public.pickup_ratings (
+  id uuid primary key default gen_random_uuid(),
+  pickup_id uuid not null unique references public.pickups(id) on delete cascade,
+  customer_id uuid not null,
+  vendor_ref text not null,
+  stars smallint not null,
+  tags text[] not null default '{}',
+  comment text,
+  -- PUBLISHED | PENDING (low rating, waiting for an admin) | REJECTED (kept, never counted)
+  moderation_status text not null default 'PUBLISHED',
+  moderation_note text,
+  moderated_at timestamptz,
+  created_at timestamptz not null default now(),
+  constraint pickup_ratings_check_stars check (stars between 1 and 5),
+  constraint pickup_ratings_check_comment check (comment is null or char_length(comment) <= 1000),
+  constraint pickup_ratings_check_moderation check (moderation_status in ('PUBLISHED', 'PENDING', 'REJECTED'))
+);
+
+create index if not exists idx_pickup_ratings_vendor
+  on public.pickup_ratings(vendor_ref, created_at desc)
+  where moderation_status = 'PUBLISHED';
+
+create index if not exists idx_pickup_ratings_moderation
+  on public.pickup_ratings(moderation_status, created_at);
+
+-- RLS: customers read their own ratings; writes via rate_pickup or service role only.
+alter table public.pickup_ratings enable row level security;
+
+drop policy if exists "pickup_ratings_select_own" on public.pickup_ratings;
+create policy "pickup_ratings_select_own"
+on public.pickup_ratings
+for select
+to authenticated
+using (customer_id = auth.uid());
+
+-- Per-vendor aggregates over published ratings (service role; the backend adds them to vendor blocks).
+create or replace view public.vendor_rating_stats as
+select
+  vendor_ref,
+  count(*)::integer as rating_count,
+  round(avg(stars)::numeric, 2) as average_stars,
+  count(*) filter (where stars = 1)::integer as stars_1,
+  count(*) filter (where stars = 2)::integer as stars_2,
+  count(*) filter (where stars = 3)::integer as stars_3,
+  count(*) filter (where stars = 4)::integer as stars_4,
+  count(*) filter (where stars = 5)::integer as stars_5,
+  max(created_at) as last_rated_at
+from public.pickup_ratings
+where moderation_status = 'PUBLISHED'
+group by vendor_ref;
+
+create or replace view public.vendor_rating_tags as
+select r.vendor_ref, t.tag, count(*)::integer as tag_count
+from public.pickup_ratings r
+cross join lateral unnest(r.tags) as t(tag)
+where r.moderation_status = 'PUBLISHED'
+group by r.vendor_ref, t.tag;
+
+revoke all on public.vendor_rating_stats from anon, authenticated;
+revoke all on public.vendor_rating_tags from anon, authenticated;
+
+-- Returns the new rating's id. Errors: 'NOT_FOUND: ...', 'NOT_RATEABLE: ...' (not completed or no
+-- vendor), 'ALREADY_RATED: ...', 'RATING_INVALID: ...'.
+create or replace function public.rate_pickup(
+  p_pickup_id uuid,
+  p_stars integer,
+  p_tags text[] default '{}',
+  p_comment text default null
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_pickup public.pickups%rowtype;
+  v_rating_id uuid;
+  v_tags text[] := coalesce(p_tags, '{}');
+  v_comment text := nullif(btrim(coalesce(p_comment, '')), '');
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  select * into v_pickup from public.pickups
+  where id = p_pickup_id and customer_id = auth.uid();
+  if not found then
+    raise exception 'NOT_FOUND: pickup not found';
+  end if;
+  if v_pickup.status::text <> 'COMPLETED' then
+    raise exception 'NOT_RATEABLE: only completed pickups can be rated (status %)', v_pickup.status;
+  end if;
+  if v_pickup.assigned_vendor_ref is null then
+    raise exception 'NOT_RATEABLE: no vendor is recorded for this pickup';
+  end if;
+
+  if p_stars is null or p_stars < 1 or p_stars > 5 then
+    raise exception 'RATING_INVALID: stars must be between 1 and 5';
+  end if;
+  -- Same list as RATING_TAGS in services/pickupRatings.js.
+  if not (v_tags <@ array[
+    'weighed_fairly', 'on_time', 'friendly', 'fair_price',
+    'late', 'unfair_weighing', 'rude', 'paid_less'
+  ]::text[]) then
+    raise exception 'RATING_INVALID: unknown tag';
+  end if;
+  if v_comment is not null and char_length(v_comment) > 1000 then
+    raise exception 'RATING_INVALID: comment must be at most 1000 characters';
+  end if;
+
+  insert into public.pickup_ratings (pickup_id, customer_id, vendor_ref, stars, tags, comment, moderation_status)
+  values (
+    p_pickup_id,
+    auth.uid(),
+    v_pickup.assigned_vendor_ref,
+    p_stars,
+    (select coalesce(array_agg(distinct t), '{}') from unnest(v_tags) as t),
+    v_comment,
+    case when p_stars <= 2 then 'PENDING' else 'PUBLISHED' end
+  )
+  on conflict (pickup_id) do nothing
+  returning id into v_rating_id;
+
+  if v_rating_id is null then
+    raise exception 'ALREADY_RATED: this pickup was already rated';
+  end if;
+  return v_rating_id;
+end;
+$$;
+
+grant execute on function public.rate_pickup(uuid, integer, text[], text) to authenticated;